@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Admin Controller
+ * @description Live operations on WebSocket connections and their LLM tasks.
+ * Shares its operations with the admin:* WebSocket domain (adminHandler).
+ *
+ * @module controllers/adminController
+ */
+
+const adminHandler = require('../websocket/adminHandler');
+const { ApiError } = require('../middleware/errorHandler');
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// HTTP status for adminHandler error codes
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  CONNECTION_NOT_FOUND: 404,
+  TASK_NOT_FOUND: 404,
+};
+
+/**
+ * Run an admin operation, turning its coded errors into ApiErrors
+ * @param {Function} operation - Operation to run
+ * @returns {Promise<*>} Operation result
+ */
+const run = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (!ERROR_STATUS[error.code]) throw error;
+    throw new ApiError(ERROR_STATUS[error.code], error.message, error.code);
+  }
+};
+
+/**
+ * Administrator performing the request
+ * @param {Object} req - Express request
+ * @returns {{ id: string, displayName: string|null }}
+ */
+const getActor = (req) => ({
+  id: req.user.id,
+  displayName: req.user.display_name || null,
+});
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List live connections, blocked connections and stats
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listConnections = async (req, res) => {
+  const { connections, blocked, stats } = await adminHandler.listConnections();
+
+  res.json({
+    success: true,
+    connections,
+    blocked,
+    stats,
+  });
+};
+
+/**
+ * Block a live connection
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const blockConnection = async (req, res) => {
+  await run(() => adminHandler.blockConnection(getActor(req), req.params.connectionId, req.body?.reason));
+
+  res.json({
+    success: true,
+    message: 'Connection blocked',
+  });
+};
+
+/**
+ * Lift a connection's block
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const unblockConnection = async (req, res) => {
+  await run(() => adminHandler.unblockConnection(getActor(req), req.params.connectionId));
+
+  res.json({
+    success: true,
+    message: 'Connection unblocked',
+  });
+};
+
+/**
+ * Force-cancel a connection's LLM task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const cancelTask = async (req, res) => {
+  await run(() => adminHandler.cancelTask(getActor(req), req.params.connectionId, req.params.taskId));
+
+  res.json({
+    success: true,
+    message: 'Task cancelled',
+  });
+};
+
+/**
+ * Send an announcement to every connection
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const broadcast = async (req, res) => {
+  const { recipients } = await run(() => adminHandler.sendAnnouncement(getActor(req), req.body));
+
+  res.json({
+    success: true,
+    recipients,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listConnections,
+  blockConnection,
+  unblockConnection,
+  cancelTask,
+  broadcast,
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Background Task Controller
+ * @description Listing, retrieval and cancellation of the authenticated
+ * user's detached LLM tasks.
+ *
+ * @module controllers/backgroundTaskController
+ */
+
+const backgroundTaskService = require('../services/backgroundTaskService');
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List current user's background tasks
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listTasks = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const { tasks, total } = await backgroundTaskService.listTasks(req.user.id, { status, limit, offset });
+
+  res.json({
+    success: true,
+    tasks,
+    total,
+  });
+};
+
+/**
+ * Get a background task with its answer
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getTask = async (req, res) => {
+  const task = await backgroundTaskService.getTask(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    task,
+  });
+};
+
+/**
+ * Cancel a running background task
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const cancelTask = async (req, res) => {
+  const task = await backgroundTaskService.cancelTask(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    task,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listTasks,
+  getTask,
+  cancelTask,
+};
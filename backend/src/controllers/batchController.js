@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Batch Controller
+ * @description Submission, progress, results and cancellation of the
+ * authenticated user's server-side LLM batch jobs.
+ *
+ * @module controllers/batchController
+ */
+
+const batchService = require('../services/batchService');
+const logger = require('../utils/logger');
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Submit a batch
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createBatch = async (req, res) => {
+  const { name, defaults, requests } = req.body;
+  const batch = await batchService.createBatch(req.user, { name, defaults, requests });
+
+  res.status(202).json({
+    success: true,
+    batch,
+  });
+};
+
+/**
+ * List current user's batches
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listBatches = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const { batches, total } = await batchService.listBatches(req.user.id, { status, limit, offset });
+
+  res.json({
+    success: true,
+    batches,
+    total,
+  });
+};
+
+/**
+ * Get a batch with its progress
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getBatch = async (req, res) => {
+  const batch = await batchService.getBatch(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    batch,
+  });
+};
+
+/**
+ * List a batch's items with their results and errors
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listItems = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const { items, total } = await batchService.listItems(req.user.id, req.params.id, { status, limit, offset });
+
+  res.json({
+    success: true,
+    items,
+    total,
+  });
+};
+
+/**
+ * Download all results as JSON Lines, one item per line in submission order
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const downloadResults = async (req, res) => {
+  const items = batchService.iterateItems(req.user.id, req.params.id);
+
+  // Ownership is checked before the first item, so a 404 is still a JSON error
+  let next = await items.next();
+
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${req.params.id}.jsonl"`);
+
+  try {
+    while (!next.done) {
+      const { index, customId, status, result, error } = next.value;
+      res.write(`${JSON.stringify({ index, customId, status, result, error })}\n`);
+      next = await items.next();
+    }
+  } catch (error) {
+    logger.error('Batch results download failed', { batchId: req.params.id, error: error.message });
+  } finally {
+    res.end();
+  }
+};
+
+/**
+ * Cancel a batch
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const cancelBatch = async (req, res) => {
+  const batch = await batchService.cancelBatch(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    batch,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createBatch,
+  listBatches,
+  getBatch,
+  listItems,
+  downloadResults,
+  cancelBatch,
+};
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Conversations Controller
+ * @description Handles listing, creating, reading, renaming and deleting the
+ * authenticated user's saved chat conversations.
+ *
+ * @module controllers/conversationsController
+ */
+
+const conversationService = require('../services/conversationService');
+const { ApiError } = require('../middleware/errorHandler');
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Ensure conversation storage is available
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensurePersistence = () => {
+  if (!conversationService.isPersistenceEnabled()) {
+    throw ApiError.serviceUnavailable('Conversation history requires a configured database');
+  }
+};
+
+/**
+ * Validate a conversation title
+ * @param {string} title - Title
+ * @returns {string} Trimmed title
+ * @throws {ApiError} 400 if invalid
+ */
+const validateTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw ApiError.badRequest('Title is required');
+  }
+  if (title.trim().length > 255) {
+    throw ApiError.badRequest('Title must be less than 255 characters');
+  }
+  return title.trim();
+};
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List current user's conversations
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listConversations = async (req, res) => {
+  ensurePersistence();
+
+  const { limit, offset, search } = req.query;
+  const { conversations, total } = await conversationService.listConversations(req.user.id, {
+    limit,
+    offset,
+    search,
+  });
+
+  res.json({
+    success: true,
+    conversations,
+    total,
+  });
+};
+
+/**
+ * Create an empty conversation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createConversation = async (req, res) => {
+  ensurePersistence();
+
+  const { title, provider, model } = req.body;
+
+  if (!provider) {
+    throw ApiError.badRequest('Provider is required');
+  }
+
+  const conversation = await conversationService.createConversation(req.user.id, {
+    title: title !== undefined ? validateTitle(title) : undefined,
+    provider,
+    model,
+  });
+
+  res.status(201).json({
+    success: true,
+    conversation,
+  });
+};
+
+/**
+ * Get a conversation with its messages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getConversation = async (req, res) => {
+  ensurePersistence();
+
+  const conversation = await conversationService.getConversation(req.user.id, req.params.id, {
+    includeMessages: true,
+  });
+
+  res.json({
+    success: true,
+    conversation,
+  });
+};
+
+/**
+ * Rename a conversation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const renameConversation = async (req, res) => {
+  ensurePersistence();
+
+  const title = validateTitle(req.body.title);
+  const conversation = await conversationService.renameConversation(req.user.id, req.params.id, title);
+
+  res.json({
+    success: true,
+    conversation,
+  });
+};
+
+/**
+ * Delete a conversation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const deleteConversation = async (req, res) => {
+  ensurePersistence();
+
+  await conversationService.deleteConversation(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Conversation deleted successfully',
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listConversations,
+  createConversation,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+};
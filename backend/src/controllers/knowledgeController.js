@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Knowledge Base Controller
+ * @description Uploads, lists and deletes the authenticated user's knowledge
+ * base documents and searches them.
+ *
+ * @module controllers/knowledgeController
+ */
+
+const knowledgeService = require('../services/knowledgeService');
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List the current user's documents
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listDocuments = async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const { documents, total } = await knowledgeService.listDocuments(req.user.id, { status, limit, offset });
+
+  res.json({
+    success: true,
+    documents,
+    total,
+  });
+};
+
+/**
+ * Upload a document; it is embedded in the background
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const addDocument = async (req, res) => {
+  const document = await knowledgeService.addDocument(req.user, req.body);
+
+  res.status(202).json({
+    success: true,
+    document,
+  });
+};
+
+/**
+ * Get one of the current user's documents
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getDocument = async (req, res) => {
+  const document = await knowledgeService.getDocument(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    document,
+  });
+};
+
+/**
+ * Delete one of the current user's documents
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const deleteDocument = async (req, res) => {
+  await knowledgeService.deleteDocument(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Document deleted',
+  });
+};
+
+/**
+ * Search the current user's documents
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const search = async (req, res) => {
+  const { query, topK, documentIds, minScore } = req.body;
+  const results = await knowledgeService.search(req.user, query, { topK, documentIds, minScore });
+
+  res.json({
+    success: true,
+    results,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listDocuments,
+  addDocument,
+  getDocument,
+  deleteDocument,
+  search,
+};
@@ -7,6 +7,13 @@
  */
 
 const llmService = require('../services/llmService');
+const conversationService = require('../services/conversationService');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const backgroundTaskService = require('../services/backgroundTaskService');
+const promptTemplateService = require('../services/promptTemplateService');
+const knowledgeService = require('../services/knowledgeService');
+const { ApiError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 // ============================================================================
@@ -18,7 +25,8 @@ const logger = require('../utils/logger');
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} SSE helper functions
+ * @returns {Object} SSE helper functions, plus an abort signal that fires
+ * when the client disconnects before the stream ends
  */
 const setupSSE = (req, res) => {
   // Set SSE headers
@@ -30,8 +38,14 @@ const setupSSE = (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.flushHeaders();
 
-  req.on('close', () => {
-    logger.info('Client disconnected during SSE stream');
+  // The request closes once its body is read; the response closing before
+  // end() is what signals a client disconnect
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client disconnected during SSE stream');
+      abortController.abort('disconnected');
+    }
   });
   req.on('error', (err) => {
     logger.error('Request error:', err);
@@ -57,10 +71,193 @@ const setupSSE = (req, res) => {
   return {
     writeEvent,
     isConnected: () => res.writable && !res.writableEnded,
+    signal: abortController.signal,
     end: () => res.end(),
   };
 };
 
+// ============================================================================
+// CHAT REQUESTS
+// ============================================================================
+
+// HTTP status for LLM error codes on the non-streaming endpoint
+const LLM_ERROR_STATUS = {
+  [llmService.LLM_ERROR_CODES.RATE_LIMITED]: 429,
+  [llmService.LLM_ERROR_CODES.CONTEXT_LENGTH_EXCEEDED]: 400,
+  [llmService.LLM_ERROR_CODES.CONTENT_FILTERED]: 422,
+  [llmService.LLM_ERROR_CODES.AUTH_FAILED]: 502,
+  [llmService.LLM_ERROR_CODES.MODEL_NOT_FOUND]: 404,
+  [llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE]: 503,
+  [llmService.LLM_ERROR_CODES.INVALID_REQUEST]: 400,
+};
+
+/**
+ * Validate a chat request, enforce quotas and persist the user turn. Shared by
+ * the streaming and non-streaming endpoints so both fail the same way.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} source - Transport name for logging ('sse' or 'http')
+ * @returns {Promise<Object>} streamChat options plus conversationId and the
+ *   retrieved sources
+ * @throws {ApiError} INVALID_INPUT, UNSUPPORTED_INPUT, TEMPLATE_NOT_FOUND, MISSING_VARIABLES,
+ *   PROVIDER_UNAVAILABLE, QUOTA_EXCEEDED, RETRIEVAL_FAILED or CONVERSATION_NOT_FOUND
+ */
+const prepareChat = async (req, source) => {
+  // Extract request parameters
+  const {
+    model,
+    provider,
+    messages: requestMessages,
+    systemPrompt: requestSystemPrompt,
+    templateId,
+    templateVersion,
+    variables,
+    retrieval,
+    temperature,
+    maxTokens,
+    tools,
+    toolChoice,
+    thinkingBudget,
+    responseFormat,
+    contextStrategy,
+    conversationId: requestedConversationId,
+    persist,
+  } = req.body;
+
+  logger.info('Chat request', {
+    source,
+    model,
+    provider,
+    messageCount: requestMessages?.length,
+    hasSystemPrompt: !!requestSystemPrompt,
+    systemPromptLength: requestSystemPrompt?.length,
+    templateId,
+    retrieval: !!retrieval,
+    temperature,
+  });
+
+  // Validate required fields
+  if (!requestMessages || !Array.isArray(requestMessages) || requestMessages.length === 0) {
+    throw new ApiError(400, 'Messages array is required', 'INVALID_INPUT');
+  }
+
+  // Render the prompt template (if any) in front of the request's own prompt and messages
+  const { systemPrompt: templateSystemPrompt, messages } = await promptTemplateService.applyTemplate(req.user, {
+    templateId,
+    templateVersion,
+    variables,
+    systemPrompt: requestSystemPrompt,
+    messages: requestMessages,
+  });
+
+  const actualModel = model || 'gemini-2.0-flash';
+  const modelConfig = llmService.getModelConfig(actualModel);
+  const actualProvider = provider || modelConfig?.provider;
+
+  // Validate attachments, tools, thinking budget and response format before anything is persisted
+  let normalizedTools;
+  let thinking;
+  try {
+    ({ tools: normalizedTools, thinking } = llmService.validateChatRequest({
+      model: actualModel,
+      messages,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      maxTokens,
+      responseFormat,
+      contextStrategy,
+    }));
+  } catch (error) {
+    throw new ApiError(400, error.message, error.code || 'INVALID_INPUT');
+  }
+
+  // Check if provider is configured and not disabled in the catalog (unknown
+  // models without a provider are reported by streamChat)
+  if (actualProvider && !llmService.isProviderAvailable(actualProvider)) {
+    const reason = llmService.getProviderStatus()[actualProvider]?.configured ? 'disabled' : 'not configured';
+    throw new ApiError(503, `Provider '${actualProvider}' is ${reason}`, llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, {
+      retryable: false,
+      availableProviders: llmService.getAvailableProviders(),
+    });
+  }
+
+  // Enforce daily/monthly quotas before anything is streamed or persisted
+  await quotaService.checkQuota(req.user);
+
+  // Ground the answer on the user's documents (embeds the last user message)
+  const { systemPrompt, sources } = await knowledgeService.applyRetrieval(req.user, {
+    retrieval,
+    systemPrompt: templateSystemPrompt,
+    messages,
+  });
+
+  // Resolve the conversation and persist the user turn (authenticated users only)
+  let conversationId = null;
+  if (persist !== false && actualProvider) {
+    try {
+      conversationId = await conversationService.beginTurn({
+        userId: req.user?.id,
+        conversationId: requestedConversationId,
+        messages,
+        provider: actualProvider,
+        model: actualModel,
+      });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new ApiError(404, error.message, 'CONVERSATION_NOT_FOUND', { conversationId: requestedConversationId });
+      }
+      logger.warn('Conversation persistence unavailable', { error: error.message });
+    }
+  }
+
+  return {
+    model: actualModel,
+    provider,
+    actualProvider,
+    messages,
+    systemPrompt,
+    temperature,
+    maxTokens,
+    tools: normalizedTools,
+    toolChoice,
+    thinkingBudget: thinking?.budget,
+    responseFormat,
+    contextStrategy,
+    conversationId,
+    sources,
+  };
+};
+
+/**
+ * Persist the assistant turn and record its usage
+ * @param {Object} req - Express request object
+ * @param {Object} turn - { source, conversationId, answered, content, usage, finishReason, sources, toolCalls }
+ */
+const completeChat = async (req, { source, conversationId, answered, content, usage, finishReason, sources, toolCalls }) => {
+  // Persist the assistant turn (partial content is kept on disconnect), with
+  // the tool calls the client answers in its next request
+  await conversationService.completeTurn(conversationId, {
+    content,
+    tokensUsed: usage ? usage.outputTokens + usage.thinkingTokens : null,
+    sources: sources?.length ? sources : null,
+    toolCalls,
+  });
+
+  // Record the turn in the usage ledger, and the summary that fitted it
+  // into the context window
+  await usageService.recordUsage({
+    userId: req.user?.id,
+    conversationId,
+    source,
+    provider: answered.provider,
+    model: answered.model,
+    usage,
+    finishReason,
+  });
+  await usageService.recordContextSummary({ userId: req.user?.id, conversationId, source }, answered.context);
+};
+
 // ============================================================================
 // ROUTE HANDLERS
 // ============================================================================
@@ -76,68 +273,105 @@ const handleStreamChat = async (req, res) => {
     // Send connection confirmation
     sse.writeEvent('connected', { status: 'connected', timestamp: Date.now() });
 
-    // Extract request parameters
-    const { model, provider, messages, systemPrompt, temperature, maxTokens } = req.body;
-
-    // === SSE BACKEND LOGGING ===
-    console.log('\n========== SSE REQUEST RECEIVED ==========');
-    console.log('[llmController] SSE /llm/chat/stream request:');
-    console.log('  model:', model);
-    console.log('  provider:', provider);
-    console.log('  messageCount:', messages?.length);
-    console.log('  systemPrompt:', systemPrompt ? `"${systemPrompt.substring(0, 100)}${systemPrompt.length > 100 ? '...' : ''}"` : null);
-    console.log('  temperature:', temperature);
-    console.log('  maxTokens:', maxTokens);
-    console.log('  Full messages:', JSON.stringify(messages, null, 2));
-    console.log('==========================================\n');
-    
-    logger.info('SSE stream request', { 
-      model, 
-      provider, 
-      messageCount: messages?.length,
-      hasSystemPrompt: !!systemPrompt,
-      systemPromptLength: systemPrompt?.length,
-      temperature,
-    });
-
-    // Validate required fields
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      sse.writeEvent('error', { error: 'Messages array is required' });
-      sse.end();
+    let chat;
+    try {
+      chat = await prepareChat(req, 'sse');
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      sse.writeEvent('error', {
+        error: error.message,
+        code: error.code || 'INVALID_INPUT',
+        ...(error.code === 'QUOTA_EXCEEDED' && { quota: error.details }),
+        ...(error.code === 'CONVERSATION_NOT_FOUND' && { conversationId: error.details.conversationId }),
+        ...(error.code === llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE && error.details),
+      });
       return;
     }
 
+    const { model: actualModel, actualProvider, conversationId, thinkingBudget, sources, ...streamOptions } = chat;
+
+    // 'start' is sent once a provider answers, naming the model that actually
+    // responds (retries and fallbacks happen before the first chunk)
+    let answered = { model: actualModel, provider: actualProvider, fallback: false };
+    let started = false;
+    const writeStart = (answer) => {
+      answered = answer;
+      started = true;
+      sse.writeEvent('start', {
+        model: answer.model,
+        provider: answer.provider,
+        ...(answer.fallback && { fallback: true, requestedModel: actualModel }),
+        attempts: answer.attempts,
+        context: answer.context,
+        conversationId,
+        thinkingBudget: thinkingBudget || null,
+        ...(sources.length > 0 && { sources }),
+      });
+    };
+
+    let fullContent = '';
+    let usage = null;
+    let finishReason = null;
+    const toolCalls = [];
+
     // Stream using the service with callback
     await llmService.streamChat({
-      model: model || 'gemini-2.0-flash',
-      provider,
-      messages,
-      systemPrompt,
-      temperature,
-      maxTokens,
+      ...streamOptions,
+      model: actualModel,
+      thinkingBudget,
+      signal: sse.signal,
+      onStart: writeStart,
+      // writeEvent is a no-op once the client is gone; the closing done chunk
+      // still carries the partial usage of an aborted stream
       onChunk: (chunk) => {
-        if (!sse.isConnected()) return;
-
         if (chunk.type === 'content') {
+          fullContent += chunk.content;
           sse.writeEvent('content', { content: chunk.content });
         } else if (chunk.type === 'thinking') {
           sse.writeEvent('thinking', { content: chunk.content });
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk.toolCall);
+          sse.writeEvent('tool_call', { toolCall: chunk.toolCall });
         } else if (chunk.type === 'done') {
+          finishReason = chunk.finishReason || 'stop';
+          usage = chunk.usage ? { ...chunk.usage, cost: usageService.calculateCost(answered.model, chunk.usage) } : null;
           sse.writeEvent('end', {
             status: 'complete',
             totalChunks: chunk.chunkCount,
-            finishReason: chunk.finishReason || 'stop',
+            finishReason,
+            model: answered.model,
+            provider: answered.provider,
+            conversationId,
+            usage,
+            ...(toolCalls.length > 0 && { toolCalls }),
+            ...(chunk.thinkingBlocks && { thinkingBlocks: chunk.thinkingBlocks }),
+            ...('parsed' in chunk && { parsed: chunk.parsed, validationErrors: chunk.validationErrors }),
           });
         }
       },
+    }).catch(async (error) => {
+      // Keep what the client was shown; a new conversation goes too if 'start' never named it
+      await conversationService.failTurn(conversationId, {
+        content: fullContent,
+        sources,
+        created: !req.body.conversationId && !started,
+      });
+      throw error;
     });
+
+    await completeChat(req, { source: 'sse', conversationId, answered, content: fullContent, usage, finishReason, sources, toolCalls });
   } catch (err) {
     logger.error('Stream error', { error: err.message });
     console.error('[llmController] SSE stream error:', err.message);
     if (sse.isConnected()) {
+      const failure = llmService.normalizeError(err, { provider: req.body?.provider, model: req.body?.model });
       sse.writeEvent('error', {
-        error: 'Stream failed',
-        message: err.message,
+        error: failure.message,
+        code: failure.code,
+        retryable: failure.retryable,
+        ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+        provider: failure.provider,
+        model: failure.model,
       });
     }
   } finally {
@@ -145,6 +379,146 @@ const handleStreamChat = async (req, res) => {
   }
 };
 
+/**
+ * Handle a non-streaming chat completion: runs the stream to completion and
+ * returns the whole message as one JSON response. With detached: true the
+ * request runs as a background task instead and 202 is returned at once.
+ * POST /api/llm/chat
+ */
+const handleChat = async (req, res) => {
+  if (req.body.detached) {
+    return startDetachedChat(req, res);
+  }
+
+  const chat = await prepareChat(req, 'http');
+  const { model: actualModel, actualProvider, conversationId, sources, ...streamOptions } = chat;
+
+  // Stop the provider request if the caller gives up
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort('disconnected');
+  });
+
+  let answered = { model: actualModel, provider: actualProvider, fallback: false };
+  let content = '';
+  let thinking = '';
+  let done = {};
+  const toolCalls = [];
+
+  try {
+    answered = await llmService.streamChat({
+      ...streamOptions,
+      model: actualModel,
+      signal: abortController.signal,
+      onChunk: (chunk) => {
+        if (chunk.type === 'content') {
+          content += chunk.content || '';
+        } else if (chunk.type === 'thinking') {
+          thinking += chunk.content || '';
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk.toolCall);
+        } else if (chunk.type === 'done') {
+          done = chunk;
+        }
+      },
+    });
+  } catch (err) {
+    // Nothing was returned: take the turn (and a conversation it created) back out
+    await conversationService.failTurn(conversationId, { created: !req.body.conversationId });
+    const failure = llmService.normalizeError(err, { provider: actualProvider, model: actualModel });
+    logger.error('Chat error', { error: failure.message, code: failure.code });
+    throw new ApiError(LLM_ERROR_STATUS[failure.code] || 502, failure.message, failure.code, {
+      retryable: failure.retryable,
+      ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+      provider: failure.provider,
+      model: failure.model,
+    });
+  }
+
+  const finishReason = done.finishReason || 'stop';
+  const usage = done.usage ? { ...done.usage, cost: usageService.calculateCost(answered.model, done.usage) } : null;
+
+  await completeChat(req, { source: 'http', conversationId, answered, content, usage, finishReason, sources, toolCalls });
+
+  res.json({
+    success: true,
+    data: {
+      content,
+      ...(thinking && { thinking }),
+      finishReason,
+      model: answered.model,
+      provider: answered.provider,
+      ...(answered.fallback && { fallback: true, requestedModel: actualModel }),
+      attempts: answered.attempts,
+      context: answered.context,
+      conversationId,
+      usage,
+      ...(sources.length > 0 && { sources }),
+      ...(toolCalls.length > 0 && { toolCalls }),
+      ...(done.thinkingBlocks && { thinkingBlocks: done.thinkingBlocks }),
+      ...('parsed' in done && { parsed: done.parsed, validationErrors: done.validationErrors }),
+    },
+  });
+};
+
+/**
+ * Start a chat request as a background task (POST /api/llm/chat with detached: true)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startDetachedChat = async (req, res) => {
+  if (!req.user) {
+    throw ApiError.unauthorized('Detached tasks require authentication');
+  }
+  if (req.body.persist === false) {
+    throw new ApiError(400, 'Detached tasks are saved to a conversation; persist cannot be false', 'INVALID_INPUT');
+  }
+
+  const { model, actualProvider, conversationId, sources, ...request } = await prepareChat(req, 'http');
+
+  const task = await backgroundTaskService.startTask(req.user, {
+    source: 'http',
+    conversationId,
+    request: { ...request, model, provider: actualProvider },
+    sources,
+  });
+
+  res.status(202).json({
+    success: true,
+    task,
+  });
+};
+
+/**
+ * Estimate the prompt tokens of a chat request against the model's context window
+ * POST /api/llm/tokens/count
+ */
+const countTokens = async (req, res) => {
+  const { model = 'gemini-2.0-flash', provider, tools, maxTokens, templateId, templateVersion, variables } = req.body;
+  const { messages: requestMessages = [], systemPrompt: requestSystemPrompt } = req.body;
+
+  if (!Array.isArray(requestMessages) || requestMessages.some((m) => !m || typeof m !== 'object')) {
+    throw new ApiError(400, 'messages must be an array of { role, content } objects', 'INVALID_INPUT');
+  }
+
+  if (!provider && !llmService.getModelConfig(model)) {
+    throw new ApiError(404, `Unknown model '${model}'`, llmService.LLM_ERROR_CODES.MODEL_NOT_FOUND);
+  }
+
+  const { systemPrompt, messages } = await promptTemplateService.applyTemplate(req.user, {
+    templateId,
+    templateVersion,
+    variables,
+    systemPrompt: requestSystemPrompt,
+    messages: requestMessages,
+  });
+
+  res.json({
+    success: true,
+    data: llmService.countTokens({ model, provider, messages, systemPrompt, tools, maxTokens }),
+  });
+};
+
 /**
  * Get available models
  * GET /api/llm/models
@@ -226,33 +600,55 @@ const getModelConfig = async (req, res) => {
 };
 
 /**
- * Generate embeddings
+ * Generate embeddings for one or more texts (batched by llmService)
  * POST /api/llm/embeddings
  */
 const generateEmbeddings = async (req, res) => {
-  try {
-    const { model, input } = req.body;
+  const { model, provider, input, dimensions } = req.body;
 
-    if (!input) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Input text is required',
-      });
-    }
+  await quotaService.checkQuota(req.user);
 
-    const result = await llmService.generateEmbeddings({ model, input });
+  // Stop the remaining batches if the caller gives up
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort('disconnected');
+  });
 
-    res.json({
-      success: true,
-      data: result,
+  let result;
+  try {
+    result = await llmService.generateEmbeddings({
+      model,
+      provider,
+      input,
+      dimensions,
+      signal: abortController.signal,
     });
-  } catch (error) {
-    logger.error('Embeddings error', { error: error.message });
-    res.status(500).json({
-      error: 'Embeddings generation failed',
-      message: error.message,
+  } catch (err) {
+    if (err.code === 'INVALID_INPUT') {
+      throw new ApiError(400, err.message, err.code);
+    }
+    const failure = llmService.normalizeError(err, { provider, model });
+    logger.error('Embeddings error', { error: failure.message, code: failure.code });
+    throw new ApiError(LLM_ERROR_STATUS[failure.code] || 502, failure.message, failure.code, {
+      retryable: failure.retryable,
+      ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+      provider: failure.provider,
+      model: failure.model,
     });
   }
+
+  const cost = await usageService.recordUsage({
+    userId: req.user?.id,
+    source: 'http',
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+  });
+
+  res.json({
+    success: true,
+    data: { ...result, usage: { ...result.usage, cost } },
+  });
 };
 
 /**
@@ -279,7 +675,9 @@ const getHealth = async (req, res) => {
 // ============================================================================
 
 module.exports = {
+  handleChat,
   handleStreamChat,
+  countTokens,
   getModels,
   getProviders,
   getModelConfig,
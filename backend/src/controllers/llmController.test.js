@@ -0,0 +1,222 @@
+/**
+ * @fileoverview LLM HTTP endpoint tests
+ * @description Serves the LLM routes on a local port and streams chats through
+ * the mock provider: SSE events, tool calls, retries and fallbacks, errors,
+ * quotas, client disconnects and the non-streaming endpoint.
+ */
+
+process.env.LLM_RETRY_BASE_DELAY = '1';
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-'.repeat(4);
+
+const express = require('express');
+const llmRoutes = require('../routes/llm');
+const { ApiError, errorHandler } = require('../middleware/errorHandler');
+const conversationService = require('../services/conversationService');
+const modelCatalog = require('../services/modelCatalogService');
+const quotaService = require('../services/quotaService');
+const usageService = require('../services/usageService');
+
+const TOOLS = [{ name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } }];
+
+let server;
+let baseUrl;
+
+// Test models: copies of mock-echo with their own mock behaviour
+const addMockModel = (id, { fallbacks, ...mock }) => {
+  modelCatalog.getCatalog().models.push({
+    ...modelCatalog.getModel('mock-echo'),
+    id,
+    name: id,
+    ...(fallbacks && { fallbacks }),
+    mock: { chunkSize: 4, delayMs: 0, ...mock },
+  });
+};
+
+const post = (path, body, init = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    ...init,
+  });
+
+/**
+ * Parse a complete SSE body into events
+ * @param {string} text - Response body
+ * @returns {Array<{ event: string, data: Object }>}
+ */
+const parseEvents = (text) =>
+  text.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+
+const streamChat = async (body) => {
+  const response = await post('/llm/chat/stream', body);
+  expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+  return parseEvents(await response.text());
+};
+
+const contentOf = (events) => events.filter((e) => e.event === 'content').map((e) => e.data.content).join('');
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  addMockModel('test-down', { error: { status: 503 }, fallbacks: ['mock-echo'] });
+  addMockModel('test-overloaded', { error: { status: 503 } });
+  addMockModel('test-slow', { chunkSize: 1, delayMs: 20 });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/llm', llmRoutes);
+  app.use(errorHandler);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('POST /llm/chat/stream', () => {
+  test('streams connected, start, content and end events', async () => {
+    const events = await streamChat({ model: 'mock-echo', messages: [{ role: 'user', content: 'Hello over SSE' }] });
+
+    expect(events.map((e) => e.event)).toEqual(['connected', 'start', ...Array(2).fill('content'), 'end']);
+    expect(events[1].data).toMatchObject({ model: 'mock-echo', provider: 'mock', attempts: 1 });
+    expect(contentOf(events)).toBe('Hello over SSE');
+    expect(events[events.length - 1].data).toMatchObject({
+      status: 'complete',
+      finishReason: 'stop',
+      model: 'mock-echo',
+      usage: expect.objectContaining({ outputTokens: expect.any(Number) }),
+    });
+  });
+
+  test('streams thinking and tool calls', async () => {
+    const thinking = await streamChat({ model: 'mock-echo', messages: [{ role: 'user', content: 'hi' }], thinkingBudget: true });
+    expect(thinking.find((e) => e.event === 'thinking').data.content).toBe('Repeating the last message back.');
+
+    const events = await streamChat({ model: 'mock-tools', messages: [{ role: 'user', content: 'Find it' }], tools: TOOLS });
+    const { toolCall } = events.find((e) => e.event === 'tool_call').data;
+    expect(toolCall).toMatchObject({ name: 'lookup', arguments: {} });
+    expect(events[events.length - 1].data).toMatchObject({ finishReason: 'tool_calls', toolCalls: [toolCall] });
+  });
+
+  test('names the fallback model after retries are exhausted', async () => {
+    const events = await streamChat({ model: 'test-down', messages: [{ role: 'user', content: 'rescued' }] });
+
+    expect(events.find((e) => e.event === 'start').data).toMatchObject({
+      model: 'mock-echo',
+      fallback: true,
+      requestedModel: 'test-down',
+      attempts: 4,
+    });
+    expect(contentOf(events)).toBe('rescued');
+  });
+
+  test('sends a classified error event when every attempt fails', async () => {
+    const events = await streamChat({ model: 'test-overloaded', messages: [{ role: 'user', content: 'no luck' }] });
+
+    expect(events.map((e) => e.event)).toEqual(['connected', 'error']);
+    expect(events[1].data).toMatchObject({ code: 'PROVIDER_UNAVAILABLE', retryable: true, provider: 'mock', model: 'test-overloaded' });
+  });
+
+  test('refuses an unavailable provider before storing the user turn', async () => {
+    const beginTurn = jest.spyOn(conversationService, 'beginTurn');
+    const events = await streamChat({ model: 'mock-echo', provider: 'test-missing', messages: [{ role: 'user', content: 'hi' }] });
+
+    expect(events[1]).toEqual({
+      event: 'error',
+      data: expect.objectContaining({ code: 'PROVIDER_UNAVAILABLE', retryable: false, availableProviders: expect.any(Array) }),
+    });
+    expect(beginTurn).not.toHaveBeenCalled();
+  });
+
+  test('takes back the stored turn when the stream fails', async () => {
+    jest.spyOn(conversationService, 'beginTurn').mockResolvedValue('conv-failed');
+    const failTurn = jest.spyOn(conversationService, 'failTurn').mockResolvedValue();
+
+    await streamChat({ model: 'test-overloaded', messages: [{ role: 'user', content: 'no luck' }] });
+
+    expect(failTurn).toHaveBeenCalledWith('conv-failed', expect.objectContaining({ content: '', created: true }));
+  });
+
+  test('sends validation and quota failures as error events', async () => {
+    const invalid = await streamChat({ model: 'mock-echo', messages: [] });
+    expect(invalid[1]).toEqual({ event: 'error', data: expect.objectContaining({ code: 'INVALID_INPUT' }) });
+
+    jest.spyOn(quotaService, 'checkQuota').mockRejectedValue(
+      new ApiError(429, 'Daily tokens quota exceeded', 'QUOTA_EXCEEDED', { quota: 'dailyTokens' })
+    );
+    const overQuota = await streamChat({ model: 'mock-echo', messages: [{ role: 'user', content: 'too much' }] });
+    expect(overQuota[1]).toEqual({
+      event: 'error',
+      data: expect.objectContaining({ code: 'QUOTA_EXCEEDED', quota: { quota: 'dailyTokens' } }),
+    });
+  });
+
+  test('stops the provider stream when the client disconnects', async () => {
+    const recorded = new Promise((resolve) => {
+      jest.spyOn(usageService, 'recordUsage').mockImplementation(async (entry) => resolve(entry));
+    });
+    const controller = new AbortController();
+    const prompt = 'a long answer nobody waits for';
+
+    const response = await post('/llm/chat/stream', { model: 'test-slow', messages: [{ role: 'user', content: prompt }] }, {
+      signal: controller.signal,
+    });
+    const reader = response.body.getReader();
+    let text = '';
+    while (!text.includes('event: content')) {
+      text += new TextDecoder().decode((await reader.read()).value);
+    }
+    controller.abort();
+
+    const entry = await recorded;
+    expect(entry).toMatchObject({ source: 'sse', model: 'test-slow', finishReason: 'cancelled' });
+    expect(entry.usage.estimated).toBe(true);
+    expect(entry.usage.outputTokens).toBeLessThan(Math.ceil(prompt.length / 4));
+  });
+});
+
+describe('POST /llm/chat', () => {
+  test('returns the whole answer', async () => {
+    const response = await post('/llm/chat', { model: 'test-down', messages: [{ role: 'user', content: 'all at once' }] });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data).toMatchObject({
+      content: 'all at once',
+      finishReason: 'stop',
+      model: 'mock-echo',
+      fallback: true,
+      requestedModel: 'test-down',
+    });
+  });
+
+  test('maps provider failures to HTTP statuses', async () => {
+    jest.spyOn(conversationService, 'beginTurn').mockResolvedValue('conv-existing');
+    const failTurn = jest.spyOn(conversationService, 'failTurn').mockResolvedValue();
+    const response = await post('/llm/chat', {
+      model: 'test-overloaded',
+      conversationId: 'conv-existing',
+      messages: [{ role: 'user', content: 'no luck' }],
+    });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toMatchObject({ success: false });
+    expect(failTurn).toHaveBeenCalledWith('conv-existing', { created: false });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Model Catalog Controller
+ * @description Admin management of the LLM model and provider catalog.
+ * Changes take effect immediately (no restart or redeploy).
+ *
+ * @module controllers/modelCatalogController
+ */
+
+const modelCatalog = require('../services/modelCatalogService');
+const llmService = require('../services/llmService');
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Add live availability to a provider
+ * @param {Object} provider - Catalog provider
+ * @returns {Object} Provider with configured (client created) and available flags
+ */
+const withProviderStatus = (provider) => ({
+  ...provider,
+  configured: llmService.getProviderStatus()[provider.id]?.configured || false,
+  available: llmService.isProviderAvailable(provider.id),
+});
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List all models, including disabled ones
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listModels = async (req, res) => {
+  const { source, loadedAt } = modelCatalog.getCatalog();
+  const models = modelCatalog
+    .listModels({ provider: req.query.provider, includeDisabled: true })
+    .map((model) => ({ ...model, available: model.enabled && llmService.isProviderAvailable(model.provider) }));
+
+  res.json({
+    success: true,
+    models,
+    source,
+    loadedAt,
+  });
+};
+
+/**
+ * Add a model
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createModel = async (req, res) => {
+  const model = await modelCatalog.createModel(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    model,
+  });
+};
+
+/**
+ * Update a model's capabilities
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const updateModel = async (req, res) => {
+  const model = await modelCatalog.updateModel(req.params.id, req.body, req.user.id);
+
+  res.json({
+    success: true,
+    model,
+  });
+};
+
+/**
+ * Enable a model
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const enableModel = async (req, res) => {
+  const model = await modelCatalog.setModelEnabled(req.params.id, true, req.user.id);
+
+  res.json({
+    success: true,
+    model,
+  });
+};
+
+/**
+ * Disable (retire) a model
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const disableModel = async (req, res) => {
+  const model = await modelCatalog.setModelEnabled(req.params.id, false, req.user.id);
+
+  res.json({
+    success: true,
+    model,
+  });
+};
+
+/**
+ * List all providers with their availability
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listProviders = async (req, res) => {
+  res.json({
+    success: true,
+    providers: modelCatalog.listProviders().map(withProviderStatus),
+  });
+};
+
+/**
+ * Add a provider
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createProvider = async (req, res) => {
+  const provider = await modelCatalog.createProvider(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    provider: withProviderStatus(provider),
+  });
+};
+
+/**
+ * Update a provider
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const updateProvider = async (req, res) => {
+  const provider = await modelCatalog.updateProvider(req.params.id, req.body, req.user.id);
+
+  res.json({
+    success: true,
+    provider: withProviderStatus(provider),
+  });
+};
+
+/**
+ * Enable a provider
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const enableProvider = async (req, res) => {
+  const provider = await modelCatalog.setProviderEnabled(req.params.id, true, req.user.id);
+
+  res.json({
+    success: true,
+    provider: withProviderStatus(provider),
+  });
+};
+
+/**
+ * Disable a provider
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const disableProvider = async (req, res) => {
+  const provider = await modelCatalog.setProviderEnabled(req.params.id, false, req.user.id);
+
+  res.json({
+    success: true,
+    provider: withProviderStatus(provider),
+  });
+};
+
+/**
+ * Reload the catalog from the database (e.g. after editing the tables directly)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const reloadCatalog = async (req, res) => {
+  const { source, loadedAt, models, providers } = await modelCatalog.reload();
+
+  res.json({
+    success: true,
+    source,
+    loadedAt,
+    models: models.length,
+    providers: Object.keys(providers).length,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listModels,
+  createModel,
+  updateModel,
+  enableModel,
+  disableModel,
+  listProviders,
+  createProvider,
+  updateProvider,
+  enableProvider,
+  disableProvider,
+  reloadCatalog,
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Prompt Template Controller
+ * @description CRUD, version history and previews of the prompt templates
+ * the authenticated user can see.
+ *
+ * @module controllers/promptTemplateController
+ */
+
+const promptTemplateService = require('../services/promptTemplateService');
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * List templates visible to the current user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listTemplates = async (req, res) => {
+  const { search, visibility, limit, offset } = req.query;
+  const { templates, total } = await promptTemplateService.listTemplates(req.user, { search, visibility, limit, offset });
+
+  res.json({
+    success: true,
+    templates,
+    total,
+  });
+};
+
+/**
+ * Get a template at its current or a given version
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getTemplate = async (req, res) => {
+  const template = await promptTemplateService.getTemplate(req.user, req.params.id, { version: req.query.version });
+
+  res.json({
+    success: true,
+    template,
+  });
+};
+
+/**
+ * List a template's versions
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const listVersions = async (req, res) => {
+  const versions = await promptTemplateService.listVersions(req.user, req.params.id);
+
+  res.json({
+    success: true,
+    versions,
+  });
+};
+
+/**
+ * Create a template
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createTemplate = async (req, res) => {
+  const template = await promptTemplateService.createTemplate(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    template,
+  });
+};
+
+/**
+ * Update a template
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const updateTemplate = async (req, res) => {
+  const template = await promptTemplateService.updateTemplate(req.user, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    template,
+  });
+};
+
+/**
+ * Delete a template
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const deleteTemplate = async (req, res) => {
+  await promptTemplateService.deleteTemplate(req.user, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Prompt template deleted',
+  });
+};
+
+/**
+ * Render a template with variables (preview)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const renderTemplate = async (req, res) => {
+  const { variables, version } = req.body;
+  const rendered = await promptTemplateService.renderTemplate(req.user, req.params.id, { variables, version });
+
+  res.json({
+    success: true,
+    ...rendered,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  listVersions,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Usage Controller
+ * @description Reports token usage and cost from the LLM usage ledger,
+ * for the authenticated user and (admins) across all users.
+ *
+ * @module controllers/usageController
+ */
+
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const { ApiError } = require('../middleware/errorHandler');
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Ensure the usage ledger is available
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensureLedger = () => {
+  if (!usageService.isLedgerEnabled()) {
+    throw ApiError.serviceUnavailable('Usage reporting requires a configured database');
+  }
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - ISO date or date-time
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date|undefined} Parsed date
+ * @throws {ApiError} 400 if invalid
+ */
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw ApiError.badRequest(`Invalid "${name}" date`);
+  }
+  return date;
+};
+
+/**
+ * Build report filters shared by both endpoints
+ * @param {Object} queryParams - Request query
+ * @returns {Object} Filters
+ */
+const buildFilters = ({ model, provider, from, to, limit, offset }) => {
+  const filters = {
+    model,
+    provider,
+    from: parseDate(from, 'from'),
+    to: parseDate(to, 'to'),
+    limit,
+    offset,
+  };
+
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    throw ApiError.badRequest('"from" must be before "to"');
+  }
+
+  return filters;
+};
+
+// =============================================================================
+// ROUTE HANDLERS
+// =============================================================================
+
+/**
+ * Get the current user's usage
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getMyUsage = async (req, res) => {
+  ensureLedger();
+
+  const report = await usageService.getUsageReport({
+    ...buildFilters(req.query),
+    userId: req.user.id,
+  });
+  const quota = await quotaService.getQuotaStatus(req.user);
+
+  res.json({
+    success: true,
+    ...report,
+    quota,
+  });
+};
+
+/**
+ * Get usage across all users (admin)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getUsage = async (req, res) => {
+  ensureLedger();
+
+  const report = await usageService.getUsageReport(
+    {
+      ...buildFilters(req.query),
+      userId: req.query.userId,
+    },
+    { includeUsers: true }
+  );
+
+  res.json({
+    success: true,
+    ...report,
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  getMyUsage,
+  getUsage,
+};
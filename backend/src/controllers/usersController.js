@@ -16,6 +16,7 @@ const {
   VALID_ROLES 
 } = require('../middleware/auth');
 const { ApiError } = require('../middleware/errorHandler');
+const quotaService = require('../services/quotaService');
 const logger = require('../utils/logger');
 
 // =============================================================================
@@ -930,6 +931,53 @@ const getUserAuditLog = async (req, res) => {
   });
 };
 
+// =============================================================================
+// LLM QUOTAS (admin)
+// =============================================================================
+
+/**
+ * Get a user's LLM quota: effective limits, overrides and current usage (admin only)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getUserQuota = async (req, res) => {
+  const targetUser = req.targetUser;
+  
+  const quota = await quotaService.getQuotaStatus(targetUser);
+  
+  res.json({
+    success: true,
+    quota
+  });
+};
+
+/**
+ * Update a user's LLM quota overrides (admin only)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const updateUserQuota = async (req, res) => {
+  const targetUser = req.targetUser;
+  
+  const overrides = await quotaService.setUserOverrides(targetUser.id, req.body, req.user.id);
+  
+  await logUserAction({
+    userId: targetUser.id,
+    actorId: req.user.id,
+    action: 'quota_updated',
+    details: { overrides },
+    req
+  });
+  
+  const quota = await quotaService.getQuotaStatus(targetUser);
+  
+  res.json({
+    success: true,
+    message: 'Quota updated successfully',
+    quota
+  });
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -959,6 +1007,10 @@ module.exports = {
   // Audit
   getUserAuditLog,
   
+  // LLM quotas (admin)
+  getUserQuota,
+  updateUserQuota,
+  
   // Helpers (exported for testing)
   generateRandomPassword
 };
\ No newline at end of file
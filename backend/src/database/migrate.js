@@ -523,6 +523,278 @@ const migrations = [
       END;
       $$ LANGUAGE plpgsql;
     `
+  },
+  {
+    name: 'create_llm_usage_table',
+    up: `
+      -- Usage ledger: one row per completed LLM task (or tool-calling round)
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        task_id VARCHAR(100),
+        source VARCHAR(20) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        thinking_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        cost NUMERIC(14, 6),
+        finish_reason VARCHAR(50),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_user 
+        ON llm_usage(user_id, created_at);
+      
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_model 
+        ON llm_usage(model);
+      
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_created 
+        ON llm_usage(created_at);
+    `
+  },
+  {
+    name: 'create_user_quotas_table',
+    up: `
+      -- Per-user LLM quota overrides (NULL = role default, -1 = unlimited)
+      CREATE TABLE IF NOT EXISTS user_quotas (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        daily_tokens BIGINT,
+        monthly_tokens BIGINT,
+        daily_requests INTEGER,
+        monthly_requests INTEGER,
+        updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `
+  },
+  {
+    name: 'create_llm_catalog_tables',
+    up: `
+      -- LLM providers and models (seeded from config/models.json, edited by admins)
+      CREATE TABLE IF NOT EXISTS llm_providers (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        base_url VARCHAR(500),
+        env_key VARCHAR(100),
+        sdk_type VARCHAR(50) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Capabilities (limits, thinking, pricing, ...) are stored as in models.json
+      CREATE TABLE IF NOT EXISTS llm_models (
+        id VARCHAR(100) PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL REFERENCES llm_providers(id) ON UPDATE CASCADE,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        config JSONB NOT NULL DEFAULT '{}',
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_llm_models_provider ON llm_models(provider);
+    `
+  },
+  {
+    name: 'add_llm_provider_connection_options',
+    up: `
+      -- Custom request headers and key-less access for OpenAI-compatible servers
+      ALTER TABLE llm_providers ADD COLUMN IF NOT EXISTS headers JSONB NOT NULL DEFAULT '{}';
+      ALTER TABLE llm_providers ADD COLUMN IF NOT EXISTS requires_key BOOLEAN NOT NULL DEFAULT TRUE;
+    `
+  },
+  {
+    name: 'create_llm_batch_tables',
+    up: `
+      -- Batch jobs: a list of chat requests processed by the backend worker
+      CREATE TABLE IF NOT EXISTS llm_batches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'cancelled')),
+        total_items INTEGER NOT NULL,
+        completed_items INTEGER NOT NULL DEFAULT 0,
+        failed_items INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_llm_batches_user
+        ON llm_batches(user_id, created_at DESC);
+
+      -- One row per request; result and error are filled in by the worker
+      CREATE TABLE IF NOT EXISTS llm_batch_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        batch_id UUID NOT NULL REFERENCES llm_batches(id) ON DELETE CASCADE,
+        item_index INTEGER NOT NULL,
+        custom_id VARCHAR(255),
+        provider VARCHAR(50) NOT NULL,
+        request JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+        result JSONB,
+        error JSONB,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        UNIQUE (batch_id, item_index)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_llm_batch_items_pending
+        ON llm_batch_items(provider, status);
+    `
+  },
+  {
+    name: 'create_llm_background_tasks_table',
+    up: `
+      -- Detached chat requests that run without an open client; the answer
+      -- itself is stored as the assistant message of the conversation
+      CREATE TABLE IF NOT EXISTS llm_background_tasks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_task_id VARCHAR(100),
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        source VARCHAR(20) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'running'
+          CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+        result JSONB,
+        error JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMPTZ,
+        notified_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_llm_background_tasks_user
+        ON llm_background_tasks(user_id, created_at DESC);
+
+      CREATE INDEX IF NOT EXISTS idx_llm_background_tasks_running
+        ON llm_background_tasks(status) WHERE status = 'running';
+    `
+  },
+  {
+    name: 'create_prompt_templates_tables',
+    up: `
+      -- Named prompt templates; the content lives in numbered versions
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        visibility VARCHAR(20) NOT NULL DEFAULT 'private'
+          CHECK (visibility IN ('private', 'role', 'global')),
+        shared_role VARCHAR(50),
+        current_version INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_prompt_templates_owner
+        ON prompt_templates(owner_id);
+
+      CREATE INDEX IF NOT EXISTS idx_prompt_templates_visibility
+        ON prompt_templates(visibility, shared_role);
+
+      -- Version history: every content change adds a row
+      CREATE TABLE IF NOT EXISTS prompt_template_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        template_id UUID NOT NULL REFERENCES prompt_templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        system_prompt TEXT,
+        messages JSONB NOT NULL DEFAULT '[]',
+        variables JSONB NOT NULL DEFAULT '[]',
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (template_id, version)
+      );
+    `
+  },
+  {
+    name: 'create_knowledge_base_tables',
+    up: `
+      -- Uploaded documents; chunks are embedded in the background
+      CREATE TABLE IF NOT EXISTS knowledge_documents (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        filename VARCHAR(255),
+        media_type VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing'
+          CHECK (status IN ('processing', 'ready', 'failed')),
+        error TEXT,
+        char_count INTEGER NOT NULL DEFAULT 0,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        embedding_model VARCHAR(100) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_knowledge_documents_user
+        ON knowledge_documents(user_id, created_at DESC);
+
+      -- Embeddings are always kept as REAL[] for the in-process search
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        page INTEGER,
+        embedding REAL[] NOT NULL,
+        UNIQUE (document_id, chunk_index)
+      );
+
+      -- pgvector is optional: when it can be installed, chunks also get a
+      -- vector column and the search runs in the database
+      DO $$
+      BEGIN
+        CREATE EXTENSION IF NOT EXISTS vector;
+      EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'pgvector is not available; knowledge search runs in process';
+      END $$;
+
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'vector') THEN
+          ALTER TABLE knowledge_chunks ADD COLUMN IF NOT EXISTS embedding_vector vector;
+        END IF;
+      END $$;
+
+      -- Documents an answer was grounded on
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS sources JSONB;
+    `
+  },
+  {
+    name: 'add_message_tool_calls',
+    up: `
+      -- Tool rounds: the calls an assistant turn requested, and the call a
+      -- tool result answers
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_calls JSONB;
+      ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_call_id VARCHAR(255);
+    `
+  },
+  {
+    name: 'add_websocket_block_scope',
+    up: `
+      -- What a block refuses besides the blocked connection: new connections
+      -- from its IP address (administrator blocks) or of its user (automatic
+      -- blocks, which also expire)
+      ALTER TABLE websocket_connections
+        ADD COLUMN IF NOT EXISTS blocked_scope VARCHAR(20) NOT NULL DEFAULT 'ip'
+          CHECK (blocked_scope IN ('ip', 'user', 'connection'));
+      ALTER TABLE websocket_connections ADD COLUMN IF NOT EXISTS blocked_until TIMESTAMPTZ;
+    `
   }
 ];
 
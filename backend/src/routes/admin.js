@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Admin Routes
+ * @description Live operations on WebSocket connections and their LLM tasks.
+ * Routes are thin wrappers that delegate to adminController; the same
+ * operations are available over the WebSocket as admin:* messages.
+ * @module routes/admin
+ */
+
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { authenticate, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Live WebSocket connections and LLM tasks (admin)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ConnectionId:
+ *       in: path
+ *       name: connectionId
+ *       required: true
+ *       schema:
+ *         type: string
+ *         example: conn_1718000000000_a1b2c3d4e5f6a7b8
+ *   schemas:
+ *     LiveConnection:
+ *       type: object
+ *       properties:
+ *         connectionId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         displayName:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           nullable: true
+ *         isAuthenticated:
+ *           type: boolean
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         connectedAt:
+ *           type: string
+ *           format: date-time
+ *         lastActivityAt:
+ *           type: string
+ *           format: date-time
+ *         messageCount:
+ *           type: integer
+ *         mutedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set while the connection is muted for flooding
+ *         activeTasksCount:
+ *           type: integer
+ *         topics:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Subscribed topics
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               taskId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [streaming, awaiting_tools]
+ *               model:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *               conversationId:
+ *                 type: string
+ *                 nullable: true
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     BlockedConnection:
+ *       type: object
+ *       properties:
+ *         connectionId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         ipAddress:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         blockedAt:
+ *           type: string
+ *           format: date-time
+ *         blockedBy:
+ *           type: string
+ *           nullable: true
+ *         scope:
+ *           type: string
+ *           enum: [ip, user, connection]
+ *           description: What else the block refuses (new connections from the IP address or of the user)
+ *         blockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Expiry of an automatic block (null = until unblocked)
+ */
+
+/**
+ * @swagger
+ * /admin/connections:
+ *   get:
+ *     summary: List live WebSocket connections with their LLM tasks
+ *     description: Connections of this server instance, plus blocked connections and stats.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Connections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 connections:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LiveConnection'
+ *                 blocked:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlockedConnection'
+ *                 stats:
+ *                   type: object
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/connections', authenticate, requireAdmin(), asyncHandler(adminController.listConnections));
+
+/**
+ * @swagger
+ * /admin/connections/{connectionId}/block:
+ *   post:
+ *     summary: Block a connection
+ *     description: |
+ *       Closes the connection (the client receives connection:blocked) and refuses
+ *       new connections from its IP address until it is unblocked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ConnectionId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Abusive traffic
+ *     responses:
+ *       200:
+ *         description: Connection blocked
+ *       400:
+ *         description: Cannot block your own connection
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/connections/:connectionId/block', authenticate, requireAdmin(), asyncHandler(adminController.blockConnection));
+
+/**
+ * @swagger
+ * /admin/connections/{connectionId}/unblock:
+ *   post:
+ *     summary: Unblock a connection
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ConnectionId'
+ *     responses:
+ *       200:
+ *         description: Connection unblocked
+ *       404:
+ *         description: Connection is not blocked
+ */
+router.post('/connections/:connectionId/unblock', authenticate, requireAdmin(), asyncHandler(adminController.unblockConnection));
+
+/**
+ * @swagger
+ * /admin/connections/{connectionId}/tasks/{taskId}/cancel:
+ *   post:
+ *     summary: Force-cancel an LLM task
+ *     description: |
+ *       Aborts a streaming task (or drops one waiting for tool results). The
+ *       owner receives llm:cancelled with cancelledBy "admin".
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ConnectionId'
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task cancelled
+ *       404:
+ *         description: CONNECTION_NOT_FOUND or TASK_NOT_FOUND
+ */
+router.post('/connections/:connectionId/tasks/:taskId/cancel', authenticate, requireAdmin(), asyncHandler(adminController.cancelTask));
+
+/**
+ * @swagger
+ * /admin/broadcast:
+ *   post:
+ *     summary: Broadcast an announcement to every connection
+ *     description: Sent as a system:announcement WebSocket message.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Maintenance in 10 minutes
+ *               level:
+ *                 type: string
+ *                 enum: [info, warn, error]
+ *                 default: info
+ *     responses:
+ *       200:
+ *         description: Announcement sent, with the number of recipients
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Superadmin role required
+ */
+router.post('/broadcast', authenticate, requireSuperAdmin(), asyncHandler(adminController.broadcast));
+
+module.exports = router;
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Background Task Routes
+ * @description Detached LLM tasks of the authenticated user (started with
+ * detached: true on POST /llm/chat or llm:start). Routes are thin wrappers
+ * that delegate to backgroundTaskController.
+ * @module routes/backgroundTasks
+ */
+
+const express = require('express');
+const backgroundTaskController = require('../controllers/backgroundTaskController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Background Tasks
+ *   description: Detached LLM tasks that run without an open client
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     BackgroundTaskId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   schemas:
+ *     BackgroundTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         taskId:
+ *           type: string
+ *           nullable: true
+ *           description: The client's task ID (llm:start)
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed, cancelled]
+ *         source:
+ *           type: string
+ *           enum: [ws, http]
+ *         model:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         messageId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Assistant message holding the answer
+ *         content:
+ *           type: string
+ *           nullable: true
+ *           description: The answer (GET /llm/tasks/{id} only; partial for cancelled and failed tasks)
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: "{ finishReason, contentLength, model, provider, usage, thinking?, toolCalls?, parsed? }"
+ *         error:
+ *           type: object
+ *           nullable: true
+ *           description: "{ code, message, retryable, retryAfter? } with the LLM error codes"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         notifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When llm:task_finished reached one of the user's connections
+ */
+
+/**
+ * @swagger
+ * /llm/tasks:
+ *   get:
+ *     summary: List current user's background tasks
+ *     tags: [Background Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Tasks, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BackgroundTask'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/', authenticate, asyncHandler(backgroundTaskController.listTasks));
+
+/**
+ * @swagger
+ * /llm/tasks/{id}:
+ *   get:
+ *     summary: Get a background task with its answer
+ *     tags: [Background Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BackgroundTaskId'
+ *     responses:
+ *       200:
+ *         description: Task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 task:
+ *                   $ref: '#/components/schemas/BackgroundTask'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticate, asyncHandler(backgroundTaskController.getTask));
+
+/**
+ * @swagger
+ * /llm/tasks/{id}/cancel:
+ *   post:
+ *     summary: Cancel a running background task
+ *     description: What the task generated so far is kept in the conversation.
+ *     tags: [Background Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BackgroundTaskId'
+ *     responses:
+ *       200:
+ *         description: Task cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Task already finished
+ */
+router.post('/:id/cancel', authenticate, asyncHandler(backgroundTaskController.cancelTask));
+
+module.exports = router;
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview LLM Batch Routes
+ * @description Server-side batch LLM jobs for the authenticated user.
+ * Routes are thin wrappers that delegate to batchController.
+ * @module routes/batches
+ */
+
+const express = require('express');
+const batchController = require('../controllers/batchController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Batches
+ *   description: Server-side batch LLM jobs (persisted, processed by a backend worker)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     BatchId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   schemas:
+ *     Batch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, cancelled]
+ *         totalItems:
+ *           type: integer
+ *         completedItems:
+ *           type: integer
+ *         failedItems:
+ *           type: integer
+ *         counts:
+ *           type: object
+ *           description: Items per status (GET /llm/batches/{id} only)
+ *           properties:
+ *             pending:
+ *               type: integer
+ *             running:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *             cancelled:
+ *               type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     BatchItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         index:
+ *           type: integer
+ *         customId:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *         model:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: As the /llm/chat response data (content, finishReason, model, usage, ...)
+ *         error:
+ *           type: object
+ *           nullable: true
+ *           description: "{ code, message, retryable, retryAfter? } with the LLM error codes or QUOTA_EXCEEDED"
+ *         attempts:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /llm/batches:
+ *   get:
+ *     summary: List current user's batches
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ *   post:
+ *     summary: Submit a batch of chat requests
+ *     description: |
+ *       Every request is validated up front (as POST /llm/chat); the batch is
+ *       queued whole or rejected with the index of the first invalid request.
+ *       Progress is pushed over the WebSocket as batch:started, batch:progress,
+ *       batch:completed and batch:cancelled messages.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requests
+ *             properties:
+ *               name:
+ *                 type: string
+ *               defaults:
+ *                 type: object
+ *                 description: Fields applied to every request (model, systemPrompt, temperature, ...)
+ *               requests:
+ *                 type: array
+ *                 description: Chat requests (see ChatRequest), each with an optional customId. At most LLM_BATCH_MAX_ITEMS (default 1000).
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ChatRequest'
+ *                     - type: object
+ *                       properties:
+ *                         customId:
+ *                           type: string
+ *           example:
+ *             name: Ticket triage
+ *             defaults: { model: gpt-4.1-mini, systemPrompt: Classify the ticket. }
+ *             requests:
+ *               - customId: ticket-1
+ *                 messages: [{ role: user, content: "My invoice is wrong" }]
+ *     responses:
+ *       202:
+ *         description: Batch queued
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         description: QUOTA_EXCEEDED
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/', authenticate, asyncHandler(batchController.listBatches));
+router.post('/', authenticate, asyncHandler(batchController.createBatch));
+
+/**
+ * @swagger
+ * /llm/batches/{id}:
+ *   get:
+ *     summary: Get a batch and its progress
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BatchId'
+ *     responses:
+ *       200:
+ *         description: Batch with item counts per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 batch:
+ *                   $ref: '#/components/schemas/Batch'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticate, asyncHandler(batchController.getBatch));
+
+/**
+ * @swagger
+ * /llm/batches/{id}/items:
+ *   get:
+ *     summary: List a batch's items with their results and errors
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BatchId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Items in submission order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchItem'
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/items', authenticate, asyncHandler(batchController.listItems));
+
+/**
+ * @swagger
+ * /llm/batches/{id}/results:
+ *   get:
+ *     summary: Download all results as JSON Lines
+ *     description: One line per item in submission order, { index, customId, status, result, error }.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BatchId'
+ *     responses:
+ *       200:
+ *         description: JSONL file
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/results', authenticate, asyncHandler(batchController.downloadResults));
+
+/**
+ * @swagger
+ * /llm/batches/{id}/cancel:
+ *   post:
+ *     summary: Cancel a batch
+ *     description: Pending items are dropped and running ones aborted; finished results are kept.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BatchId'
+ *     responses:
+ *       200:
+ *         description: Batch cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Batch already completed or cancelled
+ */
+router.post('/:id/cancel', authenticate, asyncHandler(batchController.cancelBatch));
+
+module.exports = router;
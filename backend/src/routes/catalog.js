@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Model Catalog Routes
+ * @description Admin management of LLM models and providers. Creating and
+ * editing providers is reserved to superadmins.
+ * Routes are thin wrappers that delegate to modelCatalogController.
+ * @module routes/catalog
+ */
+
+const express = require('express');
+const modelCatalogController = require('../controllers/modelCatalogController');
+const { authenticate, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Catalog
+ *   description: LLM model and provider catalog (admin)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CatalogModelId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Model ID (URL-encoded, IDs may contain "/")
+ *     CatalogProviderId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     CatalogModel:
+ *       type: object
+ *       description: Model as in config/models.json, plus enabled
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: gpt-4o
+ *         provider:
+ *           type: string
+ *           example: openai
+ *         name:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ *         type:
+ *           type: string
+ *           enum: [chat, embedding, image, audio, moderation]
+ *         maxTokens:
+ *           type: integer
+ *         maxOutputTokens:
+ *           type: integer
+ *           nullable: true
+ *         thinkingEnabled:
+ *           type: boolean
+ *         thinkingBudget:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *             default:
+ *               type: integer
+ *         recommendedTemperature:
+ *           type: number
+ *           nullable: true
+ *         jsonMode:
+ *           type: string
+ *           nullable: true
+ *           enum: [response_mime_type, response_format, tool_use]
+ *         supportsVision:
+ *           type: boolean
+ *         supportsDocuments:
+ *           type: boolean
+ *         supportsStreaming:
+ *           type: boolean
+ *         supportsImageGeneration:
+ *           type: boolean
+ *         pricing:
+ *           type: object
+ *           nullable: true
+ *           description: USD per million tokens
+ *           properties:
+ *             input:
+ *               type: number
+ *             output:
+ *               type: number
+ *         fallbacks:
+ *           type: array
+ *           items:
+ *             type: string
+ *     CatalogProvider:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: groq
+ *         name:
+ *           type: string
+ *         baseUrl:
+ *           type: string
+ *           nullable: true
+ *           description: May reference ${ENV_VAR} or ${ENV_VAR:-default} (variables named *_API_KEY, *_BASE_URL or LLM_*)
+ *         envKey:
+ *           type: string
+ *           nullable: true
+ *           description: Environment variable holding the API key (named *_API_KEY, *_BASE_URL or LLM_*)
+ *         sdkType:
+ *           type: string
+ *           enum: [openai, anthropic, google, openai-compatible, mock]
+ *         headers:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Extra request headers; values may reference ${ENV_VAR} like baseUrl
+ *           example: { "X-Gateway-Token": "${LLM_GATEWAY_TOKEN}" }
+ *         requiresKey:
+ *           type: boolean
+ *           default: true
+ *           description: false for key-less servers (configured once baseUrl resolves)
+ *         enabled:
+ *           type: boolean
+ *         configured:
+ *           type: boolean
+ *           description: API key is set
+ *         available:
+ *           type: boolean
+ *           description: Configured and enabled
+ */
+
+// =============================================================================
+// MODELS
+// =============================================================================
+
+/**
+ * @swagger
+ * /catalog/models:
+ *   get:
+ *     summary: List all models, including disabled ones
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Models and where the catalog was loaded from (database or file)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin role required
+ *   post:
+ *     summary: Add a model
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogModel'
+ *     responses:
+ *       201:
+ *         description: Model created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Model ID already exists
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/models', authenticate, requireAdmin(), asyncHandler(modelCatalogController.listModels));
+router.post('/models', authenticate, requireAdmin(), asyncHandler(modelCatalogController.createModel));
+
+/**
+ * @swagger
+ * /catalog/models/{id}:
+ *   put:
+ *     summary: Update a model's provider or capabilities
+ *     description: Omitted fields are unchanged; null clears optional fields.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogModelId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogModel'
+ *     responses:
+ *       200:
+ *         description: Model updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/models/:id', authenticate, requireAdmin(), asyncHandler(modelCatalogController.updateModel));
+
+/**
+ * @swagger
+ * /catalog/models/{id}/enable:
+ *   post:
+ *     summary: Enable a model
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogModelId'
+ *     responses:
+ *       200:
+ *         description: Model enabled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/models/:id/enable', authenticate, requireAdmin(), asyncHandler(modelCatalogController.enableModel));
+
+/**
+ * @swagger
+ * /catalog/models/{id}/disable:
+ *   post:
+ *     summary: Disable (retire) a model
+ *     description: Disabled models are hidden from /llm/models and rejected with MODEL_NOT_FOUND.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogModelId'
+ *     responses:
+ *       200:
+ *         description: Model disabled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/models/:id/disable', authenticate, requireAdmin(), asyncHandler(modelCatalogController.disableModel));
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * @swagger
+ * /catalog/providers:
+ *   get:
+ *     summary: List providers with their availability
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CatalogProvider'
+ *   post:
+ *     summary: Add a provider (superadmin)
+ *     description: The provider's API key variable is sent to its baseUrl, so only superadmins may set them.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogProvider'
+ *     responses:
+ *       201:
+ *         description: Provider created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Provider ID already exists
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/providers', authenticate, requireAdmin(), asyncHandler(modelCatalogController.listProviders));
+router.post('/providers', authenticate, requireSuperAdmin(), asyncHandler(modelCatalogController.createProvider));
+
+/**
+ * @swagger
+ * /catalog/providers/{id}:
+ *   put:
+ *     summary: Update a provider (superadmin)
+ *     description: The provider's API key variable is sent to its baseUrl, so only superadmins may set them.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogProviderId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogProvider'
+ *     responses:
+ *       200:
+ *         description: Provider updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/providers/:id', authenticate, requireSuperAdmin(), asyncHandler(modelCatalogController.updateProvider));
+
+/**
+ * @swagger
+ * /catalog/providers/{id}/enable:
+ *   post:
+ *     summary: Enable a provider
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogProviderId'
+ *     responses:
+ *       200:
+ *         description: Provider enabled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/providers/:id/enable', authenticate, requireAdmin(), asyncHandler(modelCatalogController.enableProvider));
+
+/**
+ * @swagger
+ * /catalog/providers/{id}/disable:
+ *   post:
+ *     summary: Disable a provider
+ *     description: All models of a disabled provider become unavailable.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CatalogProviderId'
+ *     responses:
+ *       200:
+ *         description: Provider disabled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/providers/:id/disable', authenticate, requireAdmin(), asyncHandler(modelCatalogController.disableProvider));
+
+// =============================================================================
+// RELOAD
+// =============================================================================
+
+/**
+ * @swagger
+ * /catalog/reload:
+ *   post:
+ *     summary: Reload the catalog from the database
+ *     description: Instances also reload every MODEL_CATALOG_REFRESH_INTERVAL ms.
+ *     tags: [Catalog]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catalog reloaded
+ */
+router.post('/reload', authenticate, requireAdmin(), asyncHandler(modelCatalogController.reloadCatalog));
+
+module.exports = router;
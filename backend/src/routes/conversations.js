@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Conversations Routes
+ * @description Saved chat conversations for the authenticated user.
+ * Routes are thin wrappers that delegate to conversationsController.
+ * @module routes/conversations
+ */
+
+const express = require('express');
+const conversationsController = require('../controllers/conversationsController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Conversations
+ *   description: Saved chat conversations and their messages
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *           example: "Summarize the quarterly report"
+ *         provider:
+ *           type: string
+ *           example: "openai"
+ *         model:
+ *           type: string
+ *           example: "gpt-4.1"
+ *         message_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     ConversationMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         role:
+ *           type: string
+ *           enum: [user, assistant, system, tool]
+ *         content:
+ *           type: string
+ *         tokens_used:
+ *           type: integer
+ *           nullable: true
+ *         tool_calls:
+ *           type: array
+ *           nullable: true
+ *           description: Tool calls requested by an assistant turn ({ id, name, arguments })
+ *           items:
+ *             type: object
+ *         tool_call_id:
+ *           type: string
+ *           nullable: true
+ *           description: Tool call a tool result answers
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /conversations:
+ *   get:
+ *     summary: List the current user's conversations
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by title
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently updated first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/', authenticate, asyncHandler(conversationsController.listConversations));
+
+/**
+ * @swagger
+ * /conversations:
+ *   post:
+ *     summary: Create an empty conversation
+ *     description: |
+ *       Conversations are also created automatically by the chat endpoints
+ *       when no conversationId is supplied.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *             properties:
+ *               title:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Conversation created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', authenticate, asyncHandler(conversationsController.createConversation));
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   get:
+ *     summary: Get a conversation with its messages
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Conversation with messages in chronological order
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticate, asyncHandler(conversationsController.getConversation));
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   patch:
+ *     summary: Rename a conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Conversation renamed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch('/:id', authenticate, asyncHandler(conversationsController.renameConversation));
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation and its messages
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticate, asyncHandler(conversationsController.deleteConversation));
+
+module.exports = router;
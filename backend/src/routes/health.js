@@ -7,7 +7,7 @@
 
 const express = require('express');
 const { checkConnection, getPoolStats } = require('../config/database');
-const { getAvailableProviders } = require('../services/llmService');
+const { getAvailableProviders, getFailoverStats } = require('../services/llmService');
 const { getStats: getWsStats } = require('../websocket/llmHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
@@ -60,6 +60,9 @@ router.get('/', asyncHandler(async (req, res) => {
  * /health/detailed:
  *   get:
  *     summary: Detailed health check with all service statuses
+ *     description: |
+ *       services.llm.failover reports LLM retries, fallbacks to another model and
+ *       exhausted fallback chains over the last hour, per provider.
  *     tags: [Health]
  *     responses:
  *       200:
@@ -105,7 +108,8 @@ router.get('/detailed', asyncHandler(async (req, res) => {
       },
       llm: {
         status: llmProviders.length > 0 ? 'healthy' : 'degraded',
-        availableProviders: llmProviders
+        availableProviders: llmProviders,
+        failover: getFailoverStats()
       },
       websocket: {
         status: 'healthy',
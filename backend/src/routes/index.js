@@ -5,9 +5,17 @@
  */
 
 const express = require('express');
+const adminRoutes = require('./admin');
 const authRoutes = require('./auth');
+const backgroundTaskRoutes = require('./backgroundTasks');
+const batchRoutes = require('./batches');
+const catalogRoutes = require('./catalog');
+const conversationsRoutes = require('./conversations');
 const healthRoutes = require('./health');
+const knowledgeRoutes = require('./knowledge');
 const llmRoutes = require('./llm');
+const promptTemplateRoutes = require('./promptTemplates');
+const usageRoutes = require('./usage');
 const usersRoutes = require('./users');
 
 const router = express.Router();
@@ -32,9 +40,17 @@ router.get('/', (req, res) => {
 });
 
 // Mount routes
+router.use('/admin', adminRoutes);
 router.use('/auth', authRoutes);
+router.use('/catalog', catalogRoutes);
+router.use('/conversations', conversationsRoutes);
 router.use('/health', healthRoutes);
+router.use('/knowledge', knowledgeRoutes);
+router.use('/llm/batches', batchRoutes);
+router.use('/llm/tasks', backgroundTaskRoutes);
 router.use('/llm', llmRoutes);
+router.use('/prompt-templates', promptTemplateRoutes);
+router.use('/usage', usageRoutes);
 router.use('/users', usersRoutes);
 
 module.exports = router;
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Knowledge Base Routes
+ * @description Documents the user uploads for retrieval-augmented
+ * generation. Chat requests search them with the retrieval option (POST
+ * /llm/chat, /llm/chat/stream and llm:start). Routes are thin wrappers that
+ * delegate to knowledgeController.
+ * @module routes/knowledge
+ */
+
+const express = require('express');
+const knowledgeController = require('../controllers/knowledgeController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Knowledge Base
+ *   description: Documents used to ground chat answers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     KnowledgeDocumentId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   schemas:
+ *     KnowledgeDocument:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         filename:
+ *           type: string
+ *           nullable: true
+ *         mediaType:
+ *           type: string
+ *           enum: [text/plain, text/markdown, text/html, application/pdf]
+ *         status:
+ *           type: string
+ *           enum: [processing, ready, failed]
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         charCount:
+ *           type: integer
+ *         chunkCount:
+ *           type: integer
+ *         embeddingModel:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     RetrievalOptions:
+ *       type: object
+ *       properties:
+ *         topK:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 4
+ *         documentIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           description: Restrict the search to these documents
+ *         minScore:
+ *           type: number
+ *           default: 0.2
+ *           description: Minimum cosine similarity
+ *     KnowledgeSource:
+ *       type: object
+ *       description: An excerpt given to the model, cited as [index]
+ *       properties:
+ *         index:
+ *           type: integer
+ *         documentId:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         page:
+ *           type: integer
+ *           nullable: true
+ *         chunkIndex:
+ *           type: integer
+ *         score:
+ *           type: number
+ *         excerpt:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /knowledge/documents:
+ *   get:
+ *     summary: List the current user's documents, newest first
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, ready, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/KnowledgeDocument'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/documents', authenticate, asyncHandler(knowledgeController.listDocuments));
+
+/**
+ * @swagger
+ * /knowledge/documents:
+ *   post:
+ *     summary: Upload a document
+ *     description: |
+ *       The text is extracted and chunked immediately; the chunks are embedded in the
+ *       background. The document is returned with status processing and a
+ *       knowledge:document WebSocket message is sent when it is ready or failed.
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the HTML or PDF title, then the file name
+ *               filename:
+ *                 type: string
+ *               mediaType:
+ *                 type: string
+ *                 enum: [text/plain, text/markdown, text/html, application/pdf]
+ *                 description: Guessed from the file name when omitted
+ *               data:
+ *                 type: string
+ *                 format: byte
+ *                 description: File content, base64 encoded
+ *               content:
+ *                 type: string
+ *                 description: Text content, instead of data (not for PDFs)
+ *     responses:
+ *       202:
+ *         description: Document accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 document:
+ *                   $ref: '#/components/schemas/KnowledgeDocument'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       413:
+ *         description: Document too large
+ *       422:
+ *         description: UNREADABLE_DOCUMENT (no extractable text) or DOCUMENT_TOO_LONG
+ */
+router.post('/documents', authenticate, asyncHandler(knowledgeController.addDocument));
+
+/**
+ * @swagger
+ * /knowledge/documents/{id}:
+ *   get:
+ *     summary: Get a document
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/KnowledgeDocumentId'
+ *     responses:
+ *       200:
+ *         description: Document
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/documents/:id', authenticate, asyncHandler(knowledgeController.getDocument));
+
+/**
+ * @swagger
+ * /knowledge/documents/{id}:
+ *   delete:
+ *     summary: Delete a document and its chunks
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/KnowledgeDocumentId'
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/documents/:id', authenticate, asyncHandler(knowledgeController.deleteDocument));
+
+/**
+ * @swagger
+ * /knowledge/search:
+ *   post:
+ *     summary: Search the current user's ready documents
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RetrievalOptions'
+ *               - type: object
+ *                 required: [query]
+ *                 properties:
+ *                   query:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: "Matches, best first ({ documentId, title, chunkIndex, page, content, score })"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       502:
+ *         description: RETRIEVAL_FAILED (the query could not be embedded)
+ */
+router.post('/search', authenticate, asyncHandler(knowledgeController.search));
+
+module.exports = router;
@@ -103,6 +103,247 @@ router.get('/models', llmController.getModels);
  */
 router.get('/models/:modelId', llmController.getModelConfig);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatRequest:
+ *       type: object
+ *       required:
+ *         - message
+ *       properties:
+ *         message:
+ *           type: string
+ *         messages:
+ *           type: array
+ *           description: |
+ *             Chat messages. `content` is a string or an array of parts:
+ *             { type: 'text', text }, { type: 'image', data | url, mediaType },
+ *             { type: 'document', data | url, mediaType: 'application/pdf' }.
+ *             Images require a model with supportsVision and documents one with
+ *             supportsDocuments; otherwise the request fails with code UNSUPPORTED_INPUT.
+ *           items:
+ *             type: object
+ *         provider:
+ *           type: string
+ *         model:
+ *           type: string
+ *         systemPrompt:
+ *           type: string
+ *         templateId:
+ *           type: string
+ *           format: uuid
+ *           description: |
+ *             Prompt template to apply (see /prompt-templates). Its rendered system
+ *             prompt comes before systemPrompt and its example messages before
+ *             messages. Fails with TEMPLATE_NOT_FOUND or MISSING_VARIABLES.
+ *         templateVersion:
+ *           type: integer
+ *           description: Template version to use instead of the current one
+ *         variables:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Values for the template's {{variable}} placeholders
+ *         retrieval:
+ *           description: |
+ *             Search the user's knowledge base (see /knowledge) with the last user
+ *             message and add the best excerpts, numbered for citation, to the
+ *             system prompt. Requires authentication. The excerpts are returned
+ *             as sources (SSE start event, chat response) and stored with the
+ *             assistant message. Fails with RETRIEVAL_FAILED.
+ *           oneOf:
+ *             - type: boolean
+ *             - $ref: '#/components/schemas/RetrievalOptions'
+ *         temperature:
+ *           type: number
+ *         maxTokens:
+ *           type: integer
+ *         conversationId:
+ *           type: string
+ *           format: uuid
+ *           description: Append to an existing conversation (authenticated users). A new one is created when omitted.
+ *         persist:
+ *           type: boolean
+ *           default: true
+ *           description: Set to false to skip saving this turn
+ *         detached:
+ *           type: boolean
+ *           default: false
+ *           description: |
+ *             Run as a background task that finishes without the client (POST /llm/chat
+ *             and llm:start; authenticated users). The answer is saved to the
+ *             conversation; see /llm/tasks.
+ *         tools:
+ *           type: array
+ *           description: Provider-neutral tool definitions (translated for each provider)
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: get_weather
+ *               description:
+ *                 type: string
+ *               parameters:
+ *                 type: object
+ *                 description: JSON Schema of type object
+ *         toolChoice:
+ *           description: "'auto', 'none', 'required' or { name } of a declared tool"
+ *           oneOf:
+ *             - type: string
+ *               enum: [auto, none, required]
+ *             - type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *         thinkingBudget:
+ *           description: |
+ *             Enable reasoning with this many thinking tokens (within the model's
+ *             thinkingBudget range), or true for the model's default budget.
+ *             Omit to disable. Mapped to Anthropic extended thinking, the Gemini
+ *             thinking config or the OpenAI reasoning effort.
+ *           oneOf:
+ *             - type: integer
+ *               example: 4096
+ *             - type: boolean
+ *         responseFormat:
+ *           type: object
+ *           description: |
+ *             Request a JSON answer, using the model's native JSON mode (jsonMode in
+ *             models.json) or system prompt instructions. The end event (or the
+ *             /llm/chat response) then has
+ *             parsed (null if not JSON) and validationErrors ([{ path, message }]).
+ *           required: [type]
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [json]
+ *             schema:
+ *               type: object
+ *               description: JSON Schema the answer must conform to
+ *             name:
+ *               type: string
+ *               description: Schema name sent to the provider
+ *               default: response
+ *         contextStrategy:
+ *           type: string
+ *           enum: [reject, truncate, summarize]
+ *           description: |
+ *             What to do when the messages exceed the model's context window
+ *             (default LLM_CONTEXT_STRATEGY, truncate): fail with
+ *             CONTEXT_LENGTH_EXCEEDED, drop the oldest turns, or replace them with
+ *             a summary written by a cheaper model. The start event (llm:started,
+ *             /llm/chat data) reports it as context.
+ */
+
+/**
+ * @swagger
+ * /llm/chat:
+ *   post:
+ *     summary: Chat completion as a single JSON response
+ *     description: |
+ *       Runs the same request as /llm/chat/stream to completion, with the same
+ *       validation, quotas, retries and fallbacks, and returns the whole message.
+ *       For server-to-server callers and scripts.
+ *
+ *       With detached: true the request runs as a background task: 202 is
+ *       returned at once and the owner receives llm:task_finished on the
+ *       WebSocket when it ends (see /llm/tasks).
+ *     tags: [LLM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: Completed message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: string
+ *                     thinking:
+ *                       type: string
+ *                       description: Reasoning text (when thinkingBudget is set)
+ *                     finishReason:
+ *                       type: string
+ *                       example: stop
+ *                     model:
+ *                       type: string
+ *                       description: Model that answered
+ *                     provider:
+ *                       type: string
+ *                     fallback:
+ *                       type: boolean
+ *                     requestedModel:
+ *                       type: string
+ *                     attempts:
+ *                       type: integer
+ *                     context:
+ *                       type: object
+ *                       description: "{ strategy, applied (none, truncate or summarize), inputTokens, contextWindow, droppedMessages?, summary? }"
+ *                     conversationId:
+ *                       type: string
+ *                       nullable: true
+ *                     usage:
+ *                       type: object
+ *                       description: "{ inputTokens, outputTokens, thinkingTokens, totalTokens, cost }"
+ *                     toolCalls:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     thinkingBlocks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     parsed:
+ *                       description: Parsed JSON answer when responseFormat was set (null if not JSON)
+ *                     validationErrors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       202:
+ *         description: Background task started (detached requests)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 task:
+ *                   $ref: '#/components/schemas/BackgroundTask'
+ *       400:
+ *         description: INVALID_INPUT, UNSUPPORTED_INPUT, CONTEXT_LENGTH_EXCEEDED or INVALID_REQUEST
+ *       404:
+ *         description: CONVERSATION_NOT_FOUND or MODEL_NOT_FOUND
+ *       422:
+ *         description: CONTENT_FILTERED
+ *       401:
+ *         description: Detached requests require authentication
+ *       429:
+ *         description: QUOTA_EXCEEDED, RATE_LIMITED (details.retryAfter when known) or TOO_MANY_TASKS (detached)
+ *       502:
+ *         description: AUTH_FAILED (the provider rejected the server's API key)
+ *       503:
+ *         description: PROVIDER_UNAVAILABLE, or SERVICE_UNAVAILABLE for detached requests without a database
+ */
+router.post('/chat', optionalAuth, asyncHandler(llmController.handleChat));
+
 /**
  * @swagger
  * /llm/chat/stream:
@@ -116,45 +357,139 @@ router.get('/models/:modelId', llmController.getModelConfig);
  *       content:
  *         application/json:
  *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: SSE stream of chat completion
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: |
+ *                 SSE events:
+ *                 - connected: Initial connection established
+ *                 - start: A provider answered; names the model and provider that responded
+ *                   (fallback and requestedModel when a fallback model was used), conversationId
+ *                   and context (the context strategy applied and the resulting input tokens)
+ *                 - content: Content chunk
+ *                 - thinking: Reasoning chunk (when thinkingBudget is set)
+ *                 - tool_call: Complete tool call { id, name, arguments }
+ *                 - done: Stream complete with finish reason ('tool_calls' when tools were requested)
+ *                 - end: Connection closing, with finishReason, conversationId and usage
+ *                   ({ inputTokens, outputTokens, thinkingTokens, totalTokens, cost }), plus
+ *                   parsed and validationErrors when responseFormat was set
+ *                 - error: { error, code, retryable, retryAfter? }. Provider failures use
+ *                   RATE_LIMITED, CONTEXT_LENGTH_EXCEEDED, CONTENT_FILTERED, AUTH_FAILED,
+ *                   MODEL_NOT_FOUND, PROVIDER_UNAVAILABLE or INVALID_REQUEST
+ *
+ *                 To continue after tool calls, send a new request whose messages
+ *                 include the assistant turn ({ role: 'assistant', content, toolCalls,
+ *                 thinkingBlocks? }) followed by one { role: 'tool', toolCallId, content }
+ *                 message per call. Copy thinkingBlocks from the end event when present.
+ */
+router.post('/chat/stream', optionalAuth, llmController.handleStreamChat);
+
+/**
+ * @swagger
+ * /llm/tokens/count:
+ *   post:
+ *     summary: Estimate the prompt tokens of a chat request
+ *     description: |
+ *       Counts with the tokenizer approximation of the model's provider family
+ *       (OpenAI, Anthropic or Google) and compares against its context window,
+ *       less the tokens reserved for the answer (maxTokens or the model's
+ *       maxOutputTokens). Nothing is sent to the provider.
+ *     tags: [LLM]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
- *             required:
- *               - message
  *             properties:
- *               message:
+ *               model:
  *                 type: string
+ *                 example: gpt-4.1
  *               provider:
  *                 type: string
- *               model:
- *                 type: string
+ *               messages:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *               systemPrompt:
  *                 type: string
- *               temperature:
- *                 type: number
+ *               templateId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Prompt template to count with the request
+ *               templateVersion:
+ *                 type: integer
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               tools:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *               maxTokens:
  *                 type: integer
  *     responses:
  *       200:
- *         description: SSE stream of chat completion
+ *         description: Token estimate
  *         content:
- *           text/event-stream:
+ *           application/json:
  *             schema:
- *               type: string
- *               description: |
- *                 SSE events:
- *                 - connected: Initial connection established
- *                 - start: Stream starting with model info
- *                 - content: Content chunk
- *                 - done: Stream complete with finish reason
- *                 - end: Connection closing
- *                 - error: Error occurred
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     model:
+ *                       type: string
+ *                     provider:
+ *                       type: string
+ *                     family:
+ *                       type: string
+ *                       enum: [openai, anthropic, google]
+ *                     inputTokens:
+ *                       type: integer
+ *                     breakdown:
+ *                       type: object
+ *                       description: "{ system, tools, messages }"
+ *                     contextWindow:
+ *                       type: integer
+ *                       nullable: true
+ *                     outputReserve:
+ *                       type: integer
+ *                     available:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Input tokens the model accepts with the output reserve
+ *                     fits:
+ *                       type: boolean
+ *                     estimated:
+ *                       type: boolean
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: MODEL_NOT_FOUND
  */
-router.post('/chat/stream', optionalAuth, llmController.handleStreamChat);
+router.post('/tokens/count', optionalAuth, asyncHandler(llmController.countTokens));
 
 /**
  * @swagger
  * /llm/embeddings:
  *   post:
  *     summary: Generate text embeddings
+ *     description: |
+ *       Works with every provider that has embedding models in the catalog
+ *       (OpenAI, Google, OpenAI-compatible servers such as Ollama, and the
+ *       mock provider). Large inputs are split into batches within the
+ *       provider's limits; vectors come back in input order. The same code
+ *       serves the llm:embed WebSocket action.
  *     tags: [LLM]
  *     security:
  *       - bearerAuth: []
@@ -169,19 +504,66 @@ router.post('/chat/stream', optionalAuth, llmController.handleStreamChat);
  *             properties:
  *               model:
  *                 type: string
+ *                 description: Embedding model (defaults to LLM_EMBEDDING_MODEL)
  *                 default: text-embedding-3-large
+ *               provider:
+ *                 type: string
+ *                 description: Required only for models missing from the catalog
  *               input:
  *                 oneOf:
  *                   - type: string
  *                   - type: array
+ *                     maxItems: 2048
  *                     items:
  *                       type: string
+ *               dimensions:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Shorter vectors, up to the model's dimensions
  *     responses:
  *       200:
- *         description: Embeddings response
+ *         description: Embeddings, one per input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     model:
+ *                       type: string
+ *                     provider:
+ *                       type: string
+ *                     dimensions:
+ *                       type: integer
+ *                     embeddings:
+ *                       type: array
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                     usage:
+ *                       type: object
+ *                       description: "{ inputTokens, outputTokens, thinkingTokens, totalTokens, cost } (estimated when the provider does not report tokens)"
+ *                     batches:
+ *                       type: integer
+ *                       description: Provider requests made
  *       400:
- *         description: Bad request
+ *         description: INVALID_INPUT (bad input or dimensions, not an embedding model) or INVALID_REQUEST
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: MODEL_NOT_FOUND
+ *       429:
+ *         description: QUOTA_EXCEEDED or RATE_LIMITED (details.retryAfter when known)
+ *       502:
+ *         description: AUTH_FAILED (the provider rejected the server's API key)
+ *       503:
+ *         description: PROVIDER_UNAVAILABLE
  */
-router.post('/embeddings', authenticateJWT, llmController.generateEmbeddings);
+router.post('/embeddings', authenticateJWT, asyncHandler(llmController.generateEmbeddings));
 
 module.exports = router;
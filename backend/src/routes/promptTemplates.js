@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Prompt Template Routes
+ * @description Named, versioned prompt templates with {{variable}}
+ * placeholders. Chat requests use one with templateId and variables (POST
+ * /llm/chat, /llm/chat/stream and llm:start). Routes are thin wrappers that
+ * delegate to promptTemplateController.
+ * @module routes/promptTemplates
+ */
+
+const express = require('express');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Prompt Templates
+ *   description: Reusable system prompts and few-shot examples
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     PromptTemplateId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *   schemas:
+ *     PromptTemplateMessage:
+ *       type: object
+ *       required: [role, content]
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [user, assistant]
+ *         content:
+ *           type: string
+ *     PromptTemplateInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         visibility:
+ *           type: string
+ *           enum: [private, role, global]
+ *           default: private
+ *           description: role shares with sharedRole and higher roles; global is admin only
+ *         sharedRole:
+ *           type: string
+ *           enum: [user, admin, superadmin]
+ *         systemPrompt:
+ *           type: string
+ *           nullable: true
+ *           description: May contain {{variable}} placeholders
+ *         messages:
+ *           type: array
+ *           description: Few-shot examples sent before the conversation; may contain {{variable}} placeholders
+ *           items:
+ *             $ref: '#/components/schemas/PromptTemplateMessage'
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         visibility:
+ *           type: string
+ *           enum: [private, role, global]
+ *         sharedRole:
+ *           type: string
+ *           nullable: true
+ *         ownerId:
+ *           type: string
+ *           format: uuid
+ *         ownerName:
+ *           type: string
+ *         currentVersion:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *           description: Version of systemPrompt, messages and variables
+ *         systemPrompt:
+ *           type: string
+ *           nullable: true
+ *         messages:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PromptTemplateMessage'
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Placeholder names, in order of first use
+ *         canEdit:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /prompt-templates:
+ *   get:
+ *     summary: List prompt templates visible to the current user
+ *     description: The user's own templates, templates shared with their role (or a lower one) and global templates, by name.
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name or description
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [private, role, global]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/', authenticate, asyncHandler(promptTemplateController.listTemplates));
+
+/**
+ * @swagger
+ * /prompt-templates:
+ *   post:
+ *     summary: Create a prompt template
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromptTemplateInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Template created (version 1)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Global visibility requires the admin role
+ */
+router.post('/', authenticate, asyncHandler(promptTemplateController.createTemplate));
+
+/**
+ * @swagger
+ * /prompt-templates/{id}:
+ *   get:
+ *     summary: Get a prompt template
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromptTemplateId'
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Earlier version to return instead of the current one
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 template:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticate, asyncHandler(promptTemplateController.getTemplate));
+
+/**
+ * @swagger
+ * /prompt-templates/{id}:
+ *   put:
+ *     summary: Update a prompt template
+ *     description: Owner or admin only. Changing systemPrompt or messages adds a version; the other fields are edited in place.
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromptTemplateId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Updated template
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not the owner or an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticate, asyncHandler(promptTemplateController.updateTemplate));
+
+/**
+ * @swagger
+ * /prompt-templates/{id}:
+ *   delete:
+ *     summary: Delete a prompt template and its versions
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromptTemplateId'
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       403:
+ *         description: Not the owner or an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticate, asyncHandler(promptTemplateController.deleteTemplate));
+
+/**
+ * @swagger
+ * /prompt-templates/{id}/versions:
+ *   get:
+ *     summary: List a prompt template's versions, newest first
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromptTemplateId'
+ *     responses:
+ *       200:
+ *         description: Versions ({ version, systemPrompt, messages, variables, createdBy, createdAt })
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/versions', authenticate, asyncHandler(promptTemplateController.listVersions));
+
+/**
+ * @swagger
+ * /prompt-templates/{id}/render:
+ *   post:
+ *     summary: Preview a prompt template with variables
+ *     description: Returns what a chat request with this templateId would send before its own system prompt and messages.
+ *     tags: [Prompt Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PromptTemplateId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: "{ template: { id, name, version }, systemPrompt, messages }"
+ *       400:
+ *         description: MISSING_VARIABLES (details.missing lists them) or INVALID_INPUT
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/render', authenticate, asyncHandler(promptTemplateController.renderTemplate));
+
+module.exports = router;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Usage Routes
+ * @description Token usage and cost reporting from the LLM usage ledger.
+ * Routes are thin wrappers that delegate to usageController.
+ * @module routes/usage
+ */
+
+const express = require('express');
+const usageController = require('../controllers/usageController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Usage
+ *   description: Token usage and cost per user and model
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     UsageModel:
+ *       in: query
+ *       name: model
+ *       schema:
+ *         type: string
+ *       description: Filter by model ID
+ *     UsageProvider:
+ *       in: query
+ *       name: provider
+ *       schema:
+ *         type: string
+ *       description: Filter by provider
+ *     UsageFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Inclusive start date
+ *     UsageTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Exclusive end date
+ *     UsageLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *       description: Number of ledger records to return
+ *     UsageOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         default: 0
+ *   schemas:
+ *     UsageTotals:
+ *       type: object
+ *       properties:
+ *         requests:
+ *           type: integer
+ *         inputTokens:
+ *           type: integer
+ *         outputTokens:
+ *           type: integer
+ *         thinkingTokens:
+ *           type: integer
+ *         totalTokens:
+ *           type: integer
+ *         cost:
+ *           type: number
+ *           description: USD, from the model pricing in models.json
+ *           example: 0.0421
+ *     UsageReport:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         totals:
+ *           $ref: '#/components/schemas/UsageTotals'
+ *         byModel:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/UsageTotals'
+ *               - type: object
+ *                 properties:
+ *                   provider:
+ *                     type: string
+ *                   model:
+ *                     type: string
+ *         records:
+ *           type: array
+ *           description: Most recent ledger rows (one per completed model turn)
+ *           items:
+ *             type: object
+ *         total:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /usage/me:
+ *   get:
+ *     summary: Get the current user's token usage and cost
+ *     description: Also returns the user's quota status (limits, usage and reset times).
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UsageModel'
+ *       - $ref: '#/components/parameters/UsageProvider'
+ *       - $ref: '#/components/parameters/UsageFrom'
+ *       - $ref: '#/components/parameters/UsageTo'
+ *       - $ref: '#/components/parameters/UsageLimit'
+ *       - $ref: '#/components/parameters/UsageOffset'
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Database not configured
+ */
+router.get('/me', authenticate, asyncHandler(usageController.getMyUsage));
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Get token usage and cost across all users (admin)
+ *     description: Adds a per-user breakdown (byUser) to the report.
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by user
+ *       - $ref: '#/components/parameters/UsageModel'
+ *       - $ref: '#/components/parameters/UsageProvider'
+ *       - $ref: '#/components/parameters/UsageFrom'
+ *       - $ref: '#/components/parameters/UsageTo'
+ *       - $ref: '#/components/parameters/UsageLimit'
+ *       - $ref: '#/components/parameters/UsageOffset'
+ *     responses:
+ *       200:
+ *         description: Usage report with byUser breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/', authenticate, requireAdmin(), asyncHandler(usageController.getUsage));
+
+module.exports = router;
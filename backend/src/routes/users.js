@@ -1362,6 +1362,147 @@ router.post('/:id/reset-password',
   asyncHandler(usersController.resetUserPassword)
 );
 
+// =============================================================================
+// ADMIN ROUTES - LLM Quotas
+// =============================================================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuotaLimits:
+ *       type: object
+ *       properties:
+ *         dailyTokens:
+ *           type: integer
+ *           nullable: true
+ *         monthlyTokens:
+ *           type: integer
+ *           nullable: true
+ *         dailyRequests:
+ *           type: integer
+ *           nullable: true
+ *         monthlyRequests:
+ *           type: integer
+ *           nullable: true
+ *     QuotaStatus:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           example: user
+ *         limits:
+ *           allOf:
+ *             - $ref: '#/components/schemas/QuotaLimits'
+ *           description: Effective limits (null = unlimited)
+ *         overrides:
+ *           allOf:
+ *             - $ref: '#/components/schemas/QuotaLimits'
+ *           description: Per-user overrides (null = role default, -1 = unlimited)
+ *         usage:
+ *           type: object
+ *           description: Requests and tokens used in the current UTC day and month
+ *         resetAt:
+ *           type: object
+ *           properties:
+ *             day:
+ *               type: string
+ *               format: date-time
+ *             month:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /users/{id}/quota:
+ *   get:
+ *     summary: Get a user's LLM quota
+ *     description: |
+ *       Effective daily and monthly limits (role defaults merged with the
+ *       user's overrides) and current usage.
+ *     tags: [Admin - Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Quota status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 quota:
+ *                   $ref: '#/components/schemas/QuotaStatus'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/quota', 
+  authenticate, 
+  canAccessUser({ allowSelf: false, allowAdmin: true }), 
+  asyncHandler(usersController.getUserQuota)
+);
+
+/**
+ * @swagger
+ * /users/{id}/quota:
+ *   put:
+ *     summary: Update a user's LLM quota overrides
+ *     description: |
+ *       Omitted fields are unchanged. null reverts to the role default,
+ *       -1 is unlimited and 0 blocks LLM access.
+ *     tags: [Admin - Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotaLimits'
+ *           example:
+ *             dailyTokens: 2000000
+ *             monthlyRequests: -1
+ *     responses:
+ *       200:
+ *         description: Quota updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/quota', 
+  authenticate, 
+  canAccessUser({ allowSelf: false, allowAdmin: true }), 
+  asyncHandler(usersController.updateUserQuota)
+);
+
 // =============================================================================
 // ADMIN ROUTES - Password Reset Management
 // =============================================================================
@@ -28,6 +28,7 @@ const {
   testConnection,
   closePool,
   isDbConfigured,
+  isDbConnected,
   getPool,
 } = require("./config/database");
 const swaggerSpec = require("./config/swagger");
@@ -35,6 +36,10 @@ const routes = require("./routes");
 const { requestLogger, errorLogger } = require("./middleware/logging");
 const { notFoundHandler, errorHandler } = require("./middleware/errorHandler");
 const { initializeClients } = require("./services/llmService");
+const modelCatalog = require("./services/modelCatalogService");
+const batchService = require("./services/batchService");
+const backgroundTaskService = require("./services/backgroundTaskService");
+const knowledgeService = require("./services/knowledgeService");
 const { initializeWebSocket, shutdownWebSocket } = require("./websocket");
 
 const logger = require("./utils/logger");
@@ -349,6 +354,9 @@ const startServer = async () => {
         logger.warn(
           "⚠️  Database connection failed - database features will be unavailable"
         );
+      } else {
+        // Seed and load the model catalog (falls back to models.json)
+        await modelCatalog.initialize();
       }
     } else {
       logger.info("📭 Database not configured - running without database");
@@ -360,6 +368,15 @@ const startServer = async () => {
     // Initialize WebSocket server
     initializeWebSocket(server);
 
+    // Start the batch worker and the background task sweeper, and fail
+    // knowledge documents left processing (need the database and the LLM
+    // clients)
+    if (isDbConnected()) {
+      batchService.initialize();
+      backgroundTaskService.initialize();
+      knowledgeService.initialize();
+    }
+
     // Start HTTP server
     server.listen(PORT, HOST, () => {
       logger.info(`✅ Server started`, {
@@ -406,6 +423,18 @@ const gracefulShutdown = async (signal) => {
     // Shutdown WebSocket server (NEW)
     await shutdownWebSocket();
 
+    // Stop the batch worker (running items are requeued)
+    await batchService.shutdown();
+
+    // Abort background tasks (recorded as failed with their partial answers)
+    await backgroundTaskService.shutdown();
+
+    // Stop embedding knowledge documents (in-progress ones are marked failed)
+    await knowledgeService.shutdown();
+
+    // Stop model catalog refresh
+    modelCatalog.shutdown();
+
     // Close database pool if configured
     if (isDbConfigured()) {
       await closePool();
@@ -0,0 +1,560 @@
+/**
+ * @fileoverview Background Task Service
+ * @description Detached chat requests (llm:start or POST /llm/chat with
+ * detached: true) that keep running on the server after the client goes
+ * away. Each task is a row in llm_background_tasks; its answer is stored as
+ * the assistant message of the task's conversation.
+ *
+ * Tasks run in the instance that accepted them. When one finishes, its owner
+ * is notified through onUpdate listeners (wired to the WebSocket in
+ * websocket/index.js); owners with no open connection get the notification
+ * on their next connection (deliverPending). Tasks cancelled through another
+ * instance are aborted on the next poll, and tasks left running by a crashed
+ * instance are failed once they are older than twice the task timeout.
+ *
+ * @module services/backgroundTaskService
+ */
+
+const { isDbConfigured, query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const llmService = require('./llmService');
+const conversationService = require('./conversationService');
+const usageService = require('./usageService');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  taskTimeout: parseInt(process.env.LLM_BACKGROUND_TASK_TIMEOUT) || 30 * 60 * 1000,
+  maxRunningPerUser: parseInt(process.env.LLM_BACKGROUND_MAX_TASKS) || 5,
+  pollInterval: parseInt(process.env.LLM_BACKGROUND_POLL_INTERVAL) || 10 * 1000,
+  defaultListLimit: 50,
+  maxListLimit: 200,
+};
+
+const TASK_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Tasks running in this instance: taskId -> { userId, abortController, promise }
+const running = new Map();
+const listeners = new Set();
+let pollTimer = null;
+let ticking = false;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Ensure background tasks can be stored
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensureEnabled = () => {
+  if (!isDbConfigured()) {
+    throw ApiError.serviceUnavailable('Background tasks require a configured database');
+  }
+};
+
+/**
+ * Format task row for API response
+ * @param {Object} row - Raw task row (with content when joined to its message)
+ * @returns {Object} Task object
+ */
+const formatTask = (row) => ({
+  id: row.id,
+  taskId: row.client_task_id,
+  status: row.status,
+  source: row.source,
+  model: row.model,
+  provider: row.provider,
+  conversationId: row.conversation_id,
+  messageId: row.message_id,
+  ...('content' in row && { content: row.content }),
+  result: row.result,
+  error: row.error,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  notifiedAt: row.notified_at,
+});
+
+/**
+ * Push an update to the task owner
+ * @param {string} userId - Owner user ID
+ * @param {Object} message - WebSocket message ({ type: 'llm:task_...', ... })
+ * @returns {number} Connections the message reached
+ */
+const notify = (userId, message) => {
+  let delivered = 0;
+  listeners.forEach((listener) => {
+    try {
+      delivered += listener(userId, message) || 0;
+    } catch (error) {
+      logger.error('Background task listener failed', { error: error.message });
+    }
+  });
+  return delivered;
+};
+
+/**
+ * Subscribe to background task updates
+ * @param {Function} listener - (userId, message) => number of connections reached
+ * @returns {Function} Unsubscribe function
+ */
+const onUpdate = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Tell the owner a task finished; it stays pending for deliverPending if
+ * no connection received it
+ * @param {Object} row - Finished task row
+ */
+const announce = async (row) => {
+  const task = formatTask(row);
+  const delivered = notify(row.user_id, { type: 'llm:task_finished', taskId: task.taskId, task });
+  if (delivered > 0) {
+    await query('UPDATE llm_background_tasks SET notified_at = NOW() WHERE id = $1', [row.id]);
+  }
+};
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+/**
+ * Start a detached chat request. The caller has validated the request,
+ * checked the quota and stored the user turn (conversationService.beginTurn).
+ * @param {Object} user - Authenticated owner ({ id })
+ * @param {Object} options
+ * @param {string} options.source - Transport that started it ('ws' or 'http')
+ * @param {string} options.conversationId - Conversation the answer is stored in
+ * @param {Object} options.request - streamChat options (model, provider, messages, ...)
+ * @param {string} [options.clientTaskId] - The client's task ID (WebSocket)
+ * @param {Array<Object>} [options.sources] - Knowledge base excerpts in the
+ *   request's system prompt (knowledgeService.applyRetrieval), kept with the answer
+ * @returns {Promise<Object>} Running task
+ * @throws {ApiError} 503 without a database or conversation, 429 over the running task limit
+ */
+const startTask = async (user, { source, conversationId, request, clientTaskId = null, sources = [] }) => {
+  ensureEnabled();
+
+  if (!conversationId) {
+    throw ApiError.serviceUnavailable('Background tasks need a saved conversation, and none could be created');
+  }
+
+  const count = await query(
+    "SELECT COUNT(*) FROM llm_background_tasks WHERE user_id = $1 AND status = 'running'",
+    [user.id]
+  );
+  if (parseInt(count.rows[0].count) >= CONFIG.maxRunningPerUser) {
+    throw new ApiError(429, `At most ${CONFIG.maxRunningPerUser} background tasks can run at once`, 'TOO_MANY_TASKS');
+  }
+
+  const result = await query(
+    `INSERT INTO llm_background_tasks (user_id, client_task_id, conversation_id, source, provider, model)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [user.id, clientTaskId, conversationId, source, request.provider, request.model]
+  );
+  const row = result.rows[0];
+
+  const abortController = new AbortController();
+  const entry = { userId: user.id, abortController };
+  running.set(row.id, entry);
+  entry.promise = runTask(row, request, abortController, sources)
+    .catch((error) => logger.error('Background task crashed', { id: row.id, error: error.message }))
+    .finally(() => running.delete(row.id));
+
+  logger.info('Background task started', { id: row.id, userId: user.id, source, model: request.model, conversationId });
+
+  return formatTask(row);
+};
+
+/**
+ * List a user's background tasks, newest first
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options] - { status, limit, offset }
+ * @returns {Promise<{ tasks: Array, total: number }>}
+ */
+const listTasks = async (userId, { status, limit, offset = 0 } = {}) => {
+  ensureEnabled();
+
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = ['user_id = $1'];
+  const values = [userId];
+
+  if (status) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+    conditions.push('status = $2');
+    values.push(status);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const countResult = await query(`SELECT COUNT(*) FROM llm_background_tasks WHERE ${whereClause}`, values);
+  const result = await query(
+    `SELECT * FROM llm_background_tasks
+     WHERE ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    tasks: result.rows.map(formatTask),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Get a task with the content of its answer
+ * @param {string} userId - Owner user ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Task with content (null until it finishes)
+ * @throws {ApiError} 404 if missing or owned by someone else
+ */
+const getTask = async (userId, taskId) => {
+  ensureEnabled();
+
+  const result = await query(
+    `SELECT t.*, m.content FROM llm_background_tasks t
+     LEFT JOIN messages m ON m.id = t.message_id
+     WHERE t.id = $1 AND t.user_id = $2`,
+    [taskId, userId]
+  ).catch((error) => {
+    // Malformed UUIDs are simply not found
+    if (error.code === '22P02') return { rows: [] };
+    throw error;
+  });
+
+  if (!result.rows[0]) {
+    throw ApiError.notFound('Task not found');
+  }
+  return formatTask(result.rows[0]);
+};
+
+/**
+ * Cancel a running task; what it generated so far is kept
+ * @param {string} userId - Owner user ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Cancelled task
+ * @throws {ApiError} 404 if missing, 409 if it already finished
+ */
+const cancelTask = async (userId, taskId) => {
+  const task = await getTask(userId, taskId);
+
+  if (task.status !== 'running') {
+    throw ApiError.conflict(`Task is already ${task.status}`);
+  }
+
+  const result = await query(
+    `UPDATE llm_background_tasks
+     SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING *`,
+    [taskId]
+  );
+
+  if (!result.rows[0]) {
+    throw ApiError.conflict('Task already finished');
+  }
+
+  // Tasks running in other instances stop once they see the task cancelled
+  running.get(taskId)?.abortController.abort('cancelled');
+
+  logger.info('Background task cancelled', { id: taskId, userId });
+  return formatTask(result.rows[0]);
+};
+
+/**
+ * Send the owner the notifications their connections missed, oldest first
+ * (on connect and login)
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<number>} Notifications delivered
+ */
+const deliverPending = async (userId) => {
+  if (!isDbConfigured()) return 0;
+
+  // Claimed first so a second connection of the user does not repeat them
+  const result = await query(
+    `UPDATE llm_background_tasks
+     SET notified_at = NOW()
+     WHERE user_id = $1 AND status <> 'running' AND notified_at IS NULL
+     RETURNING *`,
+    [userId]
+  );
+
+  const rows = result.rows.sort((a, b) => a.completed_at - b.completed_at);
+  let delivered = 0;
+  for (const row of rows) {
+    const task = formatTask(row);
+    if (notify(userId, { type: 'llm:task_finished', taskId: task.taskId, task })) {
+      delivered++;
+    } else {
+      await query('UPDATE llm_background_tasks SET notified_at = NULL WHERE id = $1', [row.id]);
+    }
+  }
+  return delivered;
+};
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Record a task's outcome and notify its owner. A task cancelled through the
+ * API stays cancelled.
+ * @param {Object} row - Task row
+ * @param {string} status - 'completed', 'failed' or 'cancelled'
+ * @param {Object} [outcome] - { result, error, messageId }
+ */
+const finishTask = async (row, status, { result = null, error = null, messageId = null } = {}) => {
+  const updated = await query(
+    `UPDATE llm_background_tasks
+     SET status = CASE WHEN status = 'cancelled' THEN status ELSE $2 END,
+         result = $3, error = $4, message_id = $5,
+         completed_at = COALESCE(completed_at, NOW()), updated_at = NOW()
+     WHERE id = $1 AND status IN ('running', 'cancelled')
+     RETURNING *`,
+    [row.id, status, result && JSON.stringify(result), error && JSON.stringify(error), messageId]
+  );
+  if (!updated.rows[0]) return;
+
+  logger.info('Background task finished', { id: row.id, status: updated.rows[0].status });
+  await announce(updated.rows[0]);
+};
+
+/**
+ * Store the answer as the assistant message of the conversation.
+ * Failures are logged, so the task still records its outcome.
+ * @param {Object} row - Task row
+ * @param {string} content - Answer
+ * @param {Object|null} usage - Token usage
+ * @param {Array<Object>} sources - Knowledge base excerpts the answer cites
+ * @returns {Promise<string|null>} Message ID
+ */
+const saveAnswer = async (row, content, usage, sources) => {
+  if (!content || !row.conversation_id) return null;
+
+  try {
+    const message = await conversationService.addMessage(row.conversation_id, {
+      role: 'assistant',
+      content,
+      tokensUsed: usage ? usage.outputTokens + usage.thinkingTokens : null,
+      sources: sources.length > 0 ? sources : null,
+    });
+    return message.id;
+  } catch (error) {
+    logger.error('Failed to persist background task answer', { id: row.id, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Run a task to completion
+ * @param {Object} row - Task row
+ * @param {Object} request - streamChat options
+ * @param {AbortController} abortController - Aborts on cancel, timeout or shutdown
+ * @param {Array<Object>} sources - Knowledge base excerpts the answer cites
+ */
+const runTask = async (row, request, abortController, sources) => {
+  const timeoutId = setTimeout(() => abortController.abort('timeout'), CONFIG.taskTimeout);
+
+  try {
+    let content = '';
+    let thinking = '';
+    let done = {};
+    const toolCalls = [];
+
+    const answer = await llmService.streamChat({
+      ...request,
+      signal: abortController.signal,
+      onChunk: (chunk) => {
+        if (chunk.type === 'content') {
+          content += chunk.content || '';
+        } else if (chunk.type === 'thinking') {
+          thinking += chunk.content || '';
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk.toolCall);
+        } else if (chunk.type === 'done') {
+          done = chunk;
+        }
+      },
+    });
+
+    const finishReason = done.finishReason || 'stop';
+    const usage = done.usage ? { ...done.usage, cost: usageService.calculateCost(answer.model, done.usage) } : null;
+
+    // Partial answers of cancelled and interrupted tasks are kept too
+    const messageId = await saveAnswer(row, content, usage, sources);
+
+    await usageService.recordUsage({
+      userId: row.user_id,
+      conversationId: row.conversation_id,
+      taskId: row.id,
+      source: 'background',
+      provider: answer.provider,
+      model: answer.model,
+      usage,
+      finishReason,
+    });
+    await usageService.recordContextSummary(
+      { userId: row.user_id, conversationId: row.conversation_id, taskId: row.id, source: 'background' },
+      answer.context
+    );
+
+    // Tool calls are reported but not run: there is no client to run them
+    const result = {
+      ...(thinking && { thinking }),
+      finishReason,
+      contentLength: content.length,
+      model: answer.model,
+      provider: answer.provider,
+      ...(answer.fallback && { fallback: true, requestedModel: request.model }),
+      context: answer.context,
+      usage,
+      ...(sources.length > 0 && { sources }),
+      ...(toolCalls.length > 0 && { toolCalls }),
+      ...('parsed' in done && { parsed: done.parsed, validationErrors: done.validationErrors }),
+    };
+
+    const reason = abortController.signal.reason;
+    if (!answer.cancelled) {
+      await finishTask(row, 'completed', { result, messageId });
+    } else if (reason === 'timeout' || reason === 'shutdown') {
+      await finishTask(row, 'failed', {
+        result,
+        messageId,
+        error: {
+          code: llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+          message: reason === 'timeout' ? 'Request timed out' : 'Server shut down before the task finished',
+          retryable: true,
+        },
+      });
+    } else {
+      await finishTask(row, 'cancelled', { result, messageId });
+    }
+  } catch (error) {
+    const failure = llmService.normalizeError(error, { provider: request.provider, model: request.model });
+
+    logger.warn('Background task failed', { id: row.id, code: failure.code, error: failure.message });
+
+    await finishTask(row, 'failed', {
+      error: {
+        code: failure.code,
+        message: failure.message,
+        retryable: failure.retryable,
+        ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+      },
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * One maintenance pass: abort local tasks cancelled through another instance
+ * and fail tasks a crashed instance left running
+ */
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const localIds = [...running.keys()];
+
+    if (localIds.length > 0) {
+      const cancelled = await query(
+        "SELECT id FROM llm_background_tasks WHERE id = ANY($1::uuid[]) AND status = 'cancelled'",
+        [localIds]
+      );
+      cancelled.rows.forEach(({ id }) => running.get(id)?.abortController.abort('cancelled'));
+    }
+
+    const stale = await query(
+      `UPDATE llm_background_tasks
+       SET status = 'failed', error = $3, completed_at = NOW(), updated_at = NOW()
+       WHERE status = 'running'
+         AND created_at < NOW() - make_interval(secs => $1)
+         AND NOT (id = ANY($2::uuid[]))
+       RETURNING *`,
+      [
+        (CONFIG.taskTimeout * 2) / 1000,
+        localIds,
+        JSON.stringify({
+          code: llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+          message: 'The server running the task stopped',
+          retryable: true,
+        }),
+      ]
+    );
+    for (const row of stale.rows) {
+      logger.warn('Background task abandoned', { id: row.id, userId: row.user_id });
+      await announce(row);
+    }
+  } catch (error) {
+    logger.error('Background task sweep error', { error: error.message });
+  } finally {
+    ticking = false;
+  }
+};
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Start the maintenance poll
+ */
+const initialize = () => {
+  if (!isDbConfigured() || pollTimer) return;
+
+  pollTimer = setInterval(tick, CONFIG.pollInterval);
+  pollTimer.unref();
+
+  logger.info('Background task sweeper started', { pollInterval: CONFIG.pollInterval });
+};
+
+/**
+ * Stop the poll and abort running tasks; they are recorded as failed with
+ * their partial answers
+ * @returns {Promise<void>}
+ */
+const shutdown = async () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  const pending = [...running.values()];
+  pending.forEach((task) => task.abortController.abort('shutdown'));
+  await Promise.allSettled(pending.map((task) => task.promise));
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Tasks
+  startTask,
+  listTasks,
+  getTask,
+  cancelTask,
+  deliverPending,
+
+  // Lifecycle
+  initialize,
+  shutdown,
+  onUpdate,
+
+  // Constants
+  CONFIG,
+  TASK_STATUSES,
+};
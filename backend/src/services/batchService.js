@@ -0,0 +1,819 @@
+/**
+ * @fileoverview Batch Service
+ * @description Server-side batch LLM jobs. A batch is a list of chat requests
+ * stored in Postgres (llm_batches / llm_batch_items) and processed by a
+ * worker running in every backend instance, so batches survive closed tabs
+ * and restarts.
+ *
+ * The worker polls for pending items and claims them with
+ * FOR UPDATE SKIP LOCKED, running at most LLM_BATCH_CONCURRENCY items per
+ * provider per instance. Items left running by a crashed instance are
+ * reclaimed once they are older than twice the item timeout. Progress is
+ * pushed to the batch owner through onUpdate listeners (wired to the
+ * WebSocket in websocket/index.js).
+ *
+ * @module services/batchService
+ */
+
+const { isDbConfigured, query, transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const llmService = require('./llmService');
+const usageService = require('./usageService');
+const quotaService = require('./quotaService');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  maxItems: parseInt(process.env.LLM_BATCH_MAX_ITEMS) || 1000,
+  concurrency: parseInt(process.env.LLM_BATCH_CONCURRENCY) || 4,
+  pollInterval: parseInt(process.env.LLM_BATCH_POLL_INTERVAL) || 2000,
+  itemTimeout: parseInt(process.env.LLM_BATCH_ITEM_TIMEOUT) || 5 * 60 * 1000,
+  insertChunkSize: 500,
+  resultsPageSize: 500,
+  defaultListLimit: 50,
+  maxListLimit: 200,
+};
+
+// Fields a batch request (or the batch defaults) may set
+const REQUEST_FIELDS = [
+  'model',
+  'provider',
+  'messages',
+  'systemPrompt',
+  'temperature',
+  'maxTokens',
+  'tools',
+  'toolChoice',
+  'thinkingBudget',
+  'responseFormat',
+  'contextStrategy',
+];
+
+const BATCH_STATUSES = ['queued', 'running', 'completed', 'cancelled'];
+const ITEM_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Items running in this instance: itemId -> { batchId, provider, abortController, promise }
+const running = new Map();
+const listeners = new Set();
+let pollTimer = null;
+let ticking = false;
+let stopping = false;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Ensure batches can be stored
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensureEnabled = () => {
+  if (!isDbConfigured()) {
+    throw ApiError.serviceUnavailable('Batch jobs require a configured database');
+  }
+};
+
+/**
+ * Per-provider concurrency: LLM_BATCH_CONCURRENCY_<PROVIDER> or the default
+ * @param {string} provider - Provider ID
+ * @returns {number} Maximum items running at once in this instance
+ */
+const getConcurrency = (provider) => {
+  const override = parseInt(process.env[`LLM_BATCH_CONCURRENCY_${provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`]);
+  return override > 0 ? override : CONFIG.concurrency;
+};
+
+/**
+ * Count the items of a provider running in this instance
+ * @param {string} provider - Provider ID
+ * @returns {number}
+ */
+const runningCount = (provider) => {
+  let count = 0;
+  running.forEach((item) => {
+    if (item.provider === provider) count++;
+  });
+  return count;
+};
+
+/**
+ * Format batch row for API response
+ * @param {Object} row - Raw batch row
+ * @returns {Object} Batch object
+ */
+const formatBatch = (row) => ({
+  id: row.id,
+  name: row.name,
+  status: row.status,
+  totalItems: row.total_items,
+  completedItems: row.completed_items,
+  failedItems: row.failed_items,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+});
+
+/**
+ * Format item row for API response
+ * @param {Object} row - Raw item row
+ * @returns {Object} Item object
+ */
+const formatItem = (row) => ({
+  id: row.id,
+  index: row.item_index,
+  customId: row.custom_id,
+  status: row.status,
+  model: row.request?.model,
+  provider: row.provider,
+  result: row.result,
+  error: row.error,
+  attempts: row.attempts,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+});
+
+/**
+ * Push an update to the batch owner
+ * @param {string} userId - Owner user ID
+ * @param {Object} message - WebSocket message ({ type: 'batch:...', ... })
+ */
+const notify = (userId, message) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(userId, message);
+    } catch (error) {
+      logger.error('Batch update listener failed', { error: error.message });
+    }
+  });
+};
+
+/**
+ * Subscribe to batch updates
+ * @param {Function} listener - (userId, message) => void
+ * @returns {Function} Unsubscribe function
+ */
+const onUpdate = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate one batch request, merged over the batch defaults
+ * @param {Object} input - Request
+ * @param {Object} defaults - Batch-level defaults
+ * @param {number} index - Position in the batch (for error messages)
+ * @returns {{ request: Object, provider: string, customId: string|null }}
+ * @throws {ApiError} 400 with the offending index
+ */
+const validateRequest = (input, defaults, index) => {
+  const where = `requests[${index}]`;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError(400, `${where} must be an object`, 'INVALID_INPUT', { index });
+  }
+
+  const { customId = null, ...fields } = input;
+  for (const key of Object.keys(fields)) {
+    if (!REQUEST_FIELDS.includes(key)) {
+      throw new ApiError(400, `${where}: unknown field "${key}"`, 'INVALID_INPUT', { index, allowed: ['customId', ...REQUEST_FIELDS] });
+    }
+  }
+  if (customId !== null && (typeof customId !== 'string' || customId.length > 255)) {
+    throw new ApiError(400, `${where}.customId must be a string of at most 255 characters`, 'INVALID_INPUT', { index });
+  }
+
+  const request = { ...defaults, ...fields };
+
+  if (!Array.isArray(request.messages) || request.messages.length === 0) {
+    throw new ApiError(400, `${where}: messages array is required`, 'INVALID_INPUT', { index });
+  }
+
+  if (!request.model) {
+    throw new ApiError(400, `${where}: model is required (per request or in defaults)`, 'INVALID_INPUT', { index });
+  }
+
+  const modelConfig = llmService.getModelConfig(request.model);
+  if (!modelConfig) {
+    throw new ApiError(400, `${where}: unknown model '${request.model}'`, llmService.LLM_ERROR_CODES.MODEL_NOT_FOUND, { index });
+  }
+
+  try {
+    llmService.validateChatRequest(request);
+  } catch (error) {
+    throw new ApiError(400, `${where}: ${error.message}`, error.code || 'INVALID_INPUT', { index });
+  }
+
+  return { request, provider: request.provider || modelConfig.provider, customId };
+};
+
+// ============================================================================
+// BATCHES
+// ============================================================================
+
+/**
+ * Submit a batch. Every request is validated up front so a batch is either
+ * queued whole or rejected.
+ *
+ * @param {Object} user - Owner (id, role)
+ * @param {Object} input - Batch
+ * @param {Array<Object>} input.requests - Chat requests (as POST /llm/chat, plus customId)
+ * @param {Object} [input.defaults] - Fields applied to every request (model, systemPrompt, ...)
+ * @param {string} [input.name] - Display name
+ * @returns {Promise<Object>} Queued batch
+ * @throws {ApiError} 400 on an invalid request, 429 QUOTA_EXCEEDED, 503 without a database
+ */
+const createBatch = async (user, { requests, defaults = {}, name = null } = {}) => {
+  ensureEnabled();
+
+  if (!Array.isArray(requests) || requests.length === 0) {
+    throw new ApiError(400, 'requests must be a non-empty array', 'INVALID_INPUT');
+  }
+  if (requests.length > CONFIG.maxItems) {
+    throw new ApiError(400, `A batch may contain at most ${CONFIG.maxItems} requests`, 'INVALID_INPUT', { maxItems: CONFIG.maxItems });
+  }
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+    throw new ApiError(400, 'defaults must be an object', 'INVALID_INPUT');
+  }
+  const unknownDefault = Object.keys(defaults).find((key) => !REQUEST_FIELDS.includes(key));
+  if (unknownDefault) {
+    throw new ApiError(400, `defaults: unknown field "${unknownDefault}"`, 'INVALID_INPUT', { allowed: REQUEST_FIELDS });
+  }
+  if (name !== null && (typeof name !== 'string' || name.length > 255)) {
+    throw new ApiError(400, 'name must be a string of at most 255 characters', 'INVALID_INPUT');
+  }
+
+  const items = requests.map((input, index) => validateRequest(input, defaults, index));
+
+  await quotaService.checkQuota(user);
+
+  const batch = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO llm_batches (user_id, name, total_items)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [user.id, name, items.length]
+    );
+    const row = result.rows[0];
+
+    for (let start = 0; start < items.length; start += CONFIG.insertChunkSize) {
+      const chunk = items.slice(start, start + CONFIG.insertChunkSize);
+      const values = [];
+      const placeholders = chunk.map((item, offset) => {
+        const base = values.length;
+        values.push(row.id, start + offset, item.customId, item.provider, JSON.stringify(item.request));
+        return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`;
+      });
+
+      await client.query(
+        `INSERT INTO llm_batch_items (batch_id, item_index, custom_id, provider, request)
+         VALUES ${placeholders.join(', ')}`,
+        values
+      );
+    }
+
+    return row;
+  });
+
+  logger.info('LLM batch queued', { batchId: batch.id, userId: user.id, items: items.length });
+
+  const formatted = formatBatch(batch);
+  notify(user.id, { type: 'batch:queued', batchId: batch.id, batch: formatted });
+  scheduleTick();
+
+  return formatted;
+};
+
+/**
+ * List a user's batches, newest first
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options] - { status, limit, offset }
+ * @returns {Promise<{ batches: Array, total: number }>}
+ */
+const listBatches = async (userId, { status, limit, offset = 0 } = {}) => {
+  ensureEnabled();
+
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = ['user_id = $1'];
+  const values = [userId];
+
+  if (status) {
+    if (!BATCH_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${BATCH_STATUSES.join(', ')}`);
+    }
+    conditions.push('status = $2');
+    values.push(status);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const countResult = await query(`SELECT COUNT(*) FROM llm_batches WHERE ${whereClause}`, values);
+  const result = await query(
+    `SELECT * FROM llm_batches
+     WHERE ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    batches: result.rows.map(formatBatch),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Load a batch, checking ownership
+ * @param {string} userId - Owner user ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} Raw batch row
+ * @throws {ApiError} 404 if missing or owned by someone else
+ */
+const getOwnedBatch = async (userId, batchId) => {
+  ensureEnabled();
+
+  const result = await query(
+    'SELECT * FROM llm_batches WHERE id = $1 AND user_id = $2',
+    [batchId, userId]
+  ).catch((error) => {
+    // Malformed UUIDs are simply not found
+    if (error.code === '22P02') return { rows: [] };
+    throw error;
+  });
+
+  if (!result.rows[0]) {
+    throw ApiError.notFound('Batch not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Get a batch with its item counts by status
+ * @param {string} userId - Owner user ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} Batch with counts { pending, running, completed, failed, cancelled }
+ */
+const getBatch = async (userId, batchId) => {
+  const batch = await getOwnedBatch(userId, batchId);
+
+  const result = await query(
+    'SELECT status, COUNT(*) AS count FROM llm_batch_items WHERE batch_id = $1 GROUP BY status',
+    [batchId]
+  );
+
+  const counts = Object.fromEntries(ITEM_STATUSES.map((status) => [status, 0]));
+  result.rows.forEach((row) => {
+    counts[row.status] = parseInt(row.count);
+  });
+
+  return { ...formatBatch(batch), counts };
+};
+
+/**
+ * List a batch's items in submission order
+ * @param {string} userId - Owner user ID
+ * @param {string} batchId - Batch ID
+ * @param {Object} [options] - { status, limit, offset }
+ * @returns {Promise<{ items: Array, total: number }>}
+ */
+const listItems = async (userId, batchId, { status, limit, offset = 0 } = {}) => {
+  await getOwnedBatch(userId, batchId);
+
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = ['batch_id = $1'];
+  const values = [batchId];
+
+  if (status) {
+    if (!ITEM_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${ITEM_STATUSES.join(', ')}`);
+    }
+    conditions.push('status = $2');
+    values.push(status);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const countResult = await query(`SELECT COUNT(*) FROM llm_batch_items WHERE ${whereClause}`, values);
+  const result = await query(
+    `SELECT * FROM llm_batch_items
+     WHERE ${whereClause}
+     ORDER BY item_index
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    items: result.rows.map(formatItem),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Iterate over all items of a batch in submission order, a page at a time
+ * (for the JSONL download)
+ * @param {string} userId - Owner user ID
+ * @param {string} batchId - Batch ID
+ * @yields {Object} Item object
+ */
+async function* iterateItems(userId, batchId) {
+  await getOwnedBatch(userId, batchId);
+
+  let lastIndex = -1;
+  for (;;) {
+    const result = await query(
+      `SELECT * FROM llm_batch_items
+       WHERE batch_id = $1 AND item_index > $2
+       ORDER BY item_index
+       LIMIT $3`,
+      [batchId, lastIndex, CONFIG.resultsPageSize]
+    );
+
+    for (const row of result.rows) {
+      yield formatItem(row);
+    }
+
+    if (result.rows.length < CONFIG.resultsPageSize) return;
+    lastIndex = result.rows[result.rows.length - 1].item_index;
+  }
+}
+
+/**
+ * Cancel a batch: pending items are dropped and running ones aborted (their
+ * partial results are kept)
+ * @param {string} userId - Owner user ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} Cancelled batch
+ * @throws {ApiError} 409 if the batch already finished
+ */
+const cancelBatch = async (userId, batchId) => {
+  const batch = await getOwnedBatch(userId, batchId);
+
+  if (batch.status === 'completed' || batch.status === 'cancelled') {
+    throw ApiError.conflict(`Batch is already ${batch.status}`);
+  }
+
+  const result = await transaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE llm_batches
+       SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'running')
+       RETURNING *`,
+      [batchId]
+    );
+    await client.query(
+      `UPDATE llm_batch_items
+       SET status = 'cancelled', completed_at = NOW()
+       WHERE batch_id = $1 AND status = 'pending'`,
+      [batchId]
+    );
+    return updated.rows[0];
+  });
+
+  if (!result) {
+    throw ApiError.conflict('Batch already finished');
+  }
+
+  // Items running in other instances stop once they see the batch cancelled
+  running.forEach((item) => {
+    if (item.batchId === batchId) item.abortController.abort('cancelled');
+  });
+
+  logger.info('LLM batch cancelled', { batchId, userId });
+
+  const formatted = formatBatch(result);
+  notify(userId, { type: 'batch:cancelled', batchId, batch: formatted });
+  return formatted;
+};
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Record an item's outcome, update the batch counters and complete the batch
+ * once no items are left
+ * @param {Object} item - Claimed item row (with user_id)
+ * @param {string} status - 'completed', 'failed', 'cancelled' or 'pending' (requeue)
+ * @param {Object} [outcome] - { result, error }
+ */
+const finishItem = async (item, status, { result = null, error = null } = {}) => {
+  if (status === 'pending') {
+    await query(
+      `UPDATE llm_batch_items SET status = 'pending', started_at = NULL
+       WHERE id = $1 AND status = 'running'`,
+      [item.id]
+    );
+    return;
+  }
+
+  const updated = await query(
+    `UPDATE llm_batch_items
+     SET status = $2, result = $3, error = $4, completed_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING id`,
+    [item.id, status, result && JSON.stringify(result), error && JSON.stringify(error)]
+  );
+  if (!updated.rows[0]) return;
+
+  const batchResult = await query(
+    `UPDATE llm_batches
+     SET completed_items = completed_items + $2, failed_items = failed_items + $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [item.batch_id, status === 'completed' ? 1 : 0, status === 'failed' ? 1 : 0]
+  );
+
+  notify(item.user_id, {
+    type: 'batch:progress',
+    batchId: item.batch_id,
+    item: { id: item.id, index: item.item_index, customId: item.custom_id, status, ...(error && { error }) },
+    batch: formatBatch(batchResult.rows[0]),
+  });
+
+  const completed = await query(
+    `UPDATE llm_batches b
+     SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+     WHERE b.id = $1 AND b.status = 'running'
+       AND NOT EXISTS (
+         SELECT 1 FROM llm_batch_items i
+         WHERE i.batch_id = b.id AND i.status IN ('pending', 'running')
+       )
+     RETURNING *`,
+    [item.batch_id]
+  );
+
+  if (completed.rows[0]) {
+    const batch = formatBatch(completed.rows[0]);
+    logger.info('LLM batch completed', { batchId: batch.id, completed: batch.completedItems, failed: batch.failedItems });
+    notify(item.user_id, { type: 'batch:completed', batchId: batch.id, batch });
+  }
+};
+
+/**
+ * Run one claimed item to completion
+ * @param {Object} item - Claimed item row (with user_id and role)
+ * @param {AbortController} abortController - Aborts on cancel, timeout or shutdown
+ */
+const runItem = async (item, abortController) => {
+  const { request } = item;
+  const timeoutId = setTimeout(() => abortController.abort('timeout'), CONFIG.itemTimeout);
+
+  try {
+    // Quotas are checked per item: a long batch stops once the owner runs out
+    await quotaService.checkQuota({ id: item.user_id, role: item.role });
+
+    let content = '';
+    let thinking = '';
+    let done = {};
+    const toolCalls = [];
+
+    const answer = await llmService.streamChat({
+      ...request,
+      signal: abortController.signal,
+      onChunk: (chunk) => {
+        if (chunk.type === 'content') {
+          content += chunk.content || '';
+        } else if (chunk.type === 'thinking') {
+          thinking += chunk.content || '';
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk.toolCall);
+        } else if (chunk.type === 'done') {
+          done = chunk;
+        }
+      },
+    });
+
+    const finishReason = done.finishReason || 'stop';
+    const usage = done.usage ? { ...done.usage, cost: usageService.calculateCost(answer.model, done.usage) } : null;
+
+    await usageService.recordUsage({
+      userId: item.user_id,
+      taskId: item.id,
+      source: 'batch',
+      provider: answer.provider,
+      model: answer.model,
+      usage,
+      finishReason,
+    });
+    await usageService.recordContextSummary({ userId: item.user_id, taskId: item.id, source: 'batch' }, answer.context);
+
+    const result = {
+      content,
+      ...(thinking && { thinking }),
+      finishReason,
+      model: answer.model,
+      provider: answer.provider,
+      ...(answer.fallback && { fallback: true, requestedModel: request.model }),
+      context: answer.context,
+      usage,
+      ...(toolCalls.length > 0 && { toolCalls }),
+      ...('parsed' in done && { parsed: done.parsed, validationErrors: done.validationErrors }),
+    };
+
+    if (!answer.cancelled) {
+      await finishItem(item, 'completed', { result });
+    } else if (abortController.signal.reason === 'shutdown') {
+      // Picked up again after the restart
+      await finishItem(item, 'pending');
+    } else if (abortController.signal.reason === 'timeout') {
+      await finishItem(item, 'failed', {
+        result,
+        error: { code: llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, message: 'Request timed out', retryable: true },
+      });
+    } else {
+      await finishItem(item, 'cancelled', { result });
+    }
+  } catch (error) {
+    const failure = error.code === 'QUOTA_EXCEEDED'
+      ? Object.assign(error, { retryable: false })
+      : llmService.normalizeError(error, { provider: item.provider, model: request.model });
+
+    logger.warn('LLM batch item failed', { batchId: item.batch_id, itemId: item.id, code: failure.code, error: failure.message });
+
+    await finishItem(item, 'failed', {
+      error: {
+        code: failure.code,
+        message: failure.message,
+        retryable: failure.retryable,
+        ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+      },
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Claim pending items of a provider up to its free concurrency
+ * @param {string} provider - Provider ID
+ * @param {number} limit - Items to claim
+ * @returns {Promise<Array>} Claimed item rows (with user_id and role)
+ */
+const claimItems = async (provider, limit) => {
+  const result = await query(
+    `WITH claimed AS (
+       SELECT i.id FROM llm_batch_items i
+       JOIN llm_batches b ON b.id = i.batch_id
+       WHERE i.provider = $1
+         AND b.status IN ('queued', 'running')
+         AND (i.status = 'pending'
+           OR (i.status = 'running' AND i.started_at < NOW() - make_interval(secs => $3)))
+       ORDER BY b.created_at, i.item_index
+       LIMIT $2
+       FOR UPDATE OF i SKIP LOCKED
+     )
+     UPDATE llm_batch_items i
+     SET status = 'running', started_at = NOW(), attempts = i.attempts + 1
+     FROM claimed, llm_batches b, users u
+     WHERE i.id = claimed.id AND b.id = i.batch_id AND u.id = b.user_id
+     RETURNING i.*, b.user_id, u.role`,
+    [provider, limit, (CONFIG.itemTimeout * 2) / 1000]
+  );
+
+  const started = await query(
+    `UPDATE llm_batches
+     SET status = 'running', started_at = NOW(), updated_at = NOW()
+     WHERE id = ANY($1::uuid[]) AND status = 'queued'
+     RETURNING *`,
+    [[...new Set(result.rows.map((row) => row.batch_id))]]
+  );
+  started.rows.forEach((row) => {
+    notify(row.user_id, { type: 'batch:started', batchId: row.id, batch: formatBatch(row) });
+  });
+
+  return result.rows;
+};
+
+/**
+ * Check whether a batch was cancelled by another instance
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<boolean>}
+ */
+const isBatchCancelled = async (batchId) => {
+  const result = await query('SELECT status FROM llm_batches WHERE id = $1', [batchId]);
+  return result.rows[0]?.status === 'cancelled';
+};
+
+/**
+ * One worker pass: fill every provider's free slots with pending items and
+ * abort local items whose batch was cancelled elsewhere
+ */
+const tick = async () => {
+  if (ticking || stopping) return;
+  ticking = true;
+
+  try {
+    const batchIds = new Set([...running.values()].map((item) => item.batchId));
+    for (const batchId of batchIds) {
+      if (await isBatchCancelled(batchId)) {
+        running.forEach((item) => {
+          if (item.batchId === batchId) item.abortController.abort('cancelled');
+        });
+      }
+    }
+
+    const providers = await query(
+      `SELECT DISTINCT i.provider FROM llm_batch_items i
+       JOIN llm_batches b ON b.id = i.batch_id
+       WHERE b.status IN ('queued', 'running') AND i.status IN ('pending', 'running')`
+    );
+
+    for (const { provider } of providers.rows) {
+      if (!llmService.isProviderAvailable(provider)) continue;
+
+      const free = getConcurrency(provider) - runningCount(provider);
+      if (free <= 0) continue;
+
+      const items = await claimItems(provider, free);
+      items.forEach((item) => {
+        const abortController = new AbortController();
+        const entry = { batchId: item.batch_id, provider, abortController };
+        running.set(item.id, entry);
+        entry.promise = runItem(item, abortController)
+          .catch((error) => logger.error('LLM batch item crashed', { itemId: item.id, error: error.message }))
+          .finally(() => {
+            running.delete(item.id);
+            scheduleTick();
+          });
+      });
+    }
+  } catch (error) {
+    logger.error('LLM batch worker error', { error: error.message });
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Run a worker pass soon (after a submission or a finished item)
+ */
+const scheduleTick = () => {
+  if (pollTimer && !stopping) setImmediate(tick);
+};
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Start the batch worker
+ */
+const initialize = () => {
+  if (!isDbConfigured() || pollTimer) return;
+
+  stopping = false;
+  pollTimer = setInterval(tick, CONFIG.pollInterval);
+  pollTimer.unref();
+  setImmediate(tick);
+
+  logger.info('LLM batch worker started', { concurrency: CONFIG.concurrency, pollInterval: CONFIG.pollInterval });
+};
+
+/**
+ * Stop the batch worker. Running items are aborted and requeued, so another
+ * instance (or this one after a restart) picks them up.
+ * @returns {Promise<void>}
+ */
+const shutdown = async () => {
+  stopping = true;
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  const pending = [...running.values()];
+  pending.forEach((item) => item.abortController.abort('shutdown'));
+  await Promise.allSettled(pending.map((item) => item.promise));
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Batches
+  createBatch,
+  listBatches,
+  getBatch,
+  listItems,
+  iterateItems,
+  cancelBatch,
+
+  // Worker
+  initialize,
+  shutdown,
+  onUpdate,
+
+  // Constants
+  CONFIG,
+  BATCH_STATUSES,
+  ITEM_STATUSES,
+};
@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Conversation Service
+ * @description Persistence for chat conversations and their messages.
+ * Used by the conversations REST controller and by both LLM streaming paths
+ * (SSE controller and WebSocket handler) to record user and assistant turns.
+ *
+ * All turn-recording helpers are no-ops when the database is not configured
+ * or the request is anonymous, so chat keeps working without persistence.
+ *
+ * @module services/conversationService
+ */
+
+const { isDbConfigured, query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { getTextContent } = require('./llmService');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  titleMaxLength: 80,
+  defaultListLimit: 50,
+  maxListLimit: 200,
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check whether conversations can be persisted
+ * @returns {boolean}
+ */
+const isPersistenceEnabled = () => isDbConfigured();
+
+/**
+ * Build a conversation title from the first user message
+ * @param {string|Array} content - Message content (text or multimodal parts)
+ * @returns {string} Title
+ */
+const buildTitle = (content) => {
+  const text = getTextContent(content).replace(/\s+/g, ' ').trim();
+  if (!text) return 'New conversation';
+  return text.length > CONFIG.titleMaxLength
+    ? `${text.substring(0, CONFIG.titleMaxLength - 1)}…`
+    : text;
+};
+
+/**
+ * Format conversation row for API response
+ * @param {Object} row - Raw conversation row
+ * @returns {Object} Conversation object
+ */
+const formatConversation = (row) => ({
+  id: row.id,
+  title: row.title,
+  provider: row.provider,
+  model: row.model,
+  message_count: row.message_count !== undefined ? parseInt(row.message_count) : undefined,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+/**
+ * Format message row for API response
+ * @param {Object} row - Raw message row
+ * @returns {Object} Message object
+ */
+const formatMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  tokens_used: row.tokens_used,
+  sources: row.sources || null,
+  tool_calls: row.tool_calls || null,
+  tool_call_id: row.tool_call_id || null,
+  created_at: row.created_at,
+});
+
+// ============================================================================
+// CONVERSATION CRUD
+// ============================================================================
+
+/**
+ * List a user's conversations, most recently updated first
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Offset
+ * @param {string} [options.search] - Title search
+ * @returns {Promise<{ conversations: Array, total: number }>}
+ */
+const listConversations = async (userId, { limit, offset = 0, search } = {}) => {
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = ['c.user_id = $1'];
+  const values = [userId];
+  let paramIndex = 2;
+
+  if (search) {
+    conditions.push(`c.title ILIKE $${paramIndex++}`);
+    values.push(`%${search}%`);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM conversations c WHERE ${whereClause}`,
+    values
+  );
+
+  const result = await query(
+    `SELECT c.*, (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count
+     FROM conversations c
+     WHERE ${whereClause}
+     ORDER BY c.updated_at DESC
+     LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    conversations: result.rows.map(formatConversation),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Create a conversation
+ * @param {string} userId - Owner user ID
+ * @param {Object} data - Conversation data
+ * @param {string} [data.title] - Title
+ * @param {string} data.provider - Provider name
+ * @param {string} [data.model] - Model ID
+ * @returns {Promise<Object>} Created conversation
+ */
+const createConversation = async (userId, { title, provider, model }) => {
+  const result = await query(
+    `INSERT INTO conversations (user_id, title, provider, model)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [userId, title || 'New conversation', provider, model || null]
+  );
+
+  logger.info('Conversation created', { userId, conversationId: result.rows[0].id });
+
+  return formatConversation(result.rows[0]);
+};
+
+/**
+ * Get a conversation owned by a user
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeMessages=false] - Include messages
+ * @returns {Promise<Object>} Conversation
+ * @throws {ApiError} 404 if not found or not owned by user
+ */
+const getConversation = async (userId, conversationId, { includeMessages = false } = {}) => {
+  let result;
+  try {
+    result = await query(
+      'SELECT * FROM conversations WHERE id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+  } catch (error) {
+    // Malformed UUIDs are reported as not found rather than server errors
+    if (error.code === '22P02') {
+      throw ApiError.notFound('Conversation not found');
+    }
+    throw error;
+  }
+
+  if (result.rows.length === 0) {
+    throw ApiError.notFound('Conversation not found');
+  }
+
+  const conversation = formatConversation(result.rows[0]);
+
+  if (includeMessages) {
+    conversation.messages = await getMessages(conversationId);
+  }
+
+  return conversation;
+};
+
+/**
+ * Rename a conversation
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} Updated conversation
+ */
+const renameConversation = async (userId, conversationId, title) => {
+  await getConversation(userId, conversationId);
+
+  const result = await query(
+    `UPDATE conversations SET title = $1, updated_at = NOW()
+     WHERE id = $2 AND user_id = $3
+     RETURNING *`,
+    [title, conversationId, userId]
+  );
+
+  return formatConversation(result.rows[0]);
+};
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} userId - Owner user ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<void>}
+ */
+const deleteConversation = async (userId, conversationId) => {
+  await getConversation(userId, conversationId);
+
+  await query(
+    'DELETE FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+
+  logger.info('Conversation deleted', { userId, conversationId });
+};
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Get all messages of a conversation in chronological order
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array>} Messages
+ */
+const getMessages = async (conversationId) => {
+  const result = await query(
+    `SELECT * FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC, id ASC`,
+    [conversationId]
+  );
+  return result.rows.map(formatMessage);
+};
+
+/**
+ * Append a message to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} message - Message
+ * @param {string} message.role - Message role
+ * @param {string} message.content - Message content
+ * @param {number} [message.tokensUsed] - Tokens used
+ * @param {Array<Object>} [message.sources] - Knowledge base excerpts the answer used
+ * @param {Array<Object>} [message.toolCalls] - Tool calls an assistant turn requested
+ * @param {string} [message.toolCallId] - Tool call a tool result answers
+ * @returns {Promise<Object>} Created message
+ */
+const addMessage = async (conversationId, {
+  role,
+  content,
+  tokensUsed = null,
+  sources = null,
+  toolCalls = null,
+  toolCallId = null,
+}) => {
+  const result = await query(
+    `INSERT INTO messages (conversation_id, role, content, tokens_used, sources, tool_calls, tool_call_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      conversationId,
+      role,
+      content,
+      tokensUsed,
+      sources?.length ? JSON.stringify(sources) : null,
+      toolCalls?.length ? JSON.stringify(toolCalls) : null,
+      toolCallId,
+    ]
+  );
+
+  await query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+
+  return formatMessage(result.rows[0]);
+};
+
+// ============================================================================
+// TURN RECORDING (used by SSE and WebSocket streaming paths)
+// ============================================================================
+
+/**
+ * Store the tool results a request ends with (the client's answer to the
+ * previous assistant turn's tool calls)
+ * @param {string|null} conversationId - Conversation ID
+ * @param {Array} messages - Messages sent to the model
+ * @returns {Promise<void>}
+ */
+const recordToolResults = async (conversationId, messages) => {
+  if (!conversationId) return;
+
+  let start = messages.length;
+  while (start > 0 && messages[start - 1].role === 'tool') start--;
+
+  for (const message of messages.slice(start)) {
+    await addMessage(conversationId, {
+      role: 'tool',
+      content: getTextContent(message.content),
+      toolCallId: message.toolCallId || null,
+    });
+  }
+};
+
+/**
+ * Record the start of a chat turn.
+ * Resolves (or creates) the conversation and stores what the request adds to
+ * it: the user message it ends with, or the tool results of a tool round
+ * (the rest of the history is already stored).
+ *
+ * @param {Object} options - Turn options
+ * @param {string|null} options.userId - Authenticated user ID (null for anonymous)
+ * @param {string} [options.conversationId] - Existing conversation to append to
+ * @param {Array} options.messages - Messages sent to the model
+ * @param {string} options.provider - Provider name
+ * @param {string} options.model - Model ID
+ * @returns {Promise<string|null>} Conversation ID, or null if not persisted
+ * @throws {ApiError} 404 if conversationId does not belong to the user
+ */
+const beginTurn = async ({ userId, conversationId, messages, provider, model }) => {
+  if (!userId || !isPersistenceEnabled()) {
+    return null;
+  }
+
+  const history = messages || [];
+  const lastMessage = history[history.length - 1];
+  const lastUserMessage = [...history].reverse().find((m) => m.role === 'user');
+
+  let actualConversationId = conversationId;
+  if (actualConversationId) {
+    await getConversation(userId, actualConversationId);
+  } else {
+    const conversation = await createConversation(userId, {
+      title: buildTitle(lastUserMessage?.content),
+      provider,
+      model,
+    });
+    actualConversationId = conversation.id;
+  }
+
+  if (lastMessage?.role === 'user') {
+    // Attachments are stored as placeholders; only text is kept
+    await addMessage(actualConversationId, {
+      role: 'user',
+      content: getTextContent(lastMessage.content),
+    });
+  } else if (lastMessage?.role === 'tool') {
+    await recordToolResults(actualConversationId, history);
+  }
+
+  return actualConversationId;
+};
+
+/**
+ * Record the assistant response of a chat turn.
+ * Failures are logged, never thrown, so a storage problem cannot break a stream.
+ *
+ * @param {string|null} conversationId - Conversation ID from beginTurn
+ * @param {Object} result - Turn result
+ * @param {string} result.content - Assistant content
+ * @param {number} [result.tokensUsed] - Tokens used
+ * @param {Array<Object>} [result.sources] - Knowledge base excerpts the answer used
+ * @param {Array<Object>} [result.toolCalls] - Tool calls requested by the turn
+ * @returns {Promise<void>}
+ */
+const completeTurn = async (conversationId, { content, tokensUsed = null, sources = null, toolCalls = null }) => {
+  if (!conversationId || (!content && !toolCalls?.length)) return;
+
+  try {
+    await addMessage(conversationId, { role: 'assistant', content: content || '', tokensUsed, sources, toolCalls });
+  } catch (error) {
+    logger.error('Failed to persist assistant message', {
+      conversationId,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Record a chat turn whose request failed, so the saved conversation matches
+ * what the client shows and a retry does not store the user message twice.
+ * Content already streamed is kept as the assistant message (as for a
+ * cancelled turn); otherwise the messages stored after the last assistant
+ * message are removed, and the whole conversation if the turn created it.
+ * Failures are logged, never thrown.
+ *
+ * @param {string|null} conversationId - Conversation ID from beginTurn
+ * @param {Object} [result] - Turn result
+ * @param {string} [result.content] - Content streamed before the failure
+ * @param {Array<Object>} [result.sources] - Knowledge base excerpts the answer used
+ * @param {boolean} [result.created=false] - Whether beginTurn created the conversation
+ *   and the client was not told its ID
+ * @returns {Promise<void>}
+ */
+const failTurn = async (conversationId, { content, sources = null, created = false } = {}) => {
+  if (!conversationId) return;
+
+  if (content) {
+    await completeTurn(conversationId, { content, sources });
+    return;
+  }
+
+  try {
+    if (created) {
+      await query('DELETE FROM conversations WHERE id = $1', [conversationId]);
+      return;
+    }
+    await query(
+      `DELETE FROM messages
+       WHERE conversation_id = $1 AND role IN ('user', 'tool')
+         AND created_at > COALESCE(
+           (SELECT MAX(created_at) FROM messages WHERE conversation_id = $1 AND role = 'assistant'),
+           '-infinity'::timestamptz
+         )`,
+      [conversationId]
+    );
+  } catch (error) {
+    logger.error('Failed to roll back chat turn', {
+      conversationId,
+      error: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Conversations
+  listConversations,
+  createConversation,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+
+  // Messages
+  getMessages,
+  addMessage,
+
+  // Streaming integration
+  beginTurn,
+  completeTurn,
+  failTurn,
+  recordToolResults,
+  isPersistenceEnabled,
+
+  // Configuration
+  CONFIG,
+};
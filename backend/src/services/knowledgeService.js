@@ -0,0 +1,678 @@
+/**
+ * @fileoverview Knowledge Base Service
+ * @description Retrieval-augmented generation over documents the user
+ * uploads (text, Markdown, HTML, PDF). Uploads are extracted and chunked in
+ * the request, then embedded in the background with
+ * llmService.generateEmbeddings; the owner is told over onUpdate listeners
+ * when a document is ready or failed.
+ *
+ * Vectors live in knowledge_chunks: always as REAL[] and, when the pgvector
+ * extension is installed, in an embedding_vector column searched in the
+ * database. Without pgvector the search pages through the user's chunks and
+ * ranks them by cosine similarity in process, up to RAG_FALLBACK_MAX_CHUNKS.
+ *
+ * Chat requests opt in with `retrieval`; applyRetrieval adds the best
+ * matching excerpts, numbered for citation, to the system prompt and
+ * returns them as `sources`.
+ *
+ * @module services/knowledgeService
+ */
+
+const { isDbConfigured, query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const llmService = require('./llmService');
+const usageService = require('./usageService');
+const { MEDIA_TYPES, mediaTypeFromFilename, extractText, chunkSections } = require('../utils/documentText');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  embeddingModel: process.env.RAG_EMBEDDING_MODEL || 'text-embedding-3-small',
+  // Chunk length and the overlap between consecutive chunks, in characters
+  chunkSize: parseInt(process.env.RAG_CHUNK_SIZE) || 1500,
+  chunkOverlap: parseInt(process.env.RAG_CHUNK_OVERLAP) || 200,
+  // Chunks embedded and stored per round (llmService splits requests further
+  // within the provider's limits)
+  embeddingBatchSize: parseInt(process.env.RAG_EMBEDDING_BATCH_SIZE) || 64,
+  maxDocumentBytes: parseInt(process.env.RAG_MAX_DOCUMENT_SIZE) || 10 * 1024 * 1024,
+  maxChunksPerDocument: parseInt(process.env.RAG_MAX_CHUNKS_PER_DOCUMENT) || 2000,
+  defaultTopK: parseInt(process.env.RAG_TOP_K) || 4,
+  maxTopK: 20,
+  minScore: parseFloat(process.env.RAG_MIN_SCORE) || 0.2,
+  // Chunks ranked per search by the in-process fallback, read this many at a time
+  fallbackMaxChunks: parseInt(process.env.RAG_FALLBACK_MAX_CHUNKS) || 20000,
+  fallbackPageSize: parseInt(process.env.RAG_FALLBACK_PAGE_SIZE) || 500,
+  // Documents still processing after this long (a restarted server) are failed
+  processingTimeout: parseInt(process.env.RAG_PROCESSING_TIMEOUT) || 30 * 60 * 1000,
+  defaultListLimit: 50,
+  maxListLimit: 200,
+};
+
+const DOCUMENT_STATUSES = ['processing', 'ready', 'failed'];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Documents being embedded by this instance
+ * @type {Map<string, Promise>}
+ */
+const processing = new Map();
+
+const listeners = new Set();
+let stopping = false;
+let vectorColumn = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Ensure documents can be stored
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensureEnabled = () => {
+  if (!isDbConfigured()) {
+    throw ApiError.serviceUnavailable('The knowledge base requires a configured database');
+  }
+};
+
+/**
+ * Whether knowledge_chunks has the pgvector column (checked once)
+ * @returns {Promise<boolean>}
+ */
+const hasVectorColumn = async () => {
+  if (vectorColumn === null) {
+    const result = await query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'knowledge_chunks' AND column_name = 'embedding_vector'`
+    );
+    vectorColumn = result.rows.length > 0;
+    logger.info('Knowledge base search', { mode: vectorColumn ? 'pgvector' : 'in-process' });
+  }
+  return vectorColumn;
+};
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Embed texts with the knowledge base model, charging the tokens to the user
+ * @param {Array<string>} texts - Texts
+ * @param {string} userId - User the embeddings are for
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+const embed = async (texts, userId) => {
+  const result = await llmService.generateEmbeddings({ model: CONFIG.embeddingModel, input: texts });
+  await usageService.recordUsage({
+    userId,
+    source: 'knowledge',
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+  });
+  return result.embeddings;
+};
+
+/**
+ * Format document row for API response
+ * @param {Object} row - Raw document row
+ * @returns {Object} Document object
+ */
+const formatDocument = (row) => ({
+  id: row.id,
+  title: row.title,
+  filename: row.filename,
+  mediaType: row.media_type,
+  status: row.status,
+  error: row.error,
+  charCount: row.char_count,
+  chunkCount: row.chunk_count,
+  embeddingModel: row.embedding_model,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Call update listeners
+ * @param {string} userId - Owner
+ * @param {Object} message - WebSocket message
+ */
+const notify = (userId, message) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(userId, message);
+    } catch (error) {
+      logger.error('Knowledge base listener failed', { error: error.message });
+    }
+  });
+};
+
+/**
+ * Subscribe to document updates
+ * @param {Function} listener - (userId, message) => void
+ * @returns {Function} Unsubscribe function
+ */
+const onUpdate = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Decode and validate an upload
+ * @param {Object} input - { title, filename, mediaType, data (base64) | content (text) }
+ * @returns {{ buffer: Buffer, mediaType: string, filename: string|null, title: string|null }}
+ * @throws {ApiError} 400, or 413 over the size limit
+ */
+const readUpload = ({ title, filename, mediaType, data, content }) => {
+  const actualMediaType = mediaType || mediaTypeFromFilename(filename) || (content !== undefined ? 'text/plain' : null);
+  if (!MEDIA_TYPES.includes(actualMediaType)) {
+    throw new ApiError(400, `mediaType must be one of: ${MEDIA_TYPES.join(', ')}`, 'UNSUPPORTED_INPUT');
+  }
+
+  let buffer;
+  if (typeof data === 'string' && data) {
+    buffer = Buffer.from(data, 'base64');
+  } else if (typeof content === 'string' && content.trim() && actualMediaType !== 'application/pdf') {
+    buffer = Buffer.from(content, 'utf8');
+  } else {
+    throw ApiError.badRequest('Provide the document as base64 data (or as text content)');
+  }
+
+  if (buffer.length > CONFIG.maxDocumentBytes) {
+    throw new ApiError(413, `Documents are limited to ${Math.round(CONFIG.maxDocumentBytes / 1024 / 1024)} MB`, 'PAYLOAD_TOO_LARGE');
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > 255)) {
+    throw ApiError.badRequest('title must be a string of at most 255 characters');
+  }
+
+  return {
+    buffer,
+    mediaType: actualMediaType,
+    filename: typeof filename === 'string' ? filename.slice(0, 255) : null,
+    title: title?.trim() || null,
+  };
+};
+
+/**
+ * Embed a document's chunks and mark it ready (or failed)
+ * @param {Object} row - Document row
+ * @param {Array<{ content: string, page: number|null }>} chunks - Chunks
+ */
+const processDocument = async (row, chunks) => {
+  try {
+    const useVector = await hasVectorColumn();
+
+    for (let start = 0; start < chunks.length; start += CONFIG.embeddingBatchSize) {
+      if (stopping) {
+        throw new Error('Processing was interrupted by a server shutdown');
+      }
+
+      const batch = chunks.slice(start, start + CONFIG.embeddingBatchSize);
+      const vectors = await embed(batch.map((chunk) => chunk.content), row.user_id);
+
+      const values = [];
+      const rows = batch.map((chunk, offset) => {
+        values.push(row.id, start + offset, chunk.content, chunk.page, vectors[offset]);
+        const base = values.length - 5;
+        const placeholders = [1, 2, 3, 4, 5].map((n) => `$${base + n}`);
+        if (useVector) {
+          values.push(JSON.stringify(vectors[offset]));
+          placeholders.push(`$${values.length}::vector`);
+        }
+        return `(${placeholders.join(', ')})`;
+      });
+
+      await query(
+        `INSERT INTO knowledge_chunks (document_id, chunk_index, content, page, embedding${useVector ? ', embedding_vector' : ''})
+         VALUES ${rows.join(', ')}`,
+        values
+      );
+    }
+
+    const updated = await query(
+      `UPDATE knowledge_documents SET status = 'ready', chunk_count = $2, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [row.id, chunks.length]
+    );
+    logger.info('Knowledge document ready', { id: row.id, userId: row.user_id, chunks: chunks.length });
+    if (updated.rows[0]) {
+      notify(row.user_id, { type: 'knowledge:document', documentId: row.id, document: formatDocument(updated.rows[0]) });
+    }
+  } catch (error) {
+    logger.error('Knowledge document failed', { id: row.id, error: error.message });
+    await query('DELETE FROM knowledge_chunks WHERE document_id = $1', [row.id]).catch(() => {});
+    const updated = await query(
+      `UPDATE knowledge_documents SET status = 'failed', error = $2, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [row.id, error.message]
+    ).catch(() => ({ rows: [] }));
+    if (updated.rows[0]) {
+      notify(row.user_id, { type: 'knowledge:document', documentId: row.id, document: formatDocument(updated.rows[0]) });
+    }
+  }
+};
+
+/**
+ * Add a document: extract and chunk it now, embed it in the background
+ * @param {Object} user - Owner ({ id })
+ * @param {Object} input - { title?, filename?, mediaType?, data (base64) | content (text) }
+ * @returns {Promise<Object>} Document with status 'processing'
+ * @throws {ApiError} 400/413 for invalid uploads, 422 when no text can be extracted
+ *   or the document has too many chunks, 503 without embeddings
+ */
+const addDocument = async (user, input = {}) => {
+  ensureEnabled();
+  if (stopping) {
+    throw ApiError.serviceUnavailable('The server is shutting down');
+  }
+
+  const upload = readUpload(input);
+
+  let extracted;
+  try {
+    extracted = await extractText(upload);
+  } catch (error) {
+    throw new ApiError(422, `Could not read the document: ${error.message}`, 'UNREADABLE_DOCUMENT');
+  }
+
+  const chunks = chunkSections(extracted.sections, { size: CONFIG.chunkSize, overlap: CONFIG.chunkOverlap });
+  if (chunks.length === 0) {
+    throw new ApiError(422, 'The document contains no extractable text (scanned PDFs need OCR first)', 'UNREADABLE_DOCUMENT');
+  }
+  if (chunks.length > CONFIG.maxChunksPerDocument) {
+    throw new ApiError(422, `The document is too long (${chunks.length} chunks, at most ${CONFIG.maxChunksPerDocument})`, 'DOCUMENT_TOO_LONG');
+  }
+
+  const title = (upload.title || extracted.title || upload.filename || 'Untitled document').slice(0, 255);
+  const charCount = extracted.sections.reduce((sum, section) => sum + section.text.length, 0);
+
+  const result = await query(
+    `INSERT INTO knowledge_documents (user_id, title, filename, media_type, char_count, embedding_model)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [user.id, title, upload.filename, upload.mediaType, charCount, CONFIG.embeddingModel]
+  );
+  const row = result.rows[0];
+
+  const promise = processDocument(row, chunks).finally(() => processing.delete(row.id));
+  processing.set(row.id, promise);
+
+  logger.info('Knowledge document added', { id: row.id, userId: user.id, mediaType: upload.mediaType, chunks: chunks.length });
+
+  return formatDocument(row);
+};
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+/**
+ * List a user's documents, newest first
+ * @param {string} userId - Owner
+ * @param {Object} [options] - { status, limit, offset }
+ * @returns {Promise<{ documents: Array, total: number }>}
+ */
+const listDocuments = async (userId, { status, limit, offset = 0 } = {}) => {
+  ensureEnabled();
+
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const values = [userId];
+  let whereClause = 'user_id = $1';
+
+  if (status) {
+    if (!DOCUMENT_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${DOCUMENT_STATUSES.join(', ')}`);
+    }
+    values.push(status);
+    whereClause += ` AND status = $${values.length}`;
+  }
+
+  const countResult = await query(`SELECT COUNT(*) FROM knowledge_documents WHERE ${whereClause}`, values);
+  const result = await query(
+    `SELECT * FROM knowledge_documents WHERE ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    documents: result.rows.map(formatDocument),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Get a user's document
+ * @param {string} userId - Owner
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Document
+ * @throws {ApiError} 404 if not found
+ */
+const getDocument = async (userId, documentId) => {
+  ensureEnabled();
+
+  const result = await query(
+    'SELECT * FROM knowledge_documents WHERE id = $1 AND user_id = $2',
+    [documentId, userId]
+  ).catch((error) => {
+    // Malformed UUIDs are simply not found
+    if (error.code === '22P02') return { rows: [] };
+    throw error;
+  });
+
+  if (!result.rows[0]) {
+    throw ApiError.notFound('Document not found');
+  }
+  return formatDocument(result.rows[0]);
+};
+
+/**
+ * Delete a user's document and its chunks
+ * @param {string} userId - Owner
+ * @param {string} documentId - Document ID
+ * @throws {ApiError} 404 if not found
+ */
+const deleteDocument = async (userId, documentId) => {
+  await getDocument(userId, documentId);
+  await query('DELETE FROM knowledge_documents WHERE id = $1', [documentId]);
+  logger.info('Knowledge document deleted', { id: documentId, userId });
+};
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+/**
+ * Validate search options
+ * @param {Object} options - { topK, documentIds, minScore }
+ * @returns {{ topK: number, documentIds: Array<string>|null, minScore: number }}
+ * @throws {ApiError} 400 INVALID_INPUT
+ */
+const normalizeSearchOptions = ({ topK, documentIds, minScore } = {}) => {
+  const k = topK === undefined ? CONFIG.defaultTopK : Number(topK);
+  if (!Number.isInteger(k) || k < 1 || k > CONFIG.maxTopK) {
+    throw new ApiError(400, `topK must be an integer between 1 and ${CONFIG.maxTopK}`, 'INVALID_INPUT');
+  }
+  if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.some((id) => typeof id !== 'string'))) {
+    throw new ApiError(400, 'documentIds must be an array of document IDs', 'INVALID_INPUT');
+  }
+  const score = minScore === undefined ? CONFIG.minScore : Number(minScore);
+  if (!Number.isFinite(score) || score < -1 || score > 1) {
+    throw new ApiError(400, 'minScore must be between -1 and 1', 'INVALID_INPUT');
+  }
+  return { topK: k, documentIds: documentIds?.length ? documentIds : null, minScore: score };
+};
+
+/**
+ * Rank chunks by cosine similarity in process (no pgvector). Chunks are read
+ * a page at a time in a stable order and only the best topK are kept, so
+ * memory stays bounded; users with more than fallbackMaxChunks chunks are
+ * searched over the first ones only, which is logged.
+ * @param {Object} search
+ * @param {string} search.userId - Owner (for the truncation warning)
+ * @param {string} search.filter - WHERE clause over c (chunks) and d (documents)
+ * @param {Array} search.values - Parameters of the filter
+ * @param {number[]} search.vector - Query embedding
+ * @param {number} search.topK - Matches to keep
+ * @returns {Promise<Array<Object>>} Rows with a score, best first
+ */
+const searchInProcess = async ({ userId, filter, values, vector, topK }) => {
+  const best = [];
+  let scanned = 0;
+  let last = null;
+
+  while (scanned < CONFIG.fallbackMaxChunks) {
+    const limit = Math.min(CONFIG.fallbackPageSize, CONFIG.fallbackMaxChunks - scanned);
+    const pageValues = [...values];
+    let pageFilter = filter;
+    if (last) {
+      pageValues.push(last.document_id, last.chunk_index);
+      pageFilter += ` AND (c.document_id, c.chunk_index) > ($${pageValues.length - 1}::uuid, $${pageValues.length})`;
+    }
+    pageValues.push(limit);
+
+    const { rows } = await query(
+      `SELECT c.document_id, c.chunk_index, c.page, c.content, c.embedding, d.title
+       FROM knowledge_chunks c
+       JOIN knowledge_documents d ON d.id = c.document_id
+       WHERE ${pageFilter}
+       ORDER BY c.document_id, c.chunk_index
+       LIMIT $${pageValues.length}`,
+      pageValues
+    );
+
+    rows.forEach(({ embedding, ...row }) => {
+      const score = cosineSimilarity(vector, embedding);
+      if (best.length === topK && score <= best[topK - 1].score) return;
+      const at = best.findIndex((match) => score > match.score);
+      best.splice(at === -1 ? best.length : at, 0, { ...row, score });
+      if (best.length > topK) best.pop();
+    });
+
+    scanned += rows.length;
+    if (rows.length < limit) return best;
+    last = rows[rows.length - 1];
+  }
+
+  const remaining = await query(
+    `SELECT 1 FROM knowledge_chunks c
+     JOIN knowledge_documents d ON d.id = c.document_id
+     WHERE ${filter} AND (c.document_id, c.chunk_index) > ($${values.length + 1}::uuid, $${values.length + 2})
+     LIMIT 1`,
+    [...values, last.document_id, last.chunk_index]
+  );
+  if (remaining.rows.length) {
+    logger.warn('Knowledge base search truncated; install pgvector to search every chunk', {
+      userId,
+      searched: scanned,
+      maxChunks: CONFIG.fallbackMaxChunks,
+    });
+  }
+  return best;
+};
+
+/**
+ * Find the chunks of a user's ready documents closest to a query. Only
+ * documents embedded with the current model are searched.
+ * @param {Object} user - Owner ({ id })
+ * @param {string} text - Query
+ * @param {Object} [options] - { topK, documentIds, minScore }
+ * @returns {Promise<Array<Object>>} Matches { documentId, title, chunkIndex, page, content, score }, best first
+ * @throws {ApiError} 400 INVALID_INPUT, 502 RETRIEVAL_FAILED when the query cannot be embedded
+ */
+const search = async (user, text, options = {}) => {
+  ensureEnabled();
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ApiError(400, 'A query is required', 'INVALID_INPUT');
+  }
+  const { topK, documentIds, minScore } = normalizeSearchOptions(options);
+
+  let vector;
+  try {
+    [vector] = await embed([text], user.id);
+  } catch (error) {
+    throw new ApiError(502, `Document retrieval failed: ${error.message}`, 'RETRIEVAL_FAILED');
+  }
+
+  const values = [user.id, CONFIG.embeddingModel];
+  let filter = `d.user_id = $1 AND d.status = 'ready' AND d.embedding_model = $2`;
+  if (documentIds) {
+    values.push(documentIds);
+    filter += ` AND d.id::text = ANY($${values.length})`;
+  }
+
+  let rows;
+  if (await hasVectorColumn()) {
+    values.push(JSON.stringify(vector), topK);
+    const result = await query(
+      `SELECT c.document_id, c.chunk_index, c.page, c.content, d.title,
+              1 - (c.embedding_vector <=> $${values.length - 1}::vector) AS score
+       FROM knowledge_chunks c
+       JOIN knowledge_documents d ON d.id = c.document_id
+       WHERE ${filter} AND c.embedding_vector IS NOT NULL
+       ORDER BY c.embedding_vector <=> $${values.length - 1}::vector
+       LIMIT $${values.length}`,
+      values
+    );
+    rows = result.rows.map((row) => ({ ...row, score: Number(row.score) }));
+  } else {
+    rows = await searchInProcess({ userId: user.id, filter, values, vector, topK });
+  }
+
+  return rows
+    .filter((row) => row.score >= minScore)
+    .map((row) => ({
+      documentId: row.document_id,
+      title: row.title,
+      chunkIndex: row.chunk_index,
+      page: row.page,
+      content: row.content,
+      score: Math.round(row.score * 1000) / 1000,
+    }));
+};
+
+/**
+ * Ground a chat request on the user's documents: the best excerpts for the
+ * last user message are numbered and added to the system prompt
+ * @param {Object|null} user - Requesting user
+ * @param {Object} request
+ * @param {boolean|Object} [request.retrieval] - true, or { topK, documentIds, minScore }
+ * @param {string} [request.systemPrompt] - System prompt
+ * @param {Array} request.messages - Messages
+ * @returns {Promise<{ systemPrompt: string|undefined, sources: Array<Object> }>}
+ *   sources: { index, documentId, title, page, chunkIndex, score, excerpt }
+ * @throws {ApiError} 401 for anonymous users, 400 INVALID_INPUT, 502 RETRIEVAL_FAILED
+ */
+const applyRetrieval = async (user, { retrieval, systemPrompt, messages }) => {
+  if (!retrieval) {
+    return { systemPrompt, sources: [] };
+  }
+  if (!user) {
+    throw new ApiError(401, 'Retrieval requires authentication', 'UNAUTHORIZED');
+  }
+  if (retrieval !== true && (typeof retrieval !== 'object' || Array.isArray(retrieval))) {
+    throw new ApiError(400, 'retrieval must be true or { topK, documentIds, minScore }', 'INVALID_INPUT');
+  }
+
+  const lastUserMessage = [...messages].reverse().find((message) => message.role === 'user');
+  const text = llmService.getTextContent(lastUserMessage?.content).trim();
+  if (!text) {
+    return { systemPrompt, sources: [] };
+  }
+
+  const matches = await search(user, text, retrieval === true ? {} : retrieval);
+  if (matches.length === 0) {
+    return { systemPrompt, sources: [] };
+  }
+
+  const excerpts = matches.map((match, i) => {
+    const location = match.page ? `${match.title}, page ${match.page}` : match.title;
+    return `[${i + 1}] ${location}\n${match.content}`;
+  });
+  const context = [
+    'Answer using the following excerpts from the user\'s documents when they are relevant.',
+    'Cite the excerpts you use as [1], [2], ... and say so when they do not contain the answer.',
+    '',
+    excerpts.join('\n\n'),
+  ].join('\n');
+
+  return {
+    systemPrompt: systemPrompt ? `${systemPrompt}\n\n${context}` : context,
+    sources: matches.map((match, i) => ({
+      index: i + 1,
+      documentId: match.documentId,
+      title: match.title,
+      page: match.page,
+      chunkIndex: match.chunkIndex,
+      score: match.score,
+      excerpt: match.content.length > 300 ? `${match.content.slice(0, 300)}…` : match.content,
+    })),
+  };
+};
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Fail documents left processing by a stopped instance
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  if (!isDbConfigured()) return;
+  stopping = false;
+
+  try {
+    const result = await query(
+      `UPDATE knowledge_documents
+       SET status = 'failed', error = 'Processing was interrupted', updated_at = NOW()
+       WHERE status = 'processing' AND updated_at < NOW() - ($1 || ' milliseconds')::interval
+       RETURNING id`,
+      [String(CONFIG.processingTimeout)]
+    );
+    if (result.rows.length > 0) {
+      logger.warn('Failed interrupted knowledge documents', { count: result.rows.length });
+    }
+  } catch (error) {
+    logger.error('Knowledge base startup check failed', { error: error.message });
+  }
+};
+
+/**
+ * Stop embedding: documents in progress fail after their current batch
+ * @returns {Promise<void>}
+ */
+const shutdown = async () => {
+  stopping = true;
+  await Promise.allSettled([...processing.values()]);
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Documents
+  addDocument,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+
+  // Retrieval
+  search,
+  applyRetrieval,
+
+  // Lifecycle
+  initialize,
+  shutdown,
+  onUpdate,
+
+  // Constants
+  CONFIG,
+  DOCUMENT_STATUSES,
+};
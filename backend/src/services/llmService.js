@@ -6,49 +6,28 @@
  * @module services/llmService
  */
 
-const fs = require("fs");
-const path = require("path");
+const crypto = require("crypto");
 const OpenAI = require("openai");
 const Anthropic = require("@anthropic-ai/sdk");
 const { GoogleGenAI } = require("@google/genai");
 const logger = require("../utils/logger");
+const modelCatalog = require("./modelCatalogService");
+const { validate: validateJsonSchema } = require("../utils/jsonSchema");
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const modelsConfigPath = path.join(__dirname, "../config/models.json");
-let modelsConfig = null;
+// The model catalog is served by modelCatalogService (database, seeded from
+// models.json) so admin changes apply without a restart. Disabled models are
+// treated as unknown.
 
-const loadModelsConfig = () => {
-  if (!modelsConfig) {
-    try {
-      modelsConfig = JSON.parse(fs.readFileSync(modelsConfigPath, "utf8"));
-      logger.info("Models config loaded", {
-        count: modelsConfig.models?.length,
-      });
-    } catch (error) {
-      logger.error("Failed to load models config", { error: error.message });
-      modelsConfig = { models: [] };
-    }
-  }
-  return modelsConfig;
-};
-
-const getModelConfig = (modelId) => {
-  const config = loadModelsConfig();
-  return config.models?.find((m) => m.id === modelId) || null;
-};
+const getModelConfig = (modelId) => modelCatalog.getModel(modelId);
 
 const getAvailableModels = (provider = null) => {
-  const config = loadModelsConfig();
-  let models = config.models || [];
-  if (provider) {
-    models = models.filter((m) => m.provider === provider);
-  }
-  return models.map((m) => ({
+  return modelCatalog.listModels({ provider }).map((m) => ({
     ...m,
-    available: clients[m.provider]?.configured || false,
+    available: isProviderAvailable(m.provider),
   }));
 };
 
@@ -56,331 +35,2436 @@ const getAvailableModels = (provider = null) => {
 // CLIENT INITIALIZATION
 // ============================================================================
 
-const clients = {
-  google: { instance: null, configured: false },
-  openai: { instance: null, configured: false },
-  anthropic: { instance: null, configured: false },
-  xai: { instance: null, configured: false },
-  groq: { instance: null, configured: false },
+// One entry per provider in the catalog (models.json "providers", or the
+// llm_providers table), keyed by provider ID:
+//   { instance, configured, sdkType }
+// sdkType picks the SDK and streaming function: "google", "anthropic",
+// "openai", or "openai-compatible" for any server speaking the OpenAI chat
+// completions API (Ollama, vLLM, LM Studio, llama.cpp server, gateways),
+// or "mock" for the built-in offline provider (see MOCK PROVIDER).
+const clients = {};
+
+const SDK_CLIENTS = {
+  google: ({ apiKey }) => new GoogleGenAI({ apiKey }),
+  anthropic: ({ apiKey, baseURL, defaultHeaders }) => new Anthropic({ apiKey, baseURL, defaultHeaders }),
+  openai: ({ apiKey, baseURL, defaultHeaders }) => new OpenAI({ apiKey, baseURL, defaultHeaders }),
+  "openai-compatible": ({ apiKey, baseURL, defaultHeaders }) =>
+    // The SDK insists on a key; key-less local servers ignore it
+    new OpenAI({ apiKey: apiKey || "not-needed", baseURL, defaultHeaders }),
+  mock: () => ({ mock: true }),
 };
 
 const isValidKey = (key) => {
   return key && key.trim() !== "" && !key.includes("your_") && key !== "sk-xxx";
 };
 
-const initializeClients = () => {
-  // Google Gemini
-  if (isValidKey(process.env.GOOGLE_AI_API_KEY)) {
-    clients.google.instance = new GoogleGenAI({
-      apiKey: process.env.GOOGLE_AI_API_KEY,
-    });
-    clients.google.configured = true;
-    logger.info("✅ Google AI configured");
+/**
+ * The mock provider is on outside production unless LLM_MOCK_ENABLED says otherwise
+ * @returns {boolean}
+ */
+const isMockEnabled = () => {
+  if (process.env.LLM_MOCK_ENABLED) return process.env.LLM_MOCK_ENABLED === "true";
+  return process.env.NODE_ENV !== "production";
+};
+
+/**
+ * Expand ${VAR} and ${VAR:-default} references to environment variables, so
+ * base URLs and header values (tokens) can stay out of models.json. Only
+ * variables providers may read are expanded (see modelCatalog.isProviderEnvVar):
+ * the values are sent to the provider's host.
+ * @param {string} value - Configured value
+ * @param {string} providerId - Provider, for the warning about refused references
+ * @returns {string} Expanded value ("" when a referenced variable is unset or refused)
+ */
+const expandEnv = (value, providerId) =>
+  String(value).replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (_, name, fallback) => {
+    if (!modelCatalog.isProviderEnvVar(name)) {
+      logger.warn(`Provider ${providerId} references '${name}', which is not a provider variable - left empty`);
+      return "";
+    }
+    return process.env[name] || fallback || "";
+  });
+
+/**
+ * Create the SDK client for a catalog provider.
+ * A provider is configured when its envKey holds a valid key, or - for
+ * providers with requiresKey: false - when its baseUrl resolves. The mock
+ * provider needs neither (see isMockEnabled).
+ *
+ * @param {Object} provider - { id, name, baseUrl, envKey, sdkType, headers, requiresKey }
+ * @returns {Object} Client entry { instance, configured, sdkType }
+ */
+const createClient = (provider) => {
+  const entry = { instance: null, configured: false, sdkType: provider.sdkType };
+  const factory = SDK_CLIENTS[provider.sdkType];
+  if (!factory) {
+    logger.warn(`Unknown sdkType '${provider.sdkType}' for provider ${provider.id}`);
+    return entry;
   }
 
-  // OpenAI
-  if (isValidKey(process.env.OPENAI_API_KEY)) {
-    clients.openai.instance = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    clients.openai.configured = true;
-    logger.info("✅ OpenAI configured");
+  // Catalog rows written before the envKey rule existed are not trusted either
+  if (provider.envKey && !modelCatalog.isProviderEnvVar(provider.envKey)) {
+    logger.warn(`Provider ${provider.id} reads '${provider.envKey}', which is not a provider variable - not configured`);
+    return entry;
   }
 
-  // Anthropic
-  if (isValidKey(process.env.ANTHROPIC_API_KEY)) {
-    clients.anthropic.instance = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-    clients.anthropic.configured = true;
-    logger.info("✅ Anthropic configured");
+  const apiKey = provider.envKey ? process.env[provider.envKey] : undefined;
+  const baseURL = (provider.baseUrl && expandEnv(provider.baseUrl, provider.id)) || undefined;
+  const keyless = provider.requiresKey === false;
+
+  if (provider.sdkType === "mock" ? !isMockEnabled() : keyless ? !baseURL : !isValidKey(apiKey)) {
+    return entry;
   }
 
-  // xAI (Grok) - OpenAI-compatible
-  if (isValidKey(process.env.XAI_API_KEY)) {
-    clients.xai.instance = new OpenAI({
-      apiKey: process.env.XAI_API_KEY,
-      baseURL: "https://api.x.ai/v1",
+  const defaultHeaders = Object.fromEntries(
+    Object.entries(provider.headers || {})
+      .map(([name, value]) => [name, expandEnv(value, provider.id)])
+      .filter(([, value]) => value)
+  );
+
+  try {
+    entry.instance = factory({
+      apiKey: isValidKey(apiKey) ? apiKey : undefined,
+      baseURL,
+      defaultHeaders,
     });
-    clients.xai.configured = true;
-    logger.info("✅ xAI configured");
+    entry.configured = true;
+    logger.info(`✅ ${provider.name || provider.id} configured`, keyless ? { baseUrl: baseURL } : undefined);
+  } catch (error) {
+    logger.error(`Failed to configure ${provider.id}`, { error: error.message });
   }
 
-  // Groq - OpenAI-compatible
-  if (isValidKey(process.env.GROQ_API_KEY)) {
-    clients.groq.instance = new OpenAI({
-      apiKey: process.env.GROQ_API_KEY,
-      baseURL: "https://api.groq.com/openai/v1",
-    });
-    clients.groq.configured = true;
-    logger.info("✅ Groq configured");
+  return entry;
+};
+
+/**
+ * (Re)create SDK clients for every provider in the catalog.
+ * Runs on module load, at server start (once the database catalog is
+ * loaded) and whenever the catalog's providers change.
+ */
+const initializeClients = () => {
+  const providers = modelCatalog.listProviders();
+
+  Object.keys(clients).forEach((id) => delete clients[id]);
+  for (const provider of providers) {
+    clients[provider.id] = createClient(provider);
   }
 };
 
+/**
+ * Check whether a provider can serve requests (API key set and not disabled)
+ * @param {string} provider - Provider ID
+ * @returns {boolean}
+ */
+const isProviderAvailable = (provider) =>
+  Boolean(clients[provider]?.configured) && modelCatalog.isProviderEnabled(provider);
+
 const getProviderStatus = () => {
   return Object.fromEntries(
-    Object.entries(clients).map(([k, v]) => [k, { configured: v.configured }])
+    Object.entries(clients).map(([k, v]) => [
+      k,
+      { configured: v.configured, enabled: modelCatalog.isProviderEnabled(k) },
+    ])
   );
 };
 
 const getAvailableProviders = () => {
-  return Object.entries(clients)
-    .filter(([_, v]) => v.configured)
-    .map(([k]) => k);
+  return Object.keys(clients).filter(isProviderAvailable);
 };
 
-// Initialize clients on module load
+// Initialize clients on module load, and again when providers are edited
 initializeClients();
+modelCatalog.onProvidersChanged(initializeClients);
 
 // ============================================================================
-// PROVIDER-SPECIFIC STREAMING FUNCTIONS
+// MULTIMODAL CONTENT (provider-neutral parts and translation)
 // ============================================================================
+//
+// Message content is either a string or an array of parts:
+//   { type: 'text', text }
+//   { type: 'image', data (base64) | url, mediaType, name? }
+//   { type: 'document', data (base64) | url, mediaType: 'application/pdf', name? }
+// Images need a model with supportsVision, documents one with supportsDocuments.
+
+const IMAGE_MEDIA_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const DOCUMENT_MEDIA_TYPES = ["application/pdf"];
+// SDKs that can fetch a document from a URL (the others need base64 data)
+const DOCUMENT_URL_SDK_TYPES = ["google", "anthropic"];
 
 /**
- * Stream from Google Gemini
- * @param {Object} options - Streaming options
- * @param {Function} onChunk - Callback for each chunk: ({ type: 'content'|'done', content?, finishReason? })
+ * Create an error carrying a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
  */
-async function streamGoogle(options, onChunk) {
-  const { model, messages, systemPrompt, temperature, maxTokens } = options;
-  const client = clients.google.instance;
+const codedError = (message, code) => Object.assign(new Error(message), { code });
 
-  if (!client) throw new Error("Google AI not configured");
-
-  // Build contents array for Gemini
-  const contents = messages.map((msg) => ({
-    role: msg.role === "assistant" ? "model" : "user",
-    parts: [{ text: msg.content }],
-  }));
+/**
+ * Normalize message content to an array of parts
+ * @param {string|Array} content - Message content
+ * @returns {Array} Parts
+ */
+const getContentParts = (content) => {
+  if (Array.isArray(content)) return content;
+  if (content === undefined || content === null || content === "") return [];
+  return [{ type: "text", text: String(content) }];
+};
 
-  // Build request options
-  const requestOptions = {
-    model: model || "gemini-2.0-flash",
-    contents,
-    config:{}
-  };
+/**
+ * Get the text of a message, with placeholders for attachments
+ * @param {string|Array} content - Message content
+ * @returns {string} Text content
+ */
+const getTextContent = (content) => {
+  if (!Array.isArray(content)) return content ?? "";
+  return content
+    .map((part) => (part.type === "text" ? part.text : `[${part.type}${part.name ? `: ${part.name}` : ""}]`))
+    .join("\n");
+};
 
-  if (systemPrompt) {
-    requestOptions.config.systemInstruction = systemPrompt;
-  }
+/**
+ * Check whether content contains anything other than text
+ * @param {string|Array} content - Message content
+ * @returns {boolean}
+ */
+const hasAttachments = (content) =>
+  Array.isArray(content) && content.some((part) => part.type !== "text");
 
-  if (temperature !== undefined) {
-    requestOptions.config.temperature = temperature;
-  }
+/**
+ * Validate multimodal message content against a model's capabilities
+ * @param {Array} messages - Messages
+ * @param {Object|null} modelConfig - Model configuration from models.json
+ * @throws {Error} code INVALID_INPUT for malformed parts, UNSUPPORTED_INPUT
+ *   for attachments the model cannot accept
+ */
+const validateMessageContent = (messages, modelConfig) => {
+  const modelName = modelConfig?.name || "this model";
 
-  if (maxTokens !== undefined) {
-    requestOptions.config.maxTokens = maxTokens;
-  }
+  (messages || []).forEach((msg, msgIndex) => {
+    if (!Array.isArray(msg.content)) return;
 
-  // === LOG GOOGLE REQUEST ===
-  console.log("[llmService] Google API request:");
-  console.log("  requestOptions:", JSON.stringify(requestOptions));
-  const response = await client.models.generateContentStream(requestOptions);
+    msg.content.forEach((part, partIndex) => {
+      const where = `messages[${msgIndex}].content[${partIndex}]`;
 
-  let chunkCount = 0;
-  for await (const chunk of response) {
-    const part = chunk.candidates?.[0]?.content?.parts?.[0];
+      if (part?.type === "text") {
+        if (typeof part.text !== "string") {
+          throw codedError(`${where}.text must be a string`, "INVALID_INPUT");
+        }
+        return;
+      }
 
-    if (part?.text) {
-      onChunk({ type: "content", content: part.text });
-      chunkCount++;
-    }
-  }
+      if (part?.type !== "image" && part?.type !== "document") {
+        throw codedError(`${where}.type must be 'text', 'image' or 'document'`, "INVALID_INPUT");
+      }
+      if (!part.data && !part.url) {
+        throw codedError(`${where} requires base64 'data' or a 'url'`, "INVALID_INPUT");
+      }
+      if (msg.role !== "user") {
+        throw codedError(`${where}: attachments are only allowed in user messages`, "INVALID_INPUT");
+      }
 
-  onChunk({ type: "done", finishReason: "stop", chunkCount });
-}
+      if (part.type === "image") {
+        if (part.data && !IMAGE_MEDIA_TYPES.includes(part.mediaType)) {
+          throw codedError(
+            `${where}.mediaType must be one of ${IMAGE_MEDIA_TYPES.join(", ")}`,
+            "INVALID_INPUT"
+          );
+        }
+        if (!modelConfig?.supportsVision) {
+          throw codedError(`${modelName} does not accept image inputs`, "UNSUPPORTED_INPUT");
+        }
+      } else {
+        if (!DOCUMENT_MEDIA_TYPES.includes(part.mediaType)) {
+          throw codedError(
+            `${where}.mediaType must be one of ${DOCUMENT_MEDIA_TYPES.join(", ")}`,
+            "INVALID_INPUT"
+          );
+        }
+        if (!modelConfig?.supportsDocuments) {
+          throw codedError(`${modelName} does not accept document inputs`, "UNSUPPORTED_INPUT");
+        }
+        const sdkType = modelCatalog.getProvider(modelConfig.provider)?.sdkType;
+        if (part.url && !DOCUMENT_URL_SDK_TYPES.includes(sdkType)) {
+          throw codedError(
+            `${modelName} only accepts documents as base64 data, not URLs`,
+            "UNSUPPORTED_INPUT"
+          );
+        }
+      }
+    });
+  });
+};
 
 /**
- * Stream from OpenAI-compatible APIs (OpenAI, xAI, Groq)
- * @param {Object} options - Streaming options
- * @param {Function} onChunk - Callback for each chunk
- * @param {string} providerName - Provider name
+ * Translate content to OpenAI chat completions format
+ * @param {string|Array} content - Message content
+ * @returns {string|Array} OpenAI content
  */
-async function streamOpenAICompatible(options, onChunk, providerName) {
-  const { model, messages, systemPrompt, temperature, maxTokens } = options;
-  const client = clients[providerName].instance;
-
-  if (!client) throw new Error(`${providerName} not configured`);
-
-  // Build messages array with system prompt
-  const apiMessages = [];
-  if (systemPrompt) {
-    apiMessages.push({ role: "system", content: systemPrompt });
-  }
-  apiMessages.push(...messages);
+const toOpenAIContent = (content) => {
+  if (!Array.isArray(content)) return content;
+  return content.map((part) => {
+    if (part.type === "image") {
+      return {
+        type: "image_url",
+        image_url: { url: part.url || `data:${part.mediaType};base64,${part.data}` },
+      };
+    }
+    if (part.type === "document") {
+      return {
+        type: "file",
+        file: {
+          filename: part.name || "document.pdf",
+          file_data: `data:${part.mediaType};base64,${part.data}`,
+        },
+      };
+    }
+    return { type: "text", text: part.text };
+  });
+};
 
-  logger.info(`${providerName} stream request`, {
-    model,
-    messageCount: apiMessages.length,
+/**
+ * Translate content to Anthropic content blocks
+ * @param {string|Array} content - Message content
+ * @returns {string|Array} Anthropic content
+ */
+const toAnthropicContent = (content) => {
+  if (!Array.isArray(content)) return content;
+  return content.map((part) => {
+    if (part.type === "image" || part.type === "document") {
+      return {
+        type: part.type,
+        source: part.url
+          ? { type: "url", url: part.url }
+          : { type: "base64", media_type: part.mediaType, data: part.data },
+      };
+    }
+    return { type: "text", text: part.text };
   });
+};
 
-  const stream = await client.chat.completions.create({
-    model,
-    messages: apiMessages,
-    temperature: temperature ?? 0.7,
-    max_tokens: maxTokens,
-    stream: true,
+/**
+ * Translate content to Gemini parts
+ * @param {string|Array} content - Message content
+ * @returns {Array} Gemini parts
+ */
+const toGoogleParts = (content) =>
+  getContentParts(content).map((part) => {
+    if (part.type === "image" || part.type === "document") {
+      return part.url
+        ? { fileData: { fileUri: part.url, mimeType: part.mediaType } }
+        : { inlineData: { data: part.data, mimeType: part.mediaType } };
+    }
+    return { text: part.text };
   });
 
-  let chunkCount = 0;
-  for await (const chunk of stream) {
-    const content = chunk.choices[0]?.delta?.content;
-    const finishReason = chunk.choices[0]?.finish_reason;
+// ============================================================================
+// TOOL CALLING (provider-neutral format and translation)
+// ============================================================================
+//
+// Tools:        [{ name, description?, parameters? (JSON Schema object) }]
+// Tool choice:  'auto' | 'none' | 'required' | { name }
+// Tool call:    { id, name, arguments (object) }
+// Messages:     { role: 'assistant', content, toolCalls: [toolCall], thinkingBlocks? }
+//               { role: 'tool', toolCallId, name?, content (string) }
+// thinkingBlocks are opaque Anthropic thinking blocks returned in the 'done'
+// chunk of a tool-calling turn; they must be sent back with the tool results.
 
-    if (content) {
-      onChunk({ type: "content", content });
-      chunkCount++;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validate and normalize provider-neutral tool definitions
+ * @param {Array} tools - Tool definitions
+ * @returns {Array} Normalized tools
+ * @throws {Error} If a definition is invalid
+ */
+const normalizeTools = (tools) => {
+  if (!Array.isArray(tools)) {
+    throw codedError("tools must be an array", "INVALID_INPUT");
+  }
+
+  const names = new Set();
+  return tools.map((tool, index) => {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || "")) {
+      throw codedError(
+        `tools[${index}].name must match ${TOOL_NAME_PATTERN} (letters, digits, _ or -)`,
+        "INVALID_INPUT"
+      );
     }
+    if (names.has(tool.name)) {
+      throw codedError(`Duplicate tool name '${tool.name}'`, "INVALID_INPUT");
+    }
+    names.add(tool.name);
 
-    if (finishReason) {
-      onChunk({ type: "done", finishReason, chunkCount });
-      return;
+    const parameters = tool.parameters || { type: "object", properties: {} };
+    if (typeof parameters !== "object" || parameters.type !== "object") {
+      throw codedError(
+        `tools[${index}].parameters must be a JSON Schema of type 'object'`,
+        "INVALID_INPUT"
+      );
     }
-  }
 
-  onChunk({ type: "done", finishReason: "stop", chunkCount });
-}
+    return {
+      name: tool.name,
+      description: tool.description || "",
+      parameters,
+    };
+  });
+};
 
 /**
- * Stream from Anthropic Claude
- * @param {Object} options - Streaming options
- * @param {Function} onChunk - Callback for each chunk
+ * Validate a provider-neutral tool choice
+ * @param {string|Object} toolChoice - Tool choice
+ * @param {Array} tools - Normalized tools
+ * @returns {string|Object|undefined} Tool choice
+ * @throws {Error} If the choice is invalid
  */
-async function streamAnthropic(options, onChunk) {
-  const { model, messages, systemPrompt, temperature, maxTokens } = options;
-  const client = clients.anthropic.instance;
+const normalizeToolChoice = (toolChoice, tools) => {
+  if (toolChoice === undefined || toolChoice === null) return undefined;
+  if (["auto", "none", "required"].includes(toolChoice)) return toolChoice;
+  if (toolChoice?.name && tools.some((t) => t.name === toolChoice.name)) {
+    return { name: toolChoice.name };
+  }
+  throw codedError(
+    "toolChoice must be 'auto', 'none', 'required' or { name } of a declared tool",
+    "INVALID_INPUT"
+  );
+};
 
-  if (!client) throw new Error("Anthropic not configured");
+/**
+ * Generate an ID for providers that do not return tool call IDs
+ * @returns {string}
+ */
+const createToolCallId = () => `call_${crypto.randomBytes(12).toString("hex")}`;
 
-  // Filter out system messages (handled separately)
-  const apiMessages = messages.filter((m) => m.role !== "system");
+/**
+ * Parse streamed tool call arguments
+ * @param {string} raw - JSON text
+ * @returns {Object} Parsed arguments ({} if empty or invalid)
+ */
+const parseToolArguments = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    logger.warn("Invalid tool call arguments from provider", { raw: raw.substring(0, 200) });
+    return {};
+  }
+};
 
-  logger.info('Anthropic stream request', {
-    model,
-    messageCount: apiMessages.length,
-  });
+/**
+ * Find the tool name for a tool result message from earlier assistant turns
+ * @param {Array} messages - Conversation messages
+ * @param {Object} toolMessage - Tool result message
+ * @returns {string|undefined}
+ */
+const resolveToolName = (messages, toolMessage) => {
+  if (toolMessage.name) return toolMessage.name;
+  for (const msg of messages) {
+    const call = msg.toolCalls?.find((c) => c.id === toolMessage.toolCallId);
+    if (call) return call.name;
+  }
+  return undefined;
+};
 
-  const stream = await client.messages.stream({
-    model,
-    messages: apiMessages,
-    system: systemPrompt,
-    temperature: temperature ?? 0.7,
-    max_tokens: maxTokens || 4096,
+/**
+ * Translate messages to OpenAI chat completions format
+ * @param {Array} messages - Provider-neutral messages
+ * @returns {Array} OpenAI messages
+ */
+const toOpenAIMessages = (messages) =>
+  messages.map((msg) => {
+    if (msg.role === "tool") {
+      return { role: "tool", tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.role === "assistant" && msg.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+        })),
+      };
+    }
+    return { role: msg.role, content: toOpenAIContent(msg.content) };
   });
 
-  let chunkCount = 0;
-  for await (const event of stream) {
-    if (event.type === "content_block_delta" && event.delta?.text) {
-      onChunk({ type: "content", content: event.delta.text });
-      chunkCount++;
-    } else if (event.type === "message_stop") {
-      onChunk({ type: "done", finishReason: "stop", chunkCount });
-      return;
-    } else if (event.type === "message_delta" && event.delta?.stop_reason) {
-      onChunk({
-        type: "done",
-        finishReason: event.delta.stop_reason,
-        chunkCount,
+/**
+ * Translate tool options to OpenAI format
+ * @param {Array} tools - Normalized tools
+ * @param {string|Object} [toolChoice] - Tool choice
+ * @returns {Object} Request fields
+ */
+const toOpenAITools = (tools, toolChoice) => ({
+  tools: tools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  })),
+  ...(toolChoice && {
+    tool_choice: toolChoice.name
+      ? { type: "function", function: { name: toolChoice.name } }
+      : toolChoice,
+  }),
+});
+
+/**
+ * Translate messages to Anthropic format.
+ * Consecutive tool results are merged into one user turn, as the API requires.
+ * @param {Array} messages - Provider-neutral messages (system messages removed)
+ * @returns {Array} Anthropic messages
+ */
+const toAnthropicMessages = (messages) => {
+  const result = [];
+
+  for (const msg of messages) {
+    if (msg.role === "tool") {
+      const block = {
+        type: "tool_result",
+        tool_use_id: msg.toolCallId,
+        content: msg.content,
+        ...(msg.isError && { is_error: true }),
+      };
+      const previous = result[result.length - 1];
+      if (previous?.role === "user" && Array.isArray(previous.content) &&
+          previous.content.every((b) => b.type === "tool_result")) {
+        previous.content.push(block);
+      } else {
+        result.push({ role: "user", content: [block] });
+      }
+    } else if (msg.role === "assistant" && msg.toolCalls?.length) {
+      result.push({
+        role: "assistant",
+        content: [
+          ...(msg.thinkingBlocks || []),
+          ...(msg.content ? [{ type: "text", text: msg.content }] : []),
+          ...msg.toolCalls.map((call) => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {},
+          })),
+        ],
       });
-      return;
+    } else {
+      result.push({ role: msg.role, content: toAnthropicContent(msg.content) });
     }
   }
 
-  onChunk({ type: "done", finishReason: "stop", chunkCount });
-}
+  return result;
+};
+
+/**
+ * Translate tool options to Anthropic format
+ * @param {Array} tools - Normalized tools
+ * @param {string|Object} [toolChoice] - Tool choice
+ * @returns {Object} Request fields
+ */
+const toAnthropicTools = (tools, toolChoice) => {
+  const choices = { auto: { type: "auto" }, none: { type: "none" }, required: { type: "any" } };
+  return {
+    tools: tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters,
+    })),
+    ...(toolChoice && {
+      tool_choice: toolChoice.name ? { type: "tool", name: toolChoice.name } : choices[toolChoice],
+    }),
+  };
+};
+
+/**
+ * Translate messages to Gemini contents
+ * @param {Array} messages - Provider-neutral messages
+ * @returns {Array} Gemini contents
+ */
+const toGoogleContents = (messages) =>
+  messages.map((msg) => {
+    if (msg.role === "tool") {
+      let response;
+      try {
+        const parsed = JSON.parse(msg.content);
+        response = parsed && typeof parsed === "object" && !Array.isArray(parsed)
+          ? parsed
+          : { result: parsed };
+      } catch {
+        response = { result: msg.content };
+      }
+      return {
+        role: "user",
+        parts: [{
+          functionResponse: {
+            id: msg.toolCallId,
+            name: resolveToolName(messages, msg),
+            response: msg.isError ? { error: response } : response,
+          },
+        }],
+      };
+    }
+    if (msg.role === "assistant" && msg.toolCalls?.length) {
+      return {
+        role: "model",
+        parts: [
+          ...(msg.content ? [{ text: msg.content }] : []),
+          ...msg.toolCalls.map((call) => ({
+            functionCall: { id: call.id, name: call.name, args: call.arguments || {} },
+          })),
+        ],
+      };
+    }
+    return {
+      role: msg.role === "assistant" ? "model" : "user",
+      parts: toGoogleParts(msg.content),
+    };
+  });
+
+/**
+ * Translate tool options to Gemini config fields
+ * @param {Array} tools - Normalized tools
+ * @param {string|Object} [toolChoice] - Tool choice
+ * @returns {Object} Config fields
+ */
+const toGoogleTools = (tools, toolChoice) => {
+  const modes = { auto: "AUTO", none: "NONE", required: "ANY" };
+  return {
+    tools: [{
+      functionDeclarations: tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parametersJsonSchema: tool.parameters,
+      })),
+    }],
+    ...(toolChoice && {
+      toolConfig: {
+        functionCallingConfig: toolChoice.name
+          ? { mode: "ANY", allowedFunctionNames: [toolChoice.name] }
+          : { mode: modes[toolChoice] },
+      },
+    }),
+  };
+};
 
 // ============================================================================
-// MAIN STREAMING FUNCTION
+// THINKING / REASONING
 // ============================================================================
 
 /**
- * Stream chat completion from any provider
- *
- * @param {Object} options - Streaming options
- * @param {string} options.model - Model ID
- * @param {string} [options.provider] - Provider name (auto-detected from model if not provided)
- * @param {Array} options.messages - Array of { role, content } messages
- * @param {string} [options.systemPrompt] - System prompt
- * @param {number} [options.temperature] - Temperature (0-1)
- * @param {number} [options.maxTokens] - Max tokens
- * @param {Function} options.onChunk - Callback for each chunk: ({ type: 'content'|'done', content?, finishReason? })
+ * Resolve the thinking budget for a request.
+ * Thinking is opt-in per request: pass a budget in tokens, or true for the
+ * model's thinkingBudget.default. Omitted, null, 0 or false leaves it off.
  *
- * @returns {Promise<void>}
+ * @param {Object|null} modelConfig - Model configuration from models.json
+ * @param {number|boolean} [thinkingBudget] - Requested budget in tokens
+ * @param {number} [maxTokens] - Requested max output tokens
+ * @returns {{ budget: number, effort: string }|null} Thinking settings, or null when off
+ * @throws {Error} code INVALID_INPUT if the model cannot think or the budget is outside its range
  */
-async function streamChat(options) {
-  const { model, provider, onChunk, systemPrompt, temperature } = options;
+const resolveThinking = (modelConfig, thinkingBudget, maxTokens) => {
+  if (thinkingBudget === undefined || thinkingBudget === null) return null;
+  if (thinkingBudget === 0 || thinkingBudget === false) return null;
 
-  if (typeof onChunk !== "function") {
-    throw new Error("onChunk callback is required");
+  const range = modelConfig?.thinkingEnabled ? modelConfig.thinkingBudget : null;
+  if (!range) {
+    throw codedError(
+      `${modelConfig?.name || "This model"} does not support thinking`,
+      "INVALID_INPUT"
+    );
   }
 
-  // Determine provider from model config or explicit provider
-  const modelConfig = getModelConfig(model);
-  const actualProvider = provider || modelConfig?.provider;
-
-  if (!actualProvider) {
-    throw new Error(
-      `Unknown model '${model}'. Specify a provider or use a known model ID.`
+  const budget = thinkingBudget === true ? range.default : thinkingBudget;
+  if (!Number.isInteger(budget) || budget < range.min || budget > range.max) {
+    throw codedError(
+      `thinkingBudget must be an integer between ${range.min} and ${range.max} for ${modelConfig.name}`,
+      "INVALID_INPUT"
     );
   }
-
-  if (!clients[actualProvider]?.configured) {
-    throw new Error(`Provider '${actualProvider}' is not configured`);
+  if (maxTokens && maxTokens <= budget) {
+    throw codedError("thinkingBudget must be lower than maxTokens", "INVALID_INPUT");
   }
 
-  logger.info('streamChat starting', { provider: actualProvider, model });
+  // OpenAI only accepts a coarse effort level: map the budget onto thirds of the range
+  const position = (budget - range.min) / Math.max(range.max - range.min, 1);
+  const effort = position < 1 / 3 ? "low" : position < 2 / 3 ? "medium" : "high";
 
-  // Route to appropriate streaming function
-  switch (actualProvider) {
-    case "google":
-      return streamGoogle(options, onChunk);
-    case "openai":
-      return streamOpenAICompatible(options, onChunk, "openai");
-    case "xai":
-      return streamOpenAICompatible(options, onChunk, "xai");
-    case "groq":
-      return streamOpenAICompatible(options, onChunk, "groq");
-    case "anthropic":
-      return streamAnthropic(options, onChunk);
-    default:
-      throw new Error(`Unsupported provider: ${actualProvider}`);
-  }
-}
+  return { budget, effort };
+};
 
 // ============================================================================
-// EMBEDDINGS
+// STRUCTURED OUTPUT
 // ============================================================================
+// responseFormat: { type: 'json', schema?, name? } asks for a JSON answer.
+// The model's `jsonMode` in models.json picks the native mechanism:
+//   response_mime_type  Gemini responseMimeType + responseJsonSchema
+//   response_format     OpenAI-compatible response_format (json_schema / json_object)
+//   tool_use            Anthropic forced tool whose input is the answer
+// Models without one (or where it cannot be combined with the request, e.g.
+// Anthropic with tools or thinking) get the instructions in the system prompt.
+// The final text is parsed and validated against the schema either way.
+
+// Name of the forced tool carrying the answer in Anthropic tool_use mode
+const RESPONSE_TOOL_NAME = "json_response";
 
 /**
- * Generate embeddings using OpenAI
- * @param {Object} options - Embedding options
- * @param {string} [options.model] - Model ID
- * @param {string|Array} options.input - Input text(s)
- * @returns {Promise<Object>} Embedding result
+ * Validate a responseFormat option and pick how to enforce it
+ * @param {Object|null} modelConfig - Model configuration from models.json
+ * @param {Object} [responseFormat] - { type: 'json', schema?, name? }
+ * @param {Object} request - { tools, thinking } of the validated request
+ * @returns {{ type: 'json', schema?: Object, name: string, mode: string }|null}
+ *   mode is the model's jsonMode, or 'prompt' for instruction-based output
+ * @throws {Error} code INVALID_INPUT if the format is malformed
  */
-async function generateEmbeddings(options) {
-  const { model, input } = options;
+const resolveResponseFormat = (modelConfig, responseFormat, { tools, thinking }) => {
+  if (responseFormat === undefined || responseFormat === null) return null;
+
+  if (responseFormat?.type !== "json") {
+    throw codedError("responseFormat.type must be 'json'", "INVALID_INPUT");
+  }
+  const { schema } = responseFormat;
+  if (schema !== undefined && (!schema || typeof schema !== "object" || Array.isArray(schema))) {
+    throw codedError("responseFormat.schema must be a JSON Schema object", "INVALID_INPUT");
+  }
+  const name = responseFormat.name || "response";
+  if (!TOOL_NAME_PATTERN.test(name)) {
+    throw codedError(`responseFormat.name must match ${TOOL_NAME_PATTERN}`, "INVALID_INPUT");
+  }
 
-  if (!clients.openai.configured) {
-    throw new Error("OpenAI is not configured for embeddings");
+  let mode = modelConfig?.jsonMode || "prompt";
+  if (mode === "tool_use" && (tools?.length || thinking || (schema && schema.type !== "object"))) {
+    // A forced tool cannot coexist with caller tools or extended thinking,
+    // and tool input is always an object
+    mode = "prompt";
   }
 
-  return clients.openai.instance.embeddings.create({
-    model: model || "text-embedding-3-large",
-    input,
-  });
-}
+  return { type: "json", ...(schema && { schema }), name, mode };
+};
+
+/**
+ * Add JSON instructions to the system prompt where the provider cannot
+ * enforce the format itself (prompt mode, or OpenAI json_object without a
+ * schema, which also requires the word "JSON" in the prompt)
+ * @param {Object} options - Streaming options with a resolved responseFormat
+ * @returns {Object} Options with the system prompt extended
+ */
+const withJsonInstructions = (options) => {
+  const format = options.responseFormat;
+  if (!format) return options;
+  if (format.mode !== "prompt" && !(format.mode === "response_format" && !format.schema)) return options;
+
+  const instructions = [
+    "Respond only with valid JSON: no prose, no markdown code fences.",
+    ...(format.schema
+      ? [`The JSON must conform to this JSON Schema:\n${JSON.stringify(format.schema)}`]
+      : []),
+  ].join("\n");
+
+  return {
+    ...options,
+    systemPrompt: options.systemPrompt ? `${options.systemPrompt}\n\n${instructions}` : instructions,
+  };
+};
+
+/**
+ * Parse and validate the final text of a JSON-mode response
+ * @param {string} text - Full response text
+ * @param {Object} responseFormat - Resolved responseFormat
+ * @returns {{ parsed: *, validationErrors: Array<{ path: string, message: string }> }}
+ *   parsed is null when the text is not JSON
+ */
+const parseJsonOutput = (text, responseFormat) => {
+  // Prompt-based output sometimes arrives fenced despite the instructions
+  const trimmed = String(text || "").trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, "$1");
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    return { parsed: null, validationErrors: [{ path: "", message: `is not valid JSON: ${error.message}` }] };
+  }
+
+  return {
+    parsed,
+    validationErrors: responseFormat.schema ? validateJsonSchema(responseFormat.schema, parsed) : [],
+  };
+};
 
 // ============================================================================
-// EXPORTS
+// REQUEST VALIDATION
 // ============================================================================
 
-module.exports = {
-  // Main streaming function
-  streamChat,
+/**
+ * Validate and normalize the request options shared by every entry point.
+ * Called by streamChat, and up front by the SSE controller and WebSocket
+ * handler so errors are reported before anything is persisted.
+ *
+ * @param {Object} options - Chat options (model, messages, tools, toolChoice, thinkingBudget,
+ *   maxTokens, responseFormat, contextStrategy)
+ * @returns {{ tools?: Array, toolChoice?: string|Object, thinking: Object|null, responseFormat: Object|null }}
+ * @throws {Error} With a code property (INVALID_INPUT or UNSUPPORTED_INPUT)
+ */
+const validateChatRequest = (options) => {
+  const modelConfig = getModelConfig(options.model);
 
-  // Embeddings
-  generateEmbeddings,
+  validateMessageContent(options.messages, modelConfig);
+
+  let tools;
+  let toolChoice;
+  if (options.tools?.length) {
+    tools = normalizeTools(options.tools);
+    toolChoice = normalizeToolChoice(options.toolChoice, tools);
+  }
+
+  const thinking = resolveThinking(modelConfig, options.thinkingBudget, options.maxTokens);
+  const responseFormat = resolveResponseFormat(modelConfig, options.responseFormat, { tools, thinking });
+
+  if (options.contextStrategy !== undefined && !CONTEXT_STRATEGIES.includes(options.contextStrategy)) {
+    throw codedError(`contextStrategy must be one of: ${CONTEXT_STRATEGIES.join(", ")}`, "INVALID_INPUT");
+  }
+
+  return { tools, toolChoice, thinking, responseFormat };
+};
+
+// ============================================================================
+// TOKEN USAGE
+// ============================================================================
+
+/**
+ * Build a provider-neutral usage record for the 'done' chunk.
+ * outputTokens excludes thinkingTokens where the provider reports them
+ * separately (OpenAI, Gemini); Anthropic includes thinking in outputTokens.
+ *
+ * @param {Object} counts - Token counts
+ * @param {number} [counts.inputTokens=0] - Prompt tokens
+ * @param {number} [counts.outputTokens=0] - Generated answer tokens
+ * @param {number} [counts.thinkingTokens=0] - Reasoning tokens
+ * @returns {{ inputTokens: number, outputTokens: number, thinkingTokens: number, totalTokens: number }}
+ */
+const buildUsage = ({ inputTokens = 0, outputTokens = 0, thinkingTokens = 0 }) => ({
+  inputTokens,
+  outputTokens,
+  thinkingTokens,
+  totalTokens: inputTokens + outputTokens + thinkingTokens,
+});
+
+// Tokenizer approximations per provider family (sdkType). Providers do not
+// expose their tokenizers offline, so counts are estimates: characters per
+// token for text, a per-message overhead for roles and separators, and fixed
+// costs for attachments (documents per ~20 KB of base64 data, about a page).
+const TOKEN_ESTIMATES = {
+  openai: { charsPerToken: 4, messageOverhead: 4, image: 765, documentPage: 1500 },
+  anthropic: { charsPerToken: 3.5, messageOverhead: 3, image: 1600, documentPage: 2000 },
+  google: { charsPerToken: 4, messageOverhead: 2, image: 258, documentPage: 258 },
+};
+
+/**
+ * Tokenizer family of a provider: openai-compatible and mock providers are
+ * counted as OpenAI
+ * @param {string} provider - Provider ID
+ * @returns {'openai'|'anthropic'|'google'}
+ */
+const getTokenFamily = (provider) => {
+  const sdkType = clients[provider]?.sdkType;
+  return TOKEN_ESTIMATES[sdkType] ? sdkType : "openai";
+};
+
+/**
+ * Rough token count for when the provider does not report usage (mock
+ * streams, cancelled requests) and for context-window checks
+ * @param {string} text - Text
+ * @param {string} [family='openai'] - Tokenizer family (see getTokenFamily)
+ * @returns {number} Tokens
+ */
+const estimateTokens = (text, family = "openai") =>
+  Math.ceil((text || "").length / TOKEN_ESTIMATES[family].charsPerToken);
+
+/**
+ * Estimate the prompt tokens of one message: text, attachments, tool calls
+ * and tool results
+ * @param {Object} message - { role, content, toolCalls? }
+ * @param {string} [family='openai'] - Tokenizer family
+ * @returns {number} Tokens
+ */
+const estimateMessageTokens = (message, family = "openai") => {
+  const costs = TOKEN_ESTIMATES[family];
+  let tokens = costs.messageOverhead;
+
+  for (const part of getContentParts(message.content)) {
+    if (part.type === "text") {
+      tokens += estimateTokens(part.text, family);
+    } else if (part.type === "image") {
+      tokens += costs.image;
+    } else if (part.type === "document") {
+      const pages = part.data ? Math.max(1, Math.round(part.data.length / 20000)) : 1;
+      tokens += pages * costs.documentPage;
+    }
+  }
+
+  for (const toolCall of message.toolCalls || []) {
+    tokens += estimateTokens(`${toolCall.name}${JSON.stringify(toolCall.arguments || {})}`, family);
+  }
+
+  return tokens;
+};
+
+/**
+ * Estimate the usage of a stream cancelled before the provider reported it
+ * @param {Object} options - Streaming options (prompt)
+ * @param {Object} streamed - { content, thinking } text received so far
+ * @returns {Object} Usage with estimated: true
+ */
+const estimatePartialUsage = (options, { content, thinking }) => ({
+  ...buildUsage({
+    inputTokens: estimateTokens(
+      [options.systemPrompt, ...(options.messages || []).map((m) => getTextContent(m.content))].join("\n")
+    ),
+    outputTokens: estimateTokens(content),
+    thinkingTokens: estimateTokens(thinking),
+  }),
+  estimated: true,
+});
+
+// ============================================================================
+// CONTEXT WINDOW
+// ============================================================================
+//
+// A request whose estimated prompt does not fit the model's context window
+// (maxTokens in models.json, less the tokens reserved for the answer) is
+// handled by its contextStrategy:
+//   reject    - fail with CONTEXT_LENGTH_EXCEEDED without calling the provider
+//   truncate  - drop the oldest turns; the last turn is always kept
+//   summarize - replace the oldest turns with a summary, appended to the system
+//               prompt, written by a cheaper model (LLM_CONTEXT_SUMMARY_MODEL,
+//               or the provider's cheapest chat model); truncates on failure
+// A turn starts at a user message, so tool calls stay with their results.
+
+const CONTEXT_STRATEGIES = ["reject", "truncate", "summarize"];
+
+const CONTEXT_CONFIG = {
+  strategy: CONTEXT_STRATEGIES.includes(process.env.LLM_CONTEXT_STRATEGY)
+    ? process.env.LLM_CONTEXT_STRATEGY
+    : "truncate",
+  summaryModel: process.env.LLM_CONTEXT_SUMMARY_MODEL || null,
+  summaryMaxTokens: 1024,
+  windowRatio: 0.95, // estimates are approximate: keep a margin below the window
+};
+
+const SUMMARY_PROMPT =
+  "Summarize the conversation below for an assistant that will continue it. " +
+  "Keep facts, decisions, names, numbers and open questions. Be concise and do not add a preamble.";
+
+/**
+ * Estimate the prompt tokens of a request against its model's context window.
+ * Backs POST /llm/tokens/count and the context strategies.
+ *
+ * @param {Object} options - { model, provider?, messages, systemPrompt?, tools?, maxTokens? }
+ * @returns {{ model: string, provider: string, family: string, inputTokens: number,
+ *   breakdown: { system: number, tools: number, messages: number }, contextWindow: number|null,
+ *   outputReserve: number, available: number|null, fits: boolean, estimated: true }}
+ */
+const countTokens = ({ model, provider, messages = [], systemPrompt, tools, maxTokens }) => {
+  const modelConfig = getModelConfig(model);
+  const actualProvider = provider || modelConfig?.provider;
+  const family = getTokenFamily(actualProvider);
+  const contextWindow = modelConfig?.maxTokens || null;
+
+  const breakdown = {
+    system: systemPrompt ? estimateTokens(systemPrompt, family) : 0,
+    tools: tools?.length ? estimateTokens(JSON.stringify(tools), family) : 0,
+    messages: messages.reduce((sum, message) => sum + estimateMessageTokens(message, family), 0),
+  };
+  const inputTokens = breakdown.system + breakdown.tools + breakdown.messages;
+
+  // Room for the answer, never more than half the window
+  const outputReserve = Math.min(
+    maxTokens || modelConfig?.maxOutputTokens || 0,
+    contextWindow ? Math.floor(contextWindow / 2) : Infinity
+  );
+  const available = contextWindow
+    ? Math.floor(contextWindow * CONTEXT_CONFIG.windowRatio) - outputReserve
+    : null;
+
+  return {
+    model,
+    provider: actualProvider,
+    family,
+    inputTokens,
+    breakdown,
+    contextWindow,
+    outputReserve,
+    available,
+    fits: available === null || inputTokens <= available,
+    estimated: true,
+  };
+};
+
+/**
+ * Split messages into turns, each starting at a user message
+ * @param {Array} messages - Messages
+ * @returns {Array<Array>} Turns
+ */
+const splitTurns = (messages) => {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === "user" || !turns.length) turns.push([]);
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+};
+
+/**
+ * Pick the model that summarizes dropped turns: LLM_CONTEXT_SUMMARY_MODEL, or
+ * the cheapest chat model of the request's provider
+ * @param {string} provider - Provider of the request
+ * @returns {Object|null} Model configuration
+ */
+const getSummaryModel = (provider) => {
+  if (CONTEXT_CONFIG.summaryModel) {
+    const config = getModelConfig(CONTEXT_CONFIG.summaryModel);
+    return config && isProviderAvailable(config.provider) ? config : null;
+  }
+
+  return modelCatalog.listModels({ provider })
+    .filter((m) => (m.type || "chat") === "chat")
+    .sort((a, b) => (a.pricing?.input ?? Infinity) - (b.pricing?.input ?? Infinity))[0] || null;
+};
+
+/**
+ * Summarize messages with the summary model
+ * @param {Array} messages - Messages to summarize
+ * @param {Object} options - Request options (provider, signal)
+ * @returns {Promise<{ text: string, model: string, provider: string, usage: Object }>}
+ */
+async function summarizeMessages(messages, { provider, signal }) {
+  const summaryModel = getSummaryModel(provider);
+  if (!summaryModel) throw new Error("No summary model available");
+
+  const transcript = messages
+    .map((m) => {
+      const calls = (m.toolCalls || []).map((c) => `[${c.name}(${JSON.stringify(c.arguments || {})})]`);
+      return `${m.role}: ${[getTextContent(m.content), ...calls].filter(Boolean).join("\n")}`;
+    })
+    .join("\n\n");
+
+  let text = "";
+  let usage = null;
+  const answer = await streamChat({
+    model: summaryModel.id,
+    messages: [{ role: "user", content: transcript }],
+    systemPrompt: SUMMARY_PROMPT,
+    maxTokens: CONTEXT_CONFIG.summaryMaxTokens,
+    contextStrategy: "truncate",
+    signal,
+    onChunk: (chunk) => {
+      if (chunk.type === "content") text += chunk.content || "";
+      if (chunk.type === "done") usage = chunk.usage;
+    },
+  });
+
+  if (answer.cancelled || !text.trim()) throw new Error("Summary request returned no text");
+  return { text: text.trim(), model: answer.model, provider: answer.provider, usage };
+}
+
+/**
+ * Apply the request's context strategy for one model of the fallback chain
+ *
+ * @param {Object} options - Validated streaming options (model, provider, messages, ...)
+ * @returns {Promise<{ options: Object, context: Object }>} The options to send and the
+ *   report for llm:started: { strategy, applied: 'none'|'truncate'|'summarize',
+ *   inputTokens, contextWindow, droppedMessages?, summary?: { model, provider, usage } }
+ * @throws {Error} CONTEXT_LENGTH_EXCEEDED when rejecting, or when even the last turn does not fit
+ */
+async function fitContext(options) {
+  const strategy = options.contextStrategy || CONTEXT_CONFIG.strategy;
+  const count = countTokens(options);
+  const report = (applied, fitted, extra = {}) => ({
+    strategy,
+    applied,
+    inputTokens: fitted.inputTokens,
+    contextWindow: count.contextWindow,
+    ...extra,
+  });
+
+  if (count.fits) return { options, context: report("none", count) };
+
+  if (strategy !== "reject") {
+    const turns = splitTurns(options.messages);
+    const turnTokens = turns.map((turn) =>
+      turn.reduce((sum, message) => sum + estimateMessageTokens(message, count.family), 0)
+    );
+
+    // Oldest turns to drop to fit a budget
+    const turnsToDrop = (budget) => {
+      let dropped = 0;
+      let tokens = count.inputTokens;
+      while (dropped < turns.length - 1 && tokens > budget) tokens -= turnTokens[dropped++];
+      return dropped;
+    };
+
+    const summarized = strategy === "summarize"
+      ? turnsToDrop(count.available - CONTEXT_CONFIG.summaryMaxTokens)
+      : 0;
+
+    if (summarized > 0) {
+      try {
+        const summary = await summarizeMessages(turns.slice(0, summarized).flat(), {
+          provider: count.provider,
+          signal: options.signal,
+        });
+        const fitted = {
+          ...options,
+          messages: turns.slice(summarized).flat(),
+          systemPrompt: [options.systemPrompt, `Summary of the earlier conversation:\n${summary.text}`]
+            .filter(Boolean)
+            .join("\n\n"),
+        };
+        const fittedCount = countTokens(fitted);
+        if (fittedCount.fits) {
+          return {
+            options: fitted,
+            context: report("summarize", fittedCount, {
+              droppedMessages: options.messages.length - fitted.messages.length,
+              summary: { model: summary.model, provider: summary.provider, usage: summary.usage },
+            }),
+          };
+        }
+      } catch (error) {
+        logger.warn("Context summary failed, dropping the oldest turns instead", {
+          model: options.model,
+          error: error.message,
+        });
+      }
+    }
+
+    const fitted = { ...options, messages: turns.slice(turnsToDrop(count.available)).flat() };
+    const fittedCount = countTokens(fitted);
+    if (fittedCount.fits) {
+      return {
+        options: fitted,
+        context: report("truncate", fittedCount, {
+          droppedMessages: options.messages.length - fitted.messages.length,
+        }),
+      };
+    }
+  }
+
+  throw Object.assign(new Error(
+    `Request needs about ${count.inputTokens} tokens but ${options.model} accepts ${count.available} ` +
+    `(context window ${count.contextWindow}, ${count.outputReserve} reserved for the answer)`
+  ), {
+    code: LLM_ERROR_CODES.CONTEXT_LENGTH_EXCEEDED,
+    retryable: false,
+    provider: count.provider,
+    model: options.model,
+  });
+}
+
+// ============================================================================
+// PROVIDER-SPECIFIC STREAMING FUNCTIONS
+// ============================================================================
+
+/**
+ * Stream from Google Gemini
+ * @param {Object} options - Streaming options
+ * @param {Function} onChunk - Callback for each chunk: ({ type: 'content'|'done', content?, finishReason? })
+ * @param {string} [providerName] - Provider ID (sdkType "google")
+ */
+async function streamGoogle(options, onChunk, providerName = "google") {
+  const { model, messages, systemPrompt, temperature, maxTokens, tools, toolChoice, thinking, responseFormat, signal } = options;
+  const client = clients[providerName]?.instance;
+
+  if (!client) throw new Error(`${providerName} not configured`);
+
+  // Build contents array for Gemini
+  const contents = toGoogleContents(messages);
+
+  // Build request options
+  const requestOptions = {
+    model: model || "gemini-2.0-flash",
+    contents,
+    config:{}
+  };
+
+  if (tools?.length) {
+    Object.assign(requestOptions.config, toGoogleTools(tools, toolChoice));
+  }
+
+  if (systemPrompt) {
+    requestOptions.config.systemInstruction = systemPrompt;
+  }
+
+  if (temperature !== undefined) {
+    requestOptions.config.temperature = temperature;
+  }
+
+  if (maxTokens !== undefined) {
+    requestOptions.config.maxOutputTokens = maxTokens;
+  }
+
+  if (thinking) {
+    requestOptions.config.thinkingConfig = {
+      thinkingBudget: thinking.budget,
+      includeThoughts: true,
+    };
+  }
+
+  if (responseFormat?.mode === "response_mime_type") {
+    requestOptions.config.responseMimeType = "application/json";
+    if (responseFormat.schema) {
+      requestOptions.config.responseJsonSchema = responseFormat.schema;
+    }
+  }
+
+  if (signal) {
+    requestOptions.config.abortSignal = signal;
+  }
+
+  // Counts only: contents may carry base64 attachments
+  logger.debug('Google API request', {
+    model: requestOptions.model,
+    contents: requestOptions.contents.length,
+    tools: requestOptions.config.tools?.[0]?.functionDeclarations?.length || 0,
+  });
+  const response = await client.models.generateContentStream(requestOptions);
+
+  let chunkCount = 0;
+  let toolCallCount = 0;
+  let usageMetadata = null;
+  for await (const chunk of response) {
+    const parts = chunk.candidates?.[0]?.content?.parts || [];
+
+    // Counts are cumulative; the last chunk carries the final totals
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata;
+    }
+
+    // Gemini reports a blocked prompt in the stream rather than as an HTTP error
+    if (chunk.promptFeedback?.blockReason) {
+      throw codedError(
+        `Prompt blocked by Google safety filters (${chunk.promptFeedback.blockReason})`,
+        LLM_ERROR_CODES.CONTENT_FILTERED
+      );
+    }
+
+    for (const part of parts) {
+      if (part.thought && part.text) {
+        onChunk({ type: "thinking", content: part.text });
+      } else if (part.text) {
+        onChunk({ type: "content", content: part.text });
+        chunkCount++;
+      } else if (part.functionCall) {
+        onChunk({
+          type: "tool_call",
+          toolCall: {
+            id: part.functionCall.id || createToolCallId(),
+            name: part.functionCall.name,
+            arguments: part.functionCall.args || {},
+          },
+        });
+        toolCallCount++;
+      }
+    }
+  }
+
+  onChunk({
+    type: "done",
+    finishReason: toolCallCount ? "tool_calls" : "stop",
+    chunkCount,
+    usage: buildUsage({
+      inputTokens: usageMetadata?.promptTokenCount,
+      outputTokens: usageMetadata?.candidatesTokenCount,
+      thinkingTokens: usageMetadata?.thoughtsTokenCount,
+    }),
+  });
+}
+
+/**
+ * Stream from OpenAI and OpenAI-compatible APIs (xAI, Groq, local servers)
+ * @param {Object} options - Streaming options
+ * @param {Function} onChunk - Callback for each chunk
+ * @param {string} providerName - Provider ID (sdkType "openai" or "openai-compatible")
+ */
+async function streamOpenAICompatible(options, onChunk, providerName) {
+  const { model, messages, systemPrompt, temperature, maxTokens, tools, toolChoice, thinking, responseFormat, signal } = options;
+  const client = clients[providerName]?.instance;
+
+  if (!client) throw new Error(`${providerName} not configured`);
+
+  // Build messages array with system prompt
+  const apiMessages = [];
+  if (systemPrompt) {
+    apiMessages.push({ role: "system", content: systemPrompt });
+  }
+  apiMessages.push(...toOpenAIMessages(messages));
+
+  logger.info(`${providerName} stream request`, {
+    model,
+    messageCount: apiMessages.length,
+  });
+
+  // OpenAI reasoning models take an effort level instead of temperature.
+  // xAI, Groq and local servers reason without a parameter and stream reasoning text in the delta.
+  const useReasoningEffort = thinking && clients[providerName].sdkType === "openai";
+
+  const stream = await client.chat.completions.create({
+    model,
+    messages: apiMessages,
+    ...(useReasoningEffort
+      ? { reasoning_effort: thinking.effort, max_completion_tokens: maxTokens }
+      : { temperature: temperature ?? 0.7, max_tokens: maxTokens }),
+    stream: true,
+    stream_options: { include_usage: true },
+    ...(tools?.length && toOpenAITools(tools, toolChoice)),
+    ...(responseFormat?.mode === "response_format" && {
+      response_format: responseFormat.schema
+        ? { type: "json_schema", json_schema: { name: responseFormat.name, schema: responseFormat.schema } }
+        : { type: "json_object" },
+    }),
+  }, { signal });
+
+  // Tool call deltas arrive in fragments keyed by index
+  const pendingToolCalls = [];
+  const flushToolCalls = () => {
+    pendingToolCalls.filter(Boolean).forEach((call) => {
+      onChunk({
+        type: "tool_call",
+        toolCall: {
+          id: call.id || createToolCallId(),
+          name: call.name,
+          arguments: parseToolArguments(call.arguments),
+        },
+      });
+    });
+    const count = pendingToolCalls.filter(Boolean).length;
+    pendingToolCalls.length = 0;
+    return count;
+  };
+
+  let chunkCount = 0;
+  let finalReason = null;
+  let toolCallCount = 0;
+  let usage = null;
+  for await (const chunk of stream) {
+    // Usage arrives in a final chunk with no choices, after finish_reason (Groq nests it in x_groq)
+    if (chunk.usage || chunk.x_groq?.usage) {
+      usage = chunk.usage || chunk.x_groq.usage;
+    }
+
+    const delta = chunk.choices?.[0]?.delta;
+    const content = delta?.content;
+    const reasoning = delta?.reasoning_content || delta?.reasoning;
+    const finishReason = chunk.choices?.[0]?.finish_reason;
+
+    if (reasoning) {
+      onChunk({ type: "thinking", content: reasoning });
+    }
+
+    if (content) {
+      onChunk({ type: "content", content });
+      chunkCount++;
+    }
+
+    for (const toolDelta of delta?.tool_calls || []) {
+      const call = pendingToolCalls[toolDelta.index] ||
+        (pendingToolCalls[toolDelta.index] = { id: null, name: "", arguments: "" });
+      if (toolDelta.id) call.id = toolDelta.id;
+      if (toolDelta.function?.name) call.name += toolDelta.function.name;
+      if (toolDelta.function?.arguments) call.arguments += toolDelta.function.arguments;
+    }
+
+    if (finishReason) {
+      toolCallCount += flushToolCalls();
+      finalReason = finishReason;
+    }
+  }
+
+  toolCallCount += flushToolCalls();
+
+  // completion_tokens includes reasoning tokens
+  const reasoningTokens = usage?.completion_tokens_details?.reasoning_tokens || 0;
+  onChunk({
+    type: "done",
+    finishReason: toolCallCount ? "tool_calls" : finalReason || "stop",
+    chunkCount,
+    usage: buildUsage({
+      inputTokens: usage?.prompt_tokens,
+      outputTokens: (usage?.completion_tokens || 0) - reasoningTokens,
+      thinkingTokens: reasoningTokens,
+    }),
+  });
+}
+
+/**
+ * Stream from Anthropic Claude
+ * @param {Object} options - Streaming options
+ * @param {Function} onChunk - Callback for each chunk
+ * @param {string} [providerName] - Provider ID (sdkType "anthropic")
+ */
+async function streamAnthropic(options, onChunk, providerName = "anthropic") {
+  const { model, messages, systemPrompt, temperature, maxTokens, tools, toolChoice, thinking, responseFormat, signal } = options;
+  const client = clients[providerName]?.instance;
+
+  if (!client) throw new Error(`${providerName} not configured`);
+
+  // Filter out system messages (handled separately)
+  const apiMessages = toAnthropicMessages(messages.filter((m) => m.role !== "system"));
+
+  logger.info('Anthropic stream request', {
+    model,
+    messageCount: apiMessages.length,
+  });
+
+  // Extended thinking requires the default temperature and max_tokens above the budget
+  const stream = await client.messages.stream({
+    model,
+    messages: apiMessages,
+    system: systemPrompt,
+    ...(thinking
+      ? {
+          thinking: { type: "enabled", budget_tokens: thinking.budget },
+          max_tokens: maxTokens || thinking.budget + 4096,
+        }
+      : {
+          temperature: temperature ?? 0.7,
+          max_tokens: maxTokens || 4096,
+        }),
+    ...(tools?.length && toAnthropicTools(tools, toolChoice)),
+    // JSON mode: force a tool whose input is the answer
+    ...(responseFormat?.mode === "tool_use" && toAnthropicTools([{
+      name: RESPONSE_TOOL_NAME,
+      description: "Respond with the final answer as JSON.",
+      parameters: responseFormat.schema || { type: "object" },
+    }], { name: RESPONSE_TOOL_NAME })),
+  }, { signal });
+
+  // tool_use blocks stream their input as partial JSON until the block stops
+  const toolBlocks = new Map();
+  const isResponseTool = (index) =>
+    responseFormat?.mode === "tool_use" && toolBlocks.get(index)?.name === RESPONSE_TOOL_NAME;
+
+  let chunkCount = 0;
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  // Thinking blocks must be sent back with tool results, so keep them (with signatures)
+  const thinkingBlocks = new Map();
+  const doneChunk = (finishReason) => ({
+    type: "done",
+    finishReason,
+    chunkCount,
+    usage: buildUsage({ inputTokens, outputTokens }),
+    ...(finishReason === "tool_calls" && thinkingBlocks.size > 0 && {
+      thinkingBlocks: [...thinkingBlocks.values()],
+    }),
+  });
+
+  for await (const event of stream) {
+    // Input tokens (including prompt cache) arrive first; output tokens with the final delta
+    if (event.type === "message_start" && event.message?.usage) {
+      const usage = event.message.usage;
+      inputTokens = (usage.input_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0);
+    } else if (event.type === "message_delta" && event.usage?.output_tokens) {
+      outputTokens = event.usage.output_tokens;
+    }
+
+    if (event.type === "content_block_start" && event.content_block?.type === "thinking") {
+      thinkingBlocks.set(event.index, { type: "thinking", thinking: "", signature: "" });
+    } else if (event.type === "content_block_start" && event.content_block?.type === "redacted_thinking") {
+      thinkingBlocks.set(event.index, { type: "redacted_thinking", data: event.content_block.data });
+    } else if (event.type === "content_block_delta" && event.delta?.type === "thinking_delta") {
+      const block = thinkingBlocks.get(event.index);
+      if (block) block.thinking += event.delta.thinking;
+      onChunk({ type: "thinking", content: event.delta.thinking });
+    } else if (event.type === "content_block_delta" && event.delta?.type === "signature_delta") {
+      const block = thinkingBlocks.get(event.index);
+      if (block) block.signature += event.delta.signature;
+    } else if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+      toolBlocks.set(event.index, {
+        id: event.content_block.id,
+        name: event.content_block.name,
+        json: "",
+      });
+    } else if (event.type === "content_block_delta" && event.delta?.type === "input_json_delta" && isResponseTool(event.index)) {
+      // The forced JSON tool's input is the answer itself
+      if (event.delta.partial_json) {
+        onChunk({ type: "content", content: event.delta.partial_json });
+        chunkCount++;
+      }
+    } else if (event.type === "content_block_delta" && event.delta?.type === "input_json_delta") {
+      const block = toolBlocks.get(event.index);
+      if (block) block.json += event.delta.partial_json || "";
+    } else if (event.type === "content_block_stop" && toolBlocks.has(event.index) && !isResponseTool(event.index)) {
+      const block = toolBlocks.get(event.index);
+      onChunk({
+        type: "tool_call",
+        toolCall: { id: block.id, name: block.name, arguments: parseToolArguments(block.json) },
+      });
+    } else if (event.type === "content_block_delta" && event.delta?.text) {
+      onChunk({ type: "content", content: event.delta.text });
+      chunkCount++;
+    } else if (event.type === "message_stop") {
+      onChunk(doneChunk("stop"));
+      return;
+    } else if (event.type === "message_delta" && event.delta?.stop_reason) {
+      let finishReason = event.delta.stop_reason;
+      if (finishReason === "tool_use") {
+        // In JSON tool_use mode the only tool is the answer itself
+        finishReason = responseFormat?.mode === "tool_use" ? "stop" : "tool_calls";
+      }
+      onChunk(doneChunk(finishReason));
+      return;
+    }
+  }
+
+  onChunk(doneChunk("stop"));
+}
+
+// ============================================================================
+// MOCK PROVIDER
+// ============================================================================
+//
+// Deterministic, offline streams for development and tests (sdkType "mock").
+// Behaviour is configured per model with a "mock" object in the catalog:
+//
+//   response     "echo" (default) repeats the last user/tool message, or fixed text
+//   fixtures     { [promptHash]: text | { content, thinking, toolCalls } } -
+//                canned answers keyed by mockPromptHash(last message), or a
+//                prefix of it (8+ hex characters)
+//   toolCalls    [{ name?, arguments }] requested when the request has tools and
+//                the last message is not a tool result (name defaults to the
+//                first declared tool)
+//   thinking     reasoning text streamed when thinking is requested
+//   chunkSize    characters per content chunk (default 16)
+//   delayMs      delay before each chunk; firstChunkDelayMs before the first
+//   error        { status, code, message, afterChunks, times, every } - fail
+//                with an HTTP-like error after afterChunks chunks (0 = before
+//                streaming, so it is retried); only the first `times` requests,
+//                or every `every`-th request, when set
+//
+// Usage is estimated at 4 characters per token. Mock embedding models return
+// a hashed bag of words (unit vectors of the model's dimensions), so texts
+// sharing words score as similar.
+
+const MOCK_DEFAULTS = {
+  response: "echo",
+  chunkSize: 16,
+  delayMs: 0,
+  firstChunkDelayMs: 0,
+};
+
+// Requests per model, for error.times / error.every
+const mockRequests = new Map();
+
+/**
+ * Hash a prompt for mock fixtures
+ * @param {string} text - Prompt text (the last user or tool message)
+ * @returns {string} SHA-256 hex digest of the trimmed text
+ */
+const mockPromptHash = (text) =>
+  crypto.createHash("sha256").update(String(text).trim()).digest("hex");
+
+/**
+ * Build the error a mock model is configured to throw
+ * @param {Object} config - { status, code, message }
+ * @param {string} model - Model ID
+ * @returns {Error} Error shaped like an SDK error, so classifyError handles it
+ */
+const createMockError = (config, model) =>
+  Object.assign(new Error(config.message || `Mock failure from ${model}`), {
+    status: config.status ?? 500,
+    ...(config.code && { error: { code: config.code } }),
+  });
+
+/**
+ * Resolve what a mock model answers to a request
+ * @param {Object} mock - Model mock config
+ * @param {Object} options - Streaming options
+ * @returns {{ content: string, thinking: string|null, toolCalls: Array }}
+ */
+const resolveMockAnswer = (mock, options) => {
+  const { messages, tools, responseFormat } = options;
+  const last = [...messages].reverse().find((m) => m.role === "user" || m.role === "tool");
+  const prompt = getTextContent(last?.content);
+  const hash = mockPromptHash(prompt);
+
+  const fixtureKey = Object.keys(mock.fixtures || {}).find(
+    (key) => key === hash || (key.length >= 8 && hash.startsWith(key))
+  );
+  const fixture = fixtureKey ? mock.fixtures[fixtureKey] : null;
+  if (fixture) {
+    return typeof fixture === "string"
+      ? { content: fixture, thinking: mock.thinking || null, toolCalls: [] }
+      : { content: fixture.content || "", thinking: fixture.thinking || mock.thinking || null, toolCalls: fixture.toolCalls || [] };
+  }
+  if (mock.fixtures) {
+    logger.debug("No mock fixture for prompt", { model: options.model, hash });
+  }
+
+  if (mock.toolCalls?.length && tools?.length && last?.role !== "tool") {
+    return { content: "", thinking: mock.thinking || null, toolCalls: mock.toolCalls };
+  }
+
+  let content = mock.response === "echo" ? prompt : String(mock.response);
+  if (responseFormat && mock.response === "echo") {
+    content = JSON.stringify({ echo: prompt });
+  }
+  return { content, thinking: mock.thinking || null, toolCalls: [] };
+};
+
+/**
+ * Stream from the built-in mock provider
+ * @param {Object} options - Streaming options
+ * @param {Function} onChunk - Callback for each chunk
+ * @param {string} [providerName] - Provider ID (sdkType "mock")
+ */
+async function streamMock(options, onChunk, providerName = "mock") {
+  const { model, messages, systemPrompt, thinking, signal } = options;
+  const mock = { ...MOCK_DEFAULTS, ...getModelConfig(model)?.mock };
+
+  if (!clients[providerName]?.configured) throw new Error(`${providerName} not configured`);
+
+  logger.info(`${providerName} stream request`, {
+    model,
+    messageCount: messages.length,
+  });
+
+  const answer = resolveMockAnswer(mock, options);
+
+  // Injected failure, optionally limited to the first N or every Nth request
+  let failAfter = null;
+  if (mock.error) {
+    const count = (mockRequests.get(model) || 0) + 1;
+    mockRequests.set(model, count);
+    const { times, every } = mock.error;
+    const fails = times !== undefined ? count <= times : every ? count % every === 0 : true;
+    if (fails) failAfter = mock.error.afterChunks || 0;
+  }
+
+  let chunkCount = 0;
+  const emit = async (chunk) => {
+    if (failAfter !== null && chunkCount >= failAfter) {
+      throw createMockError(mock.error, model);
+    }
+    await sleep(chunkCount === 0 ? mock.firstChunkDelayMs || mock.delayMs : mock.delayMs, signal);
+    if (signal?.aborted) {
+      throw Object.assign(new Error("Request was aborted"), { name: "AbortError" });
+    }
+    onChunk(chunk);
+    chunkCount++;
+  };
+
+  if (thinking && answer.thinking) {
+    await emit({ type: "thinking", content: answer.thinking });
+  }
+
+  // Like a provider, stop at maxTokens
+  const content = options.maxTokens ? answer.content.slice(0, options.maxTokens * 4) : answer.content;
+  const size = Math.max(1, mock.chunkSize);
+  for (let i = 0; i < content.length; i += size) {
+    await emit({ type: "content", content: content.slice(i, i + size) });
+  }
+
+  // Calls without a name use the first declared tool
+  const toolCalls = options.tools?.length
+    ? answer.toolCalls.map((call) => ({ ...call, name: call.name || options.tools[0].name }))
+    : [];
+  for (const [index, call] of toolCalls.entries()) {
+    await emit({
+      type: "tool_call",
+      toolCall: {
+        // Deterministic IDs, so runs can be compared
+        id: `call_mock_${index}_${mockPromptHash(call.name).slice(0, 8)}`,
+        name: call.name,
+        arguments: call.arguments || {},
+      },
+    });
+  }
+
+  if (failAfter !== null) {
+    throw createMockError(mock.error, model);
+  }
+
+  const input = [systemPrompt, ...messages.map((m) => getTextContent(m.content))].join("\n");
+  onChunk({
+    type: "done",
+    finishReason: toolCalls.length ? "tool_calls" : content.length < answer.content.length ? "length" : "stop",
+    chunkCount,
+    usage: buildUsage({
+      inputTokens: estimateTokens(input),
+      outputTokens: estimateTokens(content) + estimateTokens(JSON.stringify(toolCalls)),
+      thinkingTokens: thinking && answer.thinking ? estimateTokens(answer.thinking) : 0,
+    }),
+  });
+}
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+// Provider SDK errors are mapped to one shared set of codes so SSE `error`
+// events and `llm:error` messages look the same whatever the provider:
+//
+//   RATE_LIMITED             429 / RESOURCE_EXHAUSTED (retryable unless the account is out of credit)
+//   CONTEXT_LENGTH_EXCEEDED  prompt + max tokens larger than the context window
+//   CONTENT_FILTERED         refused by the provider's safety filters
+//   AUTH_FAILED              bad or missing API key, no access to the model
+//   MODEL_NOT_FOUND          unknown or retired model
+//   PROVIDER_UNAVAILABLE     5xx, overloaded, timeouts, dropped connections (retryable)
+//   INVALID_REQUEST          any other request the provider rejected
+//
+// Validation errors raised before the request is sent (INVALID_INPUT,
+// UNSUPPORTED_INPUT) keep their own codes.
+
+const LLM_ERROR_CODES = {
+  RATE_LIMITED: "RATE_LIMITED",
+  CONTEXT_LENGTH_EXCEEDED: "CONTEXT_LENGTH_EXCEEDED",
+  CONTENT_FILTERED: "CONTENT_FILTERED",
+  AUTH_FAILED: "AUTH_FAILED",
+  MODEL_NOT_FOUND: "MODEL_NOT_FOUND",
+  PROVIDER_UNAVAILABLE: "PROVIDER_UNAVAILABLE",
+  INVALID_REQUEST: "INVALID_REQUEST",
+};
+
+const CONNECTION_ERROR_CODES = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EAI_AGAIN", "UND_ERR_SOCKET"];
+
+// Google reports gRPC-style status names alongside (or instead of) HTTP codes
+const GOOGLE_STATUS_CODES = {
+  RESOURCE_EXHAUSTED: LLM_ERROR_CODES.RATE_LIMITED,
+  UNAUTHENTICATED: LLM_ERROR_CODES.AUTH_FAILED,
+  PERMISSION_DENIED: LLM_ERROR_CODES.AUTH_FAILED,
+  NOT_FOUND: LLM_ERROR_CODES.MODEL_NOT_FOUND,
+  INVALID_ARGUMENT: LLM_ERROR_CODES.INVALID_REQUEST,
+  FAILED_PRECONDITION: LLM_ERROR_CODES.INVALID_REQUEST,
+  UNAVAILABLE: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+  DEADLINE_EXCEEDED: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+  INTERNAL: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+};
+
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|too many tokens|prompt is too long|input token count.*exceeds|reduce the length/i;
+const CONTENT_FILTER_PATTERN = /content[_ ]filter|content[_ ]policy|safety|blocked|moderation/i;
+
+/**
+ * Read the provider's suggested wait, from a retry-after header or a
+ * Google RetryInfo detail ("30s")
+ * @param {Error} error - Provider SDK error
+ * @returns {number|undefined} Seconds to wait
+ */
+const getRetryAfter = (error) => {
+  const header = error?.headers?.["retry-after"] ?? error?.headers?.get?.("retry-after");
+  const seconds = parseFloat(header);
+  if (Number.isFinite(seconds)) return seconds;
+
+  const retryDelay = `${error?.message || ""} ${JSON.stringify(error?.details || "")}`
+    .match(/"retryDelay":\s*"(\d+(?:\.\d+)?)s"|retry in (\d+(?:\.\d+)?)s/i);
+  return retryDelay ? parseFloat(retryDelay[1] || retryDelay[2]) : undefined;
+};
+
+/**
+ * Classify a provider failure into one of LLM_ERROR_CODES
+ * @param {Error} error - Provider SDK (or already classified) error
+ * @returns {{ code: string, retryable: boolean, retryAfter?: number, status?: number }}
+ */
+const classifyError = (error) => {
+  if (typeof error?.retryable === "boolean" && error.code) {
+    return { code: error.code, retryable: error.retryable, retryAfter: error.retryAfter, status: error.status };
+  }
+  if (["INVALID_INPUT", "UNSUPPORTED_INPUT"].includes(error?.code)) {
+    return { code: error.code, retryable: false };
+  }
+
+  const status = typeof error?.status === "number" ? error.status : undefined;
+  const message = String(error?.message || "");
+  // OpenAI-compatible APIs put their own code/type on the error
+  // (Anthropic nests its type one level deeper)
+  const providerCode = String(
+    error?.error?.code || error?.code || error?.error?.error?.type || error?.error?.type || error?.type || ""
+  );
+  const googleStatus = message.match(/"status":\s*"([A-Z_]+)"/)?.[1] || error?.error?.status;
+  const retryAfter = getRetryAfter(error);
+
+  const result = (code, retryable) => ({
+    code,
+    retryable,
+    ...(retryAfter !== undefined && { retryAfter }),
+    ...(status !== undefined && { status }),
+  });
+
+  if (
+    providerCode === "context_length_exceeded" ||
+    status === 413 ||
+    (status !== 429 && CONTEXT_LENGTH_PATTERN.test(message))
+  ) {
+    return result(LLM_ERROR_CODES.CONTEXT_LENGTH_EXCEEDED, false);
+  }
+  if (status === 429 || googleStatus === "RESOURCE_EXHAUSTED") {
+    // An exhausted account balance will not recover by waiting
+    return result(LLM_ERROR_CODES.RATE_LIMITED, !/insufficient_quota|billing|credit balance/i.test(`${providerCode} ${message}`));
+  }
+  if (status === 401 || status === 403 || /authentication|api key|permission/i.test(providerCode)) {
+    return result(LLM_ERROR_CODES.AUTH_FAILED, false);
+  }
+  if (status === 404 || providerCode === "model_not_found" || /^Unknown model/.test(message)) {
+    return result(LLM_ERROR_CODES.MODEL_NOT_FOUND, false);
+  }
+  if (error?.code === LLM_ERROR_CODES.CONTENT_FILTERED || CONTENT_FILTER_PATTERN.test(`${providerCode} ${message}`)) {
+    return result(LLM_ERROR_CODES.CONTENT_FILTERED, false);
+  }
+  if ((status && status >= 500) || /overloaded/i.test(providerCode)) {
+    return result(LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, true);
+  }
+  if (GOOGLE_STATUS_CODES[googleStatus]) {
+    const code = GOOGLE_STATUS_CODES[googleStatus];
+    return result(code, code === LLM_ERROR_CODES.PROVIDER_UNAVAILABLE);
+  }
+  if (status === 400 || status === 422) {
+    return result(LLM_ERROR_CODES.INVALID_REQUEST, false);
+  }
+  if (
+    /timeout|connection|abort/i.test(error?.name || "") ||
+    CONNECTION_ERROR_CODES.includes(error?.code || error?.cause?.code)
+  ) {
+    return result(LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, true);
+  }
+  if (/not configured/i.test(message)) {
+    return result(LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, false);
+  }
+
+  return result(status ? LLM_ERROR_CODES.INVALID_REQUEST : LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, false);
+};
+
+/**
+ * Wrap a provider failure in an error carrying its classification.
+ * The original SDK error is kept as `cause`.
+ * @param {Error} error - Provider SDK error
+ * @param {Object} [context] - { provider, model }
+ * @returns {Error} Error with code, retryable, retryAfter?, status?, provider, model
+ */
+const normalizeError = (error, { provider, model } = {}) => {
+  if (typeof error?.retryable === "boolean" && error.code) return error;
+
+  const classification = classifyError(error);
+  return Object.assign(new Error(error?.message || "LLM request failed"), {
+    ...classification,
+    provider,
+    model,
+    cause: error,
+  });
+};
+
+// ============================================================================
+// RETRIES & FALLBACK CHAINS
+// ============================================================================
+
+const RETRY_CONFIG = {
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES, 10) || 2,
+  baseDelay: parseInt(process.env.LLM_RETRY_BASE_DELAY, 10) || 500,
+  maxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY, 10) || 8000,
+  fallbacksEnabled: process.env.LLM_FALLBACKS !== "false",
+  statsWindow: 60 * 60 * 1000, // failover counts cover the last hour
+};
+
+// Recent retry/fallback events for /health/detailed
+const failoverEvents = [];
+const MAX_FAILOVER_EVENTS = 500;
+
+/**
+ * Record a retry or fallback event
+ * @param {Object} event - { type: 'retry'|'fallback'|'exhausted', provider, model, to?, reason }
+ */
+const recordFailover = (event) => {
+  failoverEvents.push({ ...event, at: Date.now() });
+  if (failoverEvents.length > MAX_FAILOVER_EVENTS) {
+    failoverEvents.splice(0, failoverEvents.length - MAX_FAILOVER_EVENTS);
+  }
+};
+
+/**
+ * Failover counts over the stats window, overall and per provider
+ * @returns {Object} { windowMinutes, retries, fallbacks, exhausted, byProvider, recent }
+ */
+const getFailoverStats = () => {
+  const since = Date.now() - RETRY_CONFIG.statsWindow;
+  const recent = failoverEvents.filter((e) => e.at >= since);
+  const byProvider = {};
+  const counts = { retry: 0, fallback: 0, exhausted: 0 };
+
+  for (const event of recent) {
+    counts[event.type]++;
+    const provider = byProvider[event.provider] ||
+      (byProvider[event.provider] = { retries: 0, fallbacks: 0, exhausted: 0 });
+    provider[{ retry: "retries", fallback: "fallbacks", exhausted: "exhausted" }[event.type]]++;
+  }
+
+  return {
+    windowMinutes: RETRY_CONFIG.statsWindow / 60000,
+    retries: counts.retry,
+    fallbacks: counts.fallback,
+    exhausted: counts.exhausted,
+    byProvider,
+    recent: recent.slice(-10).reverse().map((e) => ({ ...e, at: new Date(e.at).toISOString() })),
+  };
+};
+
+/**
+ * Backoff before the next attempt: exponential with jitter, or the
+ * provider's retry-after hint when it sends one.
+ * @param {Error} error - Provider SDK error
+ * @param {number} attempt - Zero-based attempt that failed
+ * @returns {number} Delay in ms
+ */
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = getRetryAfter(error);
+  const delay = retryAfter !== undefined
+    ? retryAfter * 1000
+    : RETRY_CONFIG.baseDelay * 2 ** attempt * (0.5 + Math.random() / 2);
+  return Math.min(delay, RETRY_CONFIG.maxDelay);
+};
+
+/**
+ * Wait, resolving early when the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve) => {
+  if (signal?.aborted) return resolve();
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  // Streams sleep once per chunk: do not leave a listener behind each time
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * Build the list of models to try: the requested model, then the
+ * `fallbacks` of its models.json entry whose providers are configured.
+ * @param {string} model - Requested model ID
+ * @param {string} provider - Requested provider
+ * @returns {Array<{ model: string, provider: string }>}
+ */
+const getFallbackChain = (model, provider) => {
+  const chain = [{ model, provider }];
+  if (!RETRY_CONFIG.fallbacksEnabled) return chain;
+
+  for (const fallbackId of getModelConfig(model)?.fallbacks || []) {
+    const fallbackConfig = getModelConfig(fallbackId);
+    if (!fallbackConfig || !isProviderAvailable(fallbackConfig.provider)) continue;
+    if (chain.some((entry) => entry.model === fallbackId)) continue;
+    chain.push({ model: fallbackId, provider: fallbackConfig.provider });
+  }
+
+  return chain;
+};
+
+// ============================================================================
+// MAIN STREAMING FUNCTION
+// ============================================================================
+
+/**
+ * Route one attempt to the streaming function for the provider's sdkType
+ * @param {string} provider - Provider ID
+ * @param {Object} options - Validated streaming options
+ * @param {Function} onChunk - Chunk callback
+ * @returns {Promise<void>}
+ */
+function streamFromProvider(provider, options, onChunk) {
+  switch (clients[provider]?.sdkType) {
+    case "google":
+      return streamGoogle(options, onChunk, provider);
+    case "openai":
+    case "openai-compatible":
+      return streamOpenAICompatible(options, onChunk, provider);
+    case "anthropic":
+      return streamAnthropic(options, onChunk, provider);
+    case "mock":
+      return streamMock(options, onChunk, provider);
+    default:
+      throw new Error(`Unsupported provider: ${provider}`);
+  }
+}
+
+/**
+ * Stream chat completion from any provider
+ *
+ * @param {Object} options - Streaming options
+ * @param {string} options.model - Model ID
+ * @param {string} [options.provider] - Provider name (auto-detected from model if not provided)
+ * @param {Array} options.messages - Array of { role, content } messages; content may be
+ *   an array of text/image/document parts (see MULTIMODAL CONTENT)
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {number} [options.temperature] - Temperature (0-1)
+ * @param {number} [options.maxTokens] - Max tokens
+ * @param {Array} [options.tools] - Tool definitions: [{ name, description?, parameters? }]
+ * @param {string|Object} [options.toolChoice] - 'auto' | 'none' | 'required' | { name }
+ * @param {number|boolean} [options.thinkingBudget] - Thinking tokens within the model's
+ *   thinkingBudget range, or true for its default (omit to disable thinking)
+ * @param {Object} [options.responseFormat] - { type: 'json', schema?, name? } for a JSON
+ *   answer (see STRUCTURED OUTPUT); the 'done' chunk then carries `parsed` and
+ *   `validationErrors` ([{ path, message }], empty when the answer is valid)
+ * @param {Function} options.onChunk - Callback for each chunk:
+ *   ({ type: 'content'|'thinking'|'tool_call'|'done', content?, toolCall?, finishReason?, usage? })
+ *   The 'done' chunk carries usage: { inputTokens, outputTokens, thinkingTokens, totalTokens }.
+ *   finishReason is 'tool_calls' when the model requested tools; Anthropic 'done'
+ *   chunks then also carry thinkingBlocks to send back with the tool results.
+ *   The 'done' chunk also names the model and provider that answered.
+ * @param {string} [options.contextStrategy] - 'reject' | 'truncate' | 'summarize' when the
+ *   messages exceed the model's context window (default LLM_CONTEXT_STRATEGY, see CONTEXT WINDOW)
+ * @param {Function} [options.onStart] - Called once before the first chunk with
+ *   { model, provider, fallback, attempts, context } of the attempt that answered;
+ *   context is the report of fitContext (strategy, applied, inputTokens, ...)
+ * @param {AbortSignal} [options.signal] - Aborts the provider request. The stream
+ *   then ends with a 'done' chunk with finishReason 'cancelled' and the usage
+ *   estimated from what was streamed so far (usage.estimated: true)
+ *
+ * Failures before the first chunk are retried with backoff when retryable
+ * (429, 5xx, timeouts), then the model's `fallbacks` from models.json are
+ * tried in order. Once a chunk has been sent, errors are not retried. Errors
+ * are thrown classified (see normalizeError).
+ *
+ * @returns {Promise<{ model: string, provider: string, fallback: boolean, attempts: number, context: Object, cancelled?: boolean }>}
+ */
+async function streamChat(options) {
+  const { model, provider, onChunk, systemPrompt, temperature, signal } = options;
+
+  if (typeof onChunk !== "function") {
+    throw new Error("onChunk callback is required");
+  }
+
+
+  // Determine provider from model config or explicit provider
+  const modelConfig = getModelConfig(model);
+  const actualProvider = provider || modelConfig?.provider;
+
+  if (!actualProvider) {
+    throw Object.assign(new Error(
+      `Unknown model '${model}'. Specify a provider or use a known model ID.`
+    ), { code: LLM_ERROR_CODES.MODEL_NOT_FOUND, retryable: false });
+  }
+
+  if (!isProviderAvailable(actualProvider)) {
+    const reason = clients[actualProvider]?.configured ? "disabled" : "not configured";
+    throw Object.assign(new Error(`Provider '${actualProvider}' is ${reason}`), {
+      code: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+      retryable: false,
+      provider: actualProvider,
+    });
+  }
+
+  const validated = validateChatRequest(options);
+
+  logger.info('streamChat starting', {
+    provider: actualProvider,
+    model,
+    thinkingBudget: validated.thinking?.budget,
+  });
+
+  const chain = getFallbackChain(model, actualProvider);
+  let attempts = 0;
+  let lastError = null;
+
+  // Cancelled: end the stream with what was received so far
+  const endCancelled = (answer, targetOptions, streamed = {}) => {
+    logger.info('LLM stream cancelled', { provider: answer.provider, model: answer.model, reason: String(signal.reason) });
+    onChunk({
+      type: "done",
+      finishReason: "cancelled",
+      model: answer.model,
+      provider: answer.provider,
+      usage: estimatePartialUsage(targetOptions, streamed),
+    });
+    return { ...answer, cancelled: true };
+  };
+
+  for (let index = 0; index < chain.length; index++) {
+    const target = chain[index];
+    let targetOptions = { ...options, ...validated, model: target.model };
+
+    if (index > 0) {
+      // A fallback must accept the same request (attachments, tools, thinking budget)
+      try {
+        targetOptions = { ...options, model: target.model, ...validateChatRequest({ ...options, model: target.model }) };
+      } catch (error) {
+        logger.debug('Skipping fallback model', { model: target.model, reason: error.message });
+        continue;
+      }
+
+      recordFailover({ type: "fallback", provider: chain[0].provider, model, to: target.model, reason: lastError?.message });
+      logger.warn('Falling back to another model', { from: model, to: target.model, reason: lastError?.message });
+    }
+
+    // Fit the conversation into this model's context window
+    let context;
+    try {
+      ({ options: targetOptions, context } = await fitContext({ ...targetOptions, provider: target.provider }));
+    } catch (error) {
+      if (index === 0) throw error;
+      logger.debug('Skipping fallback model', { model: target.model, reason: error.message });
+      continue;
+    }
+    if (context.applied !== "none") {
+      logger.info('Context window exceeded, conversation trimmed', { model: target.model, ...context });
+    }
+
+    for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+      attempts++;
+      let started = false;
+      let done = false;
+      let text = "";
+      let thinkingText = "";
+      const answer = { model: target.model, provider: target.provider, fallback: index > 0, attempts, context };
+      const { responseFormat } = targetOptions;
+
+      if (signal?.aborted) return endCancelled(answer, targetOptions);
+
+      try {
+        await streamFromProvider(target.provider, withJsonInstructions(targetOptions), (chunk) => {
+          // Providers may still deliver buffered chunks after the abort
+          if (signal?.aborted) return;
+          if (!started) {
+            started = true;
+            if (typeof options.onStart === "function") options.onStart(answer);
+          }
+          if (chunk.type === "content") text += chunk.content || "";
+          if (chunk.type === "thinking") thinkingText += chunk.content || "";
+          if (chunk.type !== "done") {
+            onChunk(chunk);
+            return;
+          }
+
+          done = true;
+          onChunk({
+            ...chunk,
+            model: target.model,
+            provider: target.provider,
+            // JSON mode: the parsed answer and its schema violations
+            ...(responseFormat && chunk.finishReason !== "tool_calls" && parseJsonOutput(text, responseFormat)),
+          });
+        });
+        if (signal?.aborted && !done) {
+          return endCancelled(answer, targetOptions, { content: text, thinking: thinkingText });
+        }
+        return answer;
+      } catch (error) {
+        if (signal?.aborted) {
+          return endCancelled(answer, targetOptions, { content: text, thinking: thinkingText });
+        }
+
+        lastError = normalizeError(error, target);
+        if (started || !lastError.retryable) throw lastError;
+
+        if (attempt < RETRY_CONFIG.maxRetries) {
+          const delay = getRetryDelay(lastError.cause || lastError, attempt);
+          recordFailover({ type: "retry", provider: target.provider, model: target.model, reason: error.message });
+          logger.warn('Retrying LLM request', { provider: target.provider, model: target.model, attempt: attempt + 1, delay, error: error.message });
+          await sleep(delay, signal);
+        }
+      }
+    }
+  }
+
+  if (signal?.aborted) {
+    return endCancelled({ model, provider: actualProvider, fallback: false, attempts }, options);
+  }
+
+  recordFailover({ type: "exhausted", provider: actualProvider, model, reason: lastError?.message });
+  throw lastError;
+}
+
+// ============================================================================
+// EMBEDDINGS
+// ============================================================================
+
+//
+// Embedding models are catalog entries with type "embedding" and their full
+// vector size in `dimensions`. Inputs are split into batches within the
+// provider's request limits and sent one batch at a time, each with the same
+// retries as chat requests. A smaller `dimensions` is requested natively from
+// OpenAI and Google; OpenAI-compatible servers return full vectors, which are
+// truncated and re-normalized here (the same Matryoshka reduction).
+
+const EMBEDDING_CONFIG = {
+  defaultModel: process.env.LLM_EMBEDDING_MODEL || "text-embedding-3-large",
+  maxInputs: parseInt(process.env.LLM_EMBEDDING_MAX_INPUTS, 10) || 2048,
+};
+
+// Per-request limits by SDK type: inputs, and estimated tokens when the API caps them
+const EMBEDDING_BATCH_LIMITS = {
+  openai: { inputs: 2048, tokens: 300000 },
+  "openai-compatible": { inputs: 256, tokens: 100000 },
+  google: { inputs: 100 },
+  mock: { inputs: 2048 },
+};
+
+/**
+ * Validate embedding input
+ * @param {string|Array<string>} input - Text or texts
+ * @returns {Array<string>} Texts
+ * @throws {Error} INVALID_INPUT
+ */
+const normalizeEmbeddingInput = (input) => {
+  const texts = typeof input === "string" ? [input] : input;
+
+  if (!Array.isArray(texts) || texts.length === 0) {
+    throw codedError("input must be a string or a non-empty array of strings", "INVALID_INPUT");
+  }
+  if (texts.length > EMBEDDING_CONFIG.maxInputs) {
+    throw codedError(`input can hold at most ${EMBEDDING_CONFIG.maxInputs} texts`, "INVALID_INPUT");
+  }
+  texts.forEach((text, index) => {
+    if (typeof text !== "string" || !text.trim()) {
+      throw codedError(`input[${index}] must be a non-empty string`, "INVALID_INPUT");
+    }
+  });
+
+  return texts;
+};
+
+/**
+ * Split texts into batches within a provider's request limits
+ * @param {Array<string>} texts - Texts
+ * @param {Object} limits - { inputs, tokens? }
+ * @param {string} family - Tokenizer family
+ * @returns {Array<Array<string>>} Batches, in input order
+ */
+const batchEmbeddingInput = (texts, limits, family) => {
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+
+  for (const text of texts) {
+    const textTokens = estimateTokens(text, family);
+    if (batch.length > 0 && (batch.length >= limits.inputs || (limits.tokens && tokens + textTokens > limits.tokens))) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
+    }
+    batch.push(text);
+    tokens += textTokens;
+  }
+
+  batches.push(batch);
+  return batches;
+};
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>}
+ */
+const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+};
+
+/**
+ * Deterministic mock embedding: a hashed bag of words, so texts sharing
+ * words are close
+ * @param {string} text - Text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} Unit vector
+ */
+const mockEmbedding = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [text];
+
+  for (const word of words) {
+    const digest = crypto.createHash("sha256").update(word).digest();
+    vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  }
+
+  return normalizeVector(vector);
+};
+
+/**
+ * Embed one batch with a provider
+ * @param {string} provider - Provider ID
+ * @param {Object} options - { model, texts, dimensions, signal }
+ * @returns {Promise<{ embeddings: Array<Array<number>>, inputTokens?: number }>}
+ *   Vectors in input order; inputTokens when the provider reports them
+ */
+const embedWithProvider = async (provider, { model, texts, dimensions, signal }) => {
+  const { instance, sdkType } = clients[provider];
+
+  if (sdkType === "mock") {
+    const size = dimensions || getModelConfig(model)?.dimensions || 256;
+    return { embeddings: texts.map((text) => mockEmbedding(text, size)) };
+  }
+
+  if (sdkType === "google") {
+    const response = await instance.models.embedContent({
+      model,
+      contents: texts,
+      config: {
+        ...(dimensions && { outputDimensionality: dimensions }),
+        ...(signal && { abortSignal: signal }),
+      },
+    });
+    // Only the full-size vectors come back normalized
+    return {
+      embeddings: response.embeddings.map(({ values }) => (dimensions ? normalizeVector(values) : values)),
+    };
+  }
+
+  const native = sdkType === "openai";
+  const response = await instance.embeddings.create(
+    { model, input: texts, ...(native && dimensions && { dimensions }) },
+    { signal }
+  );
+
+  return {
+    embeddings: [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(({ embedding }) => (
+        !native && dimensions && embedding.length > dimensions
+          ? normalizeVector(embedding.slice(0, dimensions))
+          : embedding
+      )),
+    inputTokens: response.usage?.prompt_tokens,
+  };
+};
+
+/**
+ * Generate embeddings with any provider that has embedding models: OpenAI,
+ * Google, OpenAI-compatible servers (e.g. Ollama) and the mock provider.
+ * Used by POST /api/llm/embeddings, the llm:embed WebSocket action and the
+ * knowledge base.
+ *
+ * @param {Object} options - Embedding options
+ * @param {string} [options.model] - Model ID (default LLM_EMBEDDING_MODEL)
+ * @param {string} [options.provider] - Provider, for models missing from the catalog
+ * @param {string|Array<string>} options.input - Text or texts
+ * @param {number} [options.dimensions] - Vector size, up to the model's dimensions
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} { model, provider, dimensions, embeddings (one
+ *   vector per input, in order), usage, batches }
+ * @throws {Error} INVALID_INPUT, or an LLM_ERROR_CODES error
+ */
+async function generateEmbeddings(options) {
+  const { model = EMBEDDING_CONFIG.defaultModel, provider, input, dimensions, signal } = options;
+  const texts = normalizeEmbeddingInput(input);
+
+  const modelConfig = getModelConfig(model);
+  const actualProvider = provider || modelConfig?.provider;
+
+  if (!actualProvider) {
+    throw Object.assign(new Error(
+      `Unknown model '${model}'. Specify a provider or use a known model ID.`
+    ), { code: LLM_ERROR_CODES.MODEL_NOT_FOUND, retryable: false });
+  }
+  if (modelConfig && modelConfig.type !== "embedding") {
+    throw codedError(`${modelConfig.name || model} is not an embedding model`, "INVALID_INPUT");
+  }
+  if (dimensions !== undefined && dimensions !== null &&
+      (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > (modelConfig?.dimensions || Infinity))) {
+    throw codedError(
+      `dimensions must be an integer between 1 and ${modelConfig?.dimensions || "the model's vector size"}`,
+      "INVALID_INPUT"
+    );
+  }
+
+  if (!isProviderAvailable(actualProvider)) {
+    const reason = clients[actualProvider]?.configured ? "disabled" : "not configured";
+    throw Object.assign(new Error(`Provider '${actualProvider}' is ${reason}`), {
+      code: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+      retryable: false,
+      provider: actualProvider,
+    });
+  }
+
+  const family = getTokenFamily(actualProvider);
+  const limits = EMBEDDING_BATCH_LIMITS[clients[actualProvider].sdkType] || EMBEDDING_BATCH_LIMITS.openai;
+  const batches = batchEmbeddingInput(texts, limits, family);
+  const target = { provider: actualProvider, model };
+  const embeddings = [];
+  let inputTokens = 0;
+
+  logger.debug('Generating embeddings', { ...target, inputs: texts.length, batches: batches.length, dimensions });
+
+  for (const batch of batches) {
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw codedError("Embedding request cancelled", "CANCELLED");
+
+      try {
+        const result = await embedWithProvider(actualProvider, { model, texts: batch, dimensions, signal });
+        embeddings.push(...result.embeddings);
+        inputTokens += result.inputTokens ??
+          batch.reduce((sum, text) => sum + estimateTokens(text, family), 0);
+        break;
+      } catch (error) {
+        if (signal?.aborted) throw codedError("Embedding request cancelled", "CANCELLED");
+
+        const failure = normalizeError(error, target);
+        if (!failure.retryable || attempt >= RETRY_CONFIG.maxRetries) throw failure;
+
+        const delay = getRetryDelay(failure.cause || failure, attempt);
+        recordFailover({ type: "retry", ...target, reason: error.message });
+        logger.warn('Retrying embedding request', { ...target, attempt: attempt + 1, delay, error: error.message });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  return {
+    model,
+    provider: actualProvider,
+    dimensions: embeddings[0].length,
+    embeddings,
+    usage: { inputTokens, outputTokens: 0, thinkingTokens: 0, totalTokens: inputTokens },
+    batches: batches.length,
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Main streaming function
+  streamChat,
+
+  // Embeddings
+  generateEmbeddings,
+  EMBEDDING_CONFIG,
+
+  // Request validation
+  validateChatRequest,
+
+  // Context window
+  countTokens,
+  estimateTokens,
+  CONTEXT_STRATEGIES,
+  CONTEXT_CONFIG,
+
+  // Error classification
+  classifyError,
+  normalizeError,
+  LLM_ERROR_CODES,
+
+  // Retries & fallbacks
+  getFallbackChain,
+  getFailoverStats,
+
+  // Tool calling
+  normalizeTools,
+  normalizeToolChoice,
+
+  // Mock provider
+  mockPromptHash,
+
+  // Multimodal content
+  validateMessageContent,
+  getTextContent,
+  hasAttachments,
 
   // Configuration
   initializeClients,
@@ -388,6 +2472,7 @@ module.exports = {
   getAvailableModels,
   getProviderStatus,
   getAvailableProviders,
+  isProviderAvailable,
 
   // For advanced usage
   clients,
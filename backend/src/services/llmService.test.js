@@ -0,0 +1,267 @@
+/**
+ * @fileoverview streamChat tests
+ * @description Drives streamChat through the built-in mock provider: echo and
+ * fixture answers, tool-call chunks, retries and fallbacks on injected
+ * errors, and cancellation.
+ */
+
+process.env.LLM_RETRY_BASE_DELAY = '1';
+
+const llmService = require('./llmService');
+const modelCatalog = require('./modelCatalogService');
+
+const { LLM_ERROR_CODES } = llmService;
+
+// Test models: copies of mock-echo with their own mock behaviour
+const addMockModel = (id, { fallbacks, ...mock }) => {
+  modelCatalog.getCatalog().models.push({
+    ...modelCatalog.getModel('mock-echo'),
+    id,
+    name: id,
+    ...(fallbacks && { fallbacks }),
+    mock: { chunkSize: 4, delayMs: 0, ...mock },
+  });
+};
+
+/**
+ * Run streamChat and collect its chunks
+ * @param {Object} options - streamChat options (without onChunk)
+ * @returns {Promise<{ answer: Object, chunks: Array, text: string, done: Object }>}
+ */
+const run = async (options) => {
+  const chunks = [];
+  const answer = await llmService.streamChat({ ...options, onChunk: (chunk) => chunks.push(chunk) });
+  return {
+    answer,
+    chunks,
+    text: chunks.filter((c) => c.type === 'content').map((c) => c.content).join(''),
+    done: chunks.find((c) => c.type === 'done'),
+  };
+};
+
+const userMessage = (content) => [{ role: 'user', content }];
+
+beforeAll(() => {
+  addMockModel('test-fixtures', {
+    fixtures: {
+      [llmService.mockPromptHash('What is the capital of France?')]: 'Paris.',
+      [llmService.mockPromptHash('Think first').slice(0, 12)]: { content: 'Done thinking.', thinking: 'Hmm.' },
+    },
+  });
+  addMockModel('test-retry', { error: { status: 503, times: 1 } });
+  addMockModel('test-down', { error: { status: 503 }, fallbacks: ['mock-echo'] });
+  addMockModel('test-unauthorized', { error: { status: 401 }, fallbacks: ['mock-echo'] });
+  addMockModel('test-midstream', { error: { status: 503, afterChunks: 1 }, fallbacks: ['mock-echo'] });
+  addMockModel('test-slow', { chunkSize: 1, delayMs: 20 });
+});
+
+describe('streamChat with the mock provider', () => {
+  test('echoes the last user message in chunks, then reports usage', async () => {
+    const { answer, chunks, text, done } = await run({
+      model: 'mock-echo',
+      messages: [
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'ok' },
+        { role: 'user', content: 'Hello from the test suite' },
+      ],
+    });
+
+    expect(text).toBe('Hello from the test suite');
+    expect(chunks.filter((c) => c.type === 'content').length).toBeGreaterThan(1);
+    expect(chunks[chunks.length - 1]).toBe(done);
+    expect(done).toMatchObject({ finishReason: 'stop', model: 'mock-echo', provider: 'mock' });
+    expect(done.usage.outputTokens).toBeGreaterThan(0);
+    expect(answer).toMatchObject({ model: 'mock-echo', provider: 'mock', fallback: false, attempts: 1 });
+  });
+
+  test('streams thinking before content when a budget is requested', async () => {
+    const { chunks } = await run({ model: 'mock-echo', messages: userMessage('hi'), thinkingBudget: true });
+
+    expect(chunks[0]).toEqual({ type: 'thinking', content: 'Repeating the last message back.' });
+    expect(chunks[chunks.length - 1].usage.thinkingTokens).toBeGreaterThan(0);
+  });
+
+  test('answers from fixtures keyed by the prompt hash or a prefix of it', async () => {
+    expect((await run({ model: 'test-fixtures', messages: userMessage('What is the capital of France?') })).text)
+      .toBe('Paris.');
+
+    const { chunks, text } = await run({ model: 'test-fixtures', messages: userMessage('Think first'), thinkingBudget: true });
+    expect(text).toBe('Done thinking.');
+    expect(chunks[0]).toEqual({ type: 'thinking', content: 'Hmm.' });
+
+    // Prompts without a fixture fall back to the echo
+    expect((await run({ model: 'test-fixtures', messages: userMessage('Unknown') })).text).toBe('Unknown');
+  });
+
+  test('answers JSON requests with a parsed echo', async () => {
+    const { done } = await run({ model: 'mock-echo', messages: userMessage('ping'), responseFormat: { type: 'json' } });
+
+    expect(done.parsed).toEqual({ echo: 'ping' });
+    expect(done.validationErrors).toEqual([]);
+  });
+
+  test('emits tool-call chunks, then answers the tool results', async () => {
+    const tools = [{ name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } }];
+    const first = await run({ model: 'mock-tools', messages: userMessage('Find it'), tools });
+
+    const toolCall = first.chunks.find((c) => c.type === 'tool_call').toolCall;
+    expect(toolCall).toEqual({ id: expect.stringMatching(/^call_mock_0_/), name: 'lookup', arguments: {} });
+    expect(first.done.finishReason).toBe('tool_calls');
+    expect(first.text).toBe('');
+
+    const second = await run({
+      model: 'mock-tools',
+      tools,
+      messages: [
+        { role: 'user', content: 'Find it' },
+        { role: 'assistant', content: '', toolCalls: [toolCall] },
+        { role: 'tool', toolCallId: toolCall.id, name: 'lookup', content: 'found: 42' },
+      ],
+    });
+    expect(second.text).toBe('found: 42');
+    expect(second.done.finishReason).toBe('stop');
+  });
+
+  test('does not call tools when none are declared', async () => {
+    const { chunks, done } = await run({ model: 'mock-tools', messages: userMessage('No tools') });
+
+    expect(chunks.some((c) => c.type === 'tool_call')).toBe(false);
+    expect(done.finishReason).toBe('stop');
+  });
+});
+
+describe('retries and fallbacks', () => {
+  test('retries a retryable failure before the first chunk', async () => {
+    const onStart = jest.fn();
+    const { answer, text } = await run({ model: 'test-retry', messages: userMessage('again'), onStart });
+
+    expect(text).toBe('again');
+    expect(answer).toMatchObject({ model: 'test-retry', fallback: false, attempts: 2 });
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ attempts: 2 }));
+  });
+
+  test('falls back to the next model once retries are exhausted', async () => {
+    const { answer, text, done } = await run({ model: 'test-down', messages: userMessage('rescued') });
+
+    expect(text).toBe('rescued');
+    expect(answer).toMatchObject({ model: 'mock-echo', fallback: true, attempts: 4 });
+    expect(done).toMatchObject({ model: 'mock-echo', provider: 'mock' });
+
+    const stats = llmService.getFailoverStats();
+    expect(stats.retries).toBeGreaterThanOrEqual(2);
+    expect(stats.fallbacks).toBeGreaterThanOrEqual(1);
+  });
+
+  test('builds the fallback chain from the catalog', () => {
+    expect(llmService.getFallbackChain('test-down', 'mock')).toEqual([
+      { model: 'test-down', provider: 'mock' },
+      { model: 'mock-echo', provider: 'mock' },
+    ]);
+  });
+
+  test('neither retries nor falls back on a non-retryable failure', async () => {
+    await expect(run({ model: 'test-unauthorized', messages: userMessage('denied') })).rejects.toMatchObject({
+      code: LLM_ERROR_CODES.AUTH_FAILED,
+      retryable: false,
+      provider: 'mock',
+      model: 'test-unauthorized',
+    });
+  });
+
+  test('does not retry once a chunk has been streamed', async () => {
+    const chunks = [];
+    await expect(llmService.streamChat({
+      model: 'test-midstream',
+      messages: userMessage('partial answer'),
+      onChunk: (chunk) => chunks.push(chunk),
+    })).rejects.toMatchObject({ code: LLM_ERROR_CODES.PROVIDER_UNAVAILABLE, retryable: true });
+
+    expect(chunks).toEqual([{ type: 'content', content: 'part' }]);
+  });
+});
+
+describe('cancellation', () => {
+  test('ends an aborted stream with a cancelled done chunk and partial usage', async () => {
+    const controller = new AbortController();
+    const chunks = [];
+
+    const answer = await llmService.streamChat({
+      model: 'test-slow',
+      messages: userMessage('a long answer that will not finish'),
+      signal: controller.signal,
+      onChunk: (chunk) => {
+        chunks.push(chunk);
+        if (chunks.length === 3) controller.abort('cancelled');
+      },
+    });
+
+    const done = chunks[chunks.length - 1];
+    expect(answer.cancelled).toBe(true);
+    expect(chunks.filter((c) => c.type === 'content')).toHaveLength(3);
+    expect(done).toMatchObject({ type: 'done', finishReason: 'cancelled', model: 'test-slow' });
+    expect(done.usage.estimated).toBe(true);
+  });
+
+  test('does not call the provider when already aborted', async () => {
+    const onStart = jest.fn();
+    const { answer, chunks } = await run({
+      model: 'mock-echo',
+      messages: userMessage('never sent'),
+      signal: AbortSignal.abort('cancelled'),
+      onStart,
+    });
+
+    expect(answer.cancelled).toBe(true);
+    expect(onStart).not.toHaveBeenCalled();
+    expect(chunks).toEqual([expect.objectContaining({ type: 'done', finishReason: 'cancelled' })]);
+  });
+});
+
+describe('provider environment variables', () => {
+  const addProvider = (id, fields) => {
+    modelCatalog.getCatalog().providers[id] = {
+      id, name: id, envKey: null, headers: {}, requiresKey: false, enabled: true, sdkType: 'openai-compatible', ...fields,
+    };
+  };
+
+  afterAll(() => {
+    ['test-local', 'test-leaky-url', 'test-leaky-key'].forEach((id) => delete modelCatalog.getCatalog().providers[id]);
+    llmService.initializeClients();
+  });
+
+  test('reads only API key, base URL and LLM_* variables', () => {
+    process.env.TEST_LOCAL_BASE_URL = 'http://127.0.0.1:11434/v1';
+    process.env.DATABASE_URL = 'postgres://user:secret@db/app';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'not-for-providers';
+
+    addProvider('test-local', { baseUrl: '${TEST_LOCAL_BASE_URL}' });
+    addProvider('test-leaky-url', { baseUrl: '${DATABASE_URL}' });
+    addProvider('test-leaky-key', { baseUrl: 'http://127.0.0.1:9/v1', envKey: 'JWT_SECRET', requiresKey: true });
+    llmService.initializeClients();
+
+    const status = llmService.getProviderStatus();
+    expect(status['test-local'].configured).toBe(true);
+    expect(status['test-leaky-url'].configured).toBe(false);
+    expect(status['test-leaky-key'].configured).toBe(false);
+  });
+});
+
+describe('attachments', () => {
+  const documentUrl = [{
+    role: 'user',
+    content: [{ type: 'document', mediaType: 'application/pdf', url: 'https://example.com/report.pdf' }],
+  }];
+
+  test('accepts document URLs by the provider SDK, not its ID', () => {
+    const catalog = modelCatalog.getCatalog();
+    catalog.providers['test-claude-gateway'] = { id: 'test-claude-gateway', name: 'Gateway', sdkType: 'anthropic', enabled: true };
+    const model = { id: 'test-documents', name: 'Test documents', provider: 'test-claude-gateway', supportsDocuments: true };
+
+    expect(() => llmService.validateMessageContent(documentUrl, model)).not.toThrow();
+    expect(() => llmService.validateMessageContent(documentUrl, { ...model, provider: 'mock' }))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_INPUT' }));
+
+    delete catalog.providers['test-claude-gateway'];
+  });
+});
@@ -0,0 +1,676 @@
+/**
+ * @fileoverview Model Catalog Service
+ * @description The LLM model and provider catalog used by llmService.
+ *
+ * models.json is the seed: at startup its providers and models are inserted
+ * into llm_providers / llm_models (existing rows are left untouched, so admin
+ * edits survive deploys) and the catalog is then served from the database.
+ * Admin changes reload the in-memory copy immediately, and every instance
+ * re-reads the tables every MODEL_CATALOG_REFRESH_INTERVAL ms, so models can
+ * be added, edited or retired without a restart.
+ *
+ * Without a database the catalog is read from models.json and is read-only.
+ *
+ * Providers: { name, baseUrl, envKey, sdkType, headers, requiresKey }.
+ * baseUrl and header values may reference environment variables as ${VAR}
+ * (expanded by llmService), and requiresKey: false allows key-less servers.
+ *
+ * @module services/modelCatalogService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDbConfigured, query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  seedPath: path.join(__dirname, '../config/models.json'),
+  refreshInterval: parseInt(process.env.MODEL_CATALOG_REFRESH_INTERVAL, 10) || 60 * 1000,
+};
+
+const SDK_TYPES = ['openai', 'anthropic', 'google', 'openai-compatible', 'mock'];
+const JSON_MODES = ['response_mime_type', 'response_format', 'tool_use'];
+const MODEL_TYPES = ['chat', 'embedding', 'image', 'audio', 'moderation'];
+
+const MODEL_ID_PATTERN = /^[a-zA-Z0-9._:/-]{1,100}$/;
+const PROVIDER_ID_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+// Environment variables a provider may read, as its envKey or through ${VAR}
+// references in baseUrl and headers. Their values are sent to the provider's
+// host, so other server secrets (JWT_SECRET, DB_PASSWORD, ...) must stay out of reach.
+const PROVIDER_ENV_PATTERN = /^(LLM_[A-Z0-9_]+|[A-Z][A-Z0-9_]*_(API_KEY|BASE_URL))$/;
+const ENV_REFERENCE_PATTERN = /\$\{([A-Za-z0-9_]+)(?::-[^}]*)?\}/g;
+
+// In-memory catalog: { providers: { [id]: provider }, models: [model], source, loadedAt }
+let catalog = null;
+let refreshTimer = null;
+const providerListeners = [];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Read the models.json seed
+ * @returns {{ providers: Object, models: Array }}
+ */
+const readSeedFile = () => {
+  try {
+    const seed = JSON.parse(fs.readFileSync(CONFIG.seedPath, 'utf8'));
+    return { providers: seed.providers || {}, models: seed.models || [] };
+  } catch (error) {
+    logger.error('Failed to load models config', { error: error.message });
+    return { providers: {}, models: [] };
+  }
+};
+
+/**
+ * Build the in-memory catalog from models.json
+ * @returns {Object} Catalog
+ */
+const catalogFromFile = () => {
+  const seed = readSeedFile();
+  return {
+    providers: Object.fromEntries(
+      Object.entries(seed.providers).map(([id, provider]) => [
+        id,
+        { id, headers: {}, requiresKey: true, ...provider, enabled: true },
+      ])
+    ),
+    models: seed.models.map((model) => ({ ...model, enabled: true })),
+    source: 'file',
+    loadedAt: new Date(),
+  };
+};
+
+/**
+ * Split a model into its table columns and capability config
+ * @param {Object} model - Model as in models.json
+ * @returns {{ id: string, provider: string, enabled: boolean, config: Object }}
+ */
+const toModelRow = ({ id, provider, enabled = true, ...config }) => ({ id, provider, enabled, config });
+
+/**
+ * Format model row (config JSONB merged back into the models.json shape)
+ * @param {Object} row - Raw llm_models row
+ * @returns {Object} Model
+ */
+const formatModel = (row) => ({
+  id: row.id,
+  provider: row.provider,
+  ...row.config,
+  enabled: row.enabled,
+});
+
+/**
+ * Format provider row
+ * @param {Object} row - Raw llm_providers row
+ * @returns {Object} Provider
+ */
+const formatProvider = (row) => ({
+  id: row.id,
+  name: row.name,
+  baseUrl: row.base_url,
+  envKey: row.env_key,
+  sdkType: row.sdk_type,
+  headers: row.headers || {},
+  requiresKey: row.requires_key,
+  enabled: row.enabled,
+});
+
+/**
+ * Ensure admin changes can be stored
+ * @throws {ApiError} 503 if the catalog is not database-backed
+ */
+const ensureWritable = () => {
+  if (!isDbConfigured() || catalog?.source !== 'database') {
+    throw ApiError.serviceUnavailable('Editing the model catalog requires a configured database');
+  }
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check an optional non-negative number
+ * @param {*} value - Value
+ * @param {string} name - Field name (for the error message)
+ * @param {Object} [options] - { integer, allowNull }
+ * @throws {ApiError} 400 if invalid
+ */
+const checkNumber = (value, name, { integer = false, allowNull = true } = {}) => {
+  if (value === null && allowNull) return;
+  const valid = typeof value === 'number' && Number.isFinite(value) && value >= 0 &&
+    (!integer || Number.isInteger(value));
+  if (!valid) {
+    throw ApiError.badRequest(`"${name}" must be a non-negative ${integer ? 'integer' : 'number'}${allowNull ? ' or null' : ''}`);
+  }
+};
+
+/**
+ * Validate model capability fields. Unknown fields are rejected so typos do
+ * not silently create dead config.
+ *
+ * @param {Object} input - Fields to set
+ * @param {Object} current - Current model (empty when creating)
+ * @returns {Object} Capability config (without id, provider and enabled)
+ * @throws {ApiError} 400 if a field is invalid
+ */
+const validateModelConfig = (input, current = {}) => {
+  const validators = {
+    name: (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= 100,
+    type: (v) => MODEL_TYPES.includes(v),
+    specialization: (v) => v === null || typeof v === 'string',
+    maxTokens: (v) => checkNumber(v, 'maxTokens', { integer: true, allowNull: false }) ?? true,
+    maxOutputTokens: (v) => checkNumber(v, 'maxOutputTokens', { integer: true }) ?? true,
+    dimensions: (v) => checkNumber(v, 'dimensions', { integer: true }) ?? true,
+    recommendedTemperature: (v) => v === null || (typeof v === 'number' && v >= 0 && v <= 2),
+    thinkingEnabled: (v) => typeof v === 'boolean',
+    thinkingBudget: (v) => v === null || (
+      Number.isInteger(v?.min) && Number.isInteger(v?.max) && Number.isInteger(v?.default) &&
+      v.min >= 0 && v.min <= v.default && v.default <= v.max
+    ),
+    jsonMode: (v) => v === null || JSON_MODES.includes(v),
+    supportsVision: (v) => typeof v === 'boolean',
+    supportsDocuments: (v) => typeof v === 'boolean',
+    supportsStreaming: (v) => typeof v === 'boolean',
+    supportsImageGeneration: (v) => typeof v === 'boolean',
+    pricing: (v) => v === null || (
+      typeof v === 'object' &&
+      (checkNumber(v.input ?? 0, 'pricing.input') ?? true) &&
+      (checkNumber(v.output ?? 0, 'pricing.output') ?? true)
+    ),
+    fallbacks: (v) => Array.isArray(v) && v.every((id) => typeof id === 'string' && id !== current.id),
+    // Mock provider behaviour (see llmService MOCK PROVIDER)
+    mock: (v) => v === null || (typeof v === 'object' && !Array.isArray(v)),
+  };
+
+  const config = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (['id', 'provider', 'enabled'].includes(key)) continue;
+    if (!validators[key]) {
+      throw ApiError.badRequest(`Unknown model field "${key}"`, { allowed: Object.keys(validators) });
+    }
+    if (!validators[key](value)) {
+      throw ApiError.badRequest(`Invalid value for "${key}"`);
+    }
+    config[key] = value;
+  }
+
+  const merged = { ...current, ...config };
+  if (merged.thinkingEnabled && !merged.thinkingBudget) {
+    throw ApiError.badRequest('"thinkingBudget" { min, max, default } is required when thinkingEnabled is true');
+  }
+  if (!merged.name) {
+    throw ApiError.badRequest('"name" is required');
+  }
+  if (!merged.maxTokens && (merged.type || 'chat') === 'chat') {
+    throw ApiError.badRequest('"maxTokens" is required for chat models');
+  }
+
+  return config;
+};
+
+/**
+ * Whether a provider may read an environment variable
+ * @param {string} name - Variable name
+ * @returns {boolean}
+ */
+const isProviderEnvVar = (name) => PROVIDER_ENV_PATTERN.test(name);
+
+/**
+ * Check the ${VAR} references of a provider field
+ * @param {string} value - baseUrl or header value
+ * @param {string} field - Field name for the error message
+ * @throws {ApiError} 400 if a referenced variable may not be read
+ */
+const checkEnvReferences = (value, field) => {
+  for (const [, name] of String(value).matchAll(ENV_REFERENCE_PATTERN)) {
+    if (!isProviderEnvVar(name)) {
+      throw ApiError.badRequest(`"${field}" may only reference variables named *_API_KEY, *_BASE_URL or LLM_* (not ${name})`);
+    }
+  }
+};
+
+/**
+ * Validate provider fields
+ * @param {Object} input - Fields to set
+ * @returns {Object} Provider fields (name, baseUrl, envKey, sdkType)
+ * @throws {ApiError} 400 if a field is invalid
+ */
+const validateProviderFields = (input) => {
+  const fields = {};
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) throw ApiError.badRequest('"name" must be a non-empty string');
+    fields.name = input.name.trim();
+  }
+  if (input.baseUrl !== undefined) {
+    if (input.baseUrl !== null && !/^(https?:\/\/|\$\{)/.test(input.baseUrl)) throw ApiError.badRequest('"baseUrl" must be an http(s) URL or ${VAR} reference');
+    if (input.baseUrl !== null) checkEnvReferences(input.baseUrl, 'baseUrl');
+    fields.baseUrl = input.baseUrl;
+  }
+  if (input.envKey !== undefined) {
+    if (input.envKey !== null && !isProviderEnvVar(input.envKey)) {
+      throw ApiError.badRequest('"envKey" must be an environment variable named *_API_KEY, *_BASE_URL or LLM_*');
+    }
+    fields.envKey = input.envKey;
+  }
+  if (input.sdkType !== undefined) {
+    if (!SDK_TYPES.includes(input.sdkType)) throw ApiError.badRequest(`"sdkType" must be one of ${SDK_TYPES.join(', ')}`);
+    fields.sdkType = input.sdkType;
+  }
+  if (input.headers !== undefined) {
+    const valid = input.headers === null || (
+      typeof input.headers === 'object' && !Array.isArray(input.headers) &&
+      Object.values(input.headers).every((value) => typeof value === 'string')
+    );
+    if (!valid) throw ApiError.badRequest('"headers" must be an object of string values');
+    Object.entries(input.headers || {}).forEach(([name, value]) => checkEnvReferences(value, `headers.${name}`));
+    fields.headers = input.headers || {};
+  }
+  if (input.requiresKey !== undefined) {
+    if (typeof input.requiresKey !== 'boolean') throw ApiError.badRequest('"requiresKey" must be a boolean');
+    fields.requiresKey = input.requiresKey;
+  }
+  return fields;
+};
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Insert providers and models from models.json that are not in the database yet
+ * @returns {Promise<{ providers: number, models: number }>} Rows inserted
+ */
+const seedFromFile = async () => {
+  const seed = readSeedFile();
+  let providers = 0;
+  let models = 0;
+
+  for (const [id, provider] of Object.entries(seed.providers)) {
+    const result = await query(
+      `INSERT INTO llm_providers (id, name, base_url, env_key, sdk_type, headers, requires_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO NOTHING`,
+      [
+        id,
+        provider.name || id,
+        provider.baseUrl || null,
+        provider.envKey || null,
+        provider.sdkType || 'openai-compatible',
+        provider.headers || {},
+        provider.requiresKey !== false,
+      ]
+    );
+    providers += result.rowCount;
+  }
+
+  for (const [index, model] of seed.models.entries()) {
+    const row = toModelRow(model);
+    const result = await query(
+      `INSERT INTO llm_models (id, provider, enabled, config, sort_order)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO NOTHING`,
+      [row.id, row.provider, row.enabled, row.config, index]
+    );
+    models += result.rowCount;
+  }
+
+  if (providers || models) {
+    logger.info('Model catalog seeded from models.json', { providers, models });
+  }
+
+  return { providers, models };
+};
+
+/**
+ * Replace the in-memory catalog, notifying listeners if providers changed
+ * @param {Object} next - New catalog
+ */
+const setCatalog = (next) => {
+  const changed = catalog && JSON.stringify(catalog.providers) !== JSON.stringify(next.providers);
+  catalog = next;
+
+  if (changed) {
+    providerListeners.forEach((listener) => {
+      try {
+        listener(listProviders());
+      } catch (error) {
+        logger.error('Model catalog provider listener failed', { error: error.message });
+      }
+    });
+  }
+};
+
+/**
+ * Re-read the catalog from the database (keeps the current copy on failure)
+ * @returns {Promise<Object>} Catalog
+ */
+const reload = async () => {
+  if (!isDbConfigured()) {
+    setCatalog(catalogFromFile());
+    return catalog;
+  }
+
+  try {
+    const providersResult = await query('SELECT * FROM llm_providers ORDER BY id');
+    const modelsResult = await query('SELECT * FROM llm_models ORDER BY sort_order, id');
+
+    setCatalog({
+      providers: Object.fromEntries(providersResult.rows.map((row) => [row.id, formatProvider(row)])),
+      models: modelsResult.rows.map(formatModel),
+      source: 'database',
+      loadedAt: new Date(),
+    });
+  } catch (error) {
+    logger.warn('Model catalog reload failed', { error: error.message });
+    if (!catalog) catalog = catalogFromFile();
+  }
+
+  return catalog;
+};
+
+/**
+ * Seed and load the catalog, then keep it fresh. Called once at startup;
+ * falls back to models.json when the tables are missing.
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  if (!isDbConfigured()) {
+    catalog = catalogFromFile();
+    return;
+  }
+
+  try {
+    await seedFromFile();
+  } catch (error) {
+    logger.warn('Model catalog tables unavailable - using models.json', { error: error.message });
+    catalog = catalogFromFile();
+    return;
+  }
+
+  await reload();
+  logger.info('Model catalog loaded', { source: catalog.source, models: catalog.models.length });
+
+  if (!refreshTimer && CONFIG.refreshInterval > 0) {
+    refreshTimer = setInterval(reload, CONFIG.refreshInterval);
+    refreshTimer.unref();
+  }
+};
+
+/**
+ * Stop the periodic refresh
+ */
+const shutdown = () => {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Get the current catalog (loads models.json on first use)
+ * @returns {Object} { providers, models, source, loadedAt }
+ */
+const getCatalog = () => {
+  if (!catalog) catalog = catalogFromFile();
+  return catalog;
+};
+
+/**
+ * Get a model by ID
+ * @param {string} modelId - Model ID
+ * @param {Object} [options] - { includeDisabled }
+ * @returns {Object|null} Model
+ */
+const getModel = (modelId, { includeDisabled = false } = {}) => {
+  const model = getCatalog().models.find((m) => m.id === modelId);
+  if (!model || (!includeDisabled && !model.enabled)) return null;
+  return model;
+};
+
+/**
+ * List models
+ * @param {Object} [options] - { provider, includeDisabled }
+ * @returns {Array} Models
+ */
+const listModels = ({ provider = null, includeDisabled = false } = {}) =>
+  getCatalog().models.filter((m) =>
+    (includeDisabled || m.enabled) && (!provider || m.provider === provider)
+  );
+
+/**
+ * Get a provider by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object|null} Provider
+ */
+const getProvider = (providerId) => getCatalog().providers[providerId] || null;
+
+/**
+ * List providers
+ * @returns {Array} Providers
+ */
+const listProviders = () => Object.values(getCatalog().providers);
+
+/**
+ * Whether a provider is enabled (providers missing from the catalog are)
+ * @param {string} providerId - Provider ID
+ * @returns {boolean}
+ */
+const isProviderEnabled = (providerId) => getProvider(providerId)?.enabled !== false;
+
+/**
+ * Register a listener called with the provider list whenever providers are
+ * added or edited (llmService uses it to recreate SDK clients)
+ * @param {Function} listener - (providers) => void
+ */
+const onProvidersChanged = (listener) => {
+  providerListeners.push(listener);
+};
+
+// ============================================================================
+// ADMIN CHANGES
+// ============================================================================
+
+/**
+ * Add a model
+ * @param {Object} input - { id, provider, enabled?, ...capabilities }
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Created model
+ * @throws {ApiError} 400 if invalid, 409 if the ID exists, 503 without a database
+ */
+const createModel = async (input, actorId) => {
+  ensureWritable();
+
+  if (!MODEL_ID_PATTERN.test(input?.id || '')) {
+    throw ApiError.badRequest(`"id" must match ${MODEL_ID_PATTERN}`);
+  }
+  if (!getProvider(input.provider)) {
+    throw ApiError.badRequest(`Unknown provider "${input.provider}"`, { allowed: Object.keys(getCatalog().providers) });
+  }
+  if (getModel(input.id, { includeDisabled: true })) {
+    throw ApiError.conflict(`Model "${input.id}" already exists`);
+  }
+
+  const config = validateModelConfig(input, { id: input.id });
+  await query(
+    `INSERT INTO llm_models (id, provider, enabled, config, sort_order, updated_by)
+     VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM llm_models), $5)`,
+    [input.id, input.provider, input.enabled !== false, { type: 'chat', ...config }, actorId]
+  );
+
+  logger.info('Model added to catalog', { modelId: input.id, provider: input.provider, actorId });
+  await reload();
+  return getModel(input.id, { includeDisabled: true });
+};
+
+/**
+ * Update a model's provider or capabilities. Omitted fields are unchanged;
+ * null clears optional fields.
+ * @param {string} modelId - Model ID
+ * @param {Object} input - Fields to change
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Updated model
+ * @throws {ApiError} 400 if invalid, 404 if missing, 503 without a database
+ */
+const updateModel = async (modelId, input, actorId) => {
+  ensureWritable();
+
+  const current = getModel(modelId, { includeDisabled: true });
+  if (!current) throw ApiError.notFound(`Model "${modelId}" not found`);
+
+  if (input.provider !== undefined && !getProvider(input.provider)) {
+    throw ApiError.badRequest(`Unknown provider "${input.provider}"`);
+  }
+
+  const { id, provider, enabled, ...currentConfig } = current;
+  const config = Object.fromEntries(
+    Object.entries({ ...currentConfig, ...validateModelConfig(input, current) })
+      .filter(([, value]) => value !== undefined)
+  );
+
+  await query(
+    `UPDATE llm_models
+     SET provider = $2, enabled = $3, config = $4, updated_by = $5, updated_at = NOW()
+     WHERE id = $1`,
+    [modelId, input.provider ?? provider, typeof input.enabled === 'boolean' ? input.enabled : enabled, config, actorId]
+  );
+
+  logger.info('Model updated in catalog', { modelId, fields: Object.keys(input), actorId });
+  await reload();
+  return getModel(modelId, { includeDisabled: true });
+};
+
+/**
+ * Enable or disable (retire) a model
+ * @param {string} modelId - Model ID
+ * @param {boolean} enabled - New state
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Updated model
+ */
+const setModelEnabled = (modelId, enabled, actorId) => updateModel(modelId, { enabled }, actorId);
+
+/**
+ * Add a provider. A provider only serves requests once llmService has a
+ * client for it (an API key in its envKey, or a baseUrl when requiresKey is false).
+ * @param {Object} input - { id, name, baseUrl?, envKey?, sdkType, headers?, requiresKey?, enabled? }
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Created provider
+ * @throws {ApiError} 400 if invalid, 409 if the ID exists, 503 without a database
+ */
+const createProvider = async (input, actorId) => {
+  ensureWritable();
+
+  if (!PROVIDER_ID_PATTERN.test(input?.id || '')) {
+    throw ApiError.badRequest(`"id" must match ${PROVIDER_ID_PATTERN}`);
+  }
+  if (getProvider(input.id)) {
+    throw ApiError.conflict(`Provider "${input.id}" already exists`);
+  }
+
+  const fields = validateProviderFields({ sdkType: 'openai-compatible', ...input });
+  if (!fields.name) throw ApiError.badRequest('"name" is required');
+
+  await query(
+    `INSERT INTO llm_providers (id, name, base_url, env_key, sdk_type, headers, requires_key, enabled, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      input.id,
+      fields.name,
+      fields.baseUrl || null,
+      fields.envKey || null,
+      fields.sdkType,
+      fields.headers || {},
+      fields.requiresKey !== false,
+      input.enabled !== false,
+      actorId,
+    ]
+  );
+
+  logger.info('Provider added to catalog', { providerId: input.id, actorId });
+  await reload();
+  return getProvider(input.id);
+};
+
+/**
+ * Update a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} input - { name?, baseUrl?, envKey?, sdkType?, headers?, requiresKey?, enabled? }
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Updated provider
+ * @throws {ApiError} 400 if invalid, 404 if missing, 503 without a database
+ */
+const updateProvider = async (providerId, input, actorId) => {
+  ensureWritable();
+
+  const current = getProvider(providerId);
+  if (!current) throw ApiError.notFound(`Provider "${providerId}" not found`);
+
+  const next = { ...current, ...validateProviderFields(input) };
+  if (typeof input.enabled === 'boolean') next.enabled = input.enabled;
+
+  await query(
+    `UPDATE llm_providers
+     SET name = $2, base_url = $3, env_key = $4, sdk_type = $5, headers = $6, requires_key = $7,
+         enabled = $8, updated_by = $9, updated_at = NOW()
+     WHERE id = $1`,
+    [providerId, next.name, next.baseUrl, next.envKey, next.sdkType, next.headers, next.requiresKey, next.enabled, actorId]
+  );
+
+  logger.info('Provider updated in catalog', { providerId, fields: Object.keys(input), actorId });
+  await reload();
+  return getProvider(providerId);
+};
+
+/**
+ * Enable or disable a provider (its models become unavailable)
+ * @param {string} providerId - Provider ID
+ * @param {boolean} enabled - New state
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Updated provider
+ */
+const setProviderEnabled = (providerId, enabled, actorId) => updateProvider(providerId, { enabled }, actorId);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Lifecycle
+  initialize,
+  reload,
+  shutdown,
+
+  // Reading
+  getCatalog,
+  getModel,
+  listModels,
+  getProvider,
+  listProviders,
+  isProviderEnabled,
+  onProvidersChanged,
+  isProviderEnvVar,
+
+  // Admin
+  createModel,
+  updateModel,
+  setModelEnabled,
+  createProvider,
+  updateProvider,
+  setProviderEnabled,
+
+  // Configuration
+  CONFIG,
+  SDK_TYPES,
+  JSON_MODES,
+  MODEL_TYPES,
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Model catalog tests
+ * @description Which environment variables catalog providers may read, as
+ * envKey or through ${VAR} references.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const modelCatalog = require('./modelCatalogService');
+
+describe('isProviderEnvVar', () => {
+  test.each(['OPENAI_API_KEY', 'GATEWAY_API_KEY', 'OLLAMA_BASE_URL', 'LLM_GATEWAY_TOKEN'])('allows %s', (name) => {
+    expect(modelCatalog.isProviderEnvVar(name)).toBe(true);
+  });
+
+  test.each(['JWT_SECRET', 'DB_PASSWORD', 'DB_CONNECTION_STRING', 'DATABASE_URL', 'SESSION_SECRET', 'API_KEY_SALT', 'openai_api_key'])(
+    'refuses %s',
+    (name) => {
+      expect(modelCatalog.isProviderEnvVar(name)).toBe(false);
+    }
+  );
+});
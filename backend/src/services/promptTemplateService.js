@@ -0,0 +1,546 @@
+/**
+ * @fileoverview Prompt Template Service
+ * @description Named, versioned prompt templates stored in Postgres
+ * (prompt_templates / prompt_template_versions). A template holds a system
+ * prompt and few-shot messages with {{variable}} placeholders; chat requests
+ * name one with templateId (plus variables) and applyTemplate renders it in
+ * front of the request's own system prompt and messages.
+ *
+ * Visibility:
+ * - private - the owner only
+ * - role    - users with shared_role or a higher role (see ROLE_LEVELS)
+ * - global  - everyone, anonymous chat requests included (set by admins)
+ *
+ * Templates are edited by their owner or an admin. Changing the content adds
+ * a version; name, description and visibility are edited in place.
+ *
+ * @module services/promptTemplateService
+ */
+
+const { isDbConfigured, query, transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { VALID_ROLES, getRoleLevel, hasRoleOrHigher } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  maxNameLength: 100,
+  maxDescriptionLength: 1000,
+  maxSystemPromptLength: 100000,
+  maxExamples: 50,
+  defaultListLimit: 50,
+  maxListLimit: 200,
+};
+
+const VISIBILITIES = ['private', 'role', 'global'];
+const EXAMPLE_ROLES = ['user', 'assistant'];
+
+// {{name}}, with optional spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Ensure templates can be stored
+ * @throws {ApiError} 503 if the database is not configured
+ */
+const ensureEnabled = () => {
+  if (!isDbConfigured()) {
+    throw ApiError.serviceUnavailable('Prompt templates require a configured database');
+  }
+};
+
+/**
+ * Roles whose templates shared by role a user can see (their role and below)
+ * @param {Object|null} user - User ({ role })
+ * @returns {Array<string>}
+ */
+const visibleRoles = (user) => {
+  if (!user) return [];
+  return VALID_ROLES.filter((role) => getRoleLevel(role) <= getRoleLevel(user.role));
+};
+
+/**
+ * Whether a user may edit a template
+ * @param {Object} user - User ({ id, role })
+ * @param {Object} row - Template row
+ * @returns {boolean}
+ */
+const canEdit = (user, row) => row.owner_id === user?.id || (!!user && hasRoleOrHigher(user, 'admin'));
+
+/**
+ * List the distinct {{variables}} of a system prompt and examples
+ * @param {string|null} systemPrompt - System prompt
+ * @param {Array<Object>} messages - Few-shot messages
+ * @returns {Array<string>} Variable names in order of first use
+ */
+const extractVariables = (systemPrompt, messages) => {
+  const names = new Set();
+  [systemPrompt || '', ...messages.map((message) => message.content)].forEach((text) => {
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+  });
+  return [...names];
+};
+
+/**
+ * Replace {{variables}} in a text
+ * @param {string} text - Template text
+ * @param {Object} values - Variable values
+ * @returns {string}
+ */
+const substitute = (text, values) => text.replace(VARIABLE_PATTERN, (placeholder, name) => values[name]);
+
+/**
+ * Format template row (joined to a version) for API response
+ * @param {Object} row - Raw template row with the version's columns
+ * @param {Object} [user] - Requesting user, for canEdit
+ * @returns {Object} Template object
+ */
+const formatTemplate = (row, user) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  visibility: row.visibility,
+  sharedRole: row.shared_role,
+  ownerId: row.owner_id,
+  ownerName: row.owner_name,
+  currentVersion: row.current_version,
+  version: row.version,
+  systemPrompt: row.system_prompt,
+  messages: row.messages,
+  variables: row.variables,
+  canEdit: canEdit(user, row),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Format version row for API response
+ * @param {Object} row - Raw version row
+ * @returns {Object} Version object
+ */
+const formatVersion = (row) => ({
+  version: row.version,
+  systemPrompt: row.system_prompt,
+  messages: row.messages,
+  variables: row.variables,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate template metadata. Only the fields present are checked.
+ * @param {Object} user - Editing user
+ * @param {Object} input - { name, description, visibility, sharedRole }
+ * @returns {Object} Normalized fields
+ * @throws {ApiError} 400 (403 for global visibility without the admin role)
+ */
+const validateMetadata = (user, { name, description, visibility, sharedRole }) => {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw ApiError.badRequest('name is required');
+    }
+    if (name.trim().length > CONFIG.maxNameLength) {
+      throw ApiError.badRequest(`name must be at most ${CONFIG.maxNameLength} characters`);
+    }
+    fields.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw ApiError.badRequest('description must be a string');
+    }
+    if (description && description.length > CONFIG.maxDescriptionLength) {
+      throw ApiError.badRequest(`description must be at most ${CONFIG.maxDescriptionLength} characters`);
+    }
+    fields.description = description?.trim() || null;
+  }
+
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw ApiError.badRequest(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    if (visibility === 'global' && !hasRoleOrHigher(user, 'admin')) {
+      throw ApiError.forbidden('Only admins can publish global templates');
+    }
+    if (visibility === 'role' && !VALID_ROLES.includes(sharedRole)) {
+      throw ApiError.badRequest(`sharedRole must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+    fields.visibility = visibility;
+    fields.shared_role = visibility === 'role' ? sharedRole : null;
+  }
+
+  return fields;
+};
+
+/**
+ * Validate template content
+ * @param {Object} input - { systemPrompt, messages }
+ * @returns {{ systemPrompt: string|null, messages: Array<Object>, variables: Array<string> }}
+ * @throws {ApiError} 400 if invalid or empty
+ */
+const validateContent = ({ systemPrompt = null, messages = [] }) => {
+  if (systemPrompt !== null && typeof systemPrompt !== 'string') {
+    throw ApiError.badRequest('systemPrompt must be a string');
+  }
+  if (systemPrompt && systemPrompt.length > CONFIG.maxSystemPromptLength) {
+    throw ApiError.badRequest(`systemPrompt must be at most ${CONFIG.maxSystemPromptLength} characters`);
+  }
+  if (!Array.isArray(messages)) {
+    throw ApiError.badRequest('messages must be an array');
+  }
+  if (messages.length > CONFIG.maxExamples) {
+    throw ApiError.badRequest(`At most ${CONFIG.maxExamples} example messages are allowed`);
+  }
+
+  const normalized = messages.map((message, index) => {
+    if (!EXAMPLE_ROLES.includes(message?.role) || typeof message.content !== 'string' || !message.content) {
+      throw ApiError.badRequest(`messages[${index}] must have role ${EXAMPLE_ROLES.join(' or ')} and text content`);
+    }
+    return { role: message.role, content: message.content };
+  });
+
+  const prompt = systemPrompt?.trim() ? systemPrompt : null;
+  if (!prompt && normalized.length === 0) {
+    throw ApiError.badRequest('A template needs a systemPrompt or example messages');
+  }
+
+  return { systemPrompt: prompt, messages: normalized, variables: extractVariables(prompt, normalized) };
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Load a template visible to a user, joined to its current (or a given) version
+ * @param {Object|null} user - Requesting user ({ id, role }), null for anonymous
+ * @param {string} templateId - Template ID
+ * @param {Object} [options]
+ * @param {number} [options.version] - Version to load instead of the current one
+ * @returns {Promise<Object>} Raw row
+ * @throws {ApiError} 404 TEMPLATE_NOT_FOUND
+ */
+const getVisibleTemplate = async (user, templateId, { version } = {}) => {
+  ensureEnabled();
+
+  if (version !== undefined && version !== null && !(Number.isInteger(Number(version)) && Number(version) > 0)) {
+    throw ApiError.badRequest('version must be a positive integer');
+  }
+
+  const result = await query(
+    `SELECT t.*, v.version, v.system_prompt, v.messages, v.variables, u.display_name AS owner_name
+     FROM prompt_templates t
+     JOIN prompt_template_versions v ON v.template_id = t.id AND v.version = COALESCE($4, t.current_version)
+     LEFT JOIN users u ON u.id = t.owner_id
+     WHERE t.id = $1
+       AND (t.owner_id = $2 OR t.visibility = 'global' OR (t.visibility = 'role' AND t.shared_role = ANY($3)))`,
+    [templateId, user?.id || null, visibleRoles(user), version ? Number(version) : null]
+  ).catch((error) => {
+    // Malformed UUIDs are simply not found
+    if (error.code === '22P02') return { rows: [] };
+    throw error;
+  });
+
+  if (!result.rows[0]) {
+    throw new ApiError(404, version ? `Prompt template version ${version} not found` : 'Prompt template not found', 'TEMPLATE_NOT_FOUND');
+  }
+  return result.rows[0];
+};
+
+/**
+ * List the templates a user can see, by name
+ * @param {Object} user - Requesting user ({ id, role })
+ * @param {Object} [options] - { search, visibility, limit, offset }
+ * @returns {Promise<{ templates: Array, total: number }>}
+ */
+const listTemplates = async (user, { search, visibility, limit, offset = 0 } = {}) => {
+  ensureEnabled();
+
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = [`(t.owner_id = $1 OR t.visibility = 'global' OR (t.visibility = 'role' AND t.shared_role = ANY($2)))`];
+  const values = [user.id, visibleRoles(user)];
+
+  if (visibility) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw ApiError.badRequest(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    values.push(visibility);
+    conditions.push(`t.visibility = $${values.length}`);
+  }
+
+  if (search) {
+    values.push(`%${search}%`);
+    conditions.push(`(t.name ILIKE $${values.length} OR t.description ILIKE $${values.length})`);
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const countResult = await query(`SELECT COUNT(*) FROM prompt_templates t WHERE ${whereClause}`, values);
+  const result = await query(
+    `SELECT t.*, v.version, v.system_prompt, v.messages, v.variables, u.display_name AS owner_name
+     FROM prompt_templates t
+     JOIN prompt_template_versions v ON v.template_id = t.id AND v.version = t.current_version
+     LEFT JOIN users u ON u.id = t.owner_id
+     WHERE ${whereClause}
+     ORDER BY LOWER(t.name), t.created_at
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  return {
+    templates: result.rows.map((row) => formatTemplate(row, user)),
+    total: parseInt(countResult.rows[0].count),
+  };
+};
+
+/**
+ * Get a template at its current (or a given) version
+ * @param {Object} user - Requesting user
+ * @param {string} templateId - Template ID
+ * @param {Object} [options] - { version }
+ * @returns {Promise<Object>} Template
+ */
+const getTemplate = async (user, templateId, options = {}) => {
+  const row = await getVisibleTemplate(user, templateId, options);
+  return formatTemplate(row, user);
+};
+
+/**
+ * List a template's versions, newest first
+ * @param {Object} user - Requesting user
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array>} Versions
+ */
+const listVersions = async (user, templateId) => {
+  await getVisibleTemplate(user, templateId);
+
+  const result = await query(
+    'SELECT * FROM prompt_template_versions WHERE template_id = $1 ORDER BY version DESC',
+    [templateId]
+  );
+  return result.rows.map(formatVersion);
+};
+
+/**
+ * Create a template (version 1)
+ * @param {Object} user - Owner ({ id, role })
+ * @param {Object} input - { name, description, visibility, sharedRole, systemPrompt, messages }
+ * @returns {Promise<Object>} Created template
+ */
+const createTemplate = async (user, input = {}) => {
+  ensureEnabled();
+
+  const metadata = validateMetadata(user, {
+    name: input.name ?? '',
+    description: input.description ?? null,
+    visibility: input.visibility ?? 'private',
+    sharedRole: input.sharedRole,
+  });
+  const content = validateContent(input);
+
+  const templateId = await transaction(async (client) => {
+    const created = await client.query(
+      `INSERT INTO prompt_templates (owner_id, name, description, visibility, shared_role)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [user.id, metadata.name, metadata.description, metadata.visibility, metadata.shared_role]
+    );
+    const id = created.rows[0].id;
+
+    await client.query(
+      `INSERT INTO prompt_template_versions (template_id, version, system_prompt, messages, variables, created_by)
+       VALUES ($1, 1, $2, $3, $4, $5)`,
+      [id, content.systemPrompt, JSON.stringify(content.messages), JSON.stringify(content.variables), user.id]
+    );
+    return id;
+  });
+
+  logger.info('Prompt template created', { templateId, userId: user.id, visibility: metadata.visibility });
+  return getTemplate(user, templateId);
+};
+
+/**
+ * Update a template. New content (systemPrompt or messages) adds a version
+ * when it differs from the current one; metadata is changed in place.
+ * @param {Object} user - Editing user
+ * @param {string} templateId - Template ID
+ * @param {Object} input - Any of { name, description, visibility, sharedRole, systemPrompt, messages }
+ * @returns {Promise<Object>} Updated template at its current version
+ * @throws {ApiError} 403 if the user may not edit it
+ */
+const updateTemplate = async (user, templateId, input = {}) => {
+  const current = await getVisibleTemplate(user, templateId);
+  if (!canEdit(user, current)) {
+    throw ApiError.forbidden('Only the owner or an admin can edit this template');
+  }
+
+  // sharedRole alone re-shares a role template with another role
+  const visibility = input.visibility ?? (input.sharedRole !== undefined ? current.visibility : undefined);
+  const metadata = validateMetadata(user, {
+    name: input.name,
+    description: input.description,
+    visibility,
+    sharedRole: input.sharedRole ?? current.shared_role,
+  });
+
+  let content = null;
+  if (input.systemPrompt !== undefined || input.messages !== undefined) {
+    content = validateContent({
+      systemPrompt: input.systemPrompt !== undefined ? input.systemPrompt : current.system_prompt,
+      messages: input.messages !== undefined ? input.messages : current.messages,
+    });
+    const unchanged = content.systemPrompt === current.system_prompt &&
+      JSON.stringify(content.messages) === JSON.stringify(current.messages);
+    if (unchanged) content = null;
+  }
+
+  await transaction(async (client) => {
+    // Lock the template so concurrent edits get consecutive versions
+    const locked = await client.query(
+      'SELECT current_version FROM prompt_templates WHERE id = $1 FOR UPDATE',
+      [templateId]
+    );
+    if (!locked.rows[0]) {
+      throw new ApiError(404, 'Prompt template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const sets = Object.keys(metadata).map((column, index) => `${column} = $${index + 2}`);
+    const values = Object.values(metadata);
+
+    if (content) {
+      const version = locked.rows[0].current_version + 1;
+      await client.query(
+        `INSERT INTO prompt_template_versions (template_id, version, system_prompt, messages, variables, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [templateId, version, content.systemPrompt, JSON.stringify(content.messages), JSON.stringify(content.variables), user.id]
+      );
+      values.push(version);
+      sets.push(`current_version = $${values.length + 1}`);
+    }
+
+    if (sets.length > 0) {
+      await client.query(
+        `UPDATE prompt_templates SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1`,
+        [templateId, ...values]
+      );
+    }
+  });
+
+  logger.info('Prompt template updated', { templateId, userId: user.id, newVersion: !!content });
+  return getTemplate(user, templateId);
+};
+
+/**
+ * Delete a template and its versions
+ * @param {Object} user - Editing user
+ * @param {string} templateId - Template ID
+ * @throws {ApiError} 403 if the user may not edit it
+ */
+const deleteTemplate = async (user, templateId) => {
+  const current = await getVisibleTemplate(user, templateId);
+  if (!canEdit(user, current)) {
+    throw ApiError.forbidden('Only the owner or an admin can delete this template');
+  }
+
+  await query('DELETE FROM prompt_templates WHERE id = $1', [templateId]);
+  logger.info('Prompt template deleted', { templateId, userId: user.id });
+};
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render a template with variable values
+ * @param {Object|null} user - Requesting user
+ * @param {string} templateId - Template ID
+ * @param {Object} [options]
+ * @param {Object} [options.variables] - Values by variable name (strings, numbers or booleans)
+ * @param {number} [options.version] - Version to render instead of the current one
+ * @returns {Promise<{ template: Object, systemPrompt: string|null, messages: Array<Object> }>}
+ * @throws {ApiError} 400 MISSING_VARIABLES or INVALID_INPUT, 404 TEMPLATE_NOT_FOUND
+ */
+const renderTemplate = async (user, templateId, { variables = {}, version } = {}) => {
+  if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ApiError(400, 'variables must be an object', 'INVALID_INPUT');
+  }
+
+  const values = {};
+  Object.entries(variables).forEach(([name, value]) => {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new ApiError(400, `Variable "${name}" must be a string, number or boolean`, 'INVALID_INPUT');
+    }
+    values[name] = String(value);
+  });
+
+  const row = await getVisibleTemplate(user, templateId, { version });
+
+  const missing = row.variables.filter((name) => !(name in values));
+  if (missing.length > 0) {
+    throw new ApiError(400, `Missing template variables: ${missing.join(', ')}`, 'MISSING_VARIABLES', { missing });
+  }
+
+  return {
+    template: { id: row.id, name: row.name, version: row.version },
+    systemPrompt: row.system_prompt ? substitute(row.system_prompt, values) : null,
+    messages: row.messages.map((message) => ({ ...message, content: substitute(message.content, values) })),
+  };
+};
+
+/**
+ * Apply a chat request's template (if any): the rendered system prompt comes
+ * before the request's own, and the examples before its messages
+ * @param {Object|null} user - Requesting user
+ * @param {Object} request - { templateId, templateVersion, variables, systemPrompt, messages }
+ * @returns {Promise<{ systemPrompt: string|undefined, messages: Array, template: Object|null }>}
+ */
+const applyTemplate = async (user, { templateId, templateVersion, variables, systemPrompt, messages }) => {
+  if (!templateId) {
+    return { systemPrompt, messages, template: null };
+  }
+
+  const rendered = await renderTemplate(user, templateId, { variables: variables || {}, version: templateVersion });
+
+  return {
+    systemPrompt: [rendered.systemPrompt, systemPrompt].filter(Boolean).join('\n\n') || undefined,
+    messages: [...rendered.messages, ...messages],
+    template: rendered.template,
+  };
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Templates
+  listTemplates,
+  getTemplate,
+  listVersions,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+
+  // Rendering
+  renderTemplate,
+  applyTemplate,
+  extractVariables,
+
+  // Constants
+  CONFIG,
+  VISIBILITIES,
+};
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Quota Service
+ * @description Daily and monthly LLM quotas per role, with per-user overrides.
+ * Usage is counted from the llm_usage ledger (see usageService), so quotas
+ * are only enforced when the database is configured.
+ *
+ * Role defaults come from environment variables named
+ * LLM_QUOTA_<ROLE>_<DAILY|MONTHLY>_<TOKENS|REQUESTS>, e.g.
+ * LLM_QUOTA_USER_DAILY_TOKENS=500000. Use "unlimited" (or -1) to lift a
+ * limit. Anonymous requests share the ANONYMOUS quota.
+ *
+ * Per-user overrides are stored in user_quotas: NULL inherits the role
+ * default, -1 means unlimited and 0 blocks LLM access.
+ *
+ * @module services/quotaService
+ */
+
+const { isDbConfigured, query } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Quota fields: key -> { period, metric, column }
+ */
+const QUOTA_FIELDS = {
+  dailyTokens: { period: 'day', metric: 'tokens', column: 'daily_tokens' },
+  monthlyTokens: { period: 'month', metric: 'tokens', column: 'monthly_tokens' },
+  dailyRequests: { period: 'day', metric: 'requests', column: 'daily_requests' },
+  monthlyRequests: { period: 'month', metric: 'requests', column: 'monthly_requests' },
+};
+
+const UNLIMITED = -1;
+
+/**
+ * Parse a quota limit from the environment
+ * @param {string} value - Raw value
+ * @param {number|null} fallback - Default when unset
+ * @returns {number|null} Limit, or null for unlimited
+ */
+const parseLimit = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (value === 'unlimited') return null;
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return parsed === UNLIMITED ? null : parsed;
+};
+
+/**
+ * Read a role's quota from LLM_QUOTA_<ROLE>_* variables
+ * @param {string} role - Role name
+ * @param {Object} defaults - Default limits (missing keys are unlimited)
+ * @returns {Object} Limits keyed by quota field
+ */
+const readRoleQuota = (role, defaults = {}) => {
+  const prefix = `LLM_QUOTA_${role.toUpperCase()}`;
+  return {
+    dailyTokens: parseLimit(process.env[`${prefix}_DAILY_TOKENS`], defaults.dailyTokens ?? null),
+    monthlyTokens: parseLimit(process.env[`${prefix}_MONTHLY_TOKENS`], defaults.monthlyTokens ?? null),
+    dailyRequests: parseLimit(process.env[`${prefix}_DAILY_REQUESTS`], defaults.dailyRequests ?? null),
+    monthlyRequests: parseLimit(process.env[`${prefix}_MONTHLY_REQUESTS`], defaults.monthlyRequests ?? null),
+  };
+};
+
+const CONFIG = {
+  roles: {
+    superadmin: readRoleQuota('superadmin'),
+    admin: readRoleQuota('admin'),
+    user: readRoleQuota('user', { dailyTokens: 500000, monthlyTokens: 10000000 }),
+    anonymous: readRoleQuota('anonymous', { dailyTokens: 100000, dailyRequests: 200 }),
+  },
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check whether quotas can be enforced
+ * @returns {boolean}
+ */
+const isEnforced = () => isDbConfigured();
+
+/**
+ * Start of the current UTC day and month, and when they reset
+ * @param {Date} [now] - Reference time
+ * @returns {{ dayStart: Date, monthStart: Date, dayReset: Date, monthReset: Date }}
+ */
+const getPeriods = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+  return {
+    dayStart: new Date(Date.UTC(year, month, date)),
+    dayReset: new Date(Date.UTC(year, month, date + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    monthReset: new Date(Date.UTC(year, month + 1, 1)),
+  };
+};
+
+/**
+ * Get the quota role of a user (anonymous when not signed in)
+ * @param {Object|null} user - User with role
+ * @returns {string} Role key in CONFIG.roles
+ */
+const getQuotaRole = (user) => {
+  if (!user?.id) return 'anonymous';
+  return CONFIG.roles[user.role] ? user.role : 'user';
+};
+
+/**
+ * Format override row for API response (pg returns BIGINT as strings)
+ * @param {Object|undefined} row - Raw user_quotas row
+ * @returns {Object} Overrides (null = inherit role default)
+ */
+const formatOverrides = (row) => Object.fromEntries(
+  Object.entries(QUOTA_FIELDS).map(([key, { column }]) => [
+    key,
+    row?.[column] !== null && row?.[column] !== undefined ? parseInt(row[column], 10) : null,
+  ])
+);
+
+// ============================================================================
+// QUOTA RESOLUTION
+// ============================================================================
+
+/**
+ * Get a user's quota overrides
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Overrides (null = inherit role default)
+ */
+const getUserOverrides = async (userId) => {
+  const result = await query('SELECT * FROM user_quotas WHERE user_id = $1', [userId]);
+  return formatOverrides(result.rows[0]);
+};
+
+/**
+ * Resolve effective limits from role defaults and overrides
+ * @param {string} role - Quota role
+ * @param {Object} overrides - Per-user overrides
+ * @returns {Object} Limits keyed by quota field (null = unlimited)
+ */
+const resolveLimits = (role, overrides = {}) => Object.fromEntries(
+  Object.keys(QUOTA_FIELDS).map((key) => {
+    const override = overrides[key];
+    if (override === null || override === undefined) return [key, CONFIG.roles[role][key]];
+    return [key, override === UNLIMITED ? null : override];
+  })
+);
+
+/**
+ * Count a user's requests and tokens for the current day and month
+ * @param {string|null} userId - User ID (null counts all anonymous usage)
+ * @returns {Promise<Object>} { day: { requests, tokens }, month: { requests, tokens } }
+ */
+const getPeriodUsage = async (userId) => {
+  const { dayStart, monthStart } = getPeriods();
+  const result = await query(
+    `SELECT
+       COUNT(*) FILTER (WHERE created_at >= $1) AS day_requests,
+       COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= $1), 0) AS day_tokens,
+       COUNT(*) AS month_requests,
+       COALESCE(SUM(total_tokens), 0) AS month_tokens
+     FROM llm_usage
+     WHERE created_at >= $2 AND ${userId ? 'user_id = $3' : 'user_id IS NULL'}`,
+    userId ? [dayStart, monthStart, userId] : [dayStart, monthStart]
+  );
+  const row = result.rows[0];
+  return {
+    day: { requests: parseInt(row.day_requests), tokens: parseInt(row.day_tokens) },
+    month: { requests: parseInt(row.month_requests), tokens: parseInt(row.month_tokens) },
+  };
+};
+
+/**
+ * Get a user's quota status: limits, overrides and current usage
+ * @param {Object|null} user - User with id and role (null for anonymous)
+ * @returns {Promise<Object>} { role, limits, overrides, usage, resetAt }
+ */
+const getQuotaStatus = async (user) => {
+  const role = getQuotaRole(user);
+  const overrides = user?.id ? await getUserOverrides(user.id) : formatOverrides();
+  const usage = await getPeriodUsage(user?.id);
+  const { dayReset, monthReset } = getPeriods();
+
+  return {
+    role,
+    limits: resolveLimits(role, overrides),
+    overrides,
+    usage,
+    resetAt: { day: dayReset, month: monthReset },
+  };
+};
+
+// ============================================================================
+// ENFORCEMENT
+// ============================================================================
+
+/**
+ * Reject the request if the user is over any quota.
+ * Called by the SSE controller and WebSocket handler before streamChat.
+ *
+ * @param {Object|null} user - User with id and role (null for anonymous)
+ * @returns {Promise<void>}
+ * @throws {ApiError} 429 with code QUOTA_EXCEEDED and { quota, period, metric, limit, used, resetAt } details
+ */
+const checkQuota = async (user) => {
+  if (!isEnforced()) return;
+
+  let status;
+  try {
+    status = await getQuotaStatus(user);
+  } catch (error) {
+    // Missing ledger tables must not take chat down
+    logger.warn('Quota check unavailable', { userId: user?.id, error: error.message });
+    return;
+  }
+
+  for (const [key, { period, metric }] of Object.entries(QUOTA_FIELDS)) {
+    const limit = status.limits[key];
+    if (limit === null) continue;
+
+    const used = status.usage[period][metric];
+    if (used >= limit) {
+      const resetAt = status.resetAt[period];
+      logger.warn('LLM quota exceeded', { userId: user?.id, role: status.role, quota: key, limit, used });
+      throw new ApiError(
+        429,
+        `${period === 'day' ? 'Daily' : 'Monthly'} ${metric} quota exceeded (${used}/${limit}); resets at ${resetAt.toISOString()}`,
+        'QUOTA_EXCEEDED',
+        { quota: key, period, metric, limit, used, resetAt }
+      );
+    }
+  }
+};
+
+// ============================================================================
+// OVERRIDES (admin)
+// ============================================================================
+
+/**
+ * Set a user's quota overrides. Omitted fields are left unchanged;
+ * null reverts to the role default, -1 is unlimited.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} overrides - Overrides keyed by quota field
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<Object>} Updated overrides
+ * @throws {ApiError} 400 if a value is not null, -1 or a non-negative integer
+ */
+const setUserOverrides = async (userId, overrides, actorId) => {
+  const current = await getUserOverrides(userId);
+  const next = { ...current };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!QUOTA_FIELDS[key]) {
+      throw ApiError.badRequest(`Unknown quota "${key}"`, { allowed: Object.keys(QUOTA_FIELDS) });
+    }
+    if (value !== null && (!Number.isInteger(value) || value < UNLIMITED)) {
+      throw ApiError.badRequest(`Quota "${key}" must be null, -1 (unlimited) or a non-negative integer`);
+    }
+    next[key] = value;
+  }
+
+  await query(
+    `INSERT INTO user_quotas (user_id, daily_tokens, monthly_tokens, daily_requests, monthly_requests, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       daily_tokens = EXCLUDED.daily_tokens,
+       monthly_tokens = EXCLUDED.monthly_tokens,
+       daily_requests = EXCLUDED.daily_requests,
+       monthly_requests = EXCLUDED.monthly_requests,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()`,
+    [userId, next.dailyTokens, next.monthlyTokens, next.dailyRequests, next.monthlyRequests, actorId]
+  );
+
+  logger.info('User quota updated', { userId, actorId, overrides: next });
+
+  return next;
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Enforcement
+  checkQuota,
+  isEnforced,
+
+  // Status
+  getQuotaStatus,
+  getUserOverrides,
+
+  // Admin
+  setUserOverrides,
+
+  // Configuration
+  QUOTA_FIELDS,
+  CONFIG,
+};
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Usage Service
+ * @description Token usage and cost ledger for LLM requests.
+ * Both streaming paths (SSE controller and WebSocket handler) record one row
+ * per completed model turn; the usage routes report it per user and model.
+ *
+ * Costs are computed from the per-model `pricing` block in models.json
+ * (USD per 1M tokens). Thinking tokens are billed at the output rate.
+ *
+ * @module services/usageService
+ */
+
+const { isDbConfigured, query } = require('../config/database');
+const { getModelConfig } = require('./llmService');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  defaultListLimit: 50,
+  maxListLimit: 500,
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check whether usage can be recorded and reported
+ * @returns {boolean}
+ */
+const isLedgerEnabled = () => isDbConfigured();
+
+/**
+ * Calculate the cost of a request from the model's pricing
+ * @param {string} modelId - Model ID
+ * @param {Object} usage - Usage from the 'done' chunk
+ * @returns {number|null} Cost in USD, or null if the model has no pricing
+ */
+const calculateCost = (modelId, usage) => {
+  const pricing = getModelConfig(modelId)?.pricing;
+  if (!pricing || !usage) return null;
+
+  const cost = (
+    (usage.inputTokens || 0) * (pricing.input || 0) +
+    ((usage.outputTokens || 0) + (usage.thinkingTokens || 0)) * (pricing.output || 0)
+  ) / 1e6;
+
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+/**
+ * Format aggregate row (pg returns SUM/COUNT as strings)
+ * @param {Object} row - Raw aggregate row
+ * @returns {Object} Totals
+ */
+const formatTotals = (row) => ({
+  requests: parseInt(row.requests) || 0,
+  inputTokens: parseInt(row.input_tokens) || 0,
+  outputTokens: parseInt(row.output_tokens) || 0,
+  thinkingTokens: parseInt(row.thinking_tokens) || 0,
+  totalTokens: parseInt(row.total_tokens) || 0,
+  cost: row.cost !== null && row.cost !== undefined ? parseFloat(row.cost) : 0,
+});
+
+/**
+ * Format ledger row for API response
+ * @param {Object} row - Raw ledger row
+ * @returns {Object} Usage record
+ */
+const formatRecord = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  ...(row.user_email !== undefined && { user_email: row.user_email }),
+  conversation_id: row.conversation_id,
+  task_id: row.task_id,
+  source: row.source,
+  provider: row.provider,
+  model: row.model,
+  input_tokens: row.input_tokens,
+  output_tokens: row.output_tokens,
+  thinking_tokens: row.thinking_tokens,
+  total_tokens: row.total_tokens,
+  cost: row.cost !== null ? parseFloat(row.cost) : null,
+  finish_reason: row.finish_reason,
+  created_at: row.created_at,
+});
+
+const TOTALS_COLUMNS = `
+  COUNT(*) AS requests,
+  SUM(l.input_tokens) AS input_tokens,
+  SUM(l.output_tokens) AS output_tokens,
+  SUM(l.thinking_tokens) AS thinking_tokens,
+  SUM(l.total_tokens) AS total_tokens,
+  SUM(l.cost) AS cost`;
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Record the usage of a completed model turn.
+ * Failures are logged, never thrown, so the ledger cannot break a stream.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {string|null} entry.userId - User ID (null for anonymous requests)
+ * @param {string|null} [entry.conversationId] - Conversation ID
+ * @param {string} [entry.taskId] - WebSocket task ID (or batch item ID)
+ * @param {string} entry.source - 'ws', 'sse', 'http', 'batch', 'background' or 'knowledge'
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model ID
+ * @param {Object} entry.usage - Usage from the 'done' chunk
+ * @param {string} [entry.finishReason] - Finish reason
+ * @returns {Promise<number|null>} Cost in USD (null if the model has no pricing)
+ */
+const recordUsage = async ({ userId, conversationId = null, taskId = null, source, provider, model, usage, finishReason = null }) => {
+  if (!usage) return null;
+
+  const cost = calculateCost(model, usage);
+
+  if (!isLedgerEnabled()) return cost;
+
+  try {
+    await query(
+      `INSERT INTO llm_usage (
+         user_id, conversation_id, task_id, source, provider, model,
+         input_tokens, output_tokens, thinking_tokens, total_tokens, cost, finish_reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        userId || null,
+        conversationId,
+        taskId,
+        source,
+        provider,
+        model,
+        usage.inputTokens || 0,
+        usage.outputTokens || 0,
+        usage.thinkingTokens || 0,
+        usage.totalTokens || 0,
+        cost,
+        finishReason,
+      ]
+    );
+  } catch (error) {
+    logger.error('Failed to record LLM usage', {
+      userId,
+      model,
+      error: error.message,
+    });
+  }
+
+  return cost;
+};
+
+/**
+ * Record the summary request streamChat made to fit a conversation into its
+ * model's context window (answer.context.summary) as a ledger row of its own
+ *
+ * @param {Object} entry - userId, conversationId, taskId and source, as for recordUsage
+ * @param {Object} [context] - Context report of the answer
+ * @returns {Promise<number|null>} Cost in USD (null without a summary)
+ */
+const recordContextSummary = async (entry, context) => {
+  if (!context?.summary) return null;
+
+  const { provider, model, usage } = context.summary;
+  return recordUsage({ ...entry, provider, model, usage, finishReason: 'context_summary' });
+};
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Usage report: totals, per-model (and optionally per-user) breakdown and
+ * the most recent ledger rows.
+ *
+ * @param {Object} [filters] - Report filters
+ * @param {string} [filters.userId] - Restrict to one user
+ * @param {string} [filters.model] - Restrict to one model
+ * @param {string} [filters.provider] - Restrict to one provider
+ * @param {Date} [filters.from] - Inclusive start
+ * @param {Date} [filters.to] - Exclusive end
+ * @param {number} [filters.limit] - Page size for records
+ * @param {number} [filters.offset] - Offset for records
+ * @param {Object} [options] - Report options
+ * @param {boolean} [options.includeUsers=false] - Add per-user breakdown and user emails
+ * @returns {Promise<Object>} { totals, byModel, byUser?, records, total }
+ */
+const getUsageReport = async (
+  { userId, model, provider, from, to, limit, offset = 0 } = {},
+  { includeUsers = false } = {}
+) => {
+  const actualLimit = Math.min(parseInt(limit) || CONFIG.defaultListLimit, CONFIG.maxListLimit);
+  const conditions = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (userId) {
+    conditions.push(`l.user_id = $${paramIndex++}`);
+    values.push(userId);
+  }
+  if (model) {
+    conditions.push(`l.model = $${paramIndex++}`);
+    values.push(model);
+  }
+  if (provider) {
+    conditions.push(`l.provider = $${paramIndex++}`);
+    values.push(provider);
+  }
+  if (from) {
+    conditions.push(`l.created_at >= $${paramIndex++}`);
+    values.push(from);
+  }
+  if (to) {
+    conditions.push(`l.created_at < $${paramIndex++}`);
+    values.push(to);
+  }
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const totalsResult = await query(
+    `SELECT ${TOTALS_COLUMNS} FROM llm_usage l ${whereClause}`,
+    values
+  );
+
+  const byModelResult = await query(
+    `SELECT l.provider, l.model, ${TOTALS_COLUMNS}
+     FROM llm_usage l ${whereClause}
+     GROUP BY l.provider, l.model
+     ORDER BY SUM(l.cost) DESC NULLS LAST, COUNT(*) DESC`,
+    values
+  );
+
+  let byUser;
+  if (includeUsers) {
+    const byUserResult = await query(
+      `SELECT l.user_id, u.email, u.display_name, ${TOTALS_COLUMNS}
+       FROM llm_usage l
+       LEFT JOIN users u ON u.id = l.user_id
+       ${whereClause}
+       GROUP BY l.user_id, u.email, u.display_name
+       ORDER BY SUM(l.cost) DESC NULLS LAST, COUNT(*) DESC`,
+      values
+    );
+    byUser = byUserResult.rows.map((row) => ({
+      userId: row.user_id,
+      email: row.email,
+      displayName: row.display_name,
+      ...formatTotals(row),
+    }));
+  }
+
+  const recordsResult = await query(
+    `SELECT l.*${includeUsers ? ', u.email AS user_email' : ''}
+     FROM llm_usage l
+     ${includeUsers ? 'LEFT JOIN users u ON u.id = l.user_id' : ''}
+     ${whereClause}
+     ORDER BY l.created_at DESC
+     LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+    [...values, actualLimit, parseInt(offset) || 0]
+  );
+
+  const totals = formatTotals(totalsResult.rows[0]);
+
+  return {
+    totals,
+    byModel: byModelResult.rows.map((row) => ({
+      provider: row.provider,
+      model: row.model,
+      ...formatTotals(row),
+    })),
+    ...(includeUsers && { byUser }),
+    records: recordsResult.rows.map(formatRecord),
+    total: totals.requests,
+  };
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Recording
+  recordUsage,
+  recordContextSummary,
+  calculateCost,
+
+  // Reporting
+  getUsageReport,
+  isLedgerEnabled,
+
+  // Configuration
+  CONFIG,
+};
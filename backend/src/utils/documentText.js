@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Document Text Extraction and Chunking
+ * @description Turns uploaded documents (plain text, Markdown, HTML, PDF)
+ * into text sections and splits them into overlapping chunks for embedding.
+ * PDFs are read page by page with pdf-parse so chunks keep their page
+ * number; HTML is reduced to its visible text.
+ * @module utils/documentText
+ */
+
+const { PDFParse } = require('pdf-parse');
+
+// =============================================================================
+// MEDIA TYPES
+// =============================================================================
+
+const MEDIA_TYPES = ['text/plain', 'text/markdown', 'text/html', 'application/pdf'];
+
+const EXTENSIONS = {
+  txt: 'text/plain',
+  text: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  htm: 'text/html',
+  html: 'text/html',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Guess a supported media type from a file name
+ * @param {string} [filename] - File name
+ * @returns {string|null} Media type, or null if the extension is unknown
+ */
+const mediaTypeFromFilename = (filename) => {
+  const extension = filename?.split('.').pop()?.toLowerCase();
+  return EXTENSIONS[extension] || null;
+};
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Reduce HTML to its visible text, keeping block elements on their own lines
+ * @param {string} html - HTML source
+ * @returns {{ text: string, title: string|null }}
+ */
+const htmlToText = (html) => {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]?.trim() || null;
+
+  const text = html
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|header|footer|li|tr|h[1-6]|blockquote|pre|table|ul|ol)>/gi, '\n\n')
+    .replace(/<(td|th)\b[^>]*>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+
+  return { text, title: title && htmlToText(title).text.trim() };
+};
+
+/**
+ * Extract the text of a document
+ * @param {Object} document
+ * @param {string} document.mediaType - One of MEDIA_TYPES
+ * @param {Buffer} document.buffer - File content
+ * @returns {Promise<{ sections: Array<{ text: string, page: number|null }>, title: string|null }>}
+ *   One section per PDF page, a single section otherwise
+ */
+const extractText = async ({ mediaType, buffer }) => {
+  if (mediaType === 'application/pdf') {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const [result, info] = await Promise.all([parser.getText(), parser.getInfo().catch(() => null)]);
+      return {
+        sections: result.pages.map((page) => ({ text: page.text, page: page.num })),
+        title: info?.info?.Title?.trim() || null,
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  const source = buffer.toString('utf8');
+  if (mediaType === 'text/html') {
+    const { text, title } = htmlToText(source);
+    return { sections: [{ text, page: null }], title };
+  }
+
+  return { sections: [{ text: source, page: null }], title: null };
+};
+
+// =============================================================================
+// CHUNKING
+// =============================================================================
+
+/**
+ * Normalize whitespace: single spaces inside lines, at most one blank line
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const normalize = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v\u00a0]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Split a paragraph longer than the chunk size at sentence or word boundaries
+ * @param {string} paragraph - Paragraph
+ * @param {number} size - Maximum piece length
+ * @returns {Array<string>}
+ */
+const splitLong = (paragraph, size) => {
+  const pieces = [];
+  let rest = paragraph;
+
+  while (rest.length > size) {
+    const window = rest.slice(0, size);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+    const cut = sentenceEnd > size / 2 ? sentenceEnd + 1 : (window.lastIndexOf(' ') > size / 2 ? window.lastIndexOf(' ') : size);
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+
+  if (rest) pieces.push(rest);
+  return pieces;
+};
+
+/**
+ * The end of a chunk, cut at a word boundary, to repeat at the start of the next
+ * @param {string} chunk - Previous chunk
+ * @param {number} overlap - Characters to carry over
+ * @returns {string}
+ */
+const tail = (chunk, overlap) => {
+  if (overlap <= 0 || chunk.length <= overlap) return '';
+  const start = chunk.indexOf(' ', chunk.length - overlap);
+  return start === -1 ? '' : chunk.slice(start + 1);
+};
+
+/**
+ * Split text sections into chunks of about `size` characters. Paragraphs
+ * are kept together when they fit, consecutive chunks share `overlap`
+ * characters, and chunks never span two sections (PDF pages).
+ * @param {Array<{ text: string, page: number|null }>} sections - From extractText
+ * @param {Object} options
+ * @param {number} options.size - Target chunk length in characters
+ * @param {number} options.overlap - Characters repeated between consecutive chunks
+ * @returns {Array<{ content: string, page: number|null }>}
+ */
+const chunkSections = (sections, { size, overlap }) => {
+  const chunks = [];
+
+  sections.forEach(({ text, page }) => {
+    const paragraphs = normalize(text)
+      .split(/\n\n/)
+      .flatMap((paragraph) => splitLong(paragraph, size - overlap));
+
+    let current = '';
+    paragraphs.forEach((paragraph) => {
+      if (current && current.length + paragraph.length + 2 > size) {
+        chunks.push({ content: current, page });
+        const carried = tail(current, overlap);
+        current = carried ? `${carried}\n\n${paragraph}` : paragraph;
+      } else {
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+      }
+    });
+
+    if (current) chunks.push({ content: current, page });
+  });
+
+  return chunks;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MEDIA_TYPES,
+  mediaTypeFromFilename,
+  extractText,
+  chunkSections,
+  htmlToText,
+};
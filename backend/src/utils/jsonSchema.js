@@ -0,0 +1,228 @@
+/**
+ * @fileoverview JSON Schema Validation
+ * @description Dependency-free validator for the JSON Schema subset used by
+ * structured LLM output: type, enum, const, properties, required,
+ * additionalProperties, items, prefixItems, min/max (length, items, value),
+ * pattern, format (date-time, date, email, uri, uuid), allOf/anyOf/oneOf/not
+ * and local $ref (#/$defs/..., #/definitions/...).
+ * Unsupported keywords are ignored.
+ * @module utils/jsonSchema
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const FORMATS = {
+  'date-time': (value) => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z\d+.-]*:/i.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+};
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null' | 'array' | 'integer' | 'number' | 'string' | 'boolean' | 'object'
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Check a value against a declared type ('integer' is also a 'number')
+ * @param {*} value - Value
+ * @param {string} type - Declared type
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Deep equality for enum/const
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Resolve a local $ref against the root schema
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference such as '#/$defs/item'
+ * @returns {Object|undefined} Referenced schema
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#')) return undefined;
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~')))
+    .reduce((node, part) => node?.[part], root);
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @param {Object|boolean} schema - Schema node
+ * @param {*} value - Value
+ * @param {string} path - JSON pointer of the value
+ * @param {Object} root - Root schema (for $ref)
+ * @param {Array} errors - Collected errors
+ */
+const check = (schema, value, path, root, errors) => {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) {
+      errors.push({ path, message: `cannot resolve $ref ${schema.$ref}` });
+      return;
+    }
+    check(target, value, path, root, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      check(itemSchema, item, `${path}/${index}`, root, errors);
+    });
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `must have required property '${key}'` });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (key in properties) {
+        check(properties[key], propertyValue, propertyPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `must not have additional property '${key}'` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, propertyValue, propertyPath, root, errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    check(sub, value, path, root, errors);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((sub) => validate(sub, value, root).length === 0)) {
+    errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((sub) => validate(sub, value, root).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+    }
+  }
+
+  if (schema.not && validate(schema.not, value, root).length === 0) {
+    errors.push({ path, message: 'must not match the schema in not' });
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} [root] - Root schema for $ref resolution (defaults to schema)
+ * @returns {Array<{ path: string, message: string }>} Errors (empty when valid);
+ *   path is a JSON pointer ('' for the root value)
+ */
+const validate = (schema, value, root = schema) => {
+  const errors = [];
+  check(schema, value, '', root, errors);
+  return errors;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  validate,
+};
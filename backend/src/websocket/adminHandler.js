@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Admin WebSocket Handler
+ * @description Live operations on WebSocket connections and their LLM tasks
+ * (admin:* domain). The same operations back the /api/v1/admin REST routes.
+ *
+ * Message Types:
+ * - admin:connections        - List live connections, blocked connections and stats
+ * - admin:block_connection   - Close a connection and refuse its IP address
+ * - admin:unblock_connection - Lift a block
+ * - admin:cancel_task        - Force-cancel a connection's LLM task
+ * - admin:broadcast          - Send an announcement to every connection (superadmin)
+ *
+ * Permissions are declared in socketController MESSAGE_PERMISSIONS.
+ *
+ * @module websocket/adminHandler
+ */
+
+const socketController = require('./socketController');
+const llmHandler = require('./llmHandler');
+const logger = require('../utils/logger');
+
+const { sendMessage } = socketController;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ANNOUNCEMENT_LEVELS = ['info', 'warn', 'error'];
+const MAX_ANNOUNCEMENT_LENGTH = 1000;
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+/**
+ * Create an error carrying a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+const codedError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Get a live connection or fail
+ * @param {string} connectionId - Connection ID
+ * @returns {Object} Connection state
+ * @throws {Error} CONNECTION_NOT_FOUND
+ */
+const getLiveConnection = (connectionId) => {
+  const connection = connectionId && socketController.getConnection(connectionId);
+  if (!connection) {
+    throw codedError(`Connection ${connectionId} not found or already closed`, 'CONNECTION_NOT_FOUND');
+  }
+  return connection;
+};
+
+/**
+ * List live connections with their tasks, blocked connections and stats
+ * @returns {Promise<{ connections: Array, blocked: Array, stats: Object }>}
+ */
+const listConnections = async () => ({
+  connections: socketController.getConnections(),
+  blocked: await socketController.getBlockedConnections(),
+  stats: socketController.getStats(),
+});
+
+/**
+ * Block a live connection
+ * @param {Object} actor - Administrator ({ id })
+ * @param {string} connectionId - Connection ID
+ * @param {string} [reason] - Shown to the blocked client
+ * @throws {Error} CONNECTION_NOT_FOUND, or INVALID_INPUT for the administrator's own connection
+ */
+const blockConnection = async (actor, connectionId, reason) => {
+  const connection = getLiveConnection(connectionId);
+  if (connection.user?.id && connection.user.id === actor.id) {
+    throw codedError('You cannot block your own connection', 'INVALID_INPUT');
+  }
+
+  await socketController.blockConnection(connectionId, reason || undefined, actor.id);
+  logger.warn('WebSocket connection blocked by admin', {
+    connectionId,
+    ip: connection.ipAddress,
+    userId: connection.user?.id,
+    adminId: actor.id,
+    reason,
+  });
+};
+
+/**
+ * Lift a connection's block
+ * @param {Object} actor - Administrator ({ id })
+ * @param {string} connectionId - Connection ID
+ * @throws {Error} CONNECTION_NOT_FOUND if the connection is not blocked
+ */
+const unblockConnection = async (actor, connectionId) => {
+  if (!await socketController.unblockConnection(connectionId)) {
+    throw codedError(`Connection ${connectionId} is not blocked`, 'CONNECTION_NOT_FOUND');
+  }
+  logger.info('WebSocket connection unblocked by admin', { connectionId, adminId: actor.id });
+};
+
+/**
+ * Force-cancel a connection's LLM task (streaming or waiting for tool results)
+ * @param {Object} actor - Administrator ({ id })
+ * @param {string} connectionId - Connection ID
+ * @param {string} taskId - Task ID
+ * @throws {Error} CONNECTION_NOT_FOUND or TASK_NOT_FOUND
+ */
+const cancelTask = (actor, connectionId, taskId) => {
+  const connection = getLiveConnection(connectionId);
+  if (!taskId || !llmHandler.forceCancel(connection, taskId)) {
+    throw codedError(`Task ${taskId} not found or already completed`, 'TASK_NOT_FOUND');
+  }
+  logger.warn('LLM task cancelled by admin', { connectionId, taskId, adminId: actor.id });
+};
+
+/**
+ * Send an announcement (system:announcement) to every connection
+ * @param {Object} actor - Administrator ({ id, displayName? })
+ * @param {Object} announcement - { message, level? }
+ * @returns {{ recipients: number }}
+ * @throws {Error} INVALID_INPUT
+ */
+const sendAnnouncement = (actor, { message, level = 'info' } = {}) => {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw codedError('message is required', 'INVALID_INPUT');
+  }
+  if (message.length > MAX_ANNOUNCEMENT_LENGTH) {
+    throw codedError(`message must be at most ${MAX_ANNOUNCEMENT_LENGTH} characters`, 'INVALID_INPUT');
+  }
+  if (!ANNOUNCEMENT_LEVELS.includes(level)) {
+    throw codedError(`level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}`, 'INVALID_INPUT');
+  }
+
+  const recipients = socketController.broadcast({
+    type: 'system:announcement',
+    message: message.trim(),
+    level,
+    from: actor.displayName || null,
+  });
+  logger.info('Announcement broadcast', { adminId: actor.id, level, recipients });
+
+  return { recipients };
+};
+
+// ============================================================================
+// MESSAGE HANDLERS
+// ============================================================================
+
+/**
+ * Handle incoming admin domain message
+ * @param {Object} connection - Connection state from socketController
+ * @param {Object} message - Parsed message
+ * @param {string} action - Action part of message type (e.g., 'connections')
+ */
+const handleMessage = async (connection, message, action) => {
+  const { ws } = connection;
+  const actor = { id: connection.user?.id, displayName: connection.claims?.displayName };
+  const { taskId: requestId, connectionId } = message;
+
+  try {
+    switch (action) {
+      case 'connections':
+        sendMessage(ws, {
+          type: 'admin:connections',
+          taskId: requestId,
+          ...await listConnections(),
+        });
+        break;
+
+      case 'block_connection':
+        await blockConnection(actor, connectionId, message.reason);
+        sendMessage(ws, { type: 'admin:connection_blocked', taskId: requestId, connectionId });
+        break;
+
+      case 'unblock_connection':
+        await unblockConnection(actor, connectionId);
+        sendMessage(ws, { type: 'admin:connection_unblocked', taskId: requestId, connectionId });
+        break;
+
+      case 'cancel_task':
+        // taskId names the task to cancel here, not the request
+        cancelTask(actor, connectionId, message.taskId);
+        sendMessage(ws, { type: 'admin:task_cancelled', connectionId, taskId: message.taskId });
+        break;
+
+      case 'broadcast':
+        sendMessage(ws, {
+          type: 'admin:broadcast_sent',
+          taskId: requestId,
+          ...sendAnnouncement(actor, message),
+        });
+        break;
+
+      default:
+        sendMessage(ws, {
+          type: 'admin:error',
+          taskId: requestId,
+          code: 'UNKNOWN_ACTION',
+          error: `Unknown admin action: ${action}`,
+          supportedActions: ['connections', 'block_connection', 'unblock_connection', 'cancel_task', 'broadcast'],
+        });
+    }
+  } catch (error) {
+    if (!error.code) throw error;
+    sendMessage(ws, {
+      type: 'admin:error',
+      taskId: requestId,
+      code: error.code,
+      error: error.message,
+    });
+  }
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  handleMessage,
+
+  // Operations (shared with the admin REST controller)
+  listConnections,
+  blockConnection,
+  unblockConnection,
+  cancelTask,
+  sendAnnouncement,
+  ANNOUNCEMENT_LEVELS,
+};
@@ -11,6 +11,12 @@
 
 const socketController = require('./socketController');
 const llmHandler = require('./llmHandler');
+const toolHandler = require('./toolHandler');
+const adminHandler = require('./adminHandler');
+const topicHandler = require('./topicHandler');
+const batchService = require('../services/batchService');
+const backgroundTaskService = require('../services/backgroundTaskService');
+const knowledgeService = require('../services/knowledgeService');
 
 /**
  * Initialize WebSocket server with all handlers
@@ -20,9 +26,20 @@ const llmHandler = require('./llmHandler');
 const initializeWebSocket = (server) => {
   // Register domain handlers
   socketController.registerHandler('llm', llmHandler);
+  socketController.registerHandler('tool', toolHandler);
+  socketController.registerHandler('admin', adminHandler);
+  socketController.registerHandler('topic', topicHandler);
+  
+  // Push batch progress to the batch owner's connections
+  batchService.onUpdate(socketController.sendToUser);
+  
+  // Tell background task owners when their tasks finish
+  backgroundTaskService.onUpdate(socketController.sendToUser);
+  
+  // Tell document owners when their uploads are ready to search
+  knowledgeService.onUpdate(socketController.sendToUser);
   
   // Future handlers can be registered here:
-  // socketController.registerHandler('tool', toolHandler);
   // socketController.registerHandler('notifications', notificationHandler);
   
   // Initialize the WebSocket server
@@ -46,9 +63,20 @@ module.exports = {
   getStats: socketController.getStats,
   blockConnection: socketController.blockConnection,
   unblockConnection: socketController.unblockConnection,
+  getBlockedConnections: socketController.getBlockedConnections,
   broadcast: socketController.broadcast,
+  sendToUser: socketController.sendToUser,
+  
+  // Topics (rooms): publish from REST controllers and services
+  publish: topicHandler.publish,
+  getPresence: topicHandler.getPresence,
+  getTopics: topicHandler.getTopics,
+  registerTopic: topicHandler.registerTopic,
   
   // Re-export for advanced usage
   socketController,
   llmHandler,
+  toolHandler,
+  adminHandler,
+  topicHandler,
 };
\ No newline at end of file
@@ -7,14 +7,46 @@
  * - llm:start     - Start streaming LLM request
  * - llm:cancel    - Cancel specific task
  * - llm:cancel_all - Cancel all active tasks
+ * - llm:resume    - Re-attach a task after a reconnect and replay missed messages
  * - llm:providers - Get available providers
  * - llm:models    - Get available models
+ * - llm:embed     - Generate embeddings (authenticated; answered with llm:embeddings)
+ * 
+ * Tool calling: when a task ends with finishReason 'tool_calls', authenticated
+ * connections keep it parked in connection.toolSessions until the client
+ * continues it via tool:execute or drops it via tool:cancel (see toolHandler).
+ * 
+ * Resuming: messages of an authenticated user's task carry a sequence number
+ * (seq) and are buffered (see taskStreams). When the connection closes, the
+ * task keeps running detached; llm:resume { taskId, fromSeq } from another
+ * connection of the user replays what was missed and continues live.
+ * 
+ * Detached tasks: llm:start with detached: true hands the request to
+ * backgroundTaskService, which runs it to completion without the socket and
+ * stores the answer in the conversation. The start is acknowledged with
+ * llm:detached; llm:task_finished follows, or is delivered on the user's
+ * next connection.
+ * 
+ * Templates: llm:start with templateId (plus variables) renders the prompt
+ * template in front of its system prompt and messages (see
+ * promptTemplateService) before anything is validated or persisted.
+ * 
+ * Retrieval: llm:start with retrieval (true or { topK, documentIds, minScore })
+ * adds excerpts of the user's knowledge base documents to the system prompt
+ * (see knowledgeService); llm:started lists them as sources.
  * 
  * @module websocket/llmHandler
  */
 
 const llmService = require('../services/llmService');
+const conversationService = require('../services/conversationService');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+const backgroundTaskService = require('../services/backgroundTaskService');
+const promptTemplateService = require('../services/promptTemplateService');
+const knowledgeService = require('../services/knowledgeService');
 const logger = require('../utils/logger');
+const taskStreams = require('./taskStreams');
 const { sendMessage, generateTaskId } = require('./socketController');
 
 // ============================================================================
@@ -26,6 +58,8 @@ const CONFIG = {
   defaultProvider: process.env.DEFAULT_LLM_PROVIDER || 'google',
   taskTimeout: parseInt(process.env.LLM_TASK_TIMEOUT) || 5 * 60 * 1000, // 5 minutes
   maxConcurrentTasks: parseInt(process.env.LLM_MAX_CONCURRENT_TASKS) || 10,
+  toolResultTimeout: parseInt(process.env.LLM_TOOL_RESULT_TIMEOUT) || 5 * 60 * 1000, // 5 minutes
+  maxToolRounds: parseInt(process.env.LLM_MAX_TOOL_ROUNDS) || 10,
 };
 
 // ============================================================================
@@ -54,6 +88,10 @@ const handleMessage = async (connection, message, action) => {
       handleCancelAll(connection);
       break;
       
+    case 'resume':
+      handleResume(connection, message);
+      break;
+      
     case 'providers':
       handleGetProviders(connection, message);
       break;
@@ -62,13 +100,17 @@ const handleMessage = async (connection, message, action) => {
       handleGetModels(connection, message);
       break;
       
+    case 'embed':
+      await handleEmbed(connection, message);
+      break;
+      
     default:
       sendMessage(connection.ws, {
         type: 'llm:error',
         taskId: message.taskId,
         code: 'UNKNOWN_ACTION',
         error: `Unknown LLM action: ${action}`,
-        supportedActions: ['start', 'cancel', 'cancel_all', 'providers', 'models'],
+        supportedActions: ['start', 'cancel', 'cancel_all', 'resume', 'providers', 'models', 'embed'],
       });
   }
 };
@@ -84,6 +126,11 @@ const handleStart = async (connection, message) => {
   // Generate or use provided task ID
   const taskId = message.taskId || generateTaskId();
   
+  // Restarting a task discards any tool calls it was waiting on, and its
+  // buffered messages
+  clearToolSession(connection, taskId);
+  taskStreams.discard(user?.id, taskId);
+  
   // === WEBSOCKET BACKEND LOGGING ===
   console.log('\n========== WEBSOCKET REQUEST RECEIVED ==========');
   console.log('[llmHandler] llm:start message received:');
@@ -95,15 +142,34 @@ const handleStart = async (connection, message) => {
   console.log('  systemPrompt:', message.systemPrompt ? `"${message.systemPrompt.substring(0, 100)}${message.systemPrompt.length > 100 ? '...' : ''}"` : null);
   console.log('  temperature:', message.temperature);
   console.log('  maxTokens:', message.maxTokens);
-  console.log('  Full message object:', JSON.stringify(message, null, 2));
   console.log('=================================================\n');
   
+  // Detached tasks belong to a user and are stored in a conversation
+  if (message.detached && !connection.isAuthenticated) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: 'FORBIDDEN',
+      error: 'Detached tasks require authentication',
+    });
+    return;
+  }
+  if (message.detached && message.persist === false) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: 'INVALID_INPUT',
+      error: 'Detached tasks are saved to a conversation; persist cannot be false',
+    });
+    return;
+  }
+  
   // Check concurrent task limit
   if (activeTasks.size >= CONFIG.maxConcurrentTasks) {
     sendMessage(ws, {
       type: 'llm:error',
       taskId,
-      code: 'TOO_MANY_TASKS',
+      code: llmService.LLM_ERROR_CODES.RATE_LIMITED,
       error: `Maximum concurrent tasks (${CONFIG.maxConcurrentTasks}) exceeded`,
       retryable: true,
     });
@@ -116,9 +182,18 @@ const handleStart = async (connection, message) => {
     provider,
     messages,
     content,
-    systemPrompt,
+    systemPrompt: requestSystemPrompt,
+    templateId,
+    templateVersion,
+    variables,
+    retrieval,
     temperature,
     maxTokens,
+    tools,
+    toolChoice,
+    thinkingBudget,
+    responseFormat,
+    contextStrategy,
   } = message;
 
   // Validate input
@@ -140,33 +215,264 @@ const handleStart = async (connection, message) => {
     messagesToSend = [{ role: 'user', content }];
   }
   
+  // Render the prompt template (if any) in front of the request's own prompt and messages
+  let systemPrompt;
+  try {
+    ({ systemPrompt, messages: messagesToSend } = await promptTemplateService.applyTemplate(user, {
+      templateId,
+      templateVersion,
+      variables,
+      systemPrompt: requestSystemPrompt,
+      messages: messagesToSend,
+    }));
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'INVALID_INPUT',
+      error: error.message,
+      templateId,
+      ...(error.details?.missing && { missing: error.details.missing }),
+    });
+    return;
+  }
+  
   // Get model configuration
   const modelConfig = llmService.getModelConfig(model);
   const actualProvider = provider || modelConfig?.provider || CONFIG.defaultProvider;
   
-  // Check if provider is configured
-  const providerStatus = llmService.getProviderStatus();
-  if (!providerStatus[actualProvider]?.configured) {
+  // Validate attachments, tools, thinking budget and response format before anything is persisted
+  let normalizedTools;
+  let thinking;
+  try {
+    ({ tools: normalizedTools, thinking } = llmService.validateChatRequest({
+      model,
+      messages: messagesToSend,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      maxTokens,
+      responseFormat,
+      contextStrategy,
+    }));
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'INVALID_INPUT',
+      error: error.message,
+      model,
+    });
+    return;
+  }
+  
+  // Check if provider is configured and not disabled in the catalog
+  if (!llmService.isProviderAvailable(actualProvider)) {
+    const reason = llmService.getProviderStatus()[actualProvider]?.configured ? 'disabled' : 'not configured';
     sendMessage(ws, {
       type: 'llm:error',
       taskId,
-      code: 'PROVIDER_NOT_CONFIGURED',
-      error: `Provider '${actualProvider}' is not configured`,
+      code: llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
+      error: `Provider '${actualProvider}' is ${reason}`,
+      retryable: false,
       availableProviders: llmService.getAvailableProviders(),
     });
     return;
   }
   
+  // Enforce daily/monthly quotas before anything is streamed or persisted
+  try {
+    await quotaService.checkQuota(user);
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'QUOTA_EXCEEDED',
+      error: error.message,
+      quota: error.details,
+    });
+    return;
+  }
+  
+  // Ground the answer on the user's documents (embeds the last user message)
+  let sources;
+  try {
+    ({ systemPrompt, sources } = await knowledgeService.applyRetrieval(user, {
+      retrieval,
+      systemPrompt,
+      messages: messagesToSend,
+    }));
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'RETRIEVAL_FAILED',
+      error: error.message,
+    });
+    return;
+  }
+  
+  // Resolve the conversation and persist the user turn (authenticated users only)
+  let conversationId = null;
+  if (message.persist !== false) {
+    try {
+      conversationId = await conversationService.beginTurn({
+        userId: user?.id,
+        conversationId: message.conversationId,
+        messages: messagesToSend,
+        provider: actualProvider,
+        model,
+      });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        sendMessage(ws, {
+          type: 'llm:error',
+          taskId,
+          code: 'CONVERSATION_NOT_FOUND',
+          error: error.message,
+          conversationId: message.conversationId,
+        });
+        return;
+      }
+      logger.warn('Conversation persistence unavailable', {
+        connectionId,
+        taskId,
+        error: error.message,
+      });
+    }
+  }
+  
+  if (message.detached) {
+    await startDetached(connection, taskId, conversationId, {
+      model,
+      provider: actualProvider,
+      messages: messagesToSend,
+      systemPrompt,
+      temperature,
+      maxTokens,
+      tools: normalizedTools,
+      toolChoice,
+      thinkingBudget: thinking?.budget,
+      responseFormat,
+      contextStrategy,
+    }, sources);
+    return;
+  }
+  
+  await runTask(connection, taskId, {
+    model,
+    provider: actualProvider,
+    modelConfig,
+    messages: messagesToSend,
+    systemPrompt,
+    temperature,
+    maxTokens,
+    tools: normalizedTools,
+    toolChoice,
+    thinkingBudget: thinking?.budget,
+    responseFormat,
+    contextStrategy,
+    conversationId,
+    newConversation: Boolean(conversationId) && !message.conversationId,
+    sources,
+    toolRound: 0,
+  });
+};
+
+/**
+ * Hand a validated llm:start to the background task service and acknowledge
+ * it with llm:detached
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @param {string|null} conversationId - Conversation from beginTurn
+ * @param {Object} request - streamChat options
+ * @param {Array<Object>} sources - Knowledge base excerpts in the system prompt
+ */
+const startDetached = async (connection, taskId, conversationId, request, sources) => {
+  try {
+    const task = await backgroundTaskService.startTask(connection.user, {
+      source: 'ws',
+      clientTaskId: taskId,
+      conversationId,
+      request,
+      sources,
+    });
+    
+    sendMessage(connection.ws, {
+      type: 'llm:detached',
+      taskId,
+      conversationId,
+      task,
+    });
+  } catch (error) {
+    logger.warn('Detached task not started', {
+      connectionId: connection.connectionId,
+      taskId,
+      error: error.message,
+    });
+    
+    sendMessage(connection.ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'HANDLER_ERROR',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Stream one model turn for a task and report it over the socket.
+ * Shared by llm:start and by tool:execute continuations.
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @param {Object} params - Turn parameters (model, provider, messages, tools, ...)
+ */
+const runTask = async (connection, taskId, params) => {
+  const { connectionId, user } = connection;
+  const {
+    model,
+    provider: actualProvider,
+    modelConfig,
+    messages: messagesToSend,
+    systemPrompt,
+    temperature,
+    maxTokens,
+    tools,
+    toolChoice,
+    thinkingBudget,
+    responseFormat,
+    contextStrategy,
+    conversationId,
+    newConversation = false,
+    sources = [],
+    toolRound,
+  } = params;
+  
   // Create abort controller for this task
   const abortController = new AbortController();
   
   // Register task
-  activeTasks.set(taskId, {
+  const task = {
     abortController,
     startedAt: Date.now(),
     model,
     provider: actualProvider,
-  });
+    conversationId,
+  };
+  connection.activeTasks.set(taskId, task);
+  
+  // Authenticated users' tasks send through a resumable stream; it follows
+  // the task to whichever connection resumes it
+  const stream = taskStreams.open(connection, taskId, task);
+  const owner = () => (stream ? stream.connection : connection);
+  const send = (message) => {
+    if (stream) {
+      taskStreams.send(stream, message);
+    } else {
+      sendMessage(connection.ws, message);
+    }
+  };
+  const untrack = () => owner()?.activeTasks.delete(taskId);
   
   // === LOG WHAT WE'RE SENDING TO LLM SERVICE ===
   console.log('[llmHandler] Calling llmService.streamChat with:');
@@ -185,33 +491,51 @@ const handleStart = async (connection, message) => {
     messageCount: messagesToSend.length,
     hasSystemPrompt: !!systemPrompt,
     systemPromptLength: systemPrompt?.length,
+    toolCount: tools?.length || 0,
+    thinkingBudget,
+    toolRound,
     userId: user?.id || 'anonymous',
+    conversationId,
   });
   
-  // Send acknowledgment
-  sendMessage(ws, {
-    type: 'llm:started',
-    taskId,
-    model,
-    provider: actualProvider,
-    modelConfig: modelConfig ? {
-      name: modelConfig.name,
-      maxTokens: modelConfig.maxTokens,
-      thinkingEnabled: modelConfig.thinkingEnabled,
-    } : null,
-  });
+  // Acknowledge once a provider answers, naming the model that actually
+  // responds (retries and fallbacks happen before the first chunk)
+  let answered = { model, provider: actualProvider, fallback: false };
+  let started = false;
+  const sendStarted = (answer) => {
+    answered = answer;
+    started = true;
+    const answeredConfig = answer.model === model ? modelConfig : llmService.getModelConfig(answer.model);
+    send({
+      type: 'llm:started',
+      taskId,
+      model: answer.model,
+      provider: answer.provider,
+      ...(answer.fallback && { fallback: true, requestedModel: model }),
+      attempts: answer.attempts,
+      context: answer.context,
+      conversationId,
+      toolRound,
+      thinkingBudget: thinkingBudget || null,
+      ...(sources.length > 0 && { sources }),
+      modelConfig: answeredConfig ? {
+        name: answeredConfig.name,
+        maxTokens: answeredConfig.maxTokens,
+        thinkingEnabled: answeredConfig.thinkingEnabled,
+      } : null,
+    });
+  };
   
   // Set timeout
   const timeoutId = setTimeout(() => {
-    if (activeTasks.has(taskId)) {
-      const task = activeTasks.get(taskId);
-      task.abortController.abort();
-      activeTasks.delete(taskId);
+    if (!abortController.signal.aborted) {
+      abortController.abort('timeout');
+      untrack();
       
-      sendMessage(ws, {
+      send({
         type: 'llm:error',
         taskId,
-        code: 'TIMEOUT',
+        code: llmService.LLM_ERROR_CODES.PROVIDER_UNAVAILABLE,
         error: 'Request timed out',
         retryable: true,
       });
@@ -220,9 +544,13 @@ const handleStart = async (connection, message) => {
     }
   }, CONFIG.taskTimeout);
   
+  let awaitingTools = false;
+  let fullContent = '';
   try {
     let chunkCount = 0;
-    let fullContent = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
     
     await llmService.streamChat({
       provider: actualProvider,
@@ -231,14 +559,29 @@ const handleStart = async (connection, message) => {
       systemPrompt,
       temperature,
       maxTokens,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      responseFormat,
+      contextStrategy,
+      signal: abortController.signal,
+      onStart: sendStarted,
       onChunk: (chunk) => {
-        // Check if aborted
-        if (abortController.signal.aborted) {
+        // After an abort only the closing done chunk (partial usage) matters
+        if (abortController.signal.aborted && chunk.type !== 'done') {
+          return;
+        }
+        
+        if (chunk.type === 'done' && chunk.finishReason === 'cancelled') {
+          clearTimeout(timeoutId);
+          untrack();
+          finishReason = chunk.finishReason;
+          usage = chunk.usage ? { ...chunk.usage, cost: usageService.calculateCost(answered.model, chunk.usage) } : null;
           return;
         }
         
-        // Check if connection still open
-        if (ws.readyState !== 1) { // WebSocket.OPEN
+        // Check if connection still open (streams keep buffering while detached)
+        if (!stream && connection.ws.readyState !== 1) { // WebSocket.OPEN
           return;
         }
         
@@ -248,7 +591,7 @@ const handleStart = async (connection, message) => {
               fullContent += chunk.content;
               chunkCount++;
               
-              sendMessage(ws, {
+              send({
                 type: 'llm:chunk',
                 taskId,
                 content: chunk.content,
@@ -259,7 +602,7 @@ const handleStart = async (connection, message) => {
             
           case 'thinking':
             if (chunk.content) {
-              sendMessage(ws, {
+              send({
                 type: 'llm:thinking',
                 taskId,
                 content: chunk.content,
@@ -267,16 +610,64 @@ const handleStart = async (connection, message) => {
             }
             break;
             
-          case 'done':
+          case 'tool_call':
+            toolCalls.push(chunk.toolCall);
+            
+            send({
+              type: 'llm:tool_call',
+              taskId,
+              toolCall: chunk.toolCall,
+            });
+            break;
+            
+          case 'done': {
             clearTimeout(timeoutId);
-            activeTasks.delete(taskId);
+            untrack();
+            finishReason = chunk.finishReason || 'stop';
+            usage = chunk.usage ? { ...chunk.usage, cost: usageService.calculateCost(answered.model, chunk.usage) } : null;
             
-            sendMessage(ws, {
+            // Park the task so the client can continue it with tool results
+            awaitingTools = finishReason === 'tool_calls' && toolCalls.length > 0 &&
+              (!!stream || connection.isAuthenticated) && toolRound < CONFIG.maxToolRounds;
+            if (awaitingTools) {
+              const session = {
+                ...params,
+                // Continue with the model that answered (thinking blocks are provider-specific)
+                model: answered.model,
+                provider: answered.provider,
+                modelConfig: llmService.getModelConfig(answered.model),
+                messages: [
+                  ...messagesToSend,
+                  {
+                    role: 'assistant',
+                    content: fullContent,
+                    toolCalls,
+                    ...(chunk.thinkingBlocks && { thinkingBlocks: chunk.thinkingBlocks }),
+                  },
+                ],
+                toolCalls,
+              };
+              // A detached task is parked on the connection that resumes it
+              if (owner()) {
+                parkToolSession(owner(), taskId, session);
+              } else {
+                stream.toolSession = { ...session, expiresAt: Date.now() + CONFIG.toolResultTimeout };
+              }
+            }
+            
+            send({
               type: 'llm:done',
               taskId,
-              finishReason: chunk.finishReason || 'stop',
+              finishReason,
               chunkCount,
               totalLength: fullContent.length,
+              model: answered.model,
+              provider: answered.provider,
+              ...(answered.fallback && { fallback: true, requestedModel: model }),
+              conversationId,
+              usage,
+              ...(toolCalls.length > 0 && { toolCalls, awaitingTools }),
+              ...('parsed' in chunk && { parsed: chunk.parsed, validationErrors: chunk.validationErrors }),
             });
             
             logger.info('LLM task completed', {
@@ -284,9 +675,11 @@ const handleStart = async (connection, message) => {
               taskId,
               chunkCount,
               contentLength: fullContent.length,
-              finishReason: chunk.finishReason,
+              finishReason,
+              toolCallCount: toolCalls.length,
             });
             break;
+          }
         }
       },
     });
@@ -294,19 +687,51 @@ const handleStart = async (connection, message) => {
     // Clear timeout if not already done
     clearTimeout(timeoutId);
     
-    // Handle cancellation during streaming
-    if (abortController.signal.aborted) {
-      sendMessage(ws, {
+    // Persist the assistant turn (partial content is kept on cancellation)
+    await conversationService.completeTurn(conversationId, {
+      content: fullContent,
+      tokensUsed: usage ? usage.outputTokens + usage.thinkingTokens : null,
+      sources: sources.length > 0 ? sources : null,
+      toolCalls,
+    });
+    
+    // Record the turn in the usage ledger, and the summary that fitted it
+    // into the context window
+    await usageService.recordUsage({
+      userId: user?.id,
+      conversationId,
+      taskId,
+      source: 'ws',
+      provider: answered.provider,
+      model: answered.model,
+      usage,
+      finishReason,
+    });
+    await usageService.recordContextSummary({ userId: user?.id, conversationId, taskId, source: 'ws' }, answered.context);
+    
+    // Report what was streamed before an llm:cancel or an admin's cancel
+    // (timeouts are reported as errors, closed sockets get nothing)
+    const cancelReason = abortController.signal.reason;
+    if (abortController.signal.aborted && (cancelReason === 'cancelled' || cancelReason === 'admin')) {
+      logger.info('LLM task cancelled', { connectionId, taskId, chunkCount, usage, reason: cancelReason });
+      
+      send({
         type: 'llm:cancelled',
         taskId,
+        ...(cancelReason === 'admin' && { cancelledBy: 'admin' }),
+        finishReason,
         partialContent: fullContent,
         chunkCount,
+        model: answered.model,
+        provider: answered.provider,
+        conversationId,
+        usage,
       });
     }
     
   } catch (error) {
     clearTimeout(timeoutId);
-    activeTasks.delete(taskId);
+    untrack();
     
     // Don't send error if aborted
     if (abortController.signal.aborted) {
@@ -323,23 +748,194 @@ const handleStart = async (connection, message) => {
     
     console.error('[llmHandler] LLM task error:', error.message);
     
-    sendMessage(ws, {
+    // Keep what the client was shown; a new conversation goes too if
+    // llm:started never named it
+    await conversationService.failTurn(conversationId, {
+      content: fullContent,
+      sources: sources.length > 0 ? sources : null,
+      created: newConversation && !started,
+    });
+    
+    const failure = llmService.normalizeError(error, { provider: actualProvider, model });
+    
+    send({
       type: 'llm:error',
       taskId,
-      code: 'STREAM_ERROR',
-      error: error.message,
-      provider: actualProvider,
-      model,
-      retryable: true,
+      code: failure.code,
+      error: failure.message,
+      provider: failure.provider || actualProvider,
+      model: failure.model || model,
+      retryable: failure.retryable,
+      ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
     });
   } finally {
-    // Ensure task is cleaned up
-    if (activeTasks.has(taskId)) {
-      activeTasks.delete(taskId);
+    // Ensure task is cleaned up; a task waiting for tool results keeps its
+    // buffer for as long as the results may arrive
+    untrack();
+    if (stream) {
+      taskStreams.finish(stream, awaitingTools
+        ? { awaitingTools, keepFor: CONFIG.toolResultTimeout + taskStreams.CONFIG.retention }
+        : {});
     }
   }
 };
 
+// ============================================================================
+// TOOL SESSIONS
+// ============================================================================
+
+/**
+ * Send the last message of a task that is no longer running (a dropped or
+ * expired tool session), through its stream when it has one
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @param {Object} message - Message
+ */
+const sendTaskEnd = (connection, taskId, message) => {
+  const stream = taskStreams.get(connection.user?.id, taskId);
+  if (stream) {
+    taskStreams.send(stream, message);
+    taskStreams.finish(stream);
+  } else {
+    sendMessage(connection.ws, message);
+  }
+};
+
+/**
+ * Keep a task that stopped on tool calls until the client returns results
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @param {Object} session - Turn parameters including the assistant tool-call turn
+ * @param {number} [timeout] - Time left for the results (defaults to toolResultTimeout)
+ */
+const parkToolSession = (connection, taskId, session, timeout = CONFIG.toolResultTimeout) => {
+  const { toolSessions, connectionId } = connection;
+  
+  clearToolSession(connection, taskId);
+  
+  const timeoutId = setTimeout(() => {
+    if (toolSessions.has(taskId)) {
+      toolSessions.delete(taskId);
+      
+      sendTaskEnd(connection, taskId, {
+        type: 'llm:error',
+        taskId,
+        code: 'TIMEOUT',
+        error: 'Timed out waiting for tool results',
+      });
+      
+      logger.warn('Tool session expired', { connectionId, taskId });
+    }
+  }, timeout);
+  
+  toolSessions.set(taskId, { ...session, timeoutId, expiresAt: Date.now() + timeout });
+};
+
+/**
+ * Remove a parked tool session
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Removed session
+ */
+const clearToolSession = (connection, taskId) => {
+  const session = connection.toolSessions.get(taskId);
+  if (!session) return null;
+  
+  clearTimeout(session.timeoutId);
+  connection.toolSessions.delete(taskId);
+  return session;
+};
+
+/**
+ * Drop a parked tool session for good (tool:cancel, llm:cancel_all); its
+ * stream is kept only for the retention period
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Removed session
+ */
+const discardToolSession = (connection, taskId) => {
+  const session = clearToolSession(connection, taskId);
+  const stream = session && taskStreams.get(connection.user?.id, taskId);
+  if (stream) taskStreams.finish(stream);
+  return session;
+};
+
+/**
+ * Continue a parked task with tool results (tool:execute)
+ * @param {Object} connection - Connection state
+ * @param {string} taskId - Task ID
+ * @param {Array} results - [{ toolCallId, content, isError? }]
+ * @throws {Error} With a `code` property if the results cannot be accepted
+ *   (a user over quota gets llm:error QUOTA_EXCEEDED and the task ends)
+ */
+const continueWithToolResults = async (connection, taskId, results) => {
+  const session = connection.toolSessions.get(taskId);
+  if (!session) {
+    throw Object.assign(new Error(`Task ${taskId} is not waiting for tool results`), {
+      code: 'TASK_NOT_FOUND',
+    });
+  }
+  
+  if (connection.activeTasks.size >= CONFIG.maxConcurrentTasks) {
+    throw Object.assign(new Error(`Maximum concurrent tasks (${CONFIG.maxConcurrentTasks}) exceeded`), {
+      code: llmService.LLM_ERROR_CODES.RATE_LIMITED,
+      retryable: true,
+    });
+  }
+  
+  // Every requested call needs exactly one result
+  const resultsById = new Map((results || []).map((r) => [r?.toolCallId, r]));
+  const missing = session.toolCalls.filter((call) => !resultsById.has(call.id));
+  if (missing.length > 0 || resultsById.size !== session.toolCalls.length) {
+    throw Object.assign(new Error(
+      `Expected results for tool calls: ${session.toolCalls.map((c) => c.id).join(', ')}`
+    ), { code: 'INVALID_INPUT' });
+  }
+  
+  // Every tool round is another billable model call
+  try {
+    await quotaService.checkQuota(connection.user);
+  } catch (error) {
+    clearToolSession(connection, taskId);
+    sendTaskEnd(connection, taskId, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'QUOTA_EXCEEDED',
+      error: error.message,
+      quota: error.details,
+    });
+    return;
+  }
+  
+  clearToolSession(connection, taskId);
+  
+  const toolMessages = session.toolCalls.map((call) => {
+    const result = resultsById.get(call.id);
+    return {
+      role: 'tool',
+      toolCallId: call.id,
+      name: call.name,
+      content: typeof result.content === 'string' ? result.content : JSON.stringify(result.content ?? null),
+      ...(result.isError && { isError: true }),
+    };
+  });
+  
+  const { toolCalls, timeoutId, expiresAt, ...params } = session;
+  
+  try {
+    await conversationService.recordToolResults(params.conversationId, toolMessages);
+  } catch (error) {
+    logger.error('Failed to persist tool results', { taskId, conversationId: params.conversationId, error: error.message });
+  }
+  
+  await runTask(connection, taskId, {
+    ...params,
+    newConversation: false,
+    messages: [...params.messages, ...toolMessages],
+    toolRound: params.toolRound + 1,
+  });
+};
+
 /**
  * Handle llm:cancel - Cancel specific task
  * @param {Object} connection - Connection state
@@ -358,6 +954,16 @@ const handleCancel = (connection, message) => {
     return;
   }
   
+  // A task parked on tool calls is cancelled by dropping its session
+  if (clearToolSession(connection, taskId)) {
+    logger.info('LLM task cancelled while awaiting tools', { connectionId, taskId });
+    sendTaskEnd(connection, taskId, {
+      type: 'llm:cancelled',
+      taskId,
+    });
+    return;
+  }
+  
   const task = activeTasks.get(taskId);
   if (!task) {
     sendMessage(ws, {
@@ -369,16 +975,38 @@ const handleCancel = (connection, message) => {
     return;
   }
   
-  // Abort the task
-  task.abortController.abort();
+  // Abort the provider request; the task reports llm:cancelled with the
+  // partial content and usage once the stream has stopped
+  task.abortController.abort('cancelled');
   activeTasks.delete(taskId);
   
-  logger.info('LLM task cancelled', { connectionId, taskId });
+  logger.info('LLM task cancellation requested', { connectionId, taskId });
+};
+
+/**
+ * Cancel a task on behalf of an administrator (admin:cancel_task). The owner
+ * receives llm:cancelled with cancelledBy: 'admin'.
+ * @param {Object} connection - Connection state of the task's owner
+ * @param {string} taskId - Task ID
+ * @returns {boolean} False if the task is neither running nor waiting for tool results
+ */
+const forceCancel = (connection, taskId) => {
+  if (clearToolSession(connection, taskId)) {
+    sendTaskEnd(connection, taskId, {
+      type: 'llm:cancelled',
+      taskId,
+      cancelledBy: 'admin',
+    });
+    return true;
+  }
   
-  sendMessage(ws, {
-    type: 'llm:cancelled',
-    taskId,
-  });
+  const task = connection.activeTasks.get(taskId);
+  if (!task) return false;
+  
+  // Reported by the task once the stream has stopped, as for llm:cancel
+  task.abortController.abort('admin');
+  connection.activeTasks.delete(taskId);
+  return true;
 };
 
 /**
@@ -391,12 +1019,17 @@ const handleCancelAll = (connection) => {
   const cancelledTasks = [];
   
   activeTasks.forEach((task, taskId) => {
-    task.abortController.abort();
+    task.abortController.abort('cancelled');
     cancelledTasks.push(taskId);
   });
   
   activeTasks.clear();
   
+  connection.toolSessions.forEach((session, taskId) => {
+    discardToolSession(connection, taskId);
+    cancelledTasks.push(taskId);
+  });
+  
   logger.info('All LLM tasks cancelled', {
     connectionId,
     count: cancelledTasks.length,
@@ -409,6 +1042,103 @@ const handleCancelAll = (connection) => {
   });
 };
 
+/**
+ * Handle llm:resume - Attach a task to this connection after a reconnect,
+ * replay the messages after fromSeq and continue live
+ * @param {Object} connection - Connection state
+ * @param {Object} message - { taskId, fromSeq } (fromSeq: last seq received, 0 for all)
+ */
+const handleResume = (connection, message) => {
+  const { ws, connectionId, user } = connection;
+  const { taskId } = message;
+  const fromSeq = Number.isInteger(message.fromSeq) && message.fromSeq > 0 ? message.fromSeq : 0;
+  
+  if (!taskId) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      code: 'MISSING_TASK_ID',
+      error: 'taskId is required to resume a task',
+    });
+    return;
+  }
+  
+  const stream = taskStreams.get(user?.id, taskId);
+  if (!stream) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: 'TASK_NOT_FOUND',
+      error: `Task ${taskId} cannot be resumed (unknown, expired or started on another server)`,
+    });
+    return;
+  }
+  
+  // Take the task over from the connection that holds it (a socket the
+  // server has not noticed is dead yet, or another tab)
+  const previous = taskStreams.attach(stream, connection);
+  const parked = previous && previous !== connection
+    ? clearToolSession(previous, taskId)
+    : stream.toolSession;
+  stream.toolSession = null;
+  if (parked) {
+    const { timeoutId, expiresAt, ...session } = parked;
+    parkToolSession(connection, taskId, session, Math.max(0, expiresAt - Date.now()));
+  }
+  
+  sendMessage(ws, {
+    type: 'llm:resumed',
+    taskId,
+    fromSeq,
+    lastSeq: stream.seq,
+    status: stream.status,
+    ...(taskStreams.hasGap(stream, fromSeq) && { gap: true }),
+  });
+  const replayed = taskStreams.replay(stream, fromSeq);
+  
+  logger.info('LLM task resumed', {
+    connectionId,
+    previousConnectionId: previous?.connectionId || null,
+    taskId,
+    fromSeq,
+    replayed,
+    status: stream.status,
+  });
+};
+
+/**
+ * Keep an authenticated connection's tasks alive when it closes: running
+ * tasks and parked tool sessions are detached until llm:resume (or the grace
+ * period ends). Other tasks are aborted by socketController.
+ * @param {Object} connection - Closing connection
+ */
+const handleDisconnect = (connection) => {
+  // Blocked connections lose their tasks
+  if (connection.isBlocked) return;
+  
+  taskStreams.detach(connection).forEach((stream) => {
+    const session = clearToolSession(connection, stream.taskId);
+    if (session) {
+      stream.toolSession = session;
+    }
+  });
+};
+
+/**
+ * Send an authenticated connection the background task notifications its
+ * user missed (on connect, login and token refresh)
+ * @param {Object} connection - Connection state
+ */
+const deliverBackgroundTasks = (connection) => {
+  if (!connection.isAuthenticated || !connection.user) return;
+  
+  backgroundTaskService.deliverPending(connection.user.id).catch((error) => {
+    logger.warn('Background task notifications not delivered', {
+      connectionId: connection.connectionId,
+      error: error.message,
+    });
+  });
+};
+
 /**
  * Handle llm:providers - Get available providers
  * @param {Object} connection - Connection state
@@ -447,6 +1177,70 @@ const handleGetModels = (connection, message) => {
   });
 };
 
+/**
+ * Handle llm:embed - Generate embeddings (same batching and limits as
+ * POST /api/llm/embeddings)
+ * @param {Object} connection - Connection state
+ * @param {Object} message - { taskId?, model?, provider?, input, dimensions? }
+ */
+const handleEmbed = async (connection, message) => {
+  const { ws, user } = connection;
+  const { model, provider, input, dimensions } = message;
+  const taskId = message.taskId || generateTaskId();
+  
+  try {
+    await quotaService.checkQuota(user);
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: error.code || 'QUOTA_EXCEEDED',
+      error: error.message,
+      quota: error.details,
+    });
+    return;
+  }
+  
+  let result;
+  try {
+    result = await llmService.generateEmbeddings({ model, provider, input, dimensions });
+  } catch (error) {
+    if (error.code === 'INVALID_INPUT') {
+      sendMessage(ws, { type: 'llm:error', taskId, code: error.code, error: error.message });
+      return;
+    }
+    const failure = llmService.normalizeError(error, { provider, model });
+    logger.error('Embeddings error', { taskId, error: failure.message, code: failure.code });
+    sendMessage(ws, {
+      type: 'llm:error',
+      taskId,
+      code: failure.code,
+      error: failure.message,
+      provider: failure.provider,
+      model: failure.model,
+      retryable: failure.retryable,
+      ...(failure.retryAfter !== undefined && { retryAfter: failure.retryAfter }),
+    });
+    return;
+  }
+  
+  const cost = await usageService.recordUsage({
+    userId: user?.id,
+    taskId,
+    source: 'ws',
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+  });
+  
+  sendMessage(ws, {
+    type: 'llm:embeddings',
+    taskId,
+    ...result,
+    usage: { ...result.usage, cost },
+  });
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -479,6 +1273,13 @@ const getStats = () => {
 
 module.exports = {
   handleMessage,
+  handleConnect: deliverBackgroundTasks,
+  handleAuthChange: deliverBackgroundTasks,
+  handleDisconnect,
+  continueWithToolResults,
+  clearToolSession,
+  discardToolSession,
+  forceCancel,
   getProviders,
   getStats,
   CONFIG,
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview llm:* lifecycle tests
+ * @description Runs WebSocket tasks through llmHandler and toolHandler with the
+ * mock provider on a fake connection: start/chunk/done, fallbacks and errors,
+ * cancellation, tool rounds, quotas and resuming from the buffered stream.
+ */
+
+process.env.LLM_RETRY_BASE_DELAY = '1';
+process.env.LOG_LEVEL = 'error';
+
+const llmHandler = require('./llmHandler');
+const toolHandler = require('./toolHandler');
+const taskStreams = require('./taskStreams');
+const conversationService = require('../services/conversationService');
+const modelCatalog = require('../services/modelCatalogService');
+const quotaService = require('../services/quotaService');
+const { ApiError } = require('../middleware/errorHandler');
+
+const USER = { id: 'user-1', email: 'user@example.com', role: 'user' };
+
+const TOOLS = [{ name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } }];
+
+// Test models: copies of mock-echo with their own mock behaviour
+const addMockModel = (id, { fallbacks, ...mock }) => {
+  modelCatalog.getCatalog().models.push({
+    ...modelCatalog.getModel('mock-echo'),
+    id,
+    name: id,
+    ...(fallbacks && { fallbacks }),
+    mock: { chunkSize: 4, delayMs: 0, ...mock },
+  });
+};
+
+/**
+ * Fake connection recording what is sent to it
+ * @param {Object|null} [user] - Authenticated user
+ * @returns {Object} Connection state, plus sent (messages) and waitFor(type)
+ */
+const createConnection = (user = null) => {
+  const sent = [];
+  const waiters = [];
+  return {
+    connectionId: `conn-${Math.random().toString(36).slice(2)}`,
+    ws: {
+      readyState: 1,
+      send: (data) => {
+        const message = JSON.parse(data);
+        sent.push(message);
+        waiters.filter((w) => w.type === message.type).forEach((w) => {
+          waiters.splice(waiters.indexOf(w), 1);
+          w.resolve(message);
+        });
+      },
+    },
+    user,
+    isAuthenticated: !!user,
+    activeTasks: new Map(),
+    toolSessions: new Map(),
+    sent,
+    ofType: (type) => sent.filter((m) => m.type === type),
+    waitFor: (type) => new Promise((resolve) => waiters.push({ type, resolve })),
+  };
+};
+
+const start = (connection, message) =>
+  llmHandler.handleMessage(connection, { type: 'llm:start', persist: false, ...message }, 'start');
+
+let taskCount = 0;
+const nextTaskId = () => `task-${++taskCount}`;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  addMockModel('test-down', { error: { status: 503 }, fallbacks: ['mock-echo'] });
+  addMockModel('test-unauthorized', { error: { status: 401 } });
+  addMockModel('test-slow', { chunkSize: 1, delayMs: 20 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  // Drop buffered streams so no retention timers outlive the tests
+  for (let i = 1; i <= taskCount; i++) taskStreams.discard(USER.id, `task-${i}`);
+});
+
+describe('llm:start', () => {
+  test('streams started, chunks and done for an anonymous connection', async () => {
+    const connection = createConnection();
+    const taskId = nextTaskId();
+
+    await start(connection, { taskId, model: 'mock-echo', content: 'Hello handler' });
+
+    const types = connection.sent.map((m) => m.type);
+    expect(types[0]).toBe('llm:started');
+    expect(types[types.length - 1]).toBe('llm:done');
+    expect(connection.ofType('llm:started')[0]).toMatchObject({ taskId, model: 'mock-echo', provider: 'mock', attempts: 1 });
+    expect(connection.ofType('llm:chunk').map((m) => m.content).join('')).toBe('Hello handler');
+    expect(connection.ofType('llm:done')[0]).toMatchObject({
+      taskId,
+      finishReason: 'stop',
+      totalLength: 'Hello handler'.length,
+      usage: expect.objectContaining({ outputTokens: expect.any(Number), cost: expect.any(Number) }),
+    });
+    // Anonymous tasks are not buffered for resuming
+    expect(connection.sent.some((m) => 'seq' in m)).toBe(false);
+    expect(connection.activeTasks.size).toBe(0);
+  });
+
+  test('names the fallback model that answered', async () => {
+    const connection = createConnection();
+
+    await start(connection, { taskId: nextTaskId(), model: 'test-down', content: 'rescued' });
+
+    expect(connection.ofType('llm:started')[0]).toMatchObject({ model: 'mock-echo', fallback: true, requestedModel: 'test-down', attempts: 4 });
+    expect(connection.ofType('llm:done')[0]).toMatchObject({ model: 'mock-echo', fallback: true });
+    expect(connection.ofType('llm:chunk').map((m) => m.content).join('')).toBe('rescued');
+  });
+
+  test('reports classified provider errors', async () => {
+    const connection = createConnection();
+    const taskId = nextTaskId();
+
+    await start(connection, { taskId, model: 'test-unauthorized', content: 'denied' });
+
+    expect(connection.sent.map((m) => m.type)).toEqual(['llm:error']);
+    expect(connection.sent[0]).toMatchObject({ taskId, code: 'AUTH_FAILED', retryable: false, model: 'test-unauthorized' });
+  });
+
+  test('takes back the stored turn when the task fails', async () => {
+    jest.spyOn(conversationService, 'beginTurn').mockResolvedValue('conv-failed');
+    const failTurn = jest.spyOn(conversationService, 'failTurn').mockResolvedValue();
+    const connection = createConnection(USER);
+
+    await start(connection, { taskId: nextTaskId(), model: 'test-unauthorized', content: 'denied', persist: true });
+
+    expect(connection.ofType('llm:error')).toHaveLength(1);
+    expect(failTurn).toHaveBeenCalledWith('conv-failed', { content: '', sources: null, created: true });
+  });
+
+  test('refuses users over quota before streaming', async () => {
+    jest.spyOn(quotaService, 'checkQuota').mockRejectedValue(
+      new ApiError(429, 'Daily tokens quota exceeded', 'QUOTA_EXCEEDED', { quota: 'dailyTokens' })
+    );
+    const connection = createConnection(USER);
+
+    await start(connection, { taskId: nextTaskId(), model: 'mock-echo', content: 'too much' });
+
+    expect(connection.sent.map((m) => m.type)).toEqual(['llm:error']);
+    expect(connection.sent[0]).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: { quota: 'dailyTokens' } });
+  });
+
+  test('rejects unknown actions', async () => {
+    const connection = createConnection();
+
+    await llmHandler.handleMessage(connection, { type: 'llm:bogus' }, 'bogus');
+
+    expect(connection.sent[0]).toMatchObject({ type: 'llm:error', code: 'UNKNOWN_ACTION' });
+  });
+});
+
+describe('llm:cancel', () => {
+  test('stops the stream and reports the partial content and usage', async () => {
+    const connection = createConnection();
+    const taskId = nextTaskId();
+
+    const running = start(connection, { taskId, model: 'test-slow', content: 'a long answer that will be cut short' });
+    await connection.waitFor('llm:chunk');
+    await llmHandler.handleMessage(connection, { type: 'llm:cancel', taskId }, 'cancel');
+    await running;
+
+    const cancelled = connection.ofType('llm:cancelled')[0];
+    expect(cancelled).toMatchObject({ taskId, finishReason: 'cancelled', model: 'test-slow' });
+    expect(cancelled.partialContent.length).toBeGreaterThan(0);
+    expect('a long answer that will be cut short'.startsWith(cancelled.partialContent)).toBe(true);
+    expect(cancelled.usage.estimated).toBe(true);
+    expect(connection.ofType('llm:done')).toHaveLength(0);
+    expect(connection.ofType('llm:error')).toHaveLength(0);
+    expect(connection.activeTasks.size).toBe(0);
+  });
+
+  test('reports unknown tasks', async () => {
+    const connection = createConnection();
+
+    await llmHandler.handleMessage(connection, { type: 'llm:cancel', taskId: 'missing' }, 'cancel');
+
+    expect(connection.sent[0]).toMatchObject({ type: 'llm:error', code: 'TASK_NOT_FOUND' });
+  });
+});
+
+describe('tool rounds', () => {
+  test('parks the task on tool calls and continues it with the results', async () => {
+    const connection = createConnection(USER);
+    const taskId = nextTaskId();
+
+    await start(connection, { taskId, model: 'mock-tools', content: 'Find it', tools: TOOLS });
+
+    const { toolCall } = connection.ofType('llm:tool_call')[0];
+    expect(toolCall).toMatchObject({ name: 'lookup', arguments: {} });
+    expect(connection.ofType('llm:done')[0]).toMatchObject({ finishReason: 'tool_calls', awaitingTools: true, toolCalls: [toolCall] });
+    expect(connection.toolSessions.has(taskId)).toBe(true);
+
+    await toolHandler.handleMessage(connection, {
+      type: 'tool:execute',
+      taskId,
+      results: [{ toolCallId: toolCall.id, content: 'found: 42' }],
+    }, 'execute');
+
+    const [, second] = connection.ofType('llm:done');
+    expect(second).toMatchObject({ taskId, finishReason: 'stop' });
+    expect(connection.ofType('llm:started')[1]).toMatchObject({ toolRound: 1 });
+    expect(connection.ofType('llm:chunk').map((m) => m.content).join('')).toBe('found: 42');
+    expect(connection.toolSessions.size).toBe(0);
+
+    // One numbered sequence across both rounds
+    const seqs = connection.sent.map((m) => m.seq);
+    expect(seqs).toEqual(seqs.map((_, i) => i + 1));
+  });
+
+  test('requires a result for every tool call', async () => {
+    const connection = createConnection(USER);
+    const taskId = nextTaskId();
+    await start(connection, { taskId, model: 'mock-tools', content: 'Find it', tools: TOOLS });
+
+    await toolHandler.handleMessage(connection, { type: 'tool:execute', taskId, results: [] }, 'execute');
+
+    expect(connection.ofType('tool:error')[0]).toMatchObject({ taskId, code: 'INVALID_INPUT' });
+    expect(connection.toolSessions.has(taskId)).toBe(true);
+
+    await toolHandler.handleMessage(connection, { type: 'tool:cancel', taskId }, 'cancel');
+    expect(connection.ofType('tool:cancelled')).toHaveLength(1);
+    expect(connection.toolSessions.size).toBe(0);
+  });
+
+  test('ends the task when the user runs out of quota between rounds', async () => {
+    const connection = createConnection(USER);
+    const taskId = nextTaskId();
+    await start(connection, { taskId, model: 'mock-tools', content: 'Find it', tools: TOOLS });
+    const { toolCall } = connection.ofType('llm:tool_call')[0];
+
+    jest.spyOn(quotaService, 'checkQuota').mockRejectedValue(
+      new ApiError(429, 'Daily requests quota exceeded', 'QUOTA_EXCEEDED', { quota: 'dailyRequests' })
+    );
+    await toolHandler.handleMessage(connection, {
+      type: 'tool:execute',
+      taskId,
+      results: [{ toolCallId: toolCall.id, content: 'found: 42' }],
+    }, 'execute');
+
+    expect(connection.sent[connection.sent.length - 1]).toMatchObject({ type: 'llm:error', taskId, code: 'QUOTA_EXCEEDED' });
+    expect(connection.ofType('llm:started')).toHaveLength(1);
+    expect(connection.toolSessions.size).toBe(0);
+  });
+});
+
+describe('llm:resume', () => {
+  test('keeps a task running through a reconnect and replays what was missed', async () => {
+    const first = createConnection(USER);
+    const taskId = nextTaskId();
+    const prompt = 'an answer streamed across two sockets';
+
+    const running = start(first, { taskId, model: 'test-slow', content: prompt });
+    const received = await first.waitFor('llm:chunk');
+    first.ws.readyState = 3;
+    llmHandler.handleDisconnect(first);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    const second = createConnection(USER);
+    llmHandler.handleMessage(second, { type: 'llm:resume', taskId, fromSeq: received.seq }, 'resume');
+    await running;
+
+    expect(second.sent[0]).toMatchObject({ type: 'llm:resumed', taskId, fromSeq: received.seq, status: 'running' });
+    const replayed = second.sent.filter((m) => m.replayed);
+    expect(replayed.length).toBeGreaterThan(0);
+    expect(replayed[0].seq).toBe(received.seq + 1);
+
+    // Nothing lost or repeated: the first socket's chunks, then the second's
+    // (seq 1 is llm:started)
+    const chunks = [...first.ofType('llm:chunk'), ...second.ofType('llm:chunk')];
+    expect(chunks.map((m) => m.seq)).toEqual(chunks.map((_, i) => i + 2));
+    expect(chunks.map((m) => m.content).join('')).toBe(prompt);
+    expect(second.ofType('llm:done')[0]).toMatchObject({ taskId, finishReason: 'stop' });
+  });
+
+  test('reports tasks that cannot be resumed', () => {
+    const connection = createConnection(USER);
+
+    llmHandler.handleMessage(connection, { type: 'llm:resume', taskId: 'missing', fromSeq: 0 }, 'resume');
+
+    expect(connection.sent[0]).toMatchObject({ type: 'llm:error', code: 'TASK_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview WebSocket Rate Limiter
+ * @description Token-bucket message limits for WebSocket connections, with a
+ * separate budget per message domain (llm, tool, auth, ...) for each
+ * connection and, scaled up, for each IP address. Repeated violations
+ * escalate: a throttle warning, then a temporary mute, then a temporary
+ * block of the user (or, for anonymous connections, a shorter block of the
+ * IP address). Escalation is tracked per user, or per IP address for
+ * anonymous connections, so reconnecting does not reset it.
+ * Also caps concurrent connections per user and per IP.
+ *
+ * The limiter only keeps state and returns verdicts; socketController sends
+ * the messages and performs mutes and blocks.
+ *
+ * Budgets are "burst/perMinute": burst is the bucket size, perMinute the
+ * refill rate. Override one domain with WS_RATE_LIMIT_<DOMAIN>, e.g.
+ * WS_RATE_LIMIT_LLM=10/30; WS_RATE_LIMIT_DEFAULT covers unlisted domains.
+ *
+ * @module websocket/rateLimiter
+ */
+
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Per-connection budgets by message domain
+const DEFAULT_BUDGETS = {
+  default: '30/120',
+  llm: '10/30',
+  tool: '20/120',
+  auth: '5/10',
+  admin: '20/120',
+  ping: '5/10',
+};
+
+/**
+ * Parse a "burst/perMinute" budget
+ * @param {string} value - Budget string
+ * @param {string} fallback - Budget used when value is missing or malformed
+ * @returns {{ burst: number, perMinute: number }}
+ */
+const parseBudget = (value, fallback) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match) {
+    if (value) logger.warn(`Invalid WebSocket rate limit "${value}", using ${fallback}`);
+    return parseBudget(fallback);
+  }
+  return { burst: parseInt(match[1]), perMinute: parseInt(match[2]) };
+};
+
+const CONFIG = {
+  enabled: process.env.WS_RATE_LIMIT_ENABLED !== 'false',
+  // Per-IP budget = per-connection budget x ipFactor
+  ipFactor: parseFloat(process.env.WS_RATE_LIMIT_IP_FACTOR) || 5,
+  // Escalation: warn, then mute after this many rejected messages in the window
+  warnAfter: parseInt(process.env.WS_RATE_WARN_AFTER) || 5,
+  muteAfter: parseInt(process.env.WS_RATE_MUTE_AFTER) || 15,
+  violationWindow: parseInt(process.env.WS_RATE_VIOLATION_WINDOW) || 60 * 1000,
+  muteDuration: parseInt(process.env.WS_RATE_MUTE_DURATION) || 60 * 1000,
+  // Block after this many mutes in the mute window
+  blockAfterMutes: parseInt(process.env.WS_RATE_BLOCK_AFTER_MUTES) || 3,
+  muteWindow: parseInt(process.env.WS_RATE_MUTE_WINDOW) || 60 * 60 * 1000,
+  // How long an automatic block lasts (anonymous blocks cover the whole IP, so they are shorter)
+  blockDuration: parseInt(process.env.WS_RATE_BLOCK_DURATION) || 60 * 60 * 1000,
+  anonymousBlockDuration: parseInt(process.env.WS_RATE_ANON_BLOCK_DURATION) || 10 * 60 * 1000,
+  // Concurrent connection caps
+  maxConnectionsPerUser: parseInt(process.env.WS_MAX_CONNECTIONS_PER_USER) || 10,
+  maxConnectionsPerIp: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP) || 50,
+};
+
+// Per-IP state is dropped after this long without messages
+const IP_STATE_TTL = 10 * 60 * 1000;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Budgets by domain, resolved once from DEFAULT_BUDGETS and the environment
+ * @type {Map<string, { burst: number, perMinute: number }>}
+ */
+const budgets = new Map();
+
+/**
+ * Buckets shared by every connection from an IP address
+ * @type {Map<string, { buckets: Map<string, Object>, lastSeenAt: number }>}
+ */
+const ipStates = new Map();
+
+/**
+ * Escalation state by subject ("user:<id>" or "ip:<address>")
+ * @type {Map<string, { violations: number[], mutes: number[], mutedUntil: number, warned: boolean, lastSeenAt: number }>}
+ */
+const escalations = new Map();
+
+// ============================================================================
+// TOKEN BUCKETS
+// ============================================================================
+
+/**
+ * Get the per-connection budget for a domain
+ * @param {string} domain - Message domain
+ * @returns {{ burst: number, perMinute: number }}
+ */
+const getBudget = (domain) => {
+  if (!budgets.has(domain)) {
+    const override = process.env[`WS_RATE_LIMIT_${domain.toUpperCase()}`];
+    const fallback = DEFAULT_BUDGETS[domain] || process.env.WS_RATE_LIMIT_DEFAULT || DEFAULT_BUDGETS.default;
+    budgets.set(domain, parseBudget(override, fallback));
+  }
+  return budgets.get(domain);
+};
+
+/**
+ * Take one token from a bucket, refilling it for the time elapsed
+ * @param {Map<string, Object>} buckets - Buckets by domain
+ * @param {string} domain - Message domain
+ * @param {number} factor - Budget multiplier
+ * @param {number} now - Current time (ms)
+ * @returns {number} 0 if a token was taken, otherwise ms until the next token
+ */
+const take = (buckets, domain, factor, now) => {
+  const budget = getBudget(domain);
+  const capacity = budget.burst * factor;
+  const refillPerMs = (budget.perMinute * factor) / 60000;
+
+  let bucket = buckets.get(domain);
+  if (!bucket) {
+    bucket = { tokens: capacity, updatedAt: now };
+    buckets.set(domain, bucket);
+  }
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return refillPerMs > 0 ? Math.ceil((1 - bucket.tokens) / refillPerMs) : CONFIG.violationWindow;
+};
+
+/**
+ * Get (or create) the buckets of a connection
+ * @param {Object} connection - Connection state
+ * @returns {Map<string, Object>} Buckets by domain
+ */
+const getConnectionBuckets = (connection) => {
+  if (!connection.rateLimit) {
+    connection.rateLimit = { buckets: new Map() };
+  }
+  return connection.rateLimit.buckets;
+};
+
+/**
+ * Key escalation by user, or by IP address for anonymous connections
+ * @param {Object} connection - Connection state
+ * @returns {string}
+ */
+const getSubject = (connection) =>
+  (connection.user ? `user:${connection.user.id}` : `ip:${connection.ipAddress}`);
+
+/**
+ * Get (or create) the escalation state of a connection's subject
+ * @param {Object} connection - Connection state
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { violations, mutes, mutedUntil, warned, lastSeenAt }
+ */
+const getEscalation = (connection, now) => {
+  const subject = getSubject(connection);
+  let state = escalations.get(subject);
+  if (!state) {
+    state = { violations: [], mutes: [], mutedUntil: 0, warned: false, lastSeenAt: now };
+    escalations.set(subject, state);
+  }
+  return state;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Account for one incoming message
+ *
+ * Verdict actions:
+ * - 'allow'  - process the message
+ * - 'drop'   - silently drop it (connection is muted)
+ * - 'reject' - refuse it with RATE_LIMIT_EXCEEDED (retryAfter, scope)
+ * - 'warn'   - refuse it and warn that a mute follows
+ * - 'mute'   - refuse it and mute the connection until mutedUntil
+ * - 'block'  - block the connection until blockedUntil
+ *
+ * @param {Object} connection - Connection state
+ * @param {string} domain - Message domain ('default' for unparsable messages)
+ * @returns {{ action: string, retryAfter?: number, scope?: string, mutedUntil?: Date, blockedUntil?: Date, violations?: number }}
+ */
+const consume = (connection, domain) => {
+  if (!CONFIG.enabled) return { action: 'allow' };
+
+  const now = Date.now();
+  const state = getEscalation(connection, now);
+
+  if (state.mutedUntil > now) {
+    return { action: 'drop' };
+  }
+
+  let ipState = ipStates.get(connection.ipAddress);
+  if (!ipState) {
+    ipState = { buckets: new Map(), lastSeenAt: now };
+    ipStates.set(connection.ipAddress, ipState);
+  }
+  ipState.lastSeenAt = now;
+
+  const connectionWait = take(getConnectionBuckets(connection), domain, 1, now);
+  const ipWait = connectionWait ? 0 : take(ipState.buckets, domain, CONFIG.ipFactor, now);
+  if (!connectionWait && !ipWait) {
+    return { action: 'allow' };
+  }
+
+  // Escalate on repeated violations
+  state.lastSeenAt = now;
+  state.violations = state.violations.filter((at) => now - at < CONFIG.violationWindow);
+  state.violations.push(now);
+  if (state.violations.length === 1) state.warned = false;
+
+  const verdict = {
+    retryAfter: Math.ceil((connectionWait || ipWait) / 1000),
+    scope: connectionWait ? 'connection' : 'ip',
+    violations: state.violations.length,
+  };
+
+  if (state.violations.length >= CONFIG.muteAfter) {
+    state.violations = [];
+    state.mutes = state.mutes.filter((at) => now - at < CONFIG.muteWindow);
+    state.mutes.push(now);
+
+    if (state.mutes.length >= CONFIG.blockAfterMutes) {
+      const duration = connection.user ? CONFIG.blockDuration : CONFIG.anonymousBlockDuration;
+      return { ...verdict, action: 'block', blockedUntil: new Date(now + duration) };
+    }
+
+    state.mutedUntil = now + CONFIG.muteDuration;
+    return { ...verdict, action: 'mute', mutedUntil: new Date(state.mutedUntil) };
+  }
+
+  if (!state.warned && state.violations.length >= CONFIG.warnAfter) {
+    state.warned = true;
+    return { ...verdict, action: 'warn' };
+  }
+
+  return { ...verdict, action: 'reject' };
+};
+
+/**
+ * Check the concurrent connection caps for a new (or newly authenticated) connection
+ * @param {Iterable<Object>} liveConnections - Current connections
+ * @param {Object} candidate - { connectionId?, ipAddress, userId? }
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+const checkConnectionLimit = (liveConnections, { connectionId, ipAddress, userId }) => {
+  let perIp = 0;
+  let perUser = 0;
+  for (const connection of liveConnections) {
+    if (connection.connectionId === connectionId) continue;
+    if (connection.ipAddress === ipAddress) perIp++;
+    if (userId && connection.user?.id === userId) perUser++;
+  }
+
+  if (perIp >= CONFIG.maxConnectionsPerIp) {
+    return { allowed: false, reason: `Too many connections from this address (max ${CONFIG.maxConnectionsPerIp})` };
+  }
+  if (userId && perUser >= CONFIG.maxConnectionsPerUser) {
+    return { allowed: false, reason: `Too many connections for this user (max ${CONFIG.maxConnectionsPerUser})` };
+  }
+  return { allowed: true };
+};
+
+/**
+ * When a connection's user (or anonymous IP address) is muted until
+ * @param {Object} connection - Connection state
+ * @returns {Date|null}
+ */
+const getMutedUntil = (connection) => {
+  const mutedUntil = escalations.get(getSubject(connection))?.mutedUntil;
+  return mutedUntil > Date.now() ? new Date(mutedUntil) : null;
+};
+
+/**
+ * Drop per-IP buckets that have been idle for a while, and escalation state
+ * with no violation left in the mute window
+ */
+const sweep = () => {
+  const now = Date.now();
+  const cutoff = now - IP_STATE_TTL;
+  ipStates.forEach((state, ipAddress) => {
+    if (state.lastSeenAt < cutoff) ipStates.delete(ipAddress);
+  });
+  escalations.forEach((state, subject) => {
+    if (state.lastSeenAt < now - CONFIG.muteWindow && state.mutedUntil <= now) escalations.delete(subject);
+  });
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  consume,
+  checkConnectionLimit,
+  getMutedUntil,
+  sweep,
+  CONFIG,
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview WebSocket rate limiter tests
+ * @description Message budgets, per-IP budgets, escalation (warn, mute,
+ * temporary block) and the concurrent connection caps.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const rateLimiter = require('./rateLimiter');
+
+const { CONFIG } = rateLimiter;
+
+let connectionCount = 0;
+const createConnection = (ipAddress = '10.0.0.1', user) => ({ connectionId: `conn-${++connectionCount}`, ipAddress, user });
+
+/**
+ * Send messages until the limiter returns an action other than reject
+ * @param {Object} connection - Connection
+ * @returns {Object} The escalating verdict
+ */
+const floodUntilEscalation = (connection) => {
+  for (;;) {
+    const verdict = rateLimiter.consume(connection, 'llm');
+    if (verdict.action !== 'allow' && verdict.action !== 'reject') return verdict;
+  }
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('message budgets', () => {
+  test('allows a burst, rejects beyond it and refills over time', () => {
+    const connection = createConnection('10.0.1.1');
+
+    // llm: 10/30
+    for (let i = 0; i < 10; i++) {
+      expect(rateLimiter.consume(connection, 'llm')).toEqual({ action: 'allow' });
+    }
+    expect(rateLimiter.consume(connection, 'llm')).toMatchObject({ action: 'reject', scope: 'connection', retryAfter: 2 });
+
+    // Other domains have their own budget
+    expect(rateLimiter.consume(connection, 'tool')).toEqual({ action: 'allow' });
+
+    jest.advanceTimersByTime(2000);
+    expect(rateLimiter.consume(connection, 'llm')).toEqual({ action: 'allow' });
+  });
+
+  test('shares a larger budget between connections from one address', () => {
+    const ipAddress = '10.0.2.1';
+    const allowed = Array.from({ length: CONFIG.ipFactor + 1 }, () => createConnection(ipAddress))
+      .flatMap((connection) => Array.from({ length: 10 }, () => rateLimiter.consume(connection, 'llm')))
+      .filter((verdict) => verdict.action === 'allow');
+
+    expect(allowed).toHaveLength(10 * CONFIG.ipFactor);
+    expect(rateLimiter.consume(createConnection(ipAddress), 'llm')).toMatchObject({ action: 'reject', scope: 'ip' });
+  });
+});
+
+describe('escalation', () => {
+  test('warns, then mutes, then blocks for a limited time', () => {
+    const connection = createConnection('10.0.3.1', { id: 'user-flood' });
+
+    expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn', violations: CONFIG.warnAfter });
+
+    const mute = floodUntilEscalation(connection);
+    expect(mute).toMatchObject({ action: 'mute', violations: CONFIG.muteAfter });
+    expect(mute.mutedUntil.getTime()).toBe(Date.now() + CONFIG.muteDuration);
+    expect(rateLimiter.consume(connection, 'llm')).toEqual({ action: 'drop' });
+
+    for (let mutes = 1; mutes < CONFIG.blockAfterMutes - 1; mutes++) {
+      jest.advanceTimersByTime(CONFIG.muteDuration);
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn' });
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'mute' });
+    }
+
+    jest.advanceTimersByTime(CONFIG.muteDuration);
+    expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn' });
+    const block = floodUntilEscalation(connection);
+    expect(block.action).toBe('block');
+    expect(block.blockedUntil.getTime()).toBe(Date.now() + CONFIG.blockDuration);
+  });
+
+  test('keeps escalating across reconnects, with a shorter block for anonymous connections', () => {
+    const ipAddress = '10.0.5.1';
+
+    for (let mutes = 0; mutes < CONFIG.blockAfterMutes - 1; mutes++) {
+      const connection = createConnection(ipAddress);
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn' });
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'mute' });
+      // A fresh connection from the same address is still muted
+      expect(rateLimiter.consume(createConnection(ipAddress), 'llm')).toEqual({ action: 'drop' });
+      expect(rateLimiter.getMutedUntil(createConnection(ipAddress))).toEqual(new Date(Date.now() + CONFIG.muteDuration));
+      jest.advanceTimersByTime(CONFIG.muteDuration);
+    }
+
+    const connection = createConnection(ipAddress);
+    expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn' });
+    const block = floodUntilEscalation(connection);
+    expect(block.action).toBe('block');
+    expect(block.blockedUntil.getTime()).toBe(Date.now() + CONFIG.anonymousBlockDuration);
+  });
+
+  test('tracks a user across addresses, apart from anonymous connections', () => {
+    const user = { id: 'user-roaming' };
+    floodUntilEscalation(createConnection('10.0.6.1', user));
+    expect(floodUntilEscalation(createConnection('10.0.6.2', user))).toMatchObject({ action: 'mute' });
+
+    expect(rateLimiter.getMutedUntil(createConnection('10.0.6.3', user))).not.toBeNull();
+    expect(rateLimiter.getMutedUntil(createConnection('10.0.6.2'))).toBeNull();
+  });
+
+  test('forgets mutes outside the mute window', () => {
+    const connection = createConnection('10.0.4.1');
+
+    for (let mutes = 0; mutes < CONFIG.blockAfterMutes + 1; mutes++) {
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'warn' });
+      expect(floodUntilEscalation(connection)).toMatchObject({ action: 'mute' });
+      jest.advanceTimersByTime(CONFIG.muteWindow / (CONFIG.blockAfterMutes - 1) + 1);
+    }
+  });
+});
+
+describe('checkConnectionLimit', () => {
+  test('caps connections per user and per address', () => {
+    const user = { id: 'user-1' };
+    const live = Array.from({ length: CONFIG.maxConnectionsPerUser }, (_, i) => ({
+      connectionId: `live-${i}`,
+      ipAddress: `10.1.0.${i}`,
+      user,
+    }));
+
+    expect(rateLimiter.checkConnectionLimit(live, { ipAddress: '10.2.0.1', userId: 'user-1' }).allowed).toBe(false);
+    expect(rateLimiter.checkConnectionLimit(live, { ipAddress: '10.2.0.1', userId: 'user-2' }).allowed).toBe(true);
+    // A connection does not count against itself when it authenticates
+    expect(rateLimiter.checkConnectionLimit(live, { connectionId: 'live-0', ipAddress: '10.1.0.0', userId: 'user-1' }).allowed)
+      .toBe(true);
+  });
+});
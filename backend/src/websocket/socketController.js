@@ -6,9 +6,10 @@
  * Supports:
  * - JWT authentication (same as REST API)
  * - Database connection tracking (optional)
- * - Domain-based message routing (llm:*, tool:*, etc.)
+ * - Domain-based message routing (llm:*, tool:*, topic:*, etc.)
  * - Parallel request handling with task isolation
- * - Rate limiting and connection blocking
+ * - Rate limiting (see rateLimiter), flood escalation and connection blocking
+ * - In-band token refresh (auth:refresh) with expiry warnings
  * 
  * @module websocket/socketController
  */
@@ -16,6 +17,7 @@
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const { verifyToken } = require('../middleware/auth');
+const rateLimiter = require('./rateLimiter');
 const { isDbConfigured, query } = require('../config/database');
 const logger = require('../utils/logger');
 
@@ -27,8 +29,17 @@ const CONFIG = {
   path: process.env.WS_PATH || '/ws',
   heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
   messageSizeLimit: parseInt(process.env.WS_MESSAGE_SIZE_LIMIT) || 1024 * 1024,
+  // Larger llm:start messages (base64 attachments), for authenticated connections only
+  attachmentSizeLimit: parseInt(process.env.WS_ATTACHMENT_SIZE_LIMIT) || 16 * 1024 * 1024,
+  tokenExpiryWarning: parseInt(process.env.WS_TOKEN_EXPIRY_WARNING) || 60000, // auth:expiring lead time (ms)
 };
 
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+// Message types still accepted once the connection's token has expired
+const EXPIRED_TOKEN_ALLOWED = ['ping', 'auth:login', 'auth:logout', 'auth:refresh'];
+
 // Message type permissions
 // - requireAuth: must be authenticated (default: false)
 // - requireClaim: must have specific claim (e.g., 'isAdmin')
@@ -41,10 +52,17 @@ const MESSAGE_PERMISSIONS = {
   'tool:execute': { requireAuth: true },
   'tool:cancel': { requireAuth: true },
   
+  // Resuming a task requires the identity that owns it
+  'llm:resume': { requireAuth: true },
+  
+  // Embeddings are metered per user, like POST /api/llm/embeddings
+  'llm:embed': { requireAuth: true },
+  
   // Admin operations - require admin claim
   'admin:connections': { requireAuth: true, requireClaim: 'isAdmin' },
   'admin:block_connection': { requireAuth: true, requireClaim: 'isAdmin' },
   'admin:unblock_connection': { requireAuth: true, requireClaim: 'isAdmin' },
+  'admin:cancel_task': { requireAuth: true, requireClaim: 'isAdmin' },
   'admin:broadcast': { requireAuth: true, requireClaim: 'isSuperAdmin' },
 };
 
@@ -58,6 +76,13 @@ const MESSAGE_PERMISSIONS = {
  */
 const connections = new Map();
 
+/**
+ * Connections blocked by this instance, by connection ID. The database (when
+ * configured) is the shared block list; this one also works without it.
+ * @type {Map<string, Object>}
+ */
+const blockedConnections = new Map();
+
 /**
  * Domain handlers registry
  * @type {Map<string, Function>}
@@ -65,11 +90,17 @@ const connections = new Map();
 const domainHandlers = new Map();
 
 /**
- * WebSocket server instance
+ * WebSocket server instance (frames up to messageSizeLimit)
  * @type {WebSocket.Server|null}
  */
 let wss = null;
 
+/**
+ * WebSocket server for upgrades with a valid token (frames up to attachmentSizeLimit)
+ * @type {WebSocket.Server|null}
+ */
+let attachmentWss = null;
+
 /**
  * Heartbeat interval reference
  * @type {NodeJS.Timer|null}
@@ -114,6 +145,15 @@ const sendMessage = (ws, message) => {
   }
 };
 
+/**
+ * Read the token passed in the connection URL (?token=...)
+ * @param {Object} req - HTTP upgrade request
+ * @returns {string|null}
+ */
+const getUrlToken = (req) => {
+  return new URL(req.url, `http://${req.headers.host}`).searchParams.get('token');
+};
+
 /**
  * Extract claims from decoded JWT token
  * @param {Object} decoded - Decoded JWT payload
@@ -133,7 +173,7 @@ const extractClaims = (decoded) => {
       id: decoded.id,
       email: decoded.email,
       displayName: decoded.display_name || decoded.displayName,
-      isAdmin: decoded.isAdmin || decoded.role === 'admin',
+      isAdmin: decoded.isAdmin || ['admin', 'superadmin'].includes(decoded.role),
       isSuperAdmin: decoded.isSuperAdmin || decoded.role === 'superadmin',
       isSubscriber: decoded.isSubscriber || false,
       accountStatus: decoded.accountStatus || 'active',
@@ -257,6 +297,22 @@ const dbUpdateConnection = async (connectionId, updates) => {
       setClauses.push(`blocked_reason = $${paramIndex++}`);
       values.push(updates.blockedReason);
     }
+    if (updates.blockedAt !== undefined) {
+      setClauses.push(`blocked_at = $${paramIndex++}`);
+      values.push(updates.blockedAt);
+    }
+    if (updates.blockedBy !== undefined) {
+      setClauses.push(`blocked_by = $${paramIndex++}`);
+      values.push(updates.blockedBy);
+    }
+    if (updates.blockedScope !== undefined) {
+      setClauses.push(`blocked_scope = $${paramIndex++}`);
+      values.push(updates.blockedScope);
+    }
+    if (updates.blockedUntil !== undefined) {
+      setClauses.push(`blocked_until = $${paramIndex++}`);
+      values.push(updates.blockedUntil);
+    }
     
     if (setClauses.length > 0) {
       values.push(connectionId);
@@ -274,22 +330,27 @@ const dbUpdateConnection = async (connectionId, updates) => {
  * Check if a connection is blocked in database
  * @param {string} connectionId - Connection ID
  * @param {string} ipAddress - Client IP address
- * @returns {Promise<{ blocked: boolean, reason?: string }>}
+ * @param {string|null} userId - Authenticated user ID
+ * @returns {Promise<{ blocked: boolean, reason?: string, until?: Date|null }>}
  */
-const dbCheckBlocked = async (connectionId, ipAddress) => {
+const dbCheckBlocked = async (connectionId, ipAddress, userId) => {
   if (!isDbConfigured()) return { blocked: false };
   
   try {
-    // Check by connection ID or IP address
+    // Check by connection ID, then by what the block covers (IP address or user)
     const result = await query(`
-      SELECT is_blocked, blocked_reason 
+      SELECT blocked_reason, blocked_until
       FROM websocket_connections 
-      WHERE (connection_id = $1 OR ip_address = $2) AND is_blocked = TRUE
+      WHERE is_blocked = TRUE
+        AND (blocked_until IS NULL OR blocked_until > NOW())
+        AND (connection_id = $1
+          OR (blocked_scope = 'ip' AND ip_address = $2)
+          OR (blocked_scope = 'user' AND user_id = $3))
       LIMIT 1
-    `, [connectionId, ipAddress]);
+    `, [connectionId, ipAddress, userId || null]);
     
     if (result.rows.length > 0) {
-      return { blocked: true, reason: result.rows[0].blocked_reason };
+      return { blocked: true, reason: result.rows[0].blocked_reason, until: result.rows[0].blocked_until };
     }
   } catch (error) {
     logger.debug('Failed to check blocked status', { error: error.message });
@@ -298,6 +359,85 @@ const dbCheckBlocked = async (connectionId, ipAddress) => {
   return { blocked: false };
 };
 
+/**
+ * Clear a connection's block in database
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<boolean>} Whether a blocked row was found
+ */
+const dbUnblockConnection = async (connectionId) => {
+  if (!isDbConfigured()) return false;
+  
+  try {
+    const result = await query(`
+      UPDATE websocket_connections
+      SET is_blocked = FALSE, blocked_reason = NULL, blocked_at = NULL, blocked_by = NULL, blocked_until = NULL
+      WHERE connection_id = $1 AND is_blocked = TRUE
+    `, [connectionId]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.debug('Failed to unblock connection in database', { error: error.message });
+    return false;
+  }
+};
+
+/**
+ * List blocked connections from database
+ * @returns {Promise<Array>} Blocked connections, most recent first
+ */
+const dbListBlocked = async () => {
+  if (!isDbConfigured()) return [];
+  
+  try {
+    const result = await query(`
+      SELECT wc.connection_id, wc.user_id, u.email, host(wc.ip_address) AS ip_address,
+             wc.blocked_reason, wc.blocked_at, wc.blocked_by, wc.blocked_scope, wc.blocked_until
+      FROM websocket_connections wc
+      LEFT JOIN users u ON u.id = wc.user_id
+      WHERE wc.is_blocked = TRUE AND (wc.blocked_until IS NULL OR wc.blocked_until > NOW())
+      ORDER BY wc.blocked_at DESC NULLS LAST
+      LIMIT 200
+    `);
+    return result.rows.map((row) => ({
+      connectionId: row.connection_id,
+      userId: row.user_id,
+      email: row.email,
+      ipAddress: row.ip_address,
+      reason: row.blocked_reason,
+      blockedAt: row.blocked_at,
+      blockedBy: row.blocked_by,
+      scope: row.blocked_scope,
+      blockedUntil: row.blocked_until,
+    }));
+  } catch (error) {
+    logger.debug('Failed to list blocked connections', { error: error.message });
+    return [];
+  }
+};
+
+/**
+ * Find the block that refuses a connection: one of the connection itself, of
+ * its IP address (administrator blocks) or of its user (automatic blocks).
+ * Expired blocks are dropped.
+ * @param {Object} candidate - { connectionId, ipAddress, userId? }
+ * @returns {Promise<{ blocked: boolean, reason?: string, until?: Date|null }>}
+ */
+const checkBlocked = async ({ connectionId, ipAddress, userId }) => {
+  const now = Date.now();
+  for (const [id, block] of blockedConnections) {
+    if (block.blockedUntil && block.blockedUntil.getTime() <= now) {
+      blockedConnections.delete(id);
+      continue;
+    }
+    if (id === connectionId ||
+        (block.scope === 'ip' && block.ipAddress === ipAddress) ||
+        (block.scope === 'user' && userId && block.userId === userId)) {
+      return { blocked: true, reason: block.reason, until: block.blockedUntil };
+    }
+  }
+  
+  return dbCheckBlocked(connectionId, ipAddress, userId);
+};
+
 // ============================================================================
 // CONNECTION HANDLERS
 // ============================================================================
@@ -312,38 +452,56 @@ const handleConnection = async (ws, req) => {
   const ipAddress = getClientIp(req);
   const userAgent = req.headers['user-agent'] || 'unknown';
   
-  // Check if blocked
-  const blockStatus = await dbCheckBlocked(connectionId, ipAddress);
-  if (blockStatus.blocked) {
-    sendMessage(ws, {
-      type: 'connection:blocked',
-      reason: blockStatus.reason || 'Connection blocked',
-    });
-    ws.close(4003, 'Blocked');
-    return;
-  }
-  
   // Extract token from URL if provided
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const token = url.searchParams.get('token');
+  const token = getUrlToken(req);
   
   // Validate token if provided
   let user = null;
   let claims = null;
   let isAuthenticated = false;
+  let tokenExp = null;
   
   if (token) {
     const decoded = verifyToken(token);
     if (decoded) {
       const extracted = extractClaims(decoded);
       if (extracted.validated) {
-        user = { id: decoded.id, email: decoded.email };
+        user = { id: decoded.id, email: decoded.email, role: decoded.role || 'user' };
         claims = extracted.claims;
         isAuthenticated = true;
+        tokenExp = decoded.exp;
       }
     }
   }
   
+  // Check if blocked (by this instance, then in database)
+  const blockStatus = await checkBlocked({ connectionId, ipAddress, userId: user?.id });
+  if (blockStatus.blocked) {
+    sendMessage(ws, {
+      type: 'connection:blocked',
+      reason: blockStatus.reason || 'Connection blocked',
+      ...(blockStatus.until && { until: new Date(blockStatus.until).toISOString() }),
+    });
+    ws.close(4003, 'Blocked');
+    return;
+  }
+  
+  // Cap concurrent connections per IP and per user
+  const connectionLimit = rateLimiter.checkConnectionLimit(connections.values(), {
+    ipAddress,
+    userId: user?.id,
+  });
+  if (!connectionLimit.allowed) {
+    logger.warn('WebSocket connection refused', { ip: ipAddress, userId: user?.id, reason: connectionLimit.reason });
+    sendMessage(ws, {
+      type: 'connection:error',
+      code: 'TOO_MANY_CONNECTIONS',
+      error: connectionLimit.reason,
+    });
+    ws.close(4029, 'Too many connections');
+    return;
+  }
+  
   // Create connection state
   const connection = {
     connectionId,
@@ -358,6 +516,11 @@ const handleConnection = async (ws, req) => {
     ipAddress,
     userAgent,
     activeTasks: new Map(),
+    toolSessions: new Map(),
+    topics: new Set(),
+    tokenExpiresAt: null,
+    tokenTimer: null,
+    tokenWarned: false,
     metadata: {},
   };
   
@@ -390,6 +553,13 @@ const handleConnection = async (ws, req) => {
     serverTime: new Date().toISOString(),
   });
   
+  // Warn before the URL token expires
+  if (isAuthenticated) {
+    setTokenExpiry(connection, tokenExp);
+  }
+  
+  notifyHandlers('handleConnect', connection);
+  
   // Set up event handlers
   ws.on('message', (data) => handleMessage(connectionId, data));
   ws.on('close', (code, reason) => handleDisconnect(connectionId, code, reason));
@@ -400,6 +570,93 @@ const handleConnection = async (ws, req) => {
   ws.on('pong', () => { ws.isAlive = true; });
 };
 
+/**
+ * Apply the rate limiter's verdict for one incoming message: refuse it with
+ * RATE_LIMIT_EXCEEDED, escalate to a warning, a mute or an automatic block
+ * @param {Object} connection - Connection state
+ * @param {string} domain - Message domain ('default' for invalid messages)
+ * @param {string} [taskId] - Task ID of the message, echoed in the error
+ * @returns {boolean} True if the message may be processed
+ */
+const enforceRateLimit = (connection, domain, taskId) => {
+  const { ws, connectionId } = connection;
+  const verdict = rateLimiter.consume(connection, domain);
+  
+  switch (verdict.action) {
+    case 'allow':
+      return true;
+      
+    case 'drop':
+      return false;
+      
+    case 'block':
+      logger.warn('WebSocket connection blocked for flooding', {
+        connectionId,
+        ip: connection.ipAddress,
+        userId: connection.user?.id,
+        domain,
+      });
+      // Not for good, and only the flooding user: other users behind the same
+      // address keep working. Anonymous flooders can only be told apart by
+      // address, so their (shorter) block covers the IP
+      blockConnection(connectionId, 'Automatic block: repeated message flooding', null, {
+        scope: connection.user ? 'user' : 'ip',
+        until: verdict.blockedUntil,
+      }).catch((error) => {
+        logger.error('Failed to block flooding connection', { connectionId, error: error.message });
+      });
+      return false;
+  }
+  
+  sendMessage(ws, {
+    type: 'error',
+    code: 'RATE_LIMIT_EXCEEDED',
+    error: `Too many ${domain} messages`,
+    taskId,
+    domain,
+    scope: verdict.scope,
+    retryAfter: verdict.retryAfter,
+  });
+  
+  if (verdict.action === 'warn') {
+    sendMessage(ws, {
+      type: 'connection:throttled',
+      message: 'Too many messages; keep sending and this connection will be muted',
+      violations: verdict.violations,
+      muteAfter: rateLimiter.CONFIG.muteAfter,
+    });
+  } else if (verdict.action === 'mute') {
+    logger.warn('WebSocket connection muted for flooding', {
+      connectionId,
+      ip: connection.ipAddress,
+      userId: connection.user?.id,
+      domain,
+      until: verdict.mutedUntil,
+    });
+    sendMessage(ws, {
+      type: 'connection:muted',
+      reason: 'Too many messages',
+      until: verdict.mutedUntil.toISOString(),
+    });
+  }
+  
+  return false;
+};
+
+/**
+ * Refuse a message over messageSizeLimit (counts as an invalid message)
+ * @param {Object} connection - Connection state
+ */
+const rejectOversized = (connection) => {
+  if (enforceRateLimit(connection, 'default')) {
+    sendMessage(connection.ws, {
+      type: 'error',
+      code: 'MESSAGE_TOO_LARGE',
+      error: `Message exceeds size limit of ${CONFIG.messageSizeLimit} bytes`,
+    });
+  }
+};
+
 /**
  * Handle incoming WebSocket message
  * @param {string} connectionId - Connection ID
@@ -427,34 +684,57 @@ const handleMessage = async (connectionId, data) => {
   // Parse message
   let message;
   try {
-    const messageStr = data.toString();
+    // Check message size: only authenticated llm:start messages may carry
+    // attachments beyond messageSizeLimit, so anonymous frames are refused
+    // before they are parsed
+    const oversized = data.length > CONFIG.messageSizeLimit;
+    if (oversized && !connection.user) {
+      rejectOversized(connection);
+      return;
+    }
     
-    // Check message size
-    if (messageStr.length > CONFIG.messageSizeLimit) {
+    message = JSON.parse(data.toString());
+    
+    if (oversized && message?.type !== 'llm:start') {
+      rejectOversized(connection);
+      return;
+    }
+  } catch (error) {
+    if (enforceRateLimit(connection, 'default')) {
       sendMessage(ws, {
         type: 'error',
-        code: 'MESSAGE_TOO_LARGE',
-        error: `Message exceeds size limit of ${CONFIG.messageSizeLimit} bytes`,
+        code: 'INVALID_MESSAGE',
+        error: 'Invalid JSON message',
       });
-      return;
     }
-    
-    message = JSON.parse(messageStr);
-  } catch (error) {
-    sendMessage(ws, {
-      type: 'error',
-      code: 'INVALID_MESSAGE',
-      error: 'Invalid JSON message',
-    });
     return;
   }
   
   // Validate message structure
-  if (!message.type || typeof message.type !== 'string') {
+  if (!message || !message.type || typeof message.type !== 'string') {
+    if (enforceRateLimit(connection, 'default')) {
+      sendMessage(ws, {
+        type: 'error',
+        code: 'INVALID_MESSAGE',
+        error: 'Message must have a "type" field',
+      });
+    }
+    return;
+  }
+  
+  // Rate limit per message domain
+  if (!enforceRateLimit(connection, message.type.split(':')[0], message.taskId)) {
+    return;
+  }
+  
+  // Expired tokens only allow a refresh (tasks already running continue)
+  if (isTokenExpired(connection) && !EXPIRED_TOKEN_ALLOWED.includes(message.type)) {
     sendMessage(ws, {
       type: 'error',
-      code: 'INVALID_MESSAGE',
-      error: 'Message must have a "type" field',
+      code: 'TOKEN_EXPIRED',
+      error: 'Access token expired; send auth:refresh with a new token',
+      messageType: message.type,
+      taskId: message.taskId,
     });
     return;
   }
@@ -505,6 +785,10 @@ const routeMessage = async (connection, message) => {
     case 'auth:logout':
       await handleAuthLogout(connection);
       return;
+      
+    case 'auth:refresh':
+      await handleAuthRefresh(connection, message);
+      return;
   }
   
   // Check for domain handler
@@ -538,6 +822,92 @@ const routeMessage = async (connection, message) => {
   }
 };
 
+/**
+ * Call an optional lifecycle hook on every domain handler
+ * @param {string} hook - 'handleConnect', 'handleAuthChange' or 'handleDisconnect'
+ * @param {Object} connection - Connection state
+ */
+const notifyHandlers = (hook, connection) => {
+  domainHandlers.forEach((handler, domain) => {
+    if (typeof handler[hook] !== 'function') return;
+    try {
+      handler[hook](connection);
+    } catch (error) {
+      logger.error(`Handler ${hook} error`, {
+        connectionId: connection.connectionId,
+        domain,
+        error: error.message,
+      });
+    }
+  });
+};
+
+/**
+ * Set the user and claims of a connection from a verified token
+ * @param {Object} connection - Connection state
+ * @param {Object} decoded - Decoded JWT payload
+ */
+const applyToken = (connection, decoded) => {
+  connection.user = { id: decoded.id, email: decoded.email, role: decoded.role || 'user' };
+  connection.claims = extractClaims(decoded).claims;
+  connection.isAuthenticated = true;
+  setTokenExpiry(connection, decoded.exp);
+};
+
+/**
+ * Check whether the connection's access token has expired
+ * @param {Object} connection - Connection state
+ * @returns {boolean}
+ */
+const isTokenExpired = (connection) => {
+  return Boolean(connection.isAuthenticated && connection.tokenExpiresAt && connection.tokenExpiresAt <= Date.now());
+};
+
+/**
+ * Track a connection's token expiry: auth:expiring is sent
+ * CONFIG.tokenExpiryWarning ms before it, auth:expired when it passes.
+ * @param {Object} connection - Connection state
+ * @param {number|null} exp - Token expiry (JWT "exp", seconds), null to stop tracking
+ */
+const setTokenExpiry = (connection, exp) => {
+  clearTimeout(connection.tokenTimer);
+  connection.tokenTimer = null;
+  connection.tokenExpiresAt = exp ? new Date(exp * 1000) : null;
+  connection.tokenWarned = false;
+  scheduleTokenTimer(connection);
+};
+
+/**
+ * Arm the timer for the next token expiry notice
+ * @param {Object} connection - Connection state
+ */
+const scheduleTokenTimer = (connection) => {
+  const { ws, tokenExpiresAt } = connection;
+  if (!tokenExpiresAt || !connection.isAuthenticated) return;
+
+  const expiresIn = tokenExpiresAt - Date.now();
+  if (expiresIn <= 0) {
+    sendMessage(ws, {
+      type: 'auth:expired',
+      expiresAt: tokenExpiresAt.toISOString(),
+    });
+    return;
+  }
+
+  if (!connection.tokenWarned && expiresIn <= CONFIG.tokenExpiryWarning) {
+    connection.tokenWarned = true;
+    sendMessage(ws, {
+      type: 'auth:expiring',
+      expiresAt: tokenExpiresAt.toISOString(),
+      expiresIn,
+    });
+  }
+
+  const delay = connection.tokenWarned ? expiresIn : expiresIn - CONFIG.tokenExpiryWarning;
+  connection.tokenTimer = setTimeout(() => scheduleTokenTimer(connection), Math.min(delay, MAX_TIMER_DELAY));
+  connection.tokenTimer.unref?.();
+};
+
 /**
  * Handle auth:login message
  * @param {Object} connection - Connection state
@@ -566,12 +936,41 @@ const handleAuthLogin = async (connection, message) => {
     return;
   }
   
-  const extracted = extractClaims(decoded);
+  // Switching user: refuse a blocked user and apply that user's connection cap
+  if (decoded.id !== connection.user?.id) {
+    const blockStatus = await checkBlocked({
+      connectionId: connection.connectionId,
+      ipAddress: connection.ipAddress,
+      userId: decoded.id,
+    });
+    if (blockStatus.blocked) {
+      sendMessage(ws, {
+        type: 'connection:blocked',
+        reason: blockStatus.reason || 'Connection blocked',
+        ...(blockStatus.until && { until: new Date(blockStatus.until).toISOString() }),
+      });
+      ws.close(4003, 'Blocked');
+      return;
+    }
+    
+    const connectionLimit = rateLimiter.checkConnectionLimit(connections.values(), {
+      connectionId: connection.connectionId,
+      ipAddress: connection.ipAddress,
+      userId: decoded.id,
+    });
+    if (!connectionLimit.allowed) {
+      sendMessage(ws, {
+        type: 'auth:error',
+        code: 'TOO_MANY_CONNECTIONS',
+        error: connectionLimit.reason,
+      });
+      return;
+    }
+  }
   
   // Update connection state
-  connection.user = { id: decoded.id, email: decoded.email };
-  connection.claims = extracted.claims;
-  connection.isAuthenticated = true;
+  applyToken(connection, decoded);
+  notifyHandlers('handleAuthChange', connection);
   
   // Update database
   await dbUpdateConnection(connection.connectionId, {
@@ -595,6 +994,81 @@ const handleAuthLogin = async (connection, message) => {
   });
 };
 
+/**
+ * Handle auth:refresh message: swap in a new token for the same user without
+ * reconnecting, so tasks in flight keep streaming. A user blocked since the
+ * connection was opened is disconnected instead.
+ * @param {Object} connection - Connection state
+ * @param {Object} message - Refresh message ({ token })
+ */
+const handleAuthRefresh = async (connection, message) => {
+  const { ws } = connection;
+  const { token } = message;
+  
+  if (!token) {
+    sendMessage(ws, {
+      type: 'auth:error',
+      code: 'MISSING_TOKEN',
+      error: 'Token is required',
+    });
+    return;
+  }
+  
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    sendMessage(ws, {
+      type: 'auth:error',
+      code: 'INVALID_TOKEN',
+      error: 'Invalid or expired token',
+    });
+    return;
+  }
+  
+  if (decoded.id !== connection.user?.id) {
+    sendMessage(ws, {
+      type: 'auth:error',
+      code: 'USER_MISMATCH',
+      error: 'Token belongs to a different user; use auth:login to switch users',
+    });
+    return;
+  }
+  
+  const blockStatus = await checkBlocked({
+    connectionId: connection.connectionId,
+    ipAddress: connection.ipAddress,
+    userId: decoded.id,
+  });
+  if (blockStatus.blocked) {
+    sendMessage(ws, {
+      type: 'connection:blocked',
+      reason: blockStatus.reason || 'Connection blocked',
+      ...(blockStatus.until && { until: new Date(blockStatus.until).toISOString() }),
+    });
+    ws.close(4003, 'Blocked');
+    return;
+  }
+  
+  applyToken(connection, decoded);
+  notifyHandlers('handleAuthChange', connection);
+  
+  logger.debug('WebSocket token refreshed', {
+    connectionId: connection.connectionId,
+    userId: decoded.id,
+    expiresAt: connection.tokenExpiresAt,
+  });
+  
+  sendMessage(ws, {
+    type: 'auth:refreshed',
+    user: {
+      id: connection.user.id,
+      email: connection.user.email,
+      displayName: connection.claims?.displayName,
+    },
+    claims: connection.claims,
+    expiresAt: connection.tokenExpiresAt?.toISOString() || null,
+  });
+};
+
 /**
  * Handle auth:logout message
  * @param {Object} connection - Connection state
@@ -605,6 +1079,8 @@ const handleAuthLogout = async (connection) => {
   connection.user = null;
   connection.claims = null;
   connection.isAuthenticated = false;
+  setTokenExpiry(connection, null);
+  notifyHandlers('handleAuthChange', connection);
   
   await dbUpdateConnection(connection.connectionId, {
     userId: null,
@@ -627,14 +1103,22 @@ const handleDisconnect = async (connectionId, code, reason) => {
   const connection = connections.get(connectionId);
   if (!connection) return;
   
-  // Abort all active tasks
+  // Handlers go first: llmHandler detaches tasks that can be resumed
+  clearTimeout(connection.tokenTimer);
+  notifyHandlers('handleDisconnect', connection);
+  
+  // Abort the remaining active tasks
   connection.activeTasks.forEach((task, taskId) => {
     if (task.abortController) {
-      task.abortController.abort();
+      task.abortController.abort('disconnected');
     }
     logger.debug('Aborted orphaned task', { connectionId, taskId });
   });
   
+  // Drop tasks waiting on tool results
+  connection.toolSessions.forEach((session) => clearTimeout(session.timeoutId));
+  connection.toolSessions.clear();
+  
   // Update database
   await dbUpdateConnection(connectionId, {
     disconnectedAt: new Date(),
@@ -671,26 +1155,57 @@ const handleError = (connectionId, error) => {
 // ============================================================================
 
 /**
- * Block a connection
+ * Block a live connection: it is closed along with the other live connections
+ * covered by the block's scope, and new ones are refused until it is
+ * unblocked or expires
  * @param {string} connectionId - Connection ID to block
  * @param {string} reason - Block reason
- * @returns {boolean} Success
+ * @param {string|null} [blockedBy] - ID of the blocking administrator
+ * @param {Object} [options]
+ * @param {string} [options.scope='ip'] - Also close and refuse connections from
+ *   the same IP address ('ip'), of the same user ('user'), or none ('connection')
+ * @param {Date|null} [options.until] - Expiry (null = until unblocked)
+ * @returns {Promise<boolean>} False if the connection is not open
  */
-const blockConnection = async (connectionId, reason = 'Blocked by administrator') => {
+const blockConnection = async (connectionId, reason = 'Blocked by administrator', blockedBy = null, { scope = 'ip', until = null } = {}) => {
   const connection = connections.get(connectionId);
+  if (!connection) return false;
   
-  if (connection) {
-    connection.isBlocked = true;
-    sendMessage(connection.ws, {
+  const blockedAt = new Date();
+  blockedConnections.set(connectionId, {
+    connectionId,
+    userId: connection.user?.id || null,
+    email: connection.user?.email || null,
+    ipAddress: connection.ipAddress,
+    reason,
+    blockedAt,
+    blockedBy,
+    scope,
+    blockedUntil: until,
+  });
+  
+  connections.forEach((conn) => {
+    const covered = conn === connection ||
+      (scope === 'ip' && conn.ipAddress === connection.ipAddress) ||
+      (scope === 'user' && connection.user && conn.user?.id === connection.user.id);
+    if (!covered) return;
+    
+    conn.isBlocked = true;
+    sendMessage(conn.ws, {
       type: 'connection:blocked',
       reason,
+      ...(until && { until: until.toISOString() }),
     });
-    connection.ws.close(4003, 'Blocked');
-  }
+    conn.ws.close(4003, 'Blocked');
+  });
   
   await dbUpdateConnection(connectionId, {
     isBlocked: true,
     blockedReason: reason,
+    blockedAt,
+    blockedBy,
+    blockedScope: scope,
+    blockedUntil: until,
   });
   
   return true;
@@ -699,14 +1214,29 @@ const blockConnection = async (connectionId, reason = 'Blocked by administrator'
 /**
  * Unblock a connection
  * @param {string} connectionId - Connection ID to unblock
- * @returns {boolean} Success
+ * @returns {Promise<boolean>} False if the connection was not blocked
  */
 const unblockConnection = async (connectionId) => {
-  await dbUpdateConnection(connectionId, {
-    isBlocked: false,
-    blockedReason: null,
+  const wasBlocked = blockedConnections.delete(connectionId);
+  const wasBlockedInDb = await dbUnblockConnection(connectionId);
+  return wasBlocked || wasBlockedInDb;
+};
+
+/**
+ * List blocked connections (this instance and database)
+ * @returns {Promise<Array>} { connectionId, userId, email, ipAddress, reason, blockedAt, blockedBy, scope, blockedUntil }
+ */
+const getBlockedConnections = async () => {
+  const now = Date.now();
+  const blocked = new Map(
+    Array.from(blockedConnections).filter(([, block]) => !block.blockedUntil || block.blockedUntil.getTime() > now)
+  );
+  (await dbListBlocked()).forEach((entry) => {
+    if (!blocked.has(entry.connectionId)) blocked.set(entry.connectionId, entry);
   });
-  return true;
+  
+  return Array.from(blocked.values())
+    .sort((a, b) => new Date(b.blockedAt || 0) - new Date(a.blockedAt || 0));
 };
 
 /**
@@ -738,7 +1268,8 @@ const getStats = () => {
 };
 
 /**
- * Get list of active connections (for admin)
+ * Get list of active connections (for admin), with their running tasks and
+ * tasks waiting for tool results
  * @returns {Array} Connection list
  */
 const getConnections = () => {
@@ -746,25 +1277,62 @@ const getConnections = () => {
     connectionId: conn.connectionId,
     userId: conn.user?.id || null,
     email: conn.user?.email || null,
+    displayName: conn.claims?.displayName || null,
+    role: conn.user?.role || null,
     isAuthenticated: conn.isAuthenticated,
     ipAddress: conn.ipAddress,
+    userAgent: conn.userAgent,
     connectedAt: conn.connectedAt,
     lastActivityAt: conn.lastActivityAt,
     messageCount: conn.messageCount,
+    mutedUntil: rateLimiter.getMutedUntil(conn),
     activeTasksCount: conn.activeTasks.size,
+    topics: Array.from(conn.topics),
+    tasks: [
+      ...Array.from(conn.activeTasks, ([taskId, task]) => ({
+        taskId,
+        status: 'streaming',
+        model: task.model,
+        provider: task.provider,
+        conversationId: task.conversationId || null,
+        startedAt: new Date(task.startedAt),
+      })),
+      ...Array.from(conn.toolSessions, ([taskId, session]) => ({
+        taskId,
+        status: 'awaiting_tools',
+        model: session.model,
+        provider: session.provider,
+        conversationId: session.conversationId || null,
+        startedAt: null,
+      })),
+    ],
   }));
 };
 
+/**
+ * Send a message to every connection authenticated as a user
+ * @param {string} userId - User ID
+ * @param {Object} message - Message to send
+ * @returns {number} Connections the message was sent to
+ */
+const sendToUser = (userId, message) => {
+  return broadcast(message, (connection) => connection.user?.id === userId);
+};
+
 /**
  * Broadcast message to all connections
  * @param {Object} message - Message to broadcast
  * @param {Function} [filter] - Optional filter function
+ * @returns {number} Connections the message was sent to
  */
 const broadcast = (message, filter = null) => {
+  let recipients = 0;
   connections.forEach((connection) => {
     if (filter && !filter(connection)) return;
     sendMessage(connection.ws, message);
+    recipients++;
   });
+  return recipients;
 };
 
 // ============================================================================
@@ -774,7 +1342,10 @@ const broadcast = (message, filter = null) => {
 /**
  * Register a domain handler
  * @param {string} domain - Domain name (e.g., 'llm', 'tool')
- * @param {Object} handler - Handler object with handleMessage function
+ * @param {Object} handler - Handler object with handleMessage function, and
+ *   optionally handleConnect(connection) (after the welcome message),
+ *   handleAuthChange(connection) (after login, refresh or logout) and
+ *   handleDisconnect(connection) to keep per-connection state in step
  */
 const registerHandler = (domain, handler) => {
   if (typeof handler.handleMessage !== 'function') {
@@ -791,20 +1362,33 @@ const registerHandler = (domain, handler) => {
  */
 const initialize = (server) => {
   wss = new WebSocket.Server({
-    server,
+    noServer: true,
     path: CONFIG.path,
     maxPayload: CONFIG.messageSizeLimit,
   });
+  attachmentWss = new WebSocket.Server({
+    noServer: true,
+    path: CONFIG.path,
+    maxPayload: Math.max(CONFIG.messageSizeLimit, CONFIG.attachmentSizeLimit),
+  });
   
-  wss.on('connection', handleConnection);
+  // Only upgrades with a valid token may send attachment-sized frames
+  server.on('upgrade', (req, socket, head) => {
+    const token = getUrlToken(req);
+    const target = token && verifyToken(token) ? attachmentWss : wss;
+    target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+  });
   
-  wss.on('error', (error) => {
-    logger.error('WebSocket server error', { error: error.message });
+  [wss, attachmentWss].forEach((instance) => {
+    instance.on('connection', handleConnection);
+    instance.on('error', (error) => {
+      logger.error('WebSocket server error', { error: error.message });
+    });
   });
   
   // Heartbeat interval
   heartbeatInterval = setInterval(() => {
-    wss.clients.forEach((ws) => {
+    [...wss.clients, ...attachmentWss.clients].forEach((ws) => {
       if (!ws.isAlive) {
         const connectionId = ws.connectionId;
         logger.debug('Terminating inactive WebSocket', { connectionId });
@@ -814,6 +1398,7 @@ const initialize = (server) => {
       ws.isAlive = false;
       ws.ping();
     });
+    rateLimiter.sweep();
   }, CONFIG.heartbeatInterval);
   
   wss.on('close', () => {
@@ -846,9 +1431,11 @@ const shutdown = async () => {
   for (const [connectionId, connection] of connections) {
     connection.activeTasks.forEach((task) => {
       if (task.abortController) {
-        task.abortController.abort();
+        task.abortController.abort('shutdown');
       }
     });
+    connection.toolSessions.forEach((session) => clearTimeout(session.timeoutId));
+    connection.toolSessions.clear();
     connection.ws.close(1001, 'Server shutdown');
     await dbUpdateConnection(connectionId, {
       disconnectedAt: new Date(),
@@ -863,6 +1450,7 @@ const shutdown = async () => {
   
   if (wss) {
     wss.close();
+    attachmentWss.close();
   }
   
   logger.info('WebSocket server shut down complete');
@@ -884,7 +1472,9 @@ module.exports = {
   getStats,
   blockConnection,
   unblockConnection,
+  getBlockedConnections,
   broadcast,
+  sendToUser,
   
   // Utilities
   sendMessage,
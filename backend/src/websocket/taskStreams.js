@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Resumable Task Streams
+ * @description Numbers the messages an LLM task sends with a per-task sequence
+ * (seq) and buffers them, so a client that reconnects can replay what it
+ * missed with llm:resume and keep receiving the rest live.
+ *
+ * Streams belong to the user, not the socket. When an authenticated
+ * connection closes, its running tasks are detached and keep streaming into
+ * the buffer for a grace period; llm:resume from any connection of the same
+ * user attaches them again. Finished tasks keep their buffer for a short
+ * retention period so the final messages can still be replayed.
+ *
+ * Anonymous connections get no stream (nothing proves ownership after a
+ * reconnect); their task messages are sent directly.
+ *
+ * The module only keeps state; llmHandler decides when to open, detach and
+ * resume streams.
+ *
+ * @module websocket/taskStreams
+ */
+
+const { sendMessage } = require('./socketController');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // How long a detached task keeps running without a connection
+  gracePeriod: parseInt(process.env.LLM_RESUME_GRACE_PERIOD) || 60 * 1000,
+  // How long a finished task's messages can still be replayed
+  retention: parseInt(process.env.LLM_RESUME_RETENTION) || 60 * 1000,
+  // Messages kept per task; the oldest are dropped beyond this
+  maxBufferedMessages: parseInt(process.env.LLM_RESUME_BUFFER_SIZE) || 5000,
+};
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Streams by owner and task ID ("userId:taskId")
+ * @type {Map<string, Object>}
+ */
+const streams = new Map();
+
+/**
+ * @param {string} userId - Owner
+ * @param {string} taskId - Task ID
+ * @returns {string} Stream key
+ */
+const keyOf = (userId, taskId) => `${userId}:${taskId}`;
+
+/**
+ * Forget a stream (only if it is still the registered one for its key)
+ * @param {Object} stream - Stream
+ */
+const remove = (stream) => {
+  clearTimeout(stream.timer);
+  if (streams.get(stream.key) === stream) {
+    streams.delete(stream.key);
+  }
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Get a user's stream for a task
+ * @param {string|null|undefined} userId - Owner
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Stream
+ */
+const get = (userId, taskId) => {
+  if (!userId || !taskId) return null;
+  return streams.get(keyOf(userId, taskId)) || null;
+};
+
+/**
+ * Open the stream for a turn of a task. A task continued after tool calls
+ * keeps its stream, so its sequence carries on.
+ * @param {Object} connection - Connection running the turn
+ * @param {string} taskId - Task ID
+ * @param {Object} task - The turn's entry in connection.activeTasks
+ * @returns {Object|null} Stream, or null for anonymous connections
+ */
+const open = (connection, taskId, task) => {
+  if (!connection.isAuthenticated || !connection.user) return null;
+
+  const key = keyOf(connection.user.id, taskId);
+  let stream = streams.get(key);
+  if (!stream) {
+    stream = {
+      key,
+      taskId,
+      userId: connection.user.id,
+      connection: null,
+      task: null,
+      toolSession: null,
+      seq: 0,
+      messages: [],
+      status: 'running',
+      timer: null,
+    };
+    streams.set(key, stream);
+  }
+
+  clearTimeout(stream.timer);
+  stream.connection = connection;
+  stream.task = task;
+  stream.status = 'running';
+  return stream;
+};
+
+/**
+ * Number and buffer a task message, and send it if the stream is attached
+ * @param {Object} stream - Stream
+ * @param {Object} message - Message
+ */
+const send = (stream, message) => {
+  stream.seq++;
+  const numbered = { ...message, seq: stream.seq };
+
+  stream.messages.push(numbered);
+  if (stream.messages.length > CONFIG.maxBufferedMessages) {
+    stream.messages.shift();
+  }
+
+  if (stream.connection) {
+    sendMessage(stream.connection.ws, numbered);
+  }
+};
+
+/**
+ * Mark a turn as finished; the buffer is kept for keepFor ms
+ * @param {Object} stream - Stream
+ * @param {Object} [options]
+ * @param {boolean} [options.awaitingTools=false] - The task waits for tool results
+ * @param {number} [options.keepFor] - Defaults to the retention period
+ */
+const finish = (stream, { awaitingTools = false, keepFor = CONFIG.retention } = {}) => {
+  clearTimeout(stream.timer);
+  stream.task = null;
+  stream.status = awaitingTools ? 'awaiting_tools' : 'finished';
+  stream.timer = setTimeout(() => remove(stream), keepFor);
+};
+
+/**
+ * Drop a user's stream for a task (restarted or discarded tasks)
+ * @param {string|null|undefined} userId - Owner
+ * @param {string} taskId - Task ID
+ */
+const discard = (userId, taskId) => {
+  const stream = get(userId, taskId);
+  if (stream) remove(stream);
+};
+
+/**
+ * Detach every stream of a closing connection. Running tasks leave
+ * connection.activeTasks and are aborted ('disconnected') unless resumed
+ * within the grace period.
+ * @param {Object} connection - Closing connection
+ * @returns {Array<Object>} Detached streams
+ */
+const detach = (connection) => {
+  const detached = [];
+
+  streams.forEach((stream) => {
+    if (stream.connection !== connection) return;
+
+    stream.connection = null;
+    detached.push(stream);
+
+    if (stream.status === 'running') {
+      connection.activeTasks.delete(stream.taskId);
+      clearTimeout(stream.timer);
+      stream.timer = setTimeout(() => {
+        stream.task?.abortController.abort('disconnected');
+        remove(stream);
+        logger.info('Detached LLM task expired', { taskId: stream.taskId, userId: stream.userId });
+      }, CONFIG.gracePeriod);
+    }
+  });
+
+  return detached;
+};
+
+/**
+ * Attach a stream to a connection, taking it from the connection that held
+ * it (if any). A running task moves to the new connection's activeTasks.
+ * @param {Object} stream - Stream
+ * @param {Object} connection - New connection
+ * @returns {Object|null} The previous connection
+ */
+const attach = (stream, connection) => {
+  const previous = stream.connection;
+  if (previous && previous !== connection) {
+    previous.activeTasks.delete(stream.taskId);
+  }
+
+  stream.connection = connection;
+  if (stream.status === 'running') {
+    clearTimeout(stream.timer);
+    stream.timer = null;
+    connection.activeTasks.set(stream.taskId, stream.task);
+  }
+  return previous;
+};
+
+/**
+ * Whether messages after a sequence number were already dropped from the buffer
+ * @param {Object} stream - Stream
+ * @param {number} fromSeq - Last sequence number the client received
+ * @returns {boolean}
+ */
+const hasGap = (stream, fromSeq) => {
+  const oldest = stream.messages[0]?.seq ?? stream.seq + 1;
+  return fromSeq + 1 < oldest;
+};
+
+/**
+ * Send buffered messages after a sequence number to the attached connection,
+ * flagged replayed: true
+ * @param {Object} stream - Stream
+ * @param {number} fromSeq - Last sequence number the client received
+ * @returns {number} Messages replayed
+ */
+const replay = (stream, fromSeq) => {
+  const missed = stream.messages.filter((message) => message.seq > fromSeq);
+  missed.forEach((message) => sendMessage(stream.connection.ws, { ...message, replayed: true }));
+  return missed.length;
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  get,
+  open,
+  send,
+  finish,
+  discard,
+  detach,
+  attach,
+  hasGap,
+  replay,
+  CONFIG,
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tool WebSocket Handler
+ * @description Handles tool calling messages (tool:* domain).
+ * Tools are executed by the client: when an llm:start task ends with
+ * finishReason 'tool_calls' the client runs the requested tools and returns
+ * the results here, and the task continues under the same taskId.
+ * 
+ * Message Types:
+ * - tool:execute - Submit tool results and continue the task
+ * - tool:cancel  - Discard a task that is waiting for tool results
+ * 
+ * Both require an authenticated connection (see MESSAGE_PERMISSIONS).
+ * 
+ * @module websocket/toolHandler
+ */
+
+const llmHandler = require('./llmHandler');
+const logger = require('../utils/logger');
+const { sendMessage } = require('./socketController');
+
+// ============================================================================
+// MESSAGE HANDLERS
+// ============================================================================
+
+/**
+ * Handle incoming tool domain message
+ * @param {Object} connection - Connection state from socketController
+ * @param {Object} message - Parsed message
+ * @param {string} action - Action part of message type (e.g., 'execute')
+ */
+const handleMessage = async (connection, message, action) => {
+  switch (action) {
+    case 'execute':
+      await handleExecute(connection, message);
+      break;
+      
+    case 'cancel':
+      handleCancel(connection, message);
+      break;
+      
+    default:
+      sendMessage(connection.ws, {
+        type: 'tool:error',
+        taskId: message.taskId,
+        code: 'UNKNOWN_ACTION',
+        error: `Unknown tool action: ${action}`,
+        supportedActions: ['execute', 'cancel'],
+      });
+  }
+};
+
+/**
+ * Handle tool:execute - Continue a task with tool results
+ * @param {Object} connection - Connection state
+ * @param {Object} message - { taskId, results: [{ toolCallId, content, isError? }] }
+ */
+const handleExecute = async (connection, message) => {
+  const { ws, connectionId } = connection;
+  const { taskId, results } = message;
+  
+  if (!taskId || !Array.isArray(results)) {
+    sendMessage(ws, {
+      type: 'tool:error',
+      taskId,
+      code: 'INVALID_INPUT',
+      error: 'taskId and a results array are required',
+    });
+    return;
+  }
+  
+  logger.info('Tool results received', {
+    connectionId,
+    taskId,
+    resultCount: results.length,
+  });
+  
+  try {
+    await llmHandler.continueWithToolResults(connection, taskId, results);
+  } catch (error) {
+    sendMessage(ws, {
+      type: 'tool:error',
+      taskId,
+      code: error.code || 'HANDLER_ERROR',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Handle tool:cancel - Discard a task waiting for tool results
+ * @param {Object} connection - Connection state
+ * @param {Object} message - { taskId }
+ */
+const handleCancel = (connection, message) => {
+  const { ws, connectionId } = connection;
+  const { taskId } = message;
+  
+  if (!llmHandler.discardToolSession(connection, taskId)) {
+    sendMessage(ws, {
+      type: 'tool:error',
+      taskId,
+      code: 'TASK_NOT_FOUND',
+      error: `Task ${taskId} is not waiting for tool results`,
+    });
+    return;
+  }
+  
+  logger.info('Tool session cancelled', { connectionId, taskId });
+  
+  sendMessage(ws, {
+    type: 'tool:cancelled',
+    taskId,
+  });
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  handleMessage,
+};
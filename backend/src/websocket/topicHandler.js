@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Topic WebSocket Handler
+ * @description Named topics (rooms) with publish/subscribe and presence
+ * (topic:* domain).
+ *
+ * Message Types:
+ * - topic:subscribe   - Join a topic; answered with topic:subscribed and its members
+ * - topic:unsubscribe - Leave a topic
+ * - topic:publish     - Send data to a topic's subscribers (topic:message)
+ * - topic:presence    - Get a topic's members
+ *
+ * Subscribers also receive topic:joined / topic:left when a user's first
+ * connection joins or last connection leaves a topic.
+ *
+ * Access is decided per topic pattern (see TOPIC_RULES and registerTopic);
+ * topics matching no pattern are refused. Server code publishes with
+ * publish(topic, data), which bypasses the rules.
+ *
+ * @module websocket/topicHandler
+ */
+
+const socketController = require('./socketController');
+const logger = require('../utils/logger');
+
+const { sendMessage } = socketController;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 100,
+  maxPayloadSize: parseInt(process.env.WS_TOPIC_MAX_PAYLOAD) || 64 * 1024, // bytes of JSON
+};
+
+const TOPIC_NAME = /^[A-Za-z0-9_.:@-]{1,200}$/;
+
+/**
+ * Access rules by topic pattern, first match wins. In a pattern, "*" matches
+ * anything and "{name}" one ":"-separated segment, passed to check() as
+ * params.name. Each operation (subscribe, publish) takes requireAuth,
+ * requireClaim and check(connection, params); a missing operation is denied.
+ */
+const TOPIC_RULES = [
+  {
+    pattern: 'public:*',
+    subscribe: {},
+    publish: { requireAuth: true },
+  },
+  {
+    pattern: 'user:{userId}',
+    subscribe: {
+      requireAuth: true,
+      check: (connection, { userId }) => connection.user.id === userId || connection.claims?.isAdmin,
+    },
+    publish: { requireClaim: 'isAdmin' },
+  },
+  {
+    pattern: 'admin:*',
+    subscribe: { requireClaim: 'isAdmin' },
+    publish: { requireClaim: 'isAdmin' },
+  },
+];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+/**
+ * Subscribers by topic: connection ID -> member identity at subscribe time
+ * ({ userId, displayName }, null for anonymous connections)
+ * @type {Map<string, Map<string, Object|null>>}
+ */
+const topics = new Map();
+
+/**
+ * Compiled TOPIC_RULES (and rules added with registerTopic)
+ * @type {Array<{ pattern: string, regex: RegExp, subscribe?: Object, publish?: Object }>}
+ */
+const rules = [];
+
+// ============================================================================
+// ACCESS RULES
+// ============================================================================
+
+/**
+ * Compile a topic pattern into a regular expression
+ * @param {string} pattern - e.g. 'project:{projectId}:*'
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern) => {
+  const source = pattern
+    .split(/(\*|\{\w+\})/)
+    .map((part) => {
+      if (part === '*') return '.+';
+      const param = /^\{(\w+)\}$/.exec(part);
+      if (param) return `(?<${param[1]}>[^:]+)`;
+      return part.replace(/[.+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Add access rules for a topic pattern (checked after the built-in ones)
+ * @param {string} pattern - Topic pattern
+ * @param {Object} access - { subscribe?, publish? }, each { requireAuth?, requireClaim?, check? }
+ */
+const registerTopic = (pattern, { subscribe, publish } = {}) => {
+  rules.push({ pattern, regex: compilePattern(pattern), subscribe, publish });
+  logger.info(`Registered WebSocket topic pattern: ${pattern}`);
+};
+
+TOPIC_RULES.forEach(({ pattern, ...access }) => {
+  rules.push({ pattern, regex: compilePattern(pattern), ...access });
+});
+
+/**
+ * Check whether a connection may subscribe or publish to a topic
+ * @param {Object} connection - Connection state
+ * @param {string} topic - Topic name
+ * @param {string} operation - 'subscribe' or 'publish'
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+const checkAccess = (connection, topic, operation) => {
+  let match = null;
+  const rule = rules.find((r) => (match = r.regex.exec(topic)));
+  if (!rule) {
+    return { allowed: false, reason: `No access rule for topic ${topic}` };
+  }
+
+  const access = rule[operation];
+  if (!access) {
+    return { allowed: false, reason: `Topic ${topic} does not allow ${operation}` };
+  }
+  if ((access.requireAuth || access.requireClaim) && !connection.isAuthenticated) {
+    return { allowed: false, reason: 'Authentication required' };
+  }
+  if (access.requireClaim && !connection.claims?.[access.requireClaim]) {
+    return { allowed: false, reason: `Requires ${access.requireClaim} permission` };
+  }
+  if (access.check && !access.check(connection, { ...match.groups })) {
+    return { allowed: false, reason: `Not allowed to ${operation} to ${topic}` };
+  }
+  return { allowed: true };
+};
+
+// ============================================================================
+// PRESENCE
+// ============================================================================
+
+/**
+ * Get the presence identity of a connection
+ * @param {Object} connection - Connection state
+ * @returns {Object|null} { userId, displayName }, null for anonymous
+ */
+const getMember = (connection) => {
+  if (!connection.isAuthenticated) return null;
+  return { userId: connection.user.id, displayName: connection.claims?.displayName || null };
+};
+
+/**
+ * Check whether a user has a connection subscribed to a topic
+ * @param {Map<string, Object|null>} subscribers - Topic subscribers
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const hasMember = (subscribers, userId) => {
+  return Array.from(subscribers.values()).some((member) => member?.userId === userId);
+};
+
+/**
+ * Get a topic's members: authenticated users (once each, with their number of
+ * connections) and a count of anonymous connections
+ * @param {string} topic - Topic name
+ * @returns {{ members: Array<{ userId: string, displayName: string|null, connections: number }>, anonymous: number }}
+ */
+const getPresence = (topic) => {
+  const members = new Map();
+  let anonymous = 0;
+
+  (topics.get(topic) || new Map()).forEach((member) => {
+    if (!member) {
+      anonymous++;
+    } else if (members.has(member.userId)) {
+      members.get(member.userId).connections++;
+    } else {
+      members.set(member.userId, { ...member, connections: 1 });
+    }
+  });
+
+  return { members: Array.from(members.values()), anonymous };
+};
+
+/**
+ * Send a message to a topic's subscribers
+ * @param {string} topic - Topic name
+ * @param {Object} message - Message
+ * @param {string} [excludeConnectionId] - Connection that should not receive it
+ * @returns {number} Recipients
+ */
+const sendToTopic = (topic, message, excludeConnectionId = null) => {
+  let recipients = 0;
+  (topics.get(topic) || new Map()).forEach((member, connectionId) => {
+    if (connectionId === excludeConnectionId) return;
+    const connection = socketController.getConnection(connectionId);
+    if (!connection) return;
+    sendMessage(connection.ws, message);
+    recipients++;
+  });
+  return recipients;
+};
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * Add a connection to a topic, announcing its user to the other subscribers
+ * when this is the user's first connection there
+ * @param {Object} connection - Connection state
+ * @param {string} topic - Topic name
+ */
+const addSubscription = (connection, topic) => {
+  if (!topics.has(topic)) topics.set(topic, new Map());
+  const subscribers = topics.get(topic);
+  if (subscribers.has(connection.connectionId)) return;
+
+  const member = getMember(connection);
+  const isNewMember = member && !hasMember(subscribers, member.userId);
+  subscribers.set(connection.connectionId, member);
+  connection.topics.add(topic);
+
+  if (isNewMember) {
+    sendToTopic(topic, { type: 'topic:joined', topic, user: member }, connection.connectionId);
+  }
+};
+
+/**
+ * Remove a connection from a topic, announcing its user's departure when it
+ * was their last connection there
+ * @param {Object} connection - Connection state
+ * @param {string} topic - Topic name
+ */
+const removeSubscription = (connection, topic) => {
+  connection.topics.delete(topic);
+  const subscribers = topics.get(topic);
+  if (!subscribers?.has(connection.connectionId)) return;
+
+  const member = subscribers.get(connection.connectionId);
+  subscribers.delete(connection.connectionId);
+
+  if (subscribers.size === 0) {
+    topics.delete(topic);
+  } else if (member && !hasMember(subscribers, member.userId)) {
+    sendToTopic(topic, { type: 'topic:left', topic, user: member });
+  }
+};
+
+/**
+ * Publish data to a topic from server code (REST controllers, services).
+ * Access rules do not apply.
+ * @param {string} topic - Topic name
+ * @param {*} data - JSON-serializable payload
+ * @param {Object} [options] - { from } shown to subscribers (defaults to null, the server)
+ * @returns {number} Connections the message was sent to
+ */
+const publish = (topic, data, { from = null } = {}) => {
+  return sendToTopic(topic, { type: 'topic:message', topic, data, from });
+};
+
+/**
+ * List topics with their subscriber counts
+ * @returns {Array<{ topic: string, subscribers: number }>}
+ */
+const getTopics = () => {
+  return Array.from(topics, ([topic, subscribers]) => ({ topic, subscribers: subscribers.size }));
+};
+
+// ============================================================================
+// MESSAGE HANDLERS
+// ============================================================================
+
+/**
+ * Handle incoming topic domain message
+ * @param {Object} connection - Connection state from socketController
+ * @param {Object} message - Parsed message
+ * @param {string} action - Action part of message type (e.g., 'subscribe')
+ */
+const handleMessage = async (connection, message, action) => {
+  const { ws } = connection;
+  const { topic, taskId: requestId } = message;
+
+  const sendError = (code, error) => {
+    sendMessage(ws, { type: 'topic:error', taskId: requestId, topic, code, error });
+  };
+
+  const supportedActions = ['subscribe', 'unsubscribe', 'publish', 'presence'];
+  if (!supportedActions.includes(action)) {
+    sendMessage(ws, {
+      type: 'topic:error',
+      taskId: requestId,
+      code: 'UNKNOWN_ACTION',
+      error: `Unknown topic action: ${action}`,
+      supportedActions,
+    });
+    return;
+  }
+
+  if (typeof topic !== 'string' || !TOPIC_NAME.test(topic)) {
+    sendError('INVALID_INPUT', 'topic must be 1-200 characters: letters, digits and _ . : @ -');
+    return;
+  }
+
+  switch (action) {
+    case 'subscribe': {
+      const access = checkAccess(connection, topic, 'subscribe');
+      if (!access.allowed) {
+        sendError('FORBIDDEN', access.reason);
+        return;
+      }
+      if (!connection.topics.has(topic) && connection.topics.size >= CONFIG.maxSubscriptions) {
+        sendError('INVALID_INPUT', `Maximum subscriptions (${CONFIG.maxSubscriptions}) reached`);
+        return;
+      }
+      addSubscription(connection, topic);
+      sendMessage(ws, { type: 'topic:subscribed', taskId: requestId, topic, ...getPresence(topic) });
+      break;
+    }
+
+    case 'unsubscribe':
+      removeSubscription(connection, topic);
+      sendMessage(ws, { type: 'topic:unsubscribed', taskId: requestId, topic });
+      break;
+
+    case 'publish': {
+      const access = checkAccess(connection, topic, 'publish');
+      if (!access.allowed) {
+        sendError('FORBIDDEN', access.reason);
+        return;
+      }
+      if (JSON.stringify(message.data ?? null).length > CONFIG.maxPayloadSize) {
+        sendError('INVALID_INPUT', `data exceeds ${CONFIG.maxPayloadSize} bytes`);
+        return;
+      }
+      // The publisher gets the message back only when asked to (echo: true)
+      const recipients = sendToTopic(
+        topic,
+        { type: 'topic:message', topic, data: message.data ?? null, from: getMember(connection) },
+        message.echo ? null : connection.connectionId
+      );
+      sendMessage(ws, { type: 'topic:published', taskId: requestId, topic, recipients });
+      break;
+    }
+
+    case 'presence':
+      if (!connection.topics.has(topic)) {
+        sendError('NOT_SUBSCRIBED', `Subscribe to ${topic} to see its members`);
+        return;
+      }
+      sendMessage(ws, { type: 'topic:presence', taskId: requestId, topic, ...getPresence(topic) });
+      break;
+  }
+};
+
+/**
+ * Re-check subscriptions after login, token refresh or logout: drop those the
+ * connection may no longer hold and re-announce it under its new identity
+ * @param {Object} connection - Connection state
+ */
+const handleAuthChange = (connection) => {
+  const member = getMember(connection);
+
+  Array.from(connection.topics).forEach((topic) => {
+    if (!checkAccess(connection, topic, 'subscribe').allowed) {
+      removeSubscription(connection, topic);
+      sendMessage(connection.ws, { type: 'topic:unsubscribed', topic, reason: 'FORBIDDEN' });
+      return;
+    }
+
+    const previous = topics.get(topic)?.get(connection.connectionId);
+    if (previous?.userId !== member?.userId || previous?.displayName !== member?.displayName) {
+      removeSubscription(connection, topic);
+      addSubscription(connection, topic);
+    }
+  });
+};
+
+/**
+ * Leave every topic when a connection closes
+ * @param {Object} connection - Connection state
+ */
+const handleDisconnect = (connection) => {
+  Array.from(connection.topics).forEach((topic) => removeSubscription(connection, topic));
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  handleMessage,
+  handleAuthChange,
+  handleDisconnect,
+
+  // Server-side API
+  publish,
+  getPresence,
+  getTopics,
+  registerTopic,
+  CONFIG,
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview useAdminConnections Composable
+ * @description Live operations on WebSocket connections and their LLM tasks.
+ * Backed by the /admin REST routes (the same operations exist as admin:*
+ * WebSocket messages).
+ *
+ * Admin Operations:
+ * - List live connections with their tasks, blocked connections and stats
+ * - Block / unblock a connection
+ * - Force-cancel a connection's LLM task
+ * - Broadcast an announcement to every connection (superadmin)
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const connections = ref([])
+const blocked = ref([])
+const stats = ref(null)
+const loading = ref(false)
+const error = ref(null)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ANNOUNCEMENT_LEVELS = ['info', 'warn', 'error']
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Format the time elapsed since a date (e.g. "42s", "5m", "3h 12m")
+ * @param {string|null} dateString - ISO date
+ * @returns {string} Elapsed time
+ */
+const formatElapsed = (dateString) => {
+  if (!dateString) return '-'
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(dateString).getTime()) / 1000))
+  if (seconds < 60) return `${seconds}s`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`
+}
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useAdminConnections() {
+  /**
+   * Fetch live connections, blocked connections and stats
+   * @returns {Promise<Array>} Live connections
+   */
+  const listConnections = async () => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/admin/connections')
+      connections.value = response.data.connections
+      blocked.value = response.data.blocked
+      stats.value = response.data.stats
+      return response.data.connections
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch connections'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Block a connection (closes it and refuses its IP address)
+   * @param {string} connectionId - Connection ID
+   * @param {string} [reason] - Shown to the blocked client
+   */
+  const blockConnection = async (connectionId, reason) => {
+    error.value = null
+
+    try {
+      await api.post(`/admin/connections/${connectionId}/block`, { reason: reason || undefined })
+      await listConnections()
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to block connection'
+      throw err
+    }
+  }
+
+  /**
+   * Lift a connection's block
+   * @param {string} connectionId - Connection ID
+   */
+  const unblockConnection = async (connectionId) => {
+    error.value = null
+
+    try {
+      await api.post(`/admin/connections/${connectionId}/unblock`)
+      blocked.value = blocked.value.filter(b => b.connectionId !== connectionId)
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to unblock connection'
+      throw err
+    }
+  }
+
+  /**
+   * Force-cancel a connection's LLM task
+   * @param {string} connectionId - Connection ID
+   * @param {string} taskId - Task ID
+   */
+  const cancelTask = async (connectionId, taskId) => {
+    error.value = null
+
+    try {
+      await api.post(`/admin/connections/${connectionId}/tasks/${encodeURIComponent(taskId)}/cancel`)
+      const connection = connections.value.find(c => c.connectionId === connectionId)
+      if (connection) {
+        connection.tasks = connection.tasks.filter(t => t.taskId !== taskId)
+        connection.activeTasksCount = connection.tasks.length
+      }
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to cancel task'
+      throw err
+    }
+  }
+
+  /**
+   * Send an announcement to every connection (superadmin)
+   * @param {Object} announcement - { message, level } (level: info, warn or error)
+   * @returns {Promise<number>} Number of recipients
+   */
+  const broadcast = async ({ message, level = 'info' }) => {
+    error.value = null
+
+    try {
+      const response = await api.post('/admin/broadcast', { message, level })
+      return response.data.recipients
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to send announcement'
+      throw err
+    }
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  return {
+    // State
+    connections,
+    blocked,
+    stats,
+    loading,
+    error,
+
+    // Constants
+    ANNOUNCEMENT_LEVELS,
+    formatElapsed,
+
+    // Operations
+    listConnections,
+    blockConnection,
+    unblockConnection,
+    cancelTask,
+    broadcast,
+
+    // Utilities
+    clearError
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview useBackgroundTasks Composable
+ * @description Detached LLM tasks: chat requests the backend runs to
+ * completion without an open client. The answer is saved to the request's
+ * conversation, and llm:task_finished arrives over the WebSocket when the
+ * task ends (or on the next connection if the app was closed).
+ *
+ * Operations:
+ * - Start a detached chat request
+ * - List tasks and fetch one with its answer
+ * - Cancel a running task
+ * - Register callbacks for finished tasks
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+import { useWebSocket } from '@/composables/useWebSocket'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const tasks = ref([])
+const total = ref(0)
+const loading = ref(false)
+const error = ref(null)
+
+const finishedCallbacks = new Set()
+let unsubscribe = null
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Merge a task into the list (newest first)
+ * @param {Object} task - Task from the API or an llm:task_finished message
+ */
+const upsertTask = (task) => {
+  const index = tasks.value.findIndex(t => t.id === task.id)
+  if (index !== -1) {
+    tasks.value[index] = { ...tasks.value[index], ...task }
+  } else {
+    tasks.value.unshift(task)
+  }
+}
+
+/**
+ * Apply llm:task_finished messages
+ * @param {Object} data - WebSocket message
+ * @param {string} action - Message action
+ */
+const handleLlmMessage = (data, action) => {
+  if (action !== 'task_finished' || !data.task) return
+
+  upsertTask(data.task)
+  finishedCallbacks.forEach(callback => {
+    try {
+      callback(data.task)
+    } catch (err) {
+      console.error('Background task callback error:', err)
+    }
+  })
+}
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useBackgroundTasks() {
+  const { addDomainListener } = useWebSocket()
+
+  // Follow finished tasks for as long as the app runs (one listener for all callers)
+  if (!unsubscribe) {
+    unsubscribe = addDomainListener('llm', handleLlmMessage)
+  }
+
+  /**
+   * Start a chat request as a background task
+   * @param {Object} request - Chat request ({ messages, model?, conversationId?, ... })
+   * @returns {Promise<Object>} Running task
+   */
+  const startTask = async (request) => {
+    error.value = null
+
+    try {
+      const response = await api.post('/llm/chat', { ...request, detached: true })
+      upsertTask(response.data.task)
+      return response.data.task
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to start background task'
+      throw err
+    }
+  }
+
+  /**
+   * List current user's background tasks
+   * @param {Object} params - Query params { status, limit, offset }
+   * @returns {Promise<Array>} Tasks
+   */
+  const listTasks = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/llm/tasks', { params })
+      tasks.value = response.data.tasks
+      total.value = response.data.total
+      return response.data.tasks
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch background tasks'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Get a task with its answer (content)
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Task
+   */
+  const getTask = async (id) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/llm/tasks/${id}`)
+      upsertTask(response.data.task)
+      return response.data.task
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch background task'
+      throw err
+    }
+  }
+
+  /**
+   * Cancel a running task (what it generated so far is kept)
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Cancelled task
+   */
+  const cancelTask = async (id) => {
+    error.value = null
+
+    try {
+      const response = await api.post(`/llm/tasks/${id}/cancel`)
+      upsertTask(response.data.task)
+      return response.data.task
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to cancel background task'
+      throw err
+    }
+  }
+
+  /**
+   * Call back when a task finishes (completed, failed or cancelled)
+   * @param {Function} callback - (task) => void
+   * @returns {Function} Unsubscribe function
+   */
+  const onTaskFinished = (callback) => {
+    finishedCallbacks.add(callback)
+    return () => finishedCallbacks.delete(callback)
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  return {
+    // State
+    tasks,
+    total,
+    loading,
+    error,
+
+    // Tasks
+    startTask,
+    listTasks,
+    getTask,
+    cancelTask,
+    onTaskFinished,
+
+    // Utilities
+    clearError
+  }
+}
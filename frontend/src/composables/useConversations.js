@@ -0,0 +1,139 @@
+/**
+ * @fileoverview useConversations Composable
+ * @description Saved chat conversations for the current user.
+ *
+ * Conversations are created automatically by the chat endpoints (SSE and
+ * WebSocket) on the first turn; this composable lists, loads, renames and
+ * deletes them so a chat can be resumed later.
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const conversations = ref([])
+const total = ref(0)
+const loading = ref(false)
+const error = ref(null)
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useConversations() {
+  /**
+   * List the current user's conversations (most recently updated first)
+   * @param {Object} params - Query parameters
+   * @param {number} [params.limit] - Page size
+   * @param {number} [params.offset] - Offset
+   * @param {string} [params.search] - Title search
+   * @returns {Promise<Array>} Conversations
+   */
+  const listConversations = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/conversations', { params })
+      conversations.value = response.data.conversations
+      total.value = response.data.total
+      return response.data.conversations
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch conversations'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Get a conversation with its messages
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation with messages
+   */
+  const getConversation = async (conversationId) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/conversations/${conversationId}`)
+      return response.data.conversation
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch conversation'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} title - New title
+   * @returns {Promise<Object>} Updated conversation
+   */
+  const renameConversation = async (conversationId, title) => {
+    error.value = null
+
+    try {
+      const response = await api.patch(`/conversations/${conversationId}`, { title })
+      const index = conversations.value.findIndex(c => c.id === conversationId)
+      if (index !== -1) {
+        conversations.value[index] = { ...conversations.value[index], ...response.data.conversation }
+      }
+      return response.data.conversation
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to rename conversation'
+      throw err
+    }
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  const deleteConversation = async (conversationId) => {
+    error.value = null
+
+    try {
+      await api.delete(`/conversations/${conversationId}`)
+      conversations.value = conversations.value.filter(c => c.id !== conversationId)
+      total.value = Math.max(0, total.value - 1)
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to delete conversation'
+      throw err
+    }
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  // ===========================================================================
+  // RETURN
+  // ===========================================================================
+
+  return {
+    // State
+    conversations,
+    total,
+    loading,
+    error,
+
+    // Operations
+    listConversations,
+    getConversation,
+    renameConversation,
+    deleteConversation,
+
+    // Utilities
+    clearError
+  }
+}
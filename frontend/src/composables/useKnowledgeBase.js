@@ -0,0 +1,185 @@
+/**
+ * @fileoverview useKnowledgeBase Composable
+ * @description Documents the user uploads to ground chat answers (text,
+ * Markdown, HTML, PDF). Uploads are embedded in the background; their status
+ * changes arrive as knowledge:document over the WebSocket. Chat requests use
+ * them by passing retrieval: true to useLlm's startChat.
+ *
+ * Operations:
+ * - Upload, list and delete documents
+ * - Search the documents directly
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+import { useWebSocket } from '@/composables/useWebSocket'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const documents = ref([])
+const total = ref(0)
+const loading = ref(false)
+const error = ref(null)
+
+let unsubscribe = null
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Merge a document into the list (newest first)
+ * @param {Object} document - Document from the API or a knowledge:document message
+ */
+const upsertDocument = (document) => {
+  const index = documents.value.findIndex(d => d.id === document.id)
+  if (index !== -1) {
+    documents.value[index] = document
+  } else {
+    documents.value.unshift(document)
+    total.value++
+  }
+}
+
+/**
+ * Apply knowledge:document messages
+ * @param {Object} data - WebSocket message
+ * @param {string} action - Message action
+ */
+const handleKnowledgeMessage = (data, action) => {
+  if (action === 'document' && data.document) {
+    upsertDocument(data.document)
+  }
+}
+
+/**
+ * Read a file as base64 (without the data URL prefix)
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useKnowledgeBase() {
+  const { addDomainListener } = useWebSocket()
+
+  // Follow processing documents for as long as the app runs (one listener for all callers)
+  if (!unsubscribe) {
+    unsubscribe = addDomainListener('knowledge', handleKnowledgeMessage)
+  }
+
+  /**
+   * List the current user's documents
+   * @param {Object} params - Query params { status, limit, offset }
+   * @returns {Promise<Array>} Documents
+   */
+  const fetchDocuments = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/knowledge/documents', { params })
+      documents.value = response.data.documents
+      total.value = response.data.total
+      return response.data.documents
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch documents'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Upload a file; it is listed as processing until it has been embedded
+   * @param {File} file - Text, Markdown, HTML or PDF file
+   * @param {Object} [options] - { title }
+   * @returns {Promise<Object>} Document
+   */
+  const uploadDocument = async (file, { title } = {}) => {
+    error.value = null
+
+    try {
+      const response = await api.post('/knowledge/documents', {
+        filename: file.name,
+        ...(file.type && { mediaType: file.type }),
+        ...(title && { title }),
+        data: await readFileAsBase64(file)
+      })
+      upsertDocument(response.data.document)
+      return response.data.document
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to upload document'
+      throw err
+    }
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document ID
+   */
+  const deleteDocument = async (id) => {
+    error.value = null
+
+    try {
+      await api.delete(`/knowledge/documents/${id}`)
+      documents.value = documents.value.filter(d => d.id !== id)
+      total.value = Math.max(0, total.value - 1)
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to delete document'
+      throw err
+    }
+  }
+
+  /**
+   * Search the current user's ready documents
+   * @param {string} query - Query
+   * @param {Object} [options] - { topK, documentIds, minScore }
+   * @returns {Promise<Array>} Matches, best first
+   */
+  const search = async (query, options = {}) => {
+    error.value = null
+
+    try {
+      const response = await api.post('/knowledge/search', { query, ...options })
+      return response.data.results
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to search documents'
+      throw err
+    }
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  return {
+    // State
+    documents,
+    total,
+    loading,
+    error,
+
+    // Documents
+    fetchDocuments,
+    uploadDocument,
+    deleteDocument,
+    search,
+
+    // Utilities
+    clearError
+  }
+}
@@ -7,11 +7,13 @@
  * - Single chat requests
  * - Parallel/batch requests
  * - Model and provider management
+ * - Resuming WebSocket streams after a reconnect (llm:resume)
  */
 
-import { ref, computed } from 'vue'
+import { ref, computed, watch } from 'vue'
 import { fetchEventSource } from '@microsoft/fetch-event-source'
 import api from '@/services/api'
+import i18n from '@/i18n'
 import { useWebSocket } from '@/composables/useWebSocket'
 
 // ============================================================================
@@ -27,6 +29,95 @@ const loading = ref(false)
 const error = ref(null)
 const isInitialized = ref(false)
 
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Turn a server error (SSE `error` event or `llm:error` message) into an Error
+ * with a translated message. Provider failures share one set of codes
+ * (RATE_LIMITED, CONTEXT_LENGTH_EXCEEDED, ...) translated under `llm.errors`;
+ * other codes keep the server's message.
+ * @param {Object} data - { error, code, retryable, retryAfter }
+ * @returns {Error} Error with code, retryable, retryAfter and the server's detail
+ */
+const toLlmError = ({ error: detail, code = null, retryable = false, retryAfter = null } = {}) => {
+  const { t, te } = i18n.global
+  let message = code && te(`llm.errors.${code}`)
+    ? t(`llm.errors.${code}`)
+    : detail || t('llm.errors.UNKNOWN')
+
+  if (retryable && retryAfter) {
+    message += ` ${t('llm.errors.retryAfter', { seconds: Math.ceil(retryAfter) })}`
+  }
+
+  return Object.assign(new Error(message), { code, retryable, retryAfter, detail })
+}
+
+// ============================================================================
+// BATCH PACING
+// ============================================================================
+
+// llm:start messages a batch may send: a burst, then a steady rate per minute.
+// Kept under the server's default llm budget (WS_RATE_LIMIT_LLM=10/30) to
+// leave room for the user's own chats and cancels; a connection that keeps
+// going over budget is muted, then blocked.
+const BATCH_START_BUDGET = { burst: 8, perMinute: 24 }
+const batchBucket = { tokens: BATCH_START_BUDGET.burst, updatedAt: Date.now() }
+
+/**
+ * Wait until the batch budget allows another start, then take it
+ * @returns {Promise<void>}
+ */
+const takeBatchToken = async () => {
+  const refillPerMs = BATCH_START_BUDGET.perMinute / 60000
+
+  for (;;) {
+    const now = Date.now()
+    batchBucket.tokens = Math.min(
+      BATCH_START_BUDGET.burst,
+      batchBucket.tokens + (now - batchBucket.updatedAt) * refillPerMs
+    )
+    batchBucket.updatedAt = now
+
+    if (batchBucket.tokens >= 1) {
+      batchBucket.tokens -= 1
+      return
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - batchBucket.tokens) / refillPerMs)))
+  }
+}
+
+// ============================================================================
+// RESUME AFTER RECONNECT
+// ============================================================================
+
+let resumeWatcherStarted = false
+
+/**
+ * Resume WebSocket tasks that were in flight when the connection dropped.
+ * Once the new connection is authenticated, llm:resume asks the server to
+ * replay each task from the last message received and continue it there.
+ * Tasks the server no longer has fail with TASK_NOT_FOUND.
+ */
+const watchReconnects = () => {
+  if (resumeWatcherStarted) return
+  resumeWatcherStarted = true
+
+  const { isAuthenticated, tasks, sendMessage } = useWebSocket()
+
+  watch(isAuthenticated, (authenticated) => {
+    if (!authenticated) return
+
+    Object.values(tasks).forEach(task => {
+      const inFlight = task.status === 'pending' || task.status === 'streaming' || task.awaitingTools
+      if (task.domain === 'llm' && task.resumable && inFlight) {
+        sendMessage({ type: 'llm:resume', taskId: task.id, fromSeq: task.lastSeq }, false)
+      }
+    })
+  })
+}
+
 // ============================================================================
 // COMPOSABLE
 // ============================================================================
@@ -45,6 +136,18 @@ export const useLlm = () => {
     generateTaskId,
   } = useWebSocket()
 
+  watchReconnects()
+
+  /**
+   * Wait for a task, rejecting with a translated error (see toLlmError)
+   * @param {string} taskId
+   * @returns {Promise<Object>} Task result
+   */
+  const waitForLlmTask = (taskId) => waitForTask(taskId).catch((err) => {
+    if (!err.code || err.detail !== undefined) throw err
+    throw toLlmError({ error: err.message, code: err.code, retryable: err.retryable, retryAfter: err.retryAfter })
+  })
+
   // ============================================================================
   // MODEL & PROVIDER MANAGEMENT
   // ============================================================================
@@ -57,7 +160,8 @@ export const useLlm = () => {
     error.value = null
     try {
       const response = await api.get('/llm/models')
-      models.value = response.data.data.models || []
+      // Embedding and other non-chat models cannot answer a conversation
+      models.value = (response.data.data.models || []).filter(m => !m.type || m.type === 'chat')
 
       // Set default model if not selected
       if (!selectedModel.value && models.value.length > 0) {
@@ -136,18 +240,42 @@ export const useLlm = () => {
       messages,
       model,
       systemPrompt,
+      templateId,
+      templateVersion,
+      variables,
+      retrieval,
       temperature,
       maxTokens,
+      conversationId,
+      persist,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      responseFormat,
+      contextStrategy,
       onChunk,
       onThinking,
+      onStarted,
+      onToolCall,
     } = options
 
     const requestBody = {
       messages,
       model: model || selectedModel.value?.id || 'gpt-4.1',
       ...(systemPrompt && { systemPrompt }),
+      ...(templateId && { templateId }),
+      ...(templateVersion && { templateVersion }),
+      ...(variables && Object.keys(variables).length && { variables }),
+      ...(retrieval && { retrieval }),
       ...(temperature !== null && temperature !== undefined && { temperature }),
       ...(maxTokens && { maxTokens }),
+      ...(conversationId && { conversationId }),
+      ...(persist === false && { persist }),
+      ...(tools?.length && { tools }),
+      ...(toolChoice && { toolChoice }),
+      ...(thinkingBudget && { thinkingBudget }),
+      ...(responseFormat && { responseFormat }),
+      ...(contextStrategy && { contextStrategy }),
     }
 
     const baseUrl = import.meta.env.VITE_API_BASE_URL || ''
@@ -165,6 +293,8 @@ export const useLlm = () => {
     
     let fullContent = ''
     let finishReason = 'stop'
+    let resolvedConversationId = conversationId || null
+    const toolCalls = []
 
     return new Promise((resolve, reject) => {
       const ctrl = new AbortController()
@@ -178,6 +308,9 @@ export const useLlm = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(sessionStorage.getItem('accessToken') && {
+            Authorization: `Bearer ${sessionStorage.getItem('accessToken')}`,
+          }),
         },
         body: JSON.stringify(requestBody),
         signal: ctrl.signal,
@@ -209,13 +342,30 @@ export const useLlm = () => {
             const data = JSON.parse(event.data)
             
             switch (event.event) {
-              case 'error':
+              case 'error': {
                 ctrl.abort()
+                const llmError = toLlmError(data)
                 if (taskId && tasks[taskId]) {
                   tasks[taskId].status = 'error'
-                  tasks[taskId].error = data.error
+                  tasks[taskId].error = llmError.message
+                  tasks[taskId].errorCode = llmError.code
+                  tasks[taskId].retryable = llmError.retryable
+                  tasks[taskId].retryAfter = llmError.retryAfter
+                  tasks[taskId]._reject?.(llmError)
                 }
-                reject(new Error(data.error || 'Stream error'))
+                reject(llmError)
+                break
+              }
+
+              case 'start':
+                resolvedConversationId = data.conversationId || resolvedConversationId
+                if (taskId && tasks[taskId]) {
+                  tasks[taskId].model = data.model
+                  tasks[taskId].provider = data.provider
+                  tasks[taskId].context = data.context || null
+                  tasks[taskId].conversationId = resolvedConversationId
+                }
+                if (onStarted) onStarted(data)
                 break
                 
               case 'content':
@@ -238,18 +388,37 @@ export const useLlm = () => {
                 }
                 break
                 
+              case 'tool_call':
+                toolCalls.push(data.toolCall)
+                if (taskId && tasks[taskId]) {
+                  tasks[taskId].toolCalls.push(data.toolCall)
+                }
+                if (onToolCall) onToolCall(data.toolCall)
+                break
+                
               case 'done':
                 finishReason = data.finishReason || 'stop'
+                resolvedConversationId = data.conversationId || resolvedConversationId
                 break
                 
               case 'end':
                 ctrl.abort()
+                finishReason = data.finishReason || finishReason
+                resolvedConversationId = data.conversationId || resolvedConversationId
                 if (taskId && tasks[taskId]) {
                   tasks[taskId].status = 'done'
                   tasks[taskId].finishReason = finishReason
+                  tasks[taskId].usage = data.usage || null
                   tasks[taskId].completedAt = Date.now()
                 }
-                resolve({ content: fullContent, finishReason })
+                resolve({
+                  content: fullContent,
+                  finishReason,
+                  conversationId: resolvedConversationId,
+                  toolCalls,
+                  usage: data.usage || null,
+                  ...('parsed' in data && { parsed: data.parsed, validationErrors: data.validationErrors }),
+                })
                 break
             }
           } catch (parseErr) {
@@ -258,8 +427,8 @@ export const useLlm = () => {
         },
         
         onclose: () => {
-          if (fullContent) {
-            resolve({ content: fullContent, finishReason })
+          if (fullContent || toolCalls.length) {
+            resolve({ content: fullContent, finishReason, conversationId: resolvedConversationId, toolCalls })
           }
         },
         
@@ -291,10 +460,23 @@ export const useLlm = () => {
       messages,
       model,
       systemPrompt,
+      templateId,
+      templateVersion,
+      variables,
+      retrieval,
       temperature,
       maxTokens,
+      conversationId,
+      persist,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      responseFormat,
+      contextStrategy,
       onChunk,
       onThinking,
+      onStarted,
+      onToolCall,
     } = options
 
     if (!isConnected.value) {
@@ -305,9 +487,13 @@ export const useLlm = () => {
     const taskId = createTask('llm', {
       taskId: providedTaskId,
       model: model || selectedModel.value?.id,
+      conversationId,
       onChunk,
       onThinking,
+      onStarted,
+      onToolCall,
     })
+    tasks[taskId].resumable = true
 
     // Send the request
     sendMessage({
@@ -316,12 +502,23 @@ export const useLlm = () => {
       model: model || selectedModel.value?.id || 'gpt-4.1',
       messages,
       ...(systemPrompt && { systemPrompt }),
+      ...(templateId && { templateId }),
+      ...(templateVersion && { templateVersion }),
+      ...(variables && Object.keys(variables).length && { variables }),
+      ...(retrieval && { retrieval }),
       ...(temperature !== null && temperature !== undefined && { temperature }),
       ...(maxTokens && { maxTokens }),
+      ...(conversationId && { conversationId }),
+      ...(persist === false && { persist }),
+      ...(tools?.length && { tools }),
+      ...(toolChoice && { toolChoice }),
+      ...(thinkingBudget && { thinkingBudget }),
+      ...(responseFormat && { responseFormat }),
+      ...(contextStrategy && { contextStrategy }),
     })
 
     // Wait for completion
-    return waitForTask(taskId)
+    return waitForLlmTask(taskId)
   }
 
   // ============================================================================
@@ -336,10 +533,26 @@ export const useLlm = () => {
    * @param {Array} options.messages - Array of { role, content } messages
    * @param {string} [options.model] - Model ID (uses selectedModel if not provided)
    * @param {string} [options.systemPrompt] - System prompt
+   * @param {string} [options.templateId] - Prompt template rendered before systemPrompt and messages
+   * @param {number} [options.templateVersion] - Template version (current one if omitted)
+   * @param {Object} [options.variables] - Values for the template's {{variable}} placeholders
+   * @param {boolean|Object} [options.retrieval] - Ground the answer on the user's knowledge base
+   *   (true or { topK, documentIds, minScore }); the excerpts used arrive as `sources` in onStarted
    * @param {number} [options.temperature] - Temperature (0-1)
    * @param {number} [options.maxTokens] - Max tokens
+   * @param {string} [options.conversationId] - Saved conversation to append to (new one created if omitted)
+   * @param {boolean} [options.persist=true] - Set false to skip saving this turn
    * @param {Function} [options.onChunk] - Callback for each content chunk
    * @param {Function} [options.onThinking] - Callback for thinking content
+   * @param {Function} [options.onStarted] - Callback when the stream starts ({ model, provider, conversationId })
+   * @param {Array} [options.tools] - Tool definitions: [{ name, description, parameters (JSON Schema) }]
+   * @param {string|Object} [options.toolChoice] - 'auto' | 'none' | 'required' | { name }
+   * @param {Function} [options.onToolCall] - Callback for each tool call ({ id, name, arguments })
+   * @param {number|boolean} [options.thinkingBudget] - Reasoning tokens (true for the model default; omit to disable)
+   * @param {Object} [options.responseFormat] - { type: 'json', schema? } for a JSON answer; the result
+   *   then has `parsed` and `validationErrors`
+   * @param {string} [options.contextStrategy] - 'reject' | 'truncate' | 'summarize' when the messages
+   *   exceed the model's context window (server default when omitted; reported as `context` to onStarted)
    * @param {string} [options.taskId] - Custom task ID (auto-generated if not provided)
    * @param {string} [options.forceMethod] - Force 'ws' or 'sse' regardless of global setting
    * @returns {string} Task ID
@@ -349,10 +562,23 @@ export const useLlm = () => {
       messages,
       model,
       systemPrompt,
+      templateId,
+      templateVersion,
+      variables,
+      retrieval,
       temperature,
       maxTokens,
+      conversationId,
+      persist,
+      tools,
+      toolChoice,
+      thinkingBudget,
+      responseFormat,
+      contextStrategy,
       onChunk,
       onThinking,
+      onStarted,
+      onToolCall,
       taskId: providedTaskId,
       forceMethod,
     } = options
@@ -389,8 +615,11 @@ export const useLlm = () => {
     const taskId = createTask('llm', {
       taskId: providedTaskId,
       model: actualModel,
+      conversationId,
       onChunk,
       onThinking,
+      onStarted,
+      onToolCall,
     })
 
     // Determine method and execute
@@ -419,8 +648,19 @@ export const useLlm = () => {
         model: actualModel,
         messages: normalizedMessages,
         ...(systemPrompt && { systemPrompt }),
+        ...(templateId && { templateId }),
+        ...(templateVersion && { templateVersion }),
+        ...(variables && Object.keys(variables).length && { variables }),
+        ...(retrieval && { retrieval }),
         ...(temperature !== null && temperature !== undefined && { temperature }),
         ...(maxTokens && { maxTokens }),
+        ...(conversationId && { conversationId }),
+        ...(persist === false && { persist }),
+        ...(tools?.length && { tools }),
+        ...(toolChoice && { toolChoice }),
+        ...(thinkingBudget && { thinkingBudget }),
+        ...(responseFormat && { responseFormat }),
+        ...(contextStrategy && { contextStrategy }),
       }
       
       console.log('[useLlm] WebSocket payload:', {
@@ -433,6 +673,7 @@ export const useLlm = () => {
         temperature: wsPayload.temperature,
       })
       
+      tasks[taskId].resumable = true
       sendMessage(wsPayload)
     } else {
       // SSE fallback - start in background
@@ -441,10 +682,23 @@ export const useLlm = () => {
         messages: normalizedMessages,
         model: actualModel,
         systemPrompt,
+        templateId,
+        templateVersion,
+        variables,
+        retrieval,
         temperature,
         maxTokens,
+        conversationId,
+        persist,
+        tools,
+        toolChoice,
+        thinkingBudget,
+        responseFormat,
+        contextStrategy,
         onChunk,
         onThinking,
+        onStarted,
+        onToolCall,
       }
       
       console.log('[useLlm] SSE payload:', {
@@ -489,7 +743,7 @@ export const useLlm = () => {
         temperature,
         onChunk,
       })
-      return waitForTask(taskId)
+      return waitForLlmTask(taskId)
     } else {
       // SSE mode - call streamChatSSE directly (no task management needed)
       return streamChatSSE({
@@ -502,22 +756,41 @@ export const useLlm = () => {
   }
 
   /**
-   * Start multiple chat requests in parallel
+   * Start chat requests one after the other, as fast as the batch budget allows
    * @param {Array<Object>} requests - Array of request options
-   * @returns {Array<string>} Array of task IDs
+   * @param {Function} [onStarted] - Called with each task ID once it is started
+   * @returns {Promise<Array<string>>} Task IDs
    */
-  const startBatch = (requests) => {
-    return requests.map(options => startChat(options))
+  const queueStarts = async (requests, onStarted = null) => {
+    const taskIds = []
+    for (const options of requests) {
+      await takeBatchToken()
+      const taskId = startChat(options)
+      taskIds.push(taskId)
+      onStarted?.(taskId)
+    }
+    return taskIds
   }
 
+  /**
+   * Start multiple chat requests in parallel from this tab. Starts beyond the
+   * first few are queued to stay within the server's message budget. For
+   * large batches that must survive a closed tab, use useLlmBatches
+   * (server-side jobs).
+   * @param {Array<Object>} requests - Array of request options
+   * @returns {Promise<Array<string>>} Task IDs, once every request is started
+   */
+  const startBatch = (requests) => queueStarts(requests)
+
   /**
    * Start multiple chats and wait for all to complete
    * @param {Array<Object>} requests - Array of request options
    * @returns {Promise<Array>} Array of results (settled)
    */
   const streamBatch = async (requests) => {
-    const taskIds = startBatch(requests)
-    return Promise.allSettled(taskIds.map(id => waitForTask(id)))
+    const results = []
+    await queueStarts(requests, taskId => results.push(waitForLlmTask(taskId)))
+    return Promise.allSettled(results)
   }
 
   /**
@@ -525,7 +798,45 @@ export const useLlm = () => {
    * @param {string} taskId
    */
   const cancel = (taskId) => {
-    cancelTask(taskId, 'llm')
+    cancelTask(taskId)
+  }
+
+  /**
+   * Continue a WebSocket task that stopped on tool calls (finishReason 'tool_calls').
+   * Over SSE, send a new request whose messages include the assistant toolCalls
+   * turn and one { role: 'tool', toolCallId, content } message per call instead.
+   * @param {string} taskId
+   * @param {Array} results - [{ toolCallId, content, isError? }]
+   * @returns {Promise<Object>} Result of the next turn
+   */
+  const submitToolResults = (taskId, results) => {
+    const task = tasks[taskId]
+    if (!task?.awaitingTools) {
+      return Promise.reject(new Error(`Task ${taskId} is not waiting for tool results`))
+    }
+
+    task.status = 'pending'
+    task.awaitingTools = false
+    task.toolCalls = []
+
+    sendMessage({
+      type: 'tool:execute',
+      taskId,
+      results,
+    })
+
+    return waitForLlmTask(taskId)
+  }
+
+  /**
+   * Discard a WebSocket task that is waiting for tool results
+   * @param {string} taskId
+   */
+  const cancelToolCalls = (taskId) => {
+    if (tasks[taskId]?.awaitingTools) {
+      tasks[taskId].awaitingTools = false
+      sendMessage({ type: 'tool:cancel', taskId })
+    }
   }
 
   /**
@@ -652,11 +963,15 @@ export const useLlm = () => {
     cancel,
     cancelAll,
 
+    // Tool calling
+    submitToolResults,
+    cancelToolCalls,
+
     // Task management
     getTask,
     getAllTasks,
     getActiveTasks,
-    waitForTask,
+    waitForTask: waitForLlmTask,
 
     // Non-streaming API
     chat,
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview useLlmBatches Composable
+ * @description Server-side batch LLM jobs. Unlike useLlm().startBatch, which
+ * fans requests out from the browser, batches are stored and processed by the
+ * backend and keep running when the tab closes.
+ *
+ * Operations:
+ * - Submit a batch and follow its progress (pushed over the WebSocket)
+ * - List batches and their items
+ * - Cancel a batch
+ * - Download results as JSON Lines
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+import { useWebSocket } from '@/composables/useWebSocket'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const batches = ref([])
+const total = ref(0)
+const loading = ref(false)
+const error = ref(null)
+
+let unsubscribe = null
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Merge a batch into the list (newest first)
+ * @param {Object} batch - Batch from the API or a batch:* message
+ */
+const upsertBatch = (batch) => {
+  const index = batches.value.findIndex(b => b.id === batch.id)
+  if (index !== -1) {
+    batches.value[index] = { ...batches.value[index], ...batch }
+  } else {
+    batches.value.unshift(batch)
+  }
+}
+
+/**
+ * Apply batch:queued, batch:started, batch:progress, batch:completed and
+ * batch:cancelled messages
+ * @param {Object} data - WebSocket message
+ */
+const handleBatchMessage = (data) => {
+  if (data.batch) {
+    upsertBatch(data.batch)
+  }
+}
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useLlmBatches() {
+  const { addDomainListener } = useWebSocket()
+
+  // Follow progress for as long as the app runs (one listener for all callers)
+  if (!unsubscribe) {
+    unsubscribe = addDomainListener('batch', handleBatchMessage)
+  }
+
+  /**
+   * Submit a batch
+   * @param {Array<Object>} requests - Chat requests ({ messages, model?, customId?, ... })
+   * @param {Object} [options] - { name, defaults } (defaults apply to every request)
+   * @returns {Promise<Object>} Queued batch
+   */
+  const submitBatch = async (requests, { name, defaults } = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.post('/llm/batches', { name, defaults, requests })
+      upsertBatch(response.data.batch)
+      return response.data.batch
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to submit batch'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * List current user's batches
+   * @param {Object} params - Query params { status, limit, offset }
+   * @returns {Promise<Array>} Batches
+   */
+  const listBatches = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/llm/batches', { params })
+      batches.value = response.data.batches
+      total.value = response.data.total
+      return response.data.batches
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch batches'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Get a batch with its item counts per status
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Batch
+   */
+  const getBatch = async (batchId) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/llm/batches/${batchId}`)
+      upsertBatch(response.data.batch)
+      return response.data.batch
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch batch'
+      throw err
+    }
+  }
+
+  /**
+   * List a batch's items with their results and errors
+   * @param {string} batchId - Batch ID
+   * @param {Object} params - Query params { status, limit, offset }
+   * @returns {Promise<{ items: Array, total: number }>}
+   */
+  const listItems = async (batchId, params = {}) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/llm/batches/${batchId}/items`, { params })
+      return { items: response.data.items, total: response.data.total }
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch batch items'
+      throw err
+    }
+  }
+
+  /**
+   * Cancel a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Cancelled batch
+   */
+  const cancelBatch = async (batchId) => {
+    error.value = null
+
+    try {
+      const response = await api.post(`/llm/batches/${batchId}/cancel`)
+      upsertBatch(response.data.batch)
+      return response.data.batch
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to cancel batch'
+      throw err
+    }
+  }
+
+  /**
+   * Download a batch's results as a .jsonl file
+   * @param {string} batchId - Batch ID
+   */
+  const downloadResults = async (batchId) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/llm/batches/${batchId}/results`, { responseType: 'blob' })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `batch-${batchId}.jsonl`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      error.value = 'Failed to download batch results'
+      throw err
+    }
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  return {
+    // State
+    batches,
+    total,
+    loading,
+    error,
+
+    // Batches
+    submitBatch,
+    listBatches,
+    getBatch,
+    listItems,
+    cancelBatch,
+    downloadResults,
+
+    // Utilities
+    clearError
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview useModelCatalog Composable
+ * @description Admin management of the LLM model and provider catalog.
+ * Changes apply on the server immediately, without a restart.
+ *
+ * Admin Operations:
+ * - List models (including disabled) and providers
+ * - Add and edit models (limits, vision, thinking, pricing, ...)
+ * - Enable/disable models and providers
+ * - Reload the catalog from the database
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const models = ref([])
+const providers = ref([])
+const catalogSource = ref(null)
+const loading = ref(false)
+const error = ref(null)
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MODEL_TYPES = ['chat', 'embedding', 'image', 'audio', 'moderation']
+
+const JSON_MODES = ['response_mime_type', 'response_format', 'tool_use']
+
+const SDK_TYPES = ['openai', 'anthropic', 'google', 'openai-compatible', 'mock']
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Build the API path for a model (IDs may contain "/")
+ * @param {string} modelId - Model ID
+ * @returns {string} Path
+ */
+const modelPath = (modelId) => `/catalog/models/${encodeURIComponent(modelId)}`
+
+/**
+ * Replace an item in a list by ID
+ * @param {Object} list - Ref holding the list
+ * @param {Object} item - Updated item
+ */
+const replaceById = (list, item) => {
+  const index = list.value.findIndex(i => i.id === item.id)
+  if (index !== -1) {
+    list.value[index] = { ...list.value[index], ...item }
+  } else {
+    list.value.push(item)
+  }
+}
+
+/**
+ * Format a price (USD per million tokens)
+ * @param {number|undefined} value - Price
+ * @returns {string} Formatted price
+ */
+const formatPrice = (value) => (value === undefined || value === null ? '-' : `$${value}`)
+
+/**
+ * Format a token count (e.g. 128000 -> 128K)
+ * @param {number|undefined} value - Tokens
+ * @returns {string} Formatted count
+ */
+const formatTokens = (value) => {
+  if (!value) return '-'
+  if (value >= 1000000) return `${+(value / 1000000).toFixed(1)}M`
+  if (value >= 1000) return `${+(value / 1000).toFixed(1)}K`
+  return String(value)
+}
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function useModelCatalog() {
+  // ===========================================================================
+  // MODELS
+  // ===========================================================================
+
+  /**
+   * List all models, including disabled ones
+   * @param {Object} params - Query params { provider }
+   * @returns {Promise<Array>} Models
+   */
+  const listModels = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/catalog/models', { params })
+      models.value = response.data.models
+      catalogSource.value = response.data.source
+      return response.data.models
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch models'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Add a model
+   * @param {Object} data - Model { id, provider, name, maxTokens, ... }
+   * @returns {Promise<Object>} Created model
+   */
+  const createModel = async (data) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.post('/catalog/models', data)
+      replaceById(models, response.data.model)
+      return response.data.model
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to create model'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Update a model's capabilities
+   * @param {string} modelId - Model ID
+   * @param {Object} data - Fields to change (null clears optional fields)
+   * @returns {Promise<Object>} Updated model
+   */
+  const updateModel = async (modelId, data) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.put(modelPath(modelId), data)
+      replaceById(models, response.data.model)
+      return response.data.model
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to update model'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Enable or disable a model
+   * @param {string} modelId - Model ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<Object>} Updated model
+   */
+  const setModelEnabled = async (modelId, enabled) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.post(`${modelPath(modelId)}/${enabled ? 'enable' : 'disable'}`)
+      replaceById(models, response.data.model)
+      return response.data.model
+    } catch (err) {
+      error.value = err.response?.data?.error || `Failed to ${enabled ? 'enable' : 'disable'} model`
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // ===========================================================================
+  // PROVIDERS
+  // ===========================================================================
+
+  /**
+   * List providers with their availability
+   * @returns {Promise<Array>} Providers
+   */
+  const listProviders = async () => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/catalog/providers')
+      providers.value = response.data.providers
+      return response.data.providers
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch providers'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Update a provider (superadmin)
+   * @param {string} providerId - Provider ID
+   * @param {Object} data - { name?, baseUrl?, envKey?, sdkType? }
+   * @returns {Promise<Object>} Updated provider
+   */
+  const updateProvider = async (providerId, data) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.put(`/catalog/providers/${providerId}`, data)
+      replaceById(providers, response.data.provider)
+      return response.data.provider
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to update provider'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Enable or disable a provider (its models become unavailable)
+   * @param {string} providerId - Provider ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<Object>} Updated provider
+   */
+  const setProviderEnabled = async (providerId, enabled) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.post(`/catalog/providers/${providerId}/${enabled ? 'enable' : 'disable'}`)
+      replaceById(providers, response.data.provider)
+      // Model availability depends on the provider
+      models.value = models.value.map(m =>
+        m.provider === providerId ? { ...m, available: m.enabled && response.data.provider.available } : m
+      )
+      return response.data.provider
+    } catch (err) {
+      error.value = err.response?.data?.error || `Failed to ${enabled ? 'enable' : 'disable'} provider`
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // ===========================================================================
+  // CATALOG
+  // ===========================================================================
+
+  /**
+   * Reload the catalog on the server, then refresh the local lists
+   * @returns {Promise<void>}
+   */
+  const reloadCatalog = async () => {
+    loading.value = true
+    error.value = null
+
+    try {
+      await api.post('/catalog/reload')
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to reload catalog'
+      throw err
+    } finally {
+      loading.value = false
+    }
+
+    await Promise.all([listModels(), listProviders()])
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  // ===========================================================================
+  // RETURN
+  // ===========================================================================
+
+  return {
+    // State
+    models,
+    providers,
+    catalogSource,
+    loading,
+    error,
+
+    // Constants
+    MODEL_TYPES,
+    JSON_MODES,
+    SDK_TYPES,
+
+    // Helpers
+    formatPrice,
+    formatTokens,
+
+    // Models
+    listModels,
+    createModel,
+    updateModel,
+    setModelEnabled,
+
+    // Providers
+    listProviders,
+    updateProvider,
+    setProviderEnabled,
+
+    // Catalog
+    reloadCatalog,
+
+    // Utilities
+    clearError
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview usePromptTemplates Composable
+ * @description Named, versioned prompt templates: a system prompt and
+ * few-shot examples with {{variable}} placeholders. Chat requests use one by
+ * passing templateId and variables; the backend renders it in front of the
+ * request's own system prompt and messages.
+ *
+ * Operations:
+ * - List templates visible to the user (own, shared with their role, global)
+ * - Create, update and delete templates (content changes add a version)
+ * - Version history and previews with variables
+ */
+
+import { ref } from 'vue'
+import api from '@/services/api'
+
+// =============================================================================
+// SINGLETON STATE
+// =============================================================================
+
+const templates = ref([])
+const total = ref(0)
+const loading = ref(false)
+const error = ref(null)
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Merge a template into the list (kept sorted by name)
+ * @param {Object} template - Template from the API
+ */
+const upsertTemplate = (template) => {
+  const index = templates.value.findIndex(t => t.id === template.id)
+  if (index !== -1) {
+    templates.value[index] = template
+  } else {
+    templates.value.push(template)
+    total.value++
+  }
+  templates.value.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// =============================================================================
+// COMPOSABLE
+// =============================================================================
+
+export function usePromptTemplates() {
+  /**
+   * List templates visible to the current user
+   * @param {Object} params - Query params { search, visibility, limit, offset }
+   * @returns {Promise<Array>} Templates
+   */
+  const fetchTemplates = async (params = {}) => {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/prompt-templates', { params })
+      templates.value = response.data.templates
+      total.value = response.data.total
+      return response.data.templates
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch prompt templates'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Get a template at its current or a given version
+   * @param {string} id - Template ID
+   * @param {number} [version] - Version
+   * @returns {Promise<Object>} Template
+   */
+  const getTemplate = async (id, version) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/prompt-templates/${id}`, { params: version ? { version } : {} })
+      return response.data.template
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch prompt template'
+      throw err
+    }
+  }
+
+  /**
+   * List a template's versions, newest first
+   * @param {string} id - Template ID
+   * @returns {Promise<Array>} Versions
+   */
+  const listVersions = async (id) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/prompt-templates/${id}/versions`)
+      return response.data.versions
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to fetch template versions'
+      throw err
+    }
+  }
+
+  /**
+   * Create a template
+   * @param {Object} data - { name, description?, visibility?, sharedRole?, systemPrompt?, messages? }
+   * @returns {Promise<Object>} Created template
+   */
+  const createTemplate = async (data) => {
+    error.value = null
+
+    try {
+      const response = await api.post('/prompt-templates', data)
+      upsertTemplate(response.data.template)
+      return response.data.template
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to create prompt template'
+      throw err
+    }
+  }
+
+  /**
+   * Update a template; new systemPrompt or messages add a version
+   * @param {string} id - Template ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated template
+   */
+  const updateTemplate = async (id, data) => {
+    error.value = null
+
+    try {
+      const response = await api.put(`/prompt-templates/${id}`, data)
+      upsertTemplate(response.data.template)
+      return response.data.template
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to update prompt template'
+      throw err
+    }
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id - Template ID
+   */
+  const deleteTemplate = async (id) => {
+    error.value = null
+
+    try {
+      await api.delete(`/prompt-templates/${id}`)
+      templates.value = templates.value.filter(t => t.id !== id)
+      total.value = Math.max(0, total.value - 1)
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to delete prompt template'
+      throw err
+    }
+  }
+
+  /**
+   * Render a template with variables (preview)
+   * @param {string} id - Template ID
+   * @param {Object} variables - Values by variable name
+   * @returns {Promise<Object>} { template, systemPrompt, messages }
+   */
+  const renderTemplate = async (id, variables = {}) => {
+    error.value = null
+
+    try {
+      const response = await api.post(`/prompt-templates/${id}/render`, { variables })
+      const { success, ...rendered } = response.data
+      return rendered
+    } catch (err) {
+      error.value = err.response?.data?.error || 'Failed to render prompt template'
+      throw err
+    }
+  }
+
+  /**
+   * Clear error state
+   */
+  const clearError = () => {
+    error.value = null
+  }
+
+  return {
+    // State
+    templates,
+    total,
+    loading,
+    error,
+
+    // Templates
+    fetchTemplates,
+    getTemplate,
+    listVersions,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    renderTemplate,
+
+    // Utilities
+    clearError
+  }
+}
@@ -15,10 +15,19 @@
  * - AppLayout monitors connection and triggers reconnects with backoff
  * - Cleaner separation of concerns
  * 
+ * FIXES in v4:
+ * - Token refresh is sent in-band (auth:refresh) so streams in flight survive
+ * - Refreshes ahead of expiry when the server sends auth:expiring
+ * - subscribe(topic, cb) / publish() for topic rooms; subscriptions are
+ *   restored after reconnects
+ * - Task messages carry a sequence number (lastSeq) so tasks can be resumed
+ *   on a new connection (llm:resume); replays of messages already seen are skipped
+ * - llm:detached resolves a task the server finishes in the background
+ * 
  * Token Strategy:
  * - Reads access token from sessionStorage (set by useAuth)
- * - Handles auth errors by triggering token refresh
- * - Reconnects automatically with new token after refresh
+ * - Handles auth errors and expiry warnings by triggering token refresh
+ * - Hands the new token to the open connection; reconnects only if that fails
  * 
  * Follows the protocol: domain:action message format
  * Supports parallel task execution with client-generated taskIds
@@ -66,12 +75,16 @@ const tasks = reactive({})
 // Domain message listeners
 const domainListeners = new Map()
 
+// Topic callbacks: topic -> Set of callbacks (re-sent to the server on reconnect)
+const topicSubscriptions = new Map()
+
 // Internal state
 let heartbeatInterval = null
 let reconnectTimeout = null
 let isInitialized = false
 let tokenRefreshCallback = null // Callback to refresh token
 let isConnecting = false // Guard to prevent multiple simultaneous connection attempts
+let pendingRefresh = null // { resolve, reject, timeout } while auth:refresh awaits its answer
 
 // ============================================================================
 // TOKEN MANAGEMENT
@@ -110,10 +123,33 @@ const setTokenRefreshCallback = (callback) => {
 }
 
 /**
- * Attempt to refresh token and reconnect
+ * Hand a new token to the open connection (auth:refresh)
+ * @param {string} token - New access token
+ * @returns {Promise<void>} Resolves on auth:refreshed, rejects on auth:error or timeout
+ */
+const sendTokenRefresh = (token) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      pendingRefresh = null
+      reject(new Error('Token refresh timeout'))
+    }, 5000)
+    
+    pendingRefresh = { resolve, reject, timeout }
+    
+    if (!sendMessage({ type: 'auth:refresh', token }, false)) {
+      clearTimeout(timeout)
+      pendingRefresh = null
+      reject(new Error('Failed to send token refresh'))
+    }
+  })
+}
+
+/**
+ * Refresh the token and hand it to the connection, reconnecting only when
+ * the open connection cannot take it
  * @returns {Promise<boolean>} Success status
  */
-const refreshTokenAndReconnect = async () => {
+const refreshAuthToken = async () => {
   if (!tokenRefreshCallback) {
     console.error('No token refresh callback set')
     return false
@@ -124,6 +160,16 @@ const refreshTokenAndReconnect = async () => {
     const success = await tokenRefreshCallback()
     
     if (success) {
+      if (isAuthenticated.value && ws.value?.readyState === WebSocket.OPEN) {
+        try {
+          await sendTokenRefresh(getAuthToken())
+          console.log('✅ Token refreshed on the open WebSocket')
+          return true
+        } catch (err) {
+          console.warn('In-band token refresh failed, reconnecting:', err.message)
+        }
+      }
+      
       console.log('✅ Token refreshed, reconnecting WebSocket...')
       // Disconnect and reconnect with new token
       disconnect()
@@ -215,6 +261,7 @@ const handleMessage = (event) => {
         wsClaims.value = data.claims
       }
       console.log('✅ WebSocket connected', { connectionId: data.connectionId })
+      resubscribeTopics()
       return
       
     case 'connection:blocked':
@@ -226,14 +273,47 @@ const handleMessage = (event) => {
       console.warn('Server shutting down:', data.message)
       return
       
+    case 'connection:throttled':
+      console.warn('WebSocket throttled:', data.message)
+      return
+      
+    case 'connection:muted':
+      console.warn(`WebSocket muted until ${data.until}:`, data.reason)
+      return
+      
     case 'auth:success':
       isAuthenticated.value = true
       wsUser.value = data.user
       wsClaims.value = data.claims
       console.log('✅ WebSocket authenticated', { user: data.user?.email })
+      // Topics refused while anonymous may be allowed now
+      resubscribeTopics()
+      return
+      
+    case 'auth:refreshed':
+      wsUser.value = data.user
+      wsClaims.value = data.claims
+      if (pendingRefresh) {
+        clearTimeout(pendingRefresh.timeout)
+        pendingRefresh.resolve()
+        pendingRefresh = null
+      }
+      return
+      
+    case 'auth:expiring':
+    case 'auth:expired':
+      console.warn(`WebSocket token ${action === 'expiring' ? 'expires' : 'expired'} at ${data.expiresAt}`)
+      handleAuthError()
       return
       
     case 'auth:error':
+      // A rejected auth:refresh leaves the connection as it was
+      if (pendingRefresh) {
+        clearTimeout(pendingRefresh.timeout)
+        pendingRefresh.reject(new Error(data.error))
+        pendingRefresh = null
+        return
+      }
       isAuthenticated.value = false
       wsUser.value = null
       wsClaims.value = null
@@ -273,9 +353,29 @@ const handleMessage = (event) => {
   
   // Handle task-specific messages
   if (taskId && tasks[taskId]) {
+    const task = tasks[taskId]
+    if (data.seq) {
+      // A resumed task replays from the last seq we had; drop any overlap
+      if (data.replayed && data.seq <= task.lastSeq) return
+      task.lastSeq = data.seq
+    }
     updateTaskFromMessage(taskId, data)
   }
   
+  // Notify topic subscribers
+  if (domain === 'topic' && data.topic) {
+    const callbacks = topicSubscriptions.get(data.topic)
+    if (callbacks) {
+      callbacks.forEach(callback => {
+        try {
+          callback(data, action)
+        } catch (err) {
+          console.error(`Topic callback error (${data.topic}):`, err)
+        }
+      })
+    }
+  }
+  
   // Notify domain listeners
   if (domain) {
     const listeners = domainListeners.get(domain)
@@ -300,7 +400,7 @@ const handleAuthError = async () => {
   isReconnecting.value = true
   
   try {
-    const success = await refreshTokenAndReconnect()
+    const success = await refreshAuthToken()
     if (!success) {
       // Notify listeners that auth failed permanently
       const listeners = domainListeners.get('auth')
@@ -336,6 +436,13 @@ const updateTaskFromMessage = (taskId, data) => {
       task.status = 'streaming'
       task.model = data.model
       task.provider = data.provider
+      task.context = data.context || null
+      if (data.conversationId) {
+        task.conversationId = data.conversationId
+      }
+      if (task.onStarted) {
+        task.onStarted(data)
+      }
       break
       
     case 'chunk':
@@ -355,15 +462,31 @@ const updateTaskFromMessage = (taskId, data) => {
       }
       break
       
+    case 'tool_call':
+      task.toolCalls.push(data.toolCall)
+      if (task.onToolCall) {
+        task.onToolCall(data.toolCall)
+      }
+      break
+      
     case 'done':
       task.status = 'done'
       task.finishReason = data.finishReason
+      task.toolCalls = data.toolCalls || task.toolCalls
+      task.awaitingTools = !!data.awaitingTools
+      task.conversationId = data.conversationId || task.conversationId
+      task.usage = data.usage || null
       task.completedAt = Date.now()
       // Resolve promise if waiting
       if (task._resolve) {
         task._resolve({
           content: task.content,
           finishReason: task.finishReason,
+          conversationId: task.conversationId,
+          usage: task.usage,
+          toolCalls: task.toolCalls,
+          awaitingTools: task.awaitingTools,
+          ...('parsed' in data && { parsed: data.parsed, validationErrors: data.validationErrors }),
         })
       }
       break
@@ -371,15 +494,47 @@ const updateTaskFromMessage = (taskId, data) => {
     case 'error':
       task.status = 'error'
       task.error = data.error
+      task.errorCode = data.code || null
+      task.retryable = data.retryable === true
+      task.retryAfter = data.retryAfter ?? null
       task.completedAt = Date.now()
       // Reject promise if waiting
       if (task._reject) {
-        task._reject(new Error(data.error))
+        task._reject(Object.assign(new Error(data.error), {
+          code: task.errorCode,
+          retryable: task.retryable,
+          retryAfter: task.retryAfter,
+        }))
+      }
+      break
+      
+    case 'detached':
+      // The server runs the task without this connection (llm:start with
+      // detached: true); llm:task_finished reports the outcome
+      task.status = 'detached'
+      task.backgroundTaskId = data.task?.id || null
+      task.conversationId = data.conversationId || task.conversationId
+      task.completedAt = Date.now()
+      if (task._resolve) {
+        task._resolve({
+          detached: true,
+          task: data.task,
+          conversationId: task.conversationId,
+        })
+      }
+      break
+      
+    case 'resumed':
+      if (data.gap) {
+        console.warn(`Task ${taskId} resumed, but some of its messages were no longer buffered`)
       }
       break
       
     case 'cancelled':
       task.status = 'cancelled'
+      task.finishReason = data.finishReason || 'cancelled'
+      task.cancelledBy = data.cancelledBy || null
+      task.usage = data.usage || task.usage
       task.completedAt = Date.now()
       if (task._reject) {
         task._reject(new Error('Task cancelled'))
@@ -660,23 +815,37 @@ const logout = () => {
 
 /**
  * Create a new task
+ * @param {string} domain - Task domain (e.g. 'llm')
  * @param {Object} options - Task options
+ * @param {string} [options.taskId] - Custom task ID (auto-generated if not provided)
  * @returns {string} Task ID
  */
-const createTask = (options = {}) => {
-  const taskId = generateTaskId(options.prefix)
+const createTask = (domain, options = {}) => {
+  const taskId = options.taskId || generateTaskId(options.prefix || domain)
   
   tasks[taskId] = {
     id: taskId,
+    domain,
+    model: options.model || null,
+    provider: null,
+    conversationId: options.conversationId || null,
     status: 'pending',
     content: '',
     thinking: '',
     chunkCount: 0,
+    toolCalls: [],
+    awaitingTools: false,
+    usage: null,
+    context: null,
     error: null,
+    cancelledBy: null,
+    lastSeq: 0,
     createdAt: Date.now(),
     completedAt: null,
     onChunk: options.onChunk,
     onThinking: options.onThinking,
+    onStarted: options.onStarted,
+    onToolCall: options.onToolCall,
     _resolve: null,
     _reject: null
   }
@@ -685,14 +854,14 @@ const createTask = (options = {}) => {
 }
 
 /**
- * Cancel a task
+ * Cancel a task (sends <domain>:cancel, e.g. llm:cancel)
  * @param {string} taskId
  */
 const cancelTask = (taskId) => {
   if (tasks[taskId]) {
     try {
       sendMessage({
-        type: 'task:cancel',
+        type: `${tasks[taskId].domain}:cancel`,
         taskId
       })
     } catch (err) {
@@ -703,10 +872,15 @@ const cancelTask = (taskId) => {
 
 /**
  * Cancel all tasks
+ * @param {string} [domain] - Only cancel tasks of this domain (e.g. 'llm')
  */
-const cancelAllTasks = () => {
+const cancelAllTasks = (domain) => {
   Object.keys(tasks).forEach(taskId => {
-    cancelTask(taskId)
+    const task = tasks[taskId]
+    const active = task.status === 'pending' || task.status === 'streaming' || task.awaitingTools
+    if (active && (!domain || task.domain === domain)) {
+      cancelTask(taskId)
+    }
   })
 }
 
@@ -775,6 +949,72 @@ const addDomainListener = (domain, callback) => {
   }
 }
 
+// ============================================================================
+// TOPICS
+// ============================================================================
+
+/**
+ * Subscribe to a topic. The callback receives every topic:* message for it
+ * (subscribed, message, joined, left, presence, unsubscribed, error) as
+ * callback(data, action). The server subscription is made with the first
+ * callback and dropped with the last one.
+ * @param {string} topic - Topic name (e.g. 'public:lobby')
+ * @param {Function} callback - (data, action) => void
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (topic, callback) => {
+  if (!topicSubscriptions.has(topic)) {
+    topicSubscriptions.set(topic, new Set())
+    // Sent again on (re)connect if the socket is not open yet
+    sendMessage({ type: 'topic:subscribe', topic }, false)
+  }
+  
+  topicSubscriptions.get(topic).add(callback)
+  
+  // Return unsubscribe function
+  return () => {
+    const callbacks = topicSubscriptions.get(topic)
+    if (!callbacks) return
+    
+    callbacks.delete(callback)
+    if (callbacks.size === 0) {
+      topicSubscriptions.delete(topic)
+      sendMessage({ type: 'topic:unsubscribe', topic }, false)
+    }
+  }
+}
+
+/**
+ * Publish data to a topic's subscribers
+ * @param {string} topic - Topic name
+ * @param {*} data - JSON-serializable payload
+ * @param {Object} [options]
+ * @param {boolean} [options.echo=false] - Also deliver the message to this connection
+ * @returns {boolean} True if the message was sent
+ */
+const publish = (topic, data, { echo = false } = {}) => {
+  return sendMessage({ type: 'topic:publish', topic, data, echo })
+}
+
+/**
+ * Request the current members of a subscribed topic (answered with topic:presence)
+ * @param {string} topic - Topic name
+ * @returns {boolean} True if the message was sent
+ */
+const requestPresence = (topic) => {
+  return sendMessage({ type: 'topic:presence', topic })
+}
+
+/**
+ * Re-send subscriptions for every topic that still has callbacks.
+ * The server forgets them when the connection closes.
+ */
+const resubscribeTopics = () => {
+  topicSubscriptions.forEach((callbacks, topic) => {
+    sendMessage({ type: 'topic:subscribe', topic }, false)
+  })
+}
+
 // ============================================================================
 // MANUAL CONNECTION TRIGGER (v3)
 // ============================================================================
@@ -901,5 +1141,10 @@ export const useWebSocket = () => {
     
     // Listener methods
     addDomainListener,
+    
+    // Topic methods
+    subscribe,
+    publish,
+    requestPresence,
   }
 }
\ No newline at end of file
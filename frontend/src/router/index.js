@@ -59,6 +59,18 @@ const routes = [
     component: () => import('../views/UsersView.vue'),
     meta: { requiresAuth: true, requiresAdmin: true }
   },
+  {
+    path: '/models',
+    name: 'models',
+    component: () => import('../views/ModelsView.vue'),
+    meta: { requiresAuth: true, requiresAdmin: true }
+  },
+  {
+    path: '/operations',
+    name: 'operations',
+    component: () => import('../views/OperationsView.vue'),
+    meta: { requiresAuth: true, requiresAdmin: true }
+  },
   
   // =========================================================================
   // AUTH ROUTES